@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+
+/**
+ * @fileoverview Service Token Script
+ * @description Prints a backend API token for a Slack user, for calling the API by hand
+ * (e.g. the admin-only budget, report and archive endpoints). Signed with JWT_SECRET from .env.
+ *
+ * Usage:
+ *   node scripts/service-token.js U0123456789
+ *   npm run service-token -- U0123456789
+ *   curl -H "Authorization: Bearer $(node scripts/service-token.js U0123456789)" http://localhost:3000/api/budgets
+ */
+
+const userId = process.argv[2];
+
+if (!userId || !/^U[A-Z0-9]{8,}$/.test(userId)) {
+    console.error('Usage: node scripts/service-token.js <Slack user ID>');
+    process.exit(1);
+}
+
+// Loads .env
+const config = require('../src/config');
+const { generateServiceToken } = require('../src/middleware/security');
+
+console.log(generateServiceToken(userId));
+console.error(`Valid for ${config.serviceAuth.tokenTtl} seconds (SERVICE_TOKEN_TTL).`);
@@ -22,7 +22,16 @@ const configSchema = Joi.object({
         botToken: Joi.string().required(),
         signingSecret: Joi.string().required(),
         appToken: Joi.string().required(),
-        socketMode: Joi.boolean().default(true)
+        socketMode: Joi.boolean().default(true),
+        // Sign in with Slack (OpenID Connect) for the web dashboard; limited to one workspace, so the
+        // team ID is required with the client ID
+        clientId: Joi.string().allow('').optional(),
+        clientSecret: Joi.string().allow('').optional(),
+        teamId: Joi.string().allow('').when('clientId', {
+            is: Joi.string().min(1).required(),
+            then: Joi.string().pattern(/^T[A-Z0-9]+$/).invalid('').required(),
+            otherwise: Joi.optional()
+        })
     }),
 
     // Google Cloud configuration (optional for small deployments)
@@ -46,6 +55,11 @@ const configSchema = Joi.object({
         timeout: Joi.number().default(30000)
     }).optional(),
 
+    // Prompt enhancement (LLM client used to turn the campaign brief into prompts)
+    promptEnhancement: Joi.object({
+        provider: Joi.string().valid('gemini', 'stub').default('gemini')
+    }),
+
     // Fal.ai configuration
     falai: Joi.object({
         apiKey: Joi.string().required(),
@@ -73,6 +87,11 @@ const configSchema = Joi.object({
         storageType: Joi.string().valid('redis', 'memory').default('redis')
     }),
 
+    // Archive of ended and expired sessions (local files)
+    archive: Joi.object({
+        directory: Joi.string().default('./data/archive')
+    }),
+
     // Rate limiting configuration (optimized for small team)
     rateLimit: Joi.object({
         windowMs: Joi.number().default(900000), // 15 minutes
@@ -96,7 +115,11 @@ const configSchema = Joi.object({
             db: Joi.number().default(1)
         }),
         attempts: Joi.number().default(3),
-        backoffDelay: Joi.number().default(30000)
+        backoffDelay: Joi.number().default(30000),
+        concurrency: Joi.number().integer().min(1).default(2),
+        // Finished jobs (completed or failed) are kept for status lookups up to this age and count
+        retentionHours: Joi.number().integer().min(1).default(168),
+        retentionCount: Joi.number().integer().min(1).default(1000)
     }),
 
     // Asset configuration
@@ -116,11 +139,52 @@ const configSchema = Joi.object({
         retryDelay: Joi.number().default(1000)
     }),
 
+    // Cost confirmation (estimates in USD; above the threshold a job needs a second confirmation)
+    costConfirmation: Joi.object({
+        threshold: Joi.number().min(0).default(1)
+    }),
+
+    // Monthly budgets: over-budget jobs are blocked, or need an admin's approval
+    budgets: Joi.object({
+        enforcement: Joi.string().valid('block', 'approve').default('approve')
+    }),
+
+    // Read-only web dashboard (served by the backend under /dashboard)
+    dashboard: Joi.object({
+        baseUrl: Joi.string().uri().default('http://localhost:3000'),
+        linkTtl: Joi.number().integer().min(60).default(900), // Sign-in links DMed by the bot, in seconds
+        sessionTtl: Joi.number().integer().min(300).default(43200) // Browser sign-in, in seconds
+    }),
+
+    // Tokens the Slack bot signs for its backend API calls
+    serviceAuth: Joi.object({
+        tokenTtl: Joi.number().integer().min(10).default(60) // Seconds
+    }),
+
+    // Admins (Slack user IDs) manage budgets and receive client budget alerts
+    admin: Joi.object({
+        userIds: Joi.array().items(Joi.string()).default([])
+    }),
+
+    // Roles (see config/roles.js): Slack user (U...) or user group (S...) ID to role, and the role of everyone else
+    roles: Joi.object({
+        assignments: Joi.array().items(
+            Joi.string().pattern(/^[US][A-Z0-9]+:(admin|producer|creative|viewer)$/)
+        ).default([]),
+        defaultRole: Joi.string().valid('admin', 'producer', 'creative', 'viewer').default('creative'),
+        groupCacheTtl: Joi.number().integer().min(0).default(300) // User group members, in seconds
+    }),
+
     // Feature flags
     features: Joi.object({
         regeneration: Joi.boolean().default(true),
         assetEditing: Joi.boolean().default(true),
         assetUpscaling: Joi.boolean().default(true),
+        promptEnhancement: Joi.boolean().default(true),
+        fileInputs: Joi.boolean().default(true),
+        costConfirmation: Joi.boolean().default(true),
+        webDashboard: Joi.boolean().default(true),
+        appHome: Joi.boolean().default(true),
         batchProcessing: Joi.boolean().default(false),
         webhookNotifications: Joi.boolean().default(true),
         mockServices: Joi.boolean().default(false)
@@ -150,7 +214,10 @@ const rawConfig = {
         botToken: process.env.SLACK_BOT_TOKEN,
         signingSecret: process.env.SLACK_SIGNING_SECRET,
         appToken: process.env.SLACK_APP_TOKEN,
-        socketMode: process.env.SLACK_SOCKET_MODE !== 'false'
+        socketMode: process.env.SLACK_SOCKET_MODE !== 'false',
+        clientId: process.env.SLACK_CLIENT_ID,
+        clientSecret: process.env.SLACK_CLIENT_SECRET,
+        teamId: process.env.SLACK_TEAM_ID
     },
 
     google: {
@@ -172,6 +239,10 @@ const rawConfig = {
         timeout: parseInt(process.env.VERTEX_AI_TIMEOUT, 10)
     },
 
+    promptEnhancement: {
+        provider: process.env.PROMPT_ENHANCER_PROVIDER
+    },
+
     falai: {
         apiKey: process.env.FAL_KEY,
         baseUrl: process.env.FAL_AI_BASE_URL,
@@ -196,6 +267,10 @@ const rawConfig = {
         storageType: process.env.SESSION_STORAGE_TYPE
     },
 
+    archive: {
+        directory: process.env.SESSION_ARCHIVE_DIR
+    },
+
     rateLimit: {
         windowMs: parseInt(process.env.RATE_LIMIT_WINDOW, 10),
         maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10),
@@ -211,12 +286,15 @@ const rawConfig = {
     jobQueue: {
         redis: {
             host: process.env.BULL_REDIS_HOST,
-            port: parseInt(process.env.BULL_REDIS_PORT, 10),
+            port: process.env.BULL_REDIS_PORT ? parseInt(process.env.BULL_REDIS_PORT, 10) : undefined,
             password: process.env.BULL_REDIS_PASSWORD,
-            db: parseInt(process.env.BULL_REDIS_DB, 10)
+            db: process.env.BULL_REDIS_DB ? parseInt(process.env.BULL_REDIS_DB, 10) : undefined
         },
-        attempts: parseInt(process.env.JOB_ATTEMPTS, 10),
-        backoffDelay: parseInt(process.env.JOB_BACKOFF_DELAY, 10)
+        attempts: process.env.JOB_ATTEMPTS ? parseInt(process.env.JOB_ATTEMPTS, 10) : undefined,
+        backoffDelay: process.env.JOB_BACKOFF_DELAY ? parseInt(process.env.JOB_BACKOFF_DELAY, 10) : undefined,
+        concurrency: process.env.JOB_CONCURRENCY ? parseInt(process.env.JOB_CONCURRENCY, 10) : undefined,
+        retentionHours: process.env.JOB_RETENTION_HOURS ? parseInt(process.env.JOB_RETENTION_HOURS, 10) : undefined,
+        retentionCount: process.env.JOB_RETENTION_COUNT ? parseInt(process.env.JOB_RETENTION_COUNT, 10) : undefined
     },
 
     assets: {
@@ -231,10 +309,43 @@ const rawConfig = {
         retryDelay: parseInt(process.env.API_RETRY_DELAY, 10)
     },
 
+    costConfirmation: {
+        threshold: process.env.COST_CONFIRMATION_THRESHOLD ? parseFloat(process.env.COST_CONFIRMATION_THRESHOLD) : undefined
+    },
+
+    budgets: {
+        enforcement: process.env.BUDGET_ENFORCEMENT
+    },
+
+    dashboard: {
+        baseUrl: process.env.DASHBOARD_BASE_URL,
+        linkTtl: process.env.DASHBOARD_LINK_TTL ? parseInt(process.env.DASHBOARD_LINK_TTL, 10) : undefined,
+        sessionTtl: process.env.DASHBOARD_SESSION_TTL ? parseInt(process.env.DASHBOARD_SESSION_TTL, 10) : undefined
+    },
+
+    serviceAuth: {
+        tokenTtl: process.env.SERVICE_TOKEN_TTL ? parseInt(process.env.SERVICE_TOKEN_TTL, 10) : undefined
+    },
+
+    admin: {
+        userIds: process.env.ADMIN_USER_IDS ? process.env.ADMIN_USER_IDS.split(',').map(id => id.trim()).filter(Boolean) : undefined
+    },
+
+    roles: {
+        assignments: process.env.ROLE_ASSIGNMENTS ? process.env.ROLE_ASSIGNMENTS.split(',').map(entry => entry.trim()).filter(Boolean) : undefined,
+        defaultRole: process.env.DEFAULT_ROLE,
+        groupCacheTtl: process.env.ROLE_GROUP_CACHE_TTL ? parseInt(process.env.ROLE_GROUP_CACHE_TTL, 10) : undefined
+    },
+
     features: {
         regeneration: process.env.ENABLE_REGENERATION === 'true',
         assetEditing: process.env.ENABLE_ASSET_EDITING === 'true',
         assetUpscaling: process.env.ENABLE_ASSET_UPSCALING === 'true',
+        promptEnhancement: process.env.ENABLE_PROMPT_ENHANCEMENT === 'true',
+        fileInputs: process.env.ENABLE_FILE_INPUTS === 'true',
+        costConfirmation: process.env.ENABLE_COST_CONFIRMATION === 'true',
+        webDashboard: process.env.ENABLE_WEB_DASHBOARD === 'true',
+        appHome: process.env.ENABLE_APP_HOME === 'true',
         batchProcessing: process.env.ENABLE_BATCH_PROCESSING === 'true',
         webhookNotifications: process.env.ENABLE_WEBHOOK_NOTIFICATIONS === 'true',
         mockServices: process.env.ENABLE_MOCK_SERVICES === 'true'
@@ -0,0 +1,258 @@
+/**
+ * @fileoverview Model Registry - Single source of truth for every fal.ai model the bot offers
+ * @description Loads one YAML file per operation from config/models. Each file declares the operation's
+ * name, description and picker order, and its models: fal.ai endpoint, display metadata, pricing and
+ * parameter schema. The rules engine, request validation, service input filtering, pricing display and
+ * Slack parameter modals are all built from this data, so adding a model means editing one file.
+ *
+ * Parameter schema fields:
+ *   type         string | number | boolean | array | object (object values are entered as JSON)
+ *   required     Whether the parameter must be supplied
+ *   default      Value used when the parameter is left empty
+ *   min / max    Numeric range
+ *   integer      Whether a number must be whole
+ *   maxLength    Maximum string length
+ *   options      Allowed values (rendered as a select)
+ *   optionLabels Display text for option values, keyed by value
+ *   items        Item schema: { type: string, format: uri } for URL lists, { type: object, properties } for JSON arrays
+ *   format       uri, for strings that must be URLs
+ *   label, placeholder, help, multiline  Slack modal presentation
+ *
+ * Pricing fields (USD, see config/modelPricing.js):
+ *   unit         image | megapixel | second | 1k_characters | job
+ *   min / max    Rate per unit; a range when the price depends on settings the estimate cannot see
+ *   quantity     Parameters that drive the number of units, by role:
+ *                seconds, frames + fps (second); size, width + height, count (megapixel, image); text (1k_characters)
+ *   note         Extra detail shown with the price
+ *   source, tier Where the price comes from and its price tier
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const Joi = require('joi');
+
+const MODELS_DIR = path.join(__dirname, 'models');
+
+const PRICING_UNITS = ['image', 'megapixel', 'second', '1k_characters', 'job'];
+const QUANTITY_ROLES = ['seconds', 'frames', 'fps', 'size', 'width', 'height', 'count', 'text'];
+
+const parameterSchema = Joi.object({
+    type: Joi.string().valid('string', 'number', 'boolean', 'array', 'object').required(),
+    required: Joi.boolean(),
+    default: Joi.any(),
+    min: Joi.number(),
+    max: Joi.number(),
+    integer: Joi.boolean(),
+    maxLength: Joi.number().integer().min(1),
+    options: Joi.array().items(Joi.string(), Joi.number()).min(1),
+    optionLabels: Joi.object().pattern(Joi.string(), Joi.string()),
+    items: Joi.object(),
+    format: Joi.string().valid('uri'),
+    label: Joi.string(),
+    placeholder: Joi.string(),
+    help: Joi.string(),
+    multiline: Joi.boolean()
+});
+
+const modelSchema = Joi.object({
+    id: Joi.string().required(),
+    endpoint: Joi.string().required(),
+    name: Joi.string().required(),
+    description: Joi.string().allow('').default(''),
+    category: Joi.string(),
+    pricing: Joi.object({
+        unit: Joi.string().valid(...PRICING_UNITS).required(),
+        min: Joi.number().min(0).required(),
+        max: Joi.number().min(Joi.ref('min')).required(),
+        quantity: Joi.object(Object.fromEntries(QUANTITY_ROLES.map(role => [role, Joi.string()]))),
+        note: Joi.string(),
+        source: Joi.string(),
+        tier: Joi.string()
+    }),
+    parameters: Joi.object().pattern(Joi.string(), parameterSchema).required()
+});
+
+const operationSchema = Joi.object({
+    operation: Joi.string().pattern(/^[a-z0-9-]+$/).required(),
+    name: Joi.string().required(),
+    description: Joi.string().required(),
+    order: Joi.number().integer().required(),
+    models: Joi.array().items(modelSchema).min(1).required()
+});
+
+class ModelRegistry {
+    constructor(directory = MODELS_DIR) {
+        this.directory = directory;
+        this.operations = this.loadOperations();
+        this.models = new Map();
+        for (const operation of this.operations) {
+            for (const model of operation.models) {
+                if (this.models.has(model.id)) {
+                    throw new Error(`Model registry: ${model.id} is declared by more than one operation`);
+                }
+                this.models.set(model.id, { ...model, operation: operation.operation });
+            }
+        }
+    }
+
+    /**
+     * Read and validate every operation file
+     * @returns {Array} Operations sorted by their picker order
+     * @throws {Error} When a file does not match the registry schema
+     */
+    loadOperations() {
+        return fs.readdirSync(this.directory)
+            .filter(file => file.endsWith('.yaml'))
+            .map(file => {
+                const { error, value } = operationSchema.validate(yaml.load(fs.readFileSync(path.join(this.directory, file), 'utf8')));
+                if (error) {
+                    throw new Error(`Model registry: ${file} is invalid: ${error.message}`);
+                }
+                if (`${value.operation}.yaml` !== file) {
+                    throw new Error(`Model registry: ${file} declares operation ${value.operation}`);
+                }
+                value.models.forEach(model => this.checkParameters(file, model));
+                return value;
+            })
+            .sort((a, b) => a.order - b.order);
+    }
+
+    /**
+     * Catch schema mistakes Joi cannot express (defaults outside the declared options or range)
+     */
+    checkParameters(file, model) {
+        for (const [role, name] of Object.entries(model.pricing?.quantity || {})) {
+            if (!model.parameters[name]) {
+                throw new Error(`Model registry: ${file}: ${model.id} pricing ${role} refers to unknown parameter ${name}`);
+            }
+        }
+        for (const [name, param] of Object.entries(model.parameters)) {
+            const where = `${file}: ${model.id} ${name}`;
+            if (param.options && param.default !== undefined && !param.options.includes(param.default)) {
+                throw new Error(`Model registry: ${where} default ${param.default} is not one of its options`);
+            }
+            if (param.min !== undefined && param.max !== undefined && param.min > param.max) {
+                throw new Error(`Model registry: ${where} min is greater than max`);
+            }
+            if (param.integer && param.default !== undefined && !Number.isInteger(param.default)) {
+                throw new Error(`Model registry: ${where} default ${param.default} is not an integer`);
+            }
+            if (param.optionLabels && !param.options) {
+                throw new Error(`Model registry: ${where} has optionLabels but no options`);
+            }
+        }
+    }
+
+    /**
+     * @returns {Array} Operations in picker order ({ operation, name, description, order, models })
+     */
+    getOperations() {
+        return this.operations;
+    }
+
+    /**
+     * @param {string} operation - Operation ID
+     * @returns {Object|null} Operation definition
+     */
+    getOperation(operation) {
+        return this.operations.find(entry => entry.operation === operation) || null;
+    }
+
+    /**
+     * @param {string} operation - Operation ID
+     * @returns {Array} Models of the operation, in file order
+     */
+    getModels(operation) {
+        const entry = this.getOperation(operation);
+        return entry ? entry.models.map(model => this.models.get(model.id)) : [];
+    }
+
+    /**
+     * @param {string} modelId - Model ID
+     * @param {string} operation - Only return the model if it belongs to this operation
+     * @returns {Object|null} Model definition including its operation
+     */
+    getModel(modelId, operation = null) {
+        const model = this.models.get(modelId);
+        if (!model || (operation && model.operation !== operation)) {
+            return null;
+        }
+        return model;
+    }
+
+    /**
+     * fal.ai endpoint to call for a model (unknown IDs are passed through unchanged)
+     * @param {string} modelId - Model ID
+     * @returns {string}
+     */
+    getEndpoint(modelId) {
+        return this.models.get(modelId)?.endpoint || modelId;
+    }
+
+    /**
+     * @returns {Object} { [operation]: { [modelId]: { unit, min, max, quantity, note, source, tier } } }
+     */
+    getPricingTable() {
+        const table = {};
+        for (const operation of this.operations) {
+            table[operation.operation] = {};
+            for (const model of operation.models) {
+                if (model.pricing) {
+                    table[operation.operation][model.id] = model.pricing;
+                }
+            }
+        }
+        return table;
+    }
+
+    /**
+     * Model list in the shape the fal.ai services expect
+     * @param {string} operation - Operation ID
+     * @returns {Array} [{ id, name, description, category, params }]
+     */
+    getServiceModels(operation) {
+        return this.getModels(operation).map(model => ({
+            id: model.id,
+            name: model.name,
+            description: model.description,
+            ...(model.category ? { category: model.category } : {}),
+            params: Object.keys(model.parameters)
+        }));
+    }
+
+    /**
+     * Names of a model's required parameters
+     * @param {string} modelId - Model ID
+     * @returns {Array<string>}
+     */
+    getRequiredParams(modelId) {
+        const model = this.models.get(modelId);
+        if (!model) return [];
+        return Object.entries(model.parameters)
+            .filter(([, param]) => param.required)
+            .map(([name]) => name);
+    }
+
+    /**
+     * Keep only the inputs a model declares, dropping empty values
+     * @param {string} modelId - Model ID
+     * @param {Object} input - Candidate input (routing fields like operation and modelId are dropped too)
+     * @returns {Object} Input to send to fal.ai
+     */
+    filterInput(modelId, input = {}) {
+        const model = this.models.get(modelId);
+        if (!model) return {};
+        const filtered = {};
+        for (const name of Object.keys(model.parameters)) {
+            if (input[name] !== undefined && input[name] !== null) {
+                filtered[name] = input[name];
+            }
+        }
+        return filtered;
+    }
+}
+
+const modelRegistry = new ModelRegistry();
+
+module.exports = { modelRegistry, ModelRegistry };
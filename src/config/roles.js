@@ -0,0 +1,98 @@
+/**
+ * Role Configuration
+ * What each role may generate: an allowlist of operations and models ('*' allows all) and the
+ * maximum estimated cost of a single job in USD (null for no limit). Who holds which role is
+ * configured with ROLE_ASSIGNMENTS and DEFAULT_ROLE and can be changed at runtime through /api/roles.
+ */
+
+const { MODEL_PRICING } = require('./modelPricing');
+
+// Most privileged first; a user in several groups gets the first of their roles in this order
+const ROLE_NAMES = ['admin', 'producer', 'creative', 'viewer'];
+
+/**
+ * Models priced only in the given tiers for every operation they serve
+ * @param {Array<string>} tiers - Pricing tiers (budget, fast, standard, premium)
+ * @returns {Array<string>} Model IDs
+ */
+function getModelsInTiers(tiers) {
+    const models = new Map();
+    Object.values(MODEL_PRICING).forEach(operationPricing => {
+        Object.entries(operationPricing).forEach(([modelId, pricing]) => {
+            models.set(modelId, models.get(modelId) !== false && tiers.includes(pricing.tier));
+        });
+    });
+    return [...models.entries()].filter(([, allowed]) => allowed).map(([modelId]) => modelId);
+}
+
+const ROLES = {
+    admin: {
+        description: 'Every operation and model, no per-job limit; manages budgets and roles',
+        operations: '*',
+        models: '*',
+        maxJobCost: null
+    },
+    producer: {
+        description: 'Every operation and model, up to $10.00 per job',
+        operations: '*',
+        models: '*',
+        maxJobCost: 10
+    },
+    // Image and video inputs and 3D cost more than $1.00 a job (3D models are all premium), so they are left out
+    creative: {
+        description: 'Images, text-to-video, audio and speech with budget to standard tier models, up to $1.00 per job',
+        operations: ['text-to-image', 'image-to-image', 'text-to-video', 'text-to-audio', 'text-to-speech'],
+        models: getModelsInTiers(['budget', 'fast', 'standard']),
+        maxJobCost: 1
+    },
+    viewer: {
+        description: 'Can follow sessions and browse assets, but not generate',
+        operations: [],
+        models: [],
+        maxJobCost: 0
+    }
+};
+
+/**
+ * @param {string} roleName - Role name
+ * @returns {Object|null} Role definition
+ */
+function getRole(roleName) {
+    return ROLES[roleName] || null;
+}
+
+/**
+ * @param {Object} role - Role definition
+ * @param {string} operation - Operation ID
+ * @returns {boolean}
+ */
+function allowsOperation(role, operation) {
+    return role.operations === '*' || role.operations.includes(operation);
+}
+
+/**
+ * @param {Object} role - Role definition
+ * @param {string} modelId - Model ID
+ * @returns {boolean}
+ */
+function allowsModel(role, modelId) {
+    return role.models === '*' || role.models.includes(modelId);
+}
+
+/**
+ * @param {Object} role - Role definition
+ * @param {number} cost - Estimated job cost in USD
+ * @returns {boolean}
+ */
+function allowsCost(role, cost) {
+    return role.maxJobCost === null || cost <= role.maxJobCost;
+}
+
+module.exports = {
+    ROLE_NAMES,
+    ROLES,
+    getRole,
+    allowsOperation,
+    allowsModel,
+    allowsCost
+};
@@ -8,6 +8,8 @@ const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const logger = require('../utils/logger');
 const config = require('../config');
+const { dashboardAuth, readCookie } = require('../services/dashboard/dashboardAuth');
+const { roleService } = require('../services/access/roleService');
 
 /**
  * Security configuration
@@ -56,6 +58,17 @@ const SECURITY_CONFIG = {
     }
 };
 
+// Purpose claim of the tokens the Slack bot signs for its backend API calls
+const SERVICE_TOKEN_PURPOSE = 'service';
+
+// API paths scoped to one Slack user (/session/:userId/..., /user/:userId/...), relative to /api.
+// Case-insensitive like Express routing, so /SESSION/:userId/... is checked too
+const USER_SCOPED_PATH = /^\/(?:session|user)\/([^/]+)\//i;
+
+// API paths without a service token: the web dashboard's data routes (they use its session cookie),
+// and the health endpoints polled by uptime checks
+const SERVICE_AUTH_EXEMPT_PATHS = [/^\/dashboard\/sessions(\/|$)/i, /^\/(?:health|redis-health)\/?$/i];
+
 /**
  * Generate secure random token
  */
@@ -103,6 +116,102 @@ function generateToken(payload) {
     });
 }
 
+/**
+ * Generate a short-lived token for a call from the Slack bot to the backend API
+ * @param {string|null} userId - Slack user the call is made for (null for calls not tied to a user)
+ * @returns {string} Signed token, sent as a Bearer token
+ */
+function generateServiceToken(userId = null) {
+    if (!SECURITY_CONFIG.jwtSecret) {
+        throw new Error('JWT_SECRET environment variable is required for token generation');
+    }
+    return jwt.sign({ purpose: SERVICE_TOKEN_PURPOSE }, SECURITY_CONFIG.jwtSecret, {
+        ...(userId ? { subject: userId } : {}),
+        expiresIn: config.serviceAuth.tokenTtl
+    });
+}
+
+/**
+ * Verify a service token
+ * @param {string} token - Bearer token
+ * @returns {Object|null} Payload (sub is the acting Slack user, if any), or null if the token is invalid
+ */
+function verifyServiceToken(token) {
+    const payload = verifyToken(token);
+    // Dashboard sign-in tokens are signed with the same secret; they are not service tokens
+    if (!payload || payload.purpose !== SERVICE_TOKEN_PURPOSE) {
+        return null;
+    }
+    return payload;
+}
+
+/**
+ * Authentication middleware for the backend API
+ * Every call needs a service token. The token's user (req.actingUserId) must be the user in the
+ * path of user-scoped routes and the userId in the body, if there is one.
+ */
+function authenticateService(req, res, next) {
+    if (SERVICE_AUTH_EXEMPT_PATHS.some(pattern => pattern.test(req.path))) {
+        return next();
+    }
+
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+    
+    if (!token) {
+        logger.security('auth_failed', 'No service token provided', {
+            ip: req.ip,
+            path: req.path,
+            userAgent: req.get('User-Agent')
+        });
+        
+        return res.status(401).json({
+            success: false,
+            error: 'Access token required',
+            code: 'AUTH_REQUIRED'
+        });
+    }
+    
+    const payload = verifyServiceToken(token);
+    if (!payload) {
+        logger.security('auth_failed', 'Invalid service token', {
+            ip: req.ip,
+            path: req.path,
+            userAgent: req.get('User-Agent')
+        });
+        
+        return res.status(403).json({
+            success: false,
+            error: 'Invalid or expired token',
+            code: 'INVALID_TOKEN'
+        });
+    }
+    
+    const actingUserId = payload.sub || null;
+    const pathUserId = req.path.match(USER_SCOPED_PATH)?.[1];
+    const bodyUserId = req.body?.userId;
+    const claimedUserIds = [pathUserId, bodyUserId].filter(Boolean);
+    
+    if (claimedUserIds.some(userId => userId !== actingUserId)) {
+        logger.security('auth_failed', 'Request user does not match service token', {
+            actingUserId,
+            pathUserId: pathUserId || null,
+            bodyUserId: bodyUserId || null,
+            ip: req.ip,
+            path: req.path
+        });
+        
+        return res.status(403).json({
+            success: false,
+            error: 'Token does not allow acting for this user',
+            code: 'USER_MISMATCH'
+        });
+    }
+    
+    req.actingUserId = actingUserId;
+    next();
+}
+
 /**
  * Authentication middleware
  */
@@ -181,6 +290,102 @@ function authorizeSlackUser(req, res, next) {
     next();
 }
 
+/**
+ * Acting user of a request: set by authenticateService, or read from the service token when the
+ * route is mounted without it
+ * @returns {string|null} Slack user ID, or null without a valid token for a user
+ */
+function getServiceUserId(req) {
+    if (req.actingUserId !== undefined) {
+        return req.actingUserId;
+    }
+    const token = req.headers['authorization']?.split(' ')[1];
+    return (token && verifyServiceToken(token)?.sub) || null;
+}
+
+/**
+ * Authorization middleware for endpoints that issue credentials for the user in the body
+ * (dashboard sign-in links): the caller's service token must be for that same user
+ */
+function authorizeServiceUser(req, res, next) {
+    const userId = getServiceUserId(req);
+
+    if (!userId || userId !== req.body?.userId) {
+        logger.security('auth_failed', 'Service token is not for the requested user', {
+            actingUserId: userId,
+            bodyUserId: req.body?.userId || null,
+            ip: req.ip,
+            path: req.path
+        });
+
+        return res.status(403).json({
+            success: false,
+            error: 'Not allowed for this user',
+            code: 'USER_MISMATCH'
+        });
+    }
+
+    next();
+}
+
+/**
+ * Authorization middleware for admin endpoints
+ * The user of the caller's service token (see authenticateService) must hold the admin role:
+ * listed in ADMIN_USER_IDS, or assigned it in ROLE_ASSIGNMENTS or through /api/roles
+ */
+async function authorizeAdmin(req, res, next) {
+    const userId = getServiceUserId(req);
+    
+    let role = null;
+    if (userId) {
+        try {
+            ({ role } = await roleService.resolveRole(userId));
+        } catch (error) {
+            return next(error);
+        }
+    }
+
+    if (role !== 'admin') {
+        logger.security('auth_failed', 'Admin access denied', {
+            userId: userId || null,
+            role,
+            ip: req.ip,
+            path: req.path
+        });
+        
+        return res.status(403).json({
+            success: false,
+            error: 'Admin access required',
+            code: 'ADMIN_REQUIRED'
+        });
+    }
+    
+    req.adminUserId = userId;
+    next();
+}
+
+/**
+ * Authentication middleware for the web dashboard's data endpoints
+ * Requires the signed dashboard session cookie set at sign-in
+ */
+function authenticateDashboardUser(req, res, next) {
+    const token = readCookie(req, dashboardAuth.sessionCookie);
+    
+    try {
+        if (!token) {
+            throw new Error('Not signed in');
+        }
+        req.dashboardUser = dashboardAuth.verifySessionToken(token);
+        next();
+    } catch (error) {
+        return res.status(401).json({
+            success: false,
+            error: 'Dashboard sign-in required',
+            code: 'DASHBOARD_AUTH_REQUIRED'
+        });
+    }
+}
+
 /**
  * Request size validation middleware
  */
@@ -531,10 +736,16 @@ module.exports = {
     hashData,
     verifyToken,
     generateToken,
+    generateServiceToken,
+    verifyServiceToken,
     
     // Authentication & Authorization
     authenticateToken,
+    authenticateService,
     authorizeSlackUser,
+    authorizeServiceUser,
+    authorizeAdmin,
+    authenticateDashboardUser,
     
     // Request validation
     validateRequestSize,
@@ -2,6 +2,8 @@ const Joi = require('joi');
 const logger = require('../utils/logger');
 const CursorRulesEngine = require('../utils/cursorRulesEngine');
 const cursorRules = new CursorRulesEngine();
+const { modelRegistry } = require('../config/modelRegistry');
+const { ROLE_NAMES } = require('../config/roles');
 
 /**
  * Input validation middleware with security measures
@@ -159,486 +161,88 @@ const validateSessionCreation = (req, res, next) => {
 };
 
 /**
- * Validate asset generation request
+ * Build the Joi schema for a model's parameters from its registry definition
+ * @param {Object} paramDefs - Parameter schema from config/models/*.yaml
+ * @returns {Object} Joi object schema (routing fields and unknown keys are allowed)
  */
-const validateAssetGeneration = (req, res, next) => {
-    const { parameters = {} } = req.body;
-    const { operation, modelId } = parameters;
-    let parametersSchema;
-
-    if (operation === 'text-to-image') {
-        parametersSchema = Joi.object({
-            prompt: Joi.string().min(1).required(),
-            negative_prompt: Joi.string().max(1000).allow('').default(''),
-            num_images: Joi.number().integer().min(1).max(4).default(1),
-            seed: Joi.number().integer().min(0).max(2147483647),
-            enable_safety_checker: Joi.boolean().default(true),
-            output_format: Joi.string().valid('jpeg', 'png', 'webp').default('jpeg'),
-            image_size: Joi.string().valid(
-                'square', 'square_hd', 'portrait', 'portrait_hd', 'landscape', 'landscape_hd',
-                'square_4_3', 'landscape_4_3', 'portrait_4_3', '1:1', '16:9', '9:16', '4:3', '3:4'
-            ),
-            width: Joi.number().integer().min(256).max(2048),
-            height: Joi.number().integer().min(256).max(2048),
-            num_inference_steps: Joi.number().integer().min(1).max(100),
-            guidance_scale: Joi.number().min(0).max(20),
-            text_guidance_scale: Joi.number().min(0).max(20),
-            image_guidance_scale: Joi.number().min(0).max(20),
-            duration: Joi.number().min(1).max(30),
-            fps: Joi.number().integer().min(12).max(60),
-            sample_rate: Joi.number().integer().valid(16000, 22050, 44100, 48000),
-            image_url: Joi.string().uri().max(500),
-            video_url: Joi.string().uri().max(500)
-        }).unknown(true);
-    } else if (operation === 'text-to-audio') {
-        // Model-specific validation
-        const modelConfig = cursorRules.getModelConfig('text-to-audio', modelId);
-        if (!modelConfig) {
-            return res.status(400).json({ success: false, error: 'Invalid or missing modelId for text-to-audio' });
-        }
-        const paramDefs = modelConfig.parameters;
-        const joiShape = {};
-        for (const [param, def] of Object.entries(paramDefs)) {
-            let joiParam;
-            if (def.type === 'array') {
-                if (def.items && def.items.type === 'object' && def.items.properties) {
-                    // Build Joi.object() for each item
-                    const itemShape = {};
-                    for (const [prop, propDef] of Object.entries(def.items.properties)) {
-                        let propJoi = Joi.any();
-                        if (propDef.type === 'number') {
-                            propJoi = Joi.number();
-                            if (propDef.min !== undefined) propJoi = propJoi.min(propDef.min);
-                            if (propDef.max !== undefined) propJoi = propJoi.max(propDef.max);
-                            if (propDef.required) propJoi = propJoi.required();
-                        } else if (propDef.type === 'string') {
-                            propJoi = Joi.string();
-                            if (propDef.required) propJoi = propJoi.required();
-                        }
-                        itemShape[prop] = propJoi;
-                    }
-                    joiParam = Joi.array().items(Joi.object(itemShape));
-                } else {
-                    joiParam = Joi.array().items(Joi.any());
-                }
-                if (def.required) joiParam = joiParam.required();
-                if (def.default !== undefined) joiParam = joiParam.default(def.default);
-            } else if (def.type === 'string') {
-                joiParam = Joi.string();
-                if (def.options) {
-                    joiParam = joiParam.valid(...def.options);
-                }
-                if (def.required) joiParam = joiParam.required();
-                if (def.default !== undefined) joiParam = joiParam.default(def.default);
-                if (def.max) joiParam = joiParam.max(def.max);
-                if (def.min) joiParam = joiParam.min(def.min);
-            } else if (def.type === 'number') {
-                joiParam = Joi.number();
-                if (def.min !== undefined) joiParam = joiParam.min(def.min);
-                if (def.max !== undefined) joiParam = joiParam.max(def.max);
-                if (def.required) {
-                    joiParam = joiParam.required();
-                } else {
-                    joiParam = joiParam.allow('', null);
-                }
-                if (def.default !== undefined) joiParam = joiParam.default(def.default);
-            } else if (def.type === 'boolean') {
-                joiParam = Joi.boolean();
-                if (def.default !== undefined) joiParam = joiParam.default(def.default);
-            } else {
-                joiParam = Joi.any();
-            }
-            joiShape[param] = joiParam;
-        }
-        // Allow modelId and operation as known fields for routing
-        joiShape.modelId = Joi.string();
-        joiShape.operation = Joi.string();
-        parametersSchema = Joi.object(joiShape).unknown(true);
-    } else if (operation === 'text-to-video') {
-        // Model-specific validation
-        const modelConfig = cursorRules.getModelConfig('text-to-video', modelId);
-        if (!modelConfig) {
-            return res.status(400).json({ success: false, error: 'Invalid or missing modelId for text-to-video' });
-        }
-        const paramDefs = modelConfig.parameters;
-        const joiShape = {};
-        for (const [param, def] of Object.entries(paramDefs)) {
-            let joiParam;
-            if (def.type === 'array') {
-                if (def.items && def.items.type === 'object' && def.items.properties) {
-                    // Build Joi.object() for each item
-                    const itemShape = {};
-                    for (const [prop, propDef] of Object.entries(def.items.properties)) {
-                        let propJoi = Joi.any();
-                        if (propDef.type === 'number') {
-                            propJoi = Joi.number();
-                            if (propDef.min !== undefined) propJoi = propJoi.min(propDef.min);
-                            if (propDef.max !== undefined) propJoi = propJoi.max(propDef.max);
-                            if (propDef.required) propJoi = propJoi.required();
-                        } else if (propDef.type === 'string') {
-                            propJoi = Joi.string();
-                            if (propDef.required) propJoi = propJoi.required();
-                        }
-                        itemShape[prop] = propJoi;
-                    }
-                    joiParam = Joi.array().items(Joi.object(itemShape));
-                } else {
-                    joiParam = Joi.array().items(Joi.any());
-                }
-                if (def.required) joiParam = joiParam.required();
-                if (def.default !== undefined) joiParam = joiParam.default(def.default);
-            } else if (def.type === 'string') {
-                joiParam = Joi.string();
-                if (def.options) {
-                    joiParam = joiParam.valid(...def.options);
-                }
-                if (def.required) joiParam = joiParam.required();
-                if (def.default !== undefined) joiParam = joiParam.default(def.default);
-                if (def.max) joiParam = joiParam.max(def.max);
-                if (def.min) joiParam = joiParam.min(def.min);
-            } else if (def.type === 'number') {
-                joiParam = Joi.number();
-                if (def.min !== undefined) joiParam = joiParam.min(def.min);
-                if (def.max !== undefined) joiParam = joiParam.max(def.max);
-                if (def.required) {
-                    joiParam = joiParam.required();
-                } else {
-                    joiParam = joiParam.allow('', null);
-                }
-                if (def.default !== undefined) joiParam = joiParam.default(def.default);
-            } else if (def.type === 'boolean') {
-                joiParam = Joi.boolean();
-                if (def.default !== undefined) joiParam = joiParam.default(def.default);
-            } else {
-                joiParam = Joi.any();
-            }
-            joiShape[param] = joiParam;
-        }
-        // Allow modelId and operation as known fields for routing
-        joiShape.modelId = Joi.string();
-        joiShape.operation = Joi.string();
-        parametersSchema = Joi.object(joiShape).unknown(true);
-    } else if (operation === 'image-to-video') {
-        // Model-specific validation
-        const modelConfig = cursorRules.getModelConfig('image-to-video', modelId);
-        if (!modelConfig) {
-            return res.status(400).json({ success: false, error: 'Invalid or missing modelId for image-to-video' });
-        }
-        const paramDefs = modelConfig.parameters;
-        const joiShape = {};
-        for (const [param, def] of Object.entries(paramDefs)) {
-            let joiParam;
-            if (def.type === 'array') {
-                if (def.items && def.items.type === 'object' && def.items.properties) {
-                    // Build Joi.object() for each item
-                    const itemShape = {};
-                    for (const [prop, propDef] of Object.entries(def.items.properties)) {
-                        let propJoi = Joi.any();
-                        if (propDef.type === 'number') {
-                            propJoi = Joi.number();
-                            if (propDef.min !== undefined) propJoi = propJoi.min(propDef.min);
-                            if (propDef.max !== undefined) propJoi = propJoi.max(propDef.max);
-                            if (propDef.required) propJoi = propJoi.required();
-                        } else if (propDef.type === 'string') {
-                            propJoi = Joi.string();
-                            if (propDef.required) propJoi = propJoi.required();
-                        }
-                        itemShape[prop] = propJoi;
+const buildParametersSchema = (paramDefs) => {
+    const joiShape = {};
+    for (const [param, def] of Object.entries(paramDefs)) {
+        let joiParam;
+        if (def.type === 'array') {
+            if (def.items && def.items.type === 'object' && def.items.properties) {
+                // Build Joi.object() for each item
+                const itemShape = {};
+                for (const [prop, propDef] of Object.entries(def.items.properties)) {
+                    let propJoi = Joi.any();
+                    if (propDef.type === 'number') {
+                        propJoi = Joi.number();
+                        if (propDef.min !== undefined) propJoi = propJoi.min(propDef.min);
+                        if (propDef.max !== undefined) propJoi = propJoi.max(propDef.max);
+                        if (propDef.required) propJoi = propJoi.required();
+                    } else if (propDef.type === 'string') {
+                        propJoi = Joi.string();
+                        if (propDef.required) propJoi = propJoi.required();
                     }
-                    joiParam = Joi.array().items(Joi.object(itemShape));
-                } else {
-                    joiParam = Joi.array().items(Joi.any());
-                }
-                if (def.required) joiParam = joiParam.required();
-                if (def.default !== undefined) joiParam = joiParam.default(def.default);
-            } else if (def.type === 'string') {
-                joiParam = Joi.string();
-                if (def.options) {
-                    joiParam = joiParam.valid(...def.options);
-                }
-                if (def.required) joiParam = joiParam.required();
-                if (def.default !== undefined) joiParam = joiParam.default(def.default);
-                if (def.max) joiParam = joiParam.max(def.max);
-                if (def.min) joiParam = joiParam.min(def.min);
-            } else if (def.type === 'number') {
-                joiParam = Joi.number();
-                if (def.min !== undefined) joiParam = joiParam.min(def.min);
-                if (def.max !== undefined) joiParam = joiParam.max(def.max);
-                if (def.required) {
-                    joiParam = joiParam.required();
-                } else {
-                    joiParam = joiParam.allow('', null);
-                }
-                if (def.default !== undefined) joiParam = joiParam.default(def.default);
-            } else if (def.type === 'boolean') {
-                joiParam = Joi.boolean();
-                if (def.default !== undefined) joiParam = joiParam.default(def.default);
-            } else {
-                joiParam = Joi.any();
-            }
-            joiShape[param] = joiParam;
-        }
-        // Allow modelId and operation as known fields for routing
-        joiShape.modelId = Joi.string();
-        joiShape.operation = Joi.string();
-        parametersSchema = Joi.object(joiShape).unknown(true);
-    } else if (operation === 'video-to-video') {
-        // Model-specific validation
-        const modelConfig = cursorRules.getModelConfig('video-to-video', modelId);
-        if (!modelConfig) {
-            return res.status(400).json({ success: false, error: 'Invalid or missing modelId for video-to-video' });
-        }
-        const paramDefs = modelConfig.parameters;
-        const joiShape = {};
-        for (const [param, def] of Object.entries(paramDefs)) {
-            let joiParam;
-            if (def.type === 'array') {
-                if (def.items && def.items.type === 'object' && def.items.properties) {
-                    // Build Joi.object() for each item
-                    const itemShape = {};
-                    for (const [prop, propDef] of Object.entries(def.items.properties)) {
-                        let propJoi = Joi.any();
-                        if (propDef.type === 'number') {
-                            propJoi = Joi.number();
-                            if (propDef.min !== undefined) propJoi = propJoi.min(propDef.min);
-                            if (propDef.max !== undefined) propJoi = propJoi.max(propDef.max);
-                            if (propDef.required) propJoi = propJoi.required();
-                        } else if (propDef.type === 'string') {
-                            propJoi = Joi.string();
-                            if (propDef.required) propJoi = propJoi.required();
-                        }
-                        itemShape[prop] = propJoi;
-                    }
-                    joiParam = Joi.array().items(Joi.object(itemShape));
-                } else {
-                    joiParam = Joi.array().items(Joi.any());
-                }
-                if (def.required) joiParam = joiParam.required();
-                if (def.default !== undefined) joiParam = joiParam.default(def.default);
-            } else if (def.type === 'string') {
-                joiParam = Joi.string();
-                if (def.options) {
-                    joiParam = joiParam.valid(...def.options);
+                    itemShape[prop] = propJoi;
                 }
-                if (def.required) joiParam = joiParam.required();
-                if (def.default !== undefined) joiParam = joiParam.default(def.default);
-                if (def.max) joiParam = joiParam.max(def.max);
-                if (def.min) joiParam = joiParam.min(def.min);
-            } else if (def.type === 'number') {
-                joiParam = Joi.number();
-                if (def.min !== undefined) joiParam = joiParam.min(def.min);
-                if (def.max !== undefined) joiParam = joiParam.max(def.max);
-                if (def.required) {
-                    joiParam = joiParam.required();
-                } else {
-                    joiParam = joiParam.allow('', null);
-                }
-                if (def.default !== undefined) joiParam = joiParam.default(def.default);
-            } else if (def.type === 'boolean') {
-                joiParam = Joi.boolean();
-                if (def.default !== undefined) joiParam = joiParam.default(def.default);
+                joiParam = Joi.array().items(Joi.object(itemShape));
+            } else if (def.items && def.items.type === 'string') {
+                joiParam = Joi.array().items(def.items.format === 'uri' ? Joi.string().uri() : Joi.string());
             } else {
-                joiParam = Joi.any();
-            }
-            joiShape[param] = joiParam;
-        }
-        // Allow modelId and operation as known fields for routing
-        joiShape.modelId = Joi.string();
-        joiShape.operation = Joi.string();
-        parametersSchema = Joi.object(joiShape).unknown(true);
-    } else if (operation === 'text-to-speech') {
-        // Model-specific validation
-        const modelConfig = cursorRules.getModelConfig('text-to-speech', modelId);
-        if (!modelConfig) {
-            return res.status(400).json({ success: false, error: 'Invalid or missing modelId for text-to-speech' });
-        }
-        const paramDefs = modelConfig.parameters;
-        const joiShape = {};
-        for (const [param, def] of Object.entries(paramDefs)) {
-            let joiParam;
-            if (param === 'text') {
-                joiParam = Joi.string().min(1).max(2000).required();
-            } else if (def.type === 'array') {
-                if (def.items && def.items.type === 'object' && def.items.properties) {
-                    // Build Joi.object() for each item
-                    const itemShape = {};
-                    for (const [prop, propDef] of Object.entries(def.items.properties)) {
-                        let propJoi = Joi.any();
-                        if (propDef.type === 'number') {
-                            propJoi = Joi.number();
-                            if (propDef.min !== undefined) propJoi = propJoi.min(propDef.min);
-                            if (propDef.max !== undefined) propJoi = propJoi.max(propDef.max);
-                            if (propDef.required) propJoi = propJoi.required();
-                        } else if (propDef.type === 'string') {
-                            propJoi = Joi.string();
-                            if (propDef.required) propJoi = propJoi.required();
-                        }
-                        itemShape[prop] = propJoi;
-                    }
-                    joiParam = Joi.array().items(Joi.object(itemShape));
-                } else {
-                    joiParam = Joi.array().items(Joi.any());
-                }
-                if (def.required) joiParam = joiParam.required();
-                if (def.default !== undefined) joiParam = joiParam.default(def.default);
-            } else if (def.type === 'string') {
-                joiParam = Joi.string();
-                if (def.options) {
-                    joiParam = joiParam.valid(...def.options);
-                }
-                if (def.required) joiParam = joiParam.required();
-                if (def.default !== undefined) joiParam = joiParam.default(def.default);
-            } else if (def.type === 'number') {
-                joiParam = Joi.number();
-                if (def.min !== undefined) joiParam = joiParam.min(def.min);
-                if (def.max !== undefined) joiParam = joiParam.max(def.max);
-                if (def.required) {
-                    joiParam = joiParam.required();
-                } else {
-                    joiParam = joiParam.allow('', null);
-                }
-                if (def.default !== undefined) joiParam = joiParam.default(def.default);
-            } else if (def.type === 'boolean') {
-                joiParam = Joi.boolean();
-                if (def.required) joiParam = joiParam.required();
-                if (def.default !== undefined) joiParam = joiParam.default(def.default);
-            }
-            joiShape[param] = joiParam;
-        }
-        // Allow modelId and operation as known fields for routing
-        joiShape.modelId = Joi.string();
-        joiShape.operation = Joi.string();
-        const schema = Joi.object(joiShape);
-        const { error, value } = schema.validate(parameters);
-        if (error) {
-            return res.status(400).json({ success: false, error: 'Validation failed', details: error.message });
-        }
-        req.validatedParameters = value;
-        return next();
-    } else if (operation === 'image-to-image') {
-        // Model-specific validation
-        const modelConfig = cursorRules.getModelConfig('image-to-image', modelId);
-        if (!modelConfig) {
-            return res.status(400).json({ success: false, error: 'Invalid or missing modelId for image-to-image' });
-        }
-        const paramDefs = modelConfig.parameters;
-        const joiShape = {};
-        for (const [param, def] of Object.entries(paramDefs)) {
-            let joiParam;
-            if (param === 'image_url') {
-                joiParam = Joi.string().uri().required();
-            } else if (param === 'prompt') {
-                joiParam = Joi.string().min(1).max(2000);
-                if (def.required) joiParam = joiParam.required();
-            } else if (def.type === 'array') {
-                if (def.items && def.items.type === 'object' && def.items.properties) {
-                    // Build Joi.object() for each item
-                    const itemShape = {};
-                    for (const [prop, propDef] of Object.entries(def.items.properties)) {
-                        let propJoi = Joi.any();
-                        if (propDef.type === 'number') {
-                            propJoi = Joi.number();
-                            if (propDef.min !== undefined) propJoi = propJoi.min(propDef.min);
-                            if (propDef.max !== undefined) propJoi = propJoi.max(propDef.max);
-                            if (propDef.required) propJoi = propJoi.required();
-                        } else if (propDef.type === 'string') {
-                            propJoi = Joi.string();
-                            if (propDef.required) propJoi = propJoi.required();
-                        }
-                        itemShape[prop] = propJoi;
-                    }
-                    joiParam = Joi.array().items(Joi.object(itemShape));
-                } else {
-                    joiParam = Joi.array().items(Joi.any());
-                }
-                if (def.required) joiParam = joiParam.required();
-                if (def.default !== undefined) joiParam = joiParam.default(def.default);
-            } else if (def.type === 'string') {
-                joiParam = Joi.string();
-                if (def.options) {
-                    joiParam = joiParam.valid(...def.options);
-                }
-                if (def.required) joiParam = joiParam.required();
-                if (def.default !== undefined) joiParam = joiParam.default(def.default);
-            } else if (def.type === 'number') {
-                joiParam = Joi.number();
-                if (def.min !== undefined) joiParam = joiParam.min(def.min);
-                if (def.max !== undefined) joiParam = joiParam.max(def.max);
-                if (def.required) {
-                    joiParam = joiParam.required();
-                } else {
-                    joiParam = joiParam.allow('', null);
-                }
-                if (def.default !== undefined) joiParam = joiParam.default(def.default);
-            } else if (def.type === 'boolean') {
-                joiParam = Joi.boolean();
-                if (def.required) joiParam = joiParam.required();
-                if (def.default !== undefined) joiParam = joiParam.default(def.default);
-            }
-            joiShape[param] = joiParam;
-        }
-        // Allow modelId and operation as known fields for routing
-        joiShape.modelId = Joi.string();
-        joiShape.operation = Joi.string();
-        const schema = Joi.object(joiShape);
-        const { error, value } = schema.validate(parameters);
-        if (error) {
-            return res.status(400).json({ success: false, error: 'Validation failed', details: error.message });
-        }
-        req.validatedParameters = value;
-        return next();
-    } else if (operation === 'image-to-3d') {
-        // Model-specific validation
-        const modelConfig = cursorRules.getModelConfig('image-to-3d', modelId);
-        if (!modelConfig) {
-            return res.status(400).json({ success: false, error: 'Invalid or missing modelId for image-to-3d' });
-        }
-        const paramDefs = modelConfig.parameters;
-        const joiShape = {};
-        for (const [param, def] of Object.entries(paramDefs)) {
-            let joiParam;
-            if (def.type === 'array') {
                 joiParam = Joi.array().items(Joi.any());
-                if (def.required) joiParam = joiParam.required();
-                if (def.default !== undefined) joiParam = joiParam.default(def.default);
-            } else if (def.type === 'string') {
-                joiParam = Joi.string();
-                if (def.options) {
-                    joiParam = joiParam.valid(...def.options);
-                }
-                if (def.required) joiParam = joiParam.required();
-                if (def.default !== undefined) joiParam = joiParam.default(def.default);
-                if (def.max) joiParam = joiParam.max(def.max);
-                if (def.min) joiParam = joiParam.min(def.min);
-            } else if (def.type === 'number') {
-                joiParam = Joi.number();
-                if (def.min !== undefined) joiParam = joiParam.min(def.min);
-                if (def.max !== undefined) joiParam = joiParam.max(def.max);
-                if (def.required) {
-                    joiParam = joiParam.required();
-                } else {
-                    joiParam = joiParam.allow('', null);
-                }
-                if (def.default !== undefined) joiParam = joiParam.default(def.default);
-            } else if (def.type === 'boolean') {
-                joiParam = Joi.boolean();
-                if (def.default !== undefined) joiParam = joiParam.default(def.default);
-            } else {
-                joiParam = Joi.any();
             }
-            joiShape[param] = joiParam;
+        } else if (def.type === 'string') {
+            joiParam = Joi.string();
+            if (def.options) joiParam = joiParam.valid(...def.options);
+            if (def.format === 'uri') joiParam = joiParam.uri();
+            if (def.maxLength) joiParam = joiParam.max(def.maxLength);
+        } else if (def.type === 'number') {
+            joiParam = Joi.number();
+            if (def.integer) joiParam = joiParam.integer();
+            if (def.options) joiParam = joiParam.valid(...def.options);
+            if (def.min !== undefined) joiParam = joiParam.min(def.min);
+            if (def.max !== undefined) joiParam = joiParam.max(def.max);
+            if (!def.required) joiParam = joiParam.allow('', null);
+        } else if (def.type === 'boolean') {
+            joiParam = Joi.boolean();
+        } else if (def.type === 'object') {
+            joiParam = Joi.alternatives(Joi.object().unknown(true), Joi.array());
+        } else {
+            joiParam = Joi.any();
         }
-        joiShape.modelId = Joi.string();
-        joiShape.operation = Joi.string();
-        parametersSchema = Joi.object(joiShape).unknown(true);
-    } else {
+        if (def.required) joiParam = joiParam.required();
+        if (def.default !== undefined) joiParam = joiParam.default(def.default);
+        joiShape[param] = joiParam;
+    }
+    // Allow modelId and operation as known fields for routing
+    joiShape.modelId = Joi.string();
+    joiShape.operation = Joi.string();
+    return Joi.object(joiShape).unknown(true);
+};
+
+/**
+ * Validate asset generation request
+ */
+const validateAssetGeneration = (req, res, next) => {
+    const { parameters = {} } = req.body;
+    const { operation, modelId } = parameters;
+
+    if (!modelRegistry.getOperation(operation)) {
         return res.status(400).json({ success: false, error: 'Unsupported operation' });
     }
 
+    const model = modelRegistry.getModel(modelId, operation);
+    if (!model) {
+        return res.status(400).json({ success: false, error: `Invalid or missing modelId for ${operation}` });
+    }
+    const parametersSchema = buildParametersSchema(model.parameters);
+
     const schema = Joi.object({
         userId: schemas.userId,
         threadId: schemas.threadId,
         generationId: Joi.string().uuid().required(),
+        parentGenerationId: Joi.string().uuid().optional(),
         parameters: parametersSchema.required()
     });
 
@@ -649,6 +253,305 @@ const validateAssetGeneration = (req, res, next) => {
     next();
 };
 
+/**
+ * Validate pricing estimate request
+ */
+const validatePricingEstimate = (req, res, next) => {
+    const schema = Joi.object({
+        operation: Joi.string().required(),
+        modelId: Joi.string().required(),
+        parameters: Joi.object().unknown(true).default({})
+    });
+
+    const { error, value } = schema.validate(req.body || {});
+    if (error) {
+        return res.status(400).json({ success: false, error: 'Validation failed', details: error.details[0].message });
+    }
+
+    req.body = value;
+    next();
+};
+
+/**
+ * Validate a budget update (PUT /budgets/clients/:clientName, PUT /budgets/users/:userId)
+ */
+const validateBudget = (req, res, next) => {
+    const schema = Joi.object({
+        clientName: Joi.string().trim().min(1).max(100),
+        userId: schemas.userId.optional()
+    });
+    const { error: paramsError } = schema.validate(req.params);
+    if (paramsError) {
+        return res.status(400).json({ success: false, error: 'Validation failed', details: paramsError.details[0].message });
+    }
+
+    const { error, value } = Joi.object({
+        monthlyLimit: Joi.number().min(0).precision(2).required()
+    }).validate(req.body || {});
+    if (error) {
+        return res.status(400).json({ success: false, error: 'Validation failed', details: error.details[0].message });
+    }
+
+    req.body = value;
+    next();
+};
+
+/**
+ * Validate a role assignment (PUT /roles/users/:userId, PUT /roles/groups/:groupId)
+ */
+const validateRoleAssignment = (req, res, next) => {
+    const schema = Joi.object({
+        userId: schemas.userId.optional(),
+        groupId: Joi.string().pattern(/^S[A-Z0-9]{8,}$/)
+    });
+    const { error: paramsError } = schema.validate(req.params);
+    if (paramsError) {
+        return res.status(400).json({ success: false, error: 'Validation failed', details: paramsError.details[0].message });
+    }
+
+    const { error, value } = Joi.object({
+        role: Joi.string().valid(...ROLE_NAMES).required()
+    }).validate(req.body || {});
+    if (error) {
+        return res.status(400).json({ success: false, error: 'Validation failed', details: error.details[0].message });
+    }
+
+    req.body = value;
+    next();
+};
+
+/**
+ * Validate an over-budget approval (POST /budgets/approvals)
+ */
+const validateBudgetApproval = (req, res, next) => {
+    const { error, value } = Joi.object({
+        generationId: Joi.string().uuid().required(),
+        requesterId: schemas.userId.required()
+    }).validate(req.body || {});
+    if (error) {
+        return res.status(400).json({ success: false, error: 'Validation failed', details: error.details[0].message });
+    }
+
+    req.body = value;
+    next();
+};
+
+/**
+ * Validate usage report query (GET /reports/usage)
+ * The range defaults to the current calendar month (UTC); a date-only "to" includes that whole day.
+ */
+const validateUsageReport = (req, res, next) => {
+    const schema = Joi.object({
+        from: Joi.date().iso(),
+        to: Joi.date().iso(),
+        groupBy: Joi.string().valid('client', 'user', 'model', 'operation').default('client'),
+        format: Joi.string().valid('json', 'csv').default('json')
+    });
+
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+        return res.status(400).json({ success: false, error: 'Validation failed', details: error.details[0].message });
+    }
+
+    const now = new Date();
+    value.from = value.from || new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    value.to = value.to || new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+    if (/^\d{4}-\d{2}-\d{2}$/.test(req.query.to || '')) {
+        value.to = new Date(value.to.getTime() + 24 * 60 * 60 * 1000);
+    }
+    if (value.from >= value.to) {
+        return res.status(400).json({ success: false, error: 'Validation failed', details: '"from" must be before "to"' });
+    }
+
+    req.query = value;
+    next();
+};
+
+/**
+ * Validate session archive query
+ */
+const validateArchiveQuery = (req, res, next) => {
+    const schema = Joi.object({
+        userId: schemas.userId.optional(),
+        client: Joi.string().trim().max(100),
+        model: Joi.string().max(100),
+        from: Joi.date().iso(),
+        to: Joi.date().iso(),
+        limit: Joi.number().integer().min(1).max(200).default(50),
+        offset: Joi.number().integer().min(0).default(0)
+    });
+
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+        return res.status(400).json({ success: false, error: 'Validation failed', details: error.details[0].message });
+    }
+
+    // A date-only "to" includes that day
+    if (/^\d{4}-\d{2}-\d{2}$/.test(req.query.to || '')) {
+        value.to = new Date(value.to.getTime() + 24 * 60 * 60 * 1000);
+    }
+    if (value.from && value.to && value.from >= value.to) {
+        return res.status(400).json({ success: false, error: 'Validation failed', details: '"from" must be before "to"' });
+    }
+
+    req.query = value;
+    next();
+};
+
+/**
+ * Validate recent assets query
+ */
+const validateRecentAssets = (req, res, next) => {
+    const schema = Joi.object({
+        limit: Joi.number().integer().min(1).max(50).default(20)
+    });
+
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+        return res.status(400).json({ success: false, error: 'Validation failed', details: error.details[0].message });
+    }
+
+    req.query = value;
+    next();
+};
+
+/**
+ * Validate a request to resume an archived session in a new thread
+ */
+const validateSessionResume = (req, res, next) => {
+    const schema = Joi.object({
+        userId: schemas.userId,
+        threadId: schemas.threadId,
+        channelId: Joi.string().pattern(/^[A-Z0-9]+$/).max(30).required()
+    });
+
+    const { error, value } = schema.validate(req.body || {});
+    if (error) {
+        return res.status(400).json({ success: false, error: 'Validation failed', details: error.details[0].message });
+    }
+
+    req.body = value;
+    next();
+};
+
+/**
+ * Validate dashboard sign-in link request
+ */
+const validateDashboardLink = (req, res, next) => {
+    const schema = Joi.object({
+        userId: schemas.userId
+    });
+
+    const { error, value } = schema.validate(req.body || {});
+    if (error) {
+        return res.status(400).json({ success: false, error: 'Validation failed', details: error.details[0].message });
+    }
+
+    req.body = value;
+    next();
+};
+
+/**
+ * Validate dashboard session list filters
+ */
+const validateDashboardQuery = (req, res, next) => {
+    const schema = Joi.object({
+        client: Joi.string().trim().max(100).allow(''),
+        state: Joi.string().max(50).allow(''),
+        q: Joi.string().trim().max(200).allow('')
+    });
+
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+        return res.status(400).json({ success: false, error: 'Validation failed', details: error.details[0].message });
+    }
+
+    req.query = value;
+    next();
+};
+
+/**
+ * Validate brand research request
+ */
+const validateBrandResearch = (req, res, next) => {
+    const schema = Joi.object({
+        userId: schemas.userId,
+        threadId: schemas.threadId
+    });
+
+    const { error, value } = schema.validate(req.body || {});
+    if (error) {
+        return res.status(400).json({ success: false, error: 'Validation failed', details: error.details[0].message });
+    }
+
+    req.body = value;
+    next();
+};
+
+/**
+ * Validate a Slack file shared as a generation input
+ */
+const validateSessionFile = (req, res, next) => {
+    // A Slack file by ID, or an image attached to a message by URL
+    const schema = Joi.object({
+        fileId: Joi.string().pattern(/^F[A-Z0-9]+$/).max(30),
+        url: Joi.string().uri({ scheme: ['https'] }).max(2000),
+        name: Joi.string().max(200)
+    }).xor('fileId', 'url');
+
+    const { error, value } = schema.validate(req.body || {});
+    if (error) {
+        return res.status(400).json({ success: false, error: 'Validation failed', details: error.details[0].message });
+    }
+
+    req.body = value;
+    next();
+};
+
+/**
+ * Validate prompt enhancement request
+ */
+const validatePromptEnhancement = (req, res, next) => {
+    const schema = Joi.object({
+        operation: Joi.string().valid(...Object.keys(cursorRules.operations)),
+        modelId: Joi.string().max(100)
+    });
+
+    const { error, value } = schema.validate(req.body || {});
+    if (error) {
+        return res.status(400).json({ success: false, error: 'Validation failed', details: error.details[0].message });
+    }
+
+    req.body = value;
+    next();
+};
+
+/**
+ * Validate a decision on a suggested prompt (accept, edit or reject)
+ */
+const validatePromptDecision = (req, res, next) => {
+    const schema = Joi.object({
+        decision: Joi.string().valid('accepted', 'edited', 'rejected').required(),
+        prompt: Joi.when('decision', {
+            is: 'edited',
+            then: schemas.prompt,
+            otherwise: Joi.forbidden()
+        })
+    });
+
+    const { error, value } = schema.validate(req.body || {});
+    if (error) {
+        return res.status(400).json({ success: false, error: 'Validation failed', details: error.details[0].message });
+    }
+
+    if (value.prompt) {
+        value.prompt = sanitizeText(value.prompt);
+    }
+
+    req.body = value;
+    next();
+};
+
 /**
  * Rate limiting validation middleware
  */
@@ -717,6 +620,20 @@ const validateOperationParameters = (operation) => {
 module.exports = {
     validateSessionCreation,
     validateAssetGeneration,
+    validatePricingEstimate,
+    validateBudget,
+    validateBudgetApproval,
+    validateRoleAssignment,
+    validateUsageReport,
+    validateArchiveQuery,
+    validateSessionResume,
+    validateRecentAssets,
+    validateDashboardLink,
+    validateDashboardQuery,
+    validateBrandResearch,
+    validateSessionFile,
+    validatePromptEnhancement,
+    validatePromptDecision,
     validateRateLimit,
     validateOperationParameters,
     sanitizeText,
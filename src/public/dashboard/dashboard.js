@@ -0,0 +1,236 @@
+/**
+ * @fileoverview Web dashboard page - lists sessions by client and campaign and shows one session's details
+ * @description Read-only. Data comes from /api/dashboard/*, authenticated by the dashboard session cookie.
+ * Everything from the API is inserted as text, never as HTML.
+ */
+
+(function () {
+    const state = { filters: { client: '', state: '', q: '' }, selected: null };
+    const $ = (id) => document.getElementById(id);
+
+    /**
+     * Fetch JSON from the dashboard API; an expired sign-in goes back to the login page
+     */
+    async function api(path) {
+        const response = await fetch(path, { credentials: 'same-origin' });
+        if (response.status === 401) {
+            window.location.href = '/dashboard/login';
+            throw new Error('Signed out');
+        }
+        const body = await response.json();
+        if (!body.success) {
+            throw new Error(body.error || 'Request failed');
+        }
+        return body.data;
+    }
+
+    function element(tag, className, text) {
+        const node = document.createElement(tag);
+        if (className) node.className = className;
+        if (text !== undefined && text !== null) node.textContent = text;
+        return node;
+    }
+
+    function link(href, text) {
+        const anchor = element('a', null, text);
+        anchor.href = href;
+        anchor.target = '_blank';
+        anchor.rel = 'noopener noreferrer';
+        return anchor;
+    }
+
+    function formatDate(value) {
+        return value ? new Date(value).toLocaleString() : '';
+    }
+
+    function label(value) {
+        return String(value || '').replace(/_/g, ' ');
+    }
+
+    function fillSelect(select, values, current) {
+        const first = select.options[0];
+        select.replaceChildren(first, ...values.map(value => {
+            const option = element('option', null, label(value));
+            option.value = value;
+            option.selected = value === current;
+            return option;
+        }));
+    }
+
+    async function loadSessions() {
+        const params = new URLSearchParams(Object.entries(state.filters).filter(([, value]) => value));
+        const data = await api(`/api/dashboard/sessions?${params}`);
+
+        fillSelect($('filter-client'), data.filters.clients, state.filters.client);
+        fillSelect($('filter-state'), data.filters.states, state.filters.state);
+        $('session-count').textContent = `${data.sessions.length} of ${data.total} sessions`;
+
+        // Group by client, then campaign
+        const groups = new Map();
+        for (const session of data.sessions) {
+            const client = session.clientName || 'No client';
+            if (!groups.has(client)) groups.set(client, new Map());
+            const campaigns = groups.get(client);
+            const campaign = session.campaignIdea || 'No campaign idea';
+            if (!campaigns.has(campaign)) campaigns.set(campaign, []);
+            campaigns.get(campaign).push(session);
+        }
+
+        const container = $('sessions');
+        container.replaceChildren();
+        for (const [client, campaigns] of groups) {
+            const clientSection = element('section', 'client-group');
+            clientSection.append(element('h2', null, client));
+            for (const [campaign, sessions] of campaigns) {
+                clientSection.append(element('h3', 'campaign', campaign));
+                for (const session of sessions) {
+                    clientSection.append(renderSessionRow(session));
+                }
+            }
+            container.append(clientSection);
+        }
+    }
+
+    function renderSessionRow(session) {
+        const row = element('button', 'session-row');
+        row.type = 'button';
+        if (state.selected === `${session.userId}/${session.threadId}`) row.classList.add('selected');
+
+        if (session.latestAsset && session.latestAsset.kind === 'image') {
+            const thumb = element('img', 'thumb');
+            thumb.src = session.latestAsset.assetUrl;
+            thumb.alt = '';
+            thumb.loading = 'lazy';
+            row.append(thumb);
+        }
+        const text = element('span', 'session-row-text');
+        text.append(
+            element('span', `status status-${session.state}`, label(session.state)),
+            element('span', null, `${session.assetCount} asset${session.assetCount === 1 ? '' : 's'} · ${session.userId}`),
+            element('span', 'muted', `Last activity ${formatDate(session.lastActivity)}`)
+        );
+        row.append(text);
+        row.addEventListener('click', () => {
+            showSession(session.userId, session.threadId);
+            row.classList.add('selected');
+        });
+        return row;
+    }
+
+    async function showSession(userId, threadId) {
+        state.selected = `${userId}/${threadId}`;
+        document.querySelectorAll('.session-row.selected').forEach(row => row.classList.remove('selected'));
+        const detail = $('session-detail');
+        detail.replaceChildren(element('p', 'muted', 'Loading...'));
+
+        let session;
+        try {
+            session = await api(`/api/dashboard/sessions/${encodeURIComponent(userId)}/${encodeURIComponent(threadId)}`);
+        } catch (error) {
+            detail.replaceChildren(element('p', 'error', error.message));
+            return;
+        }
+
+        const header = element('header', 'detail-header');
+        header.append(
+            element('h2', null, session.clientName || 'No client'),
+            element('span', `status status-${session.state}`, label(session.state))
+        );
+
+        const brief = element('dl', 'brief');
+        const addField = (name, value) => {
+            if (!value) return;
+            brief.append(element('dt', null, name), element('dd', null, value));
+        };
+        addField('Campaign idea', session.campaignIdea);
+        addField('Creative directions', session.creativeDirections);
+        addField('Visual directions', session.visualDirections);
+        addField('Prompt', session.enhancedPrompt);
+        addField('User', session.userId);
+        addField('Started', formatDate(session.createdAt));
+        addField('Last activity', formatDate(session.lastActivity));
+        if (session.currentJob) {
+            addField('Current job', `${label(session.currentJob.status)}${session.currentJob.error ? `: ${session.currentJob.error}` : ''}`);
+        }
+
+        const children = [header, brief];
+        if (session.driveFolder) {
+            const drive = element('p', 'drive');
+            drive.append('Drive folder: ', link(session.driveFolder.url, session.driveFolder.folderName || 'Open'));
+            children.push(drive);
+        }
+
+        children.push(element('h3', null, `Assets (${session.assets.length})`));
+        children.push(...session.assets.map(renderAsset));
+
+        if (session.errors.length > 0) {
+            children.push(element('h3', null, 'Errors'));
+            const list = element('ul', 'errors');
+            session.errors.forEach(error => list.append(element('li', null, `${formatDate(error.timestamp)} ${error.message}`)));
+            children.push(list);
+        }
+
+        detail.replaceChildren(...children);
+    }
+
+    function renderAsset(asset) {
+        const node = $('asset-template').content.firstElementChild.cloneNode(true);
+        const preview = node.querySelector('.asset-preview');
+
+        if (asset.kind === 'image') {
+            const image = element('img');
+            image.src = asset.assetUrl;
+            image.alt = asset.prompt || asset.modelId;
+            image.loading = 'lazy';
+            preview.append(image);
+        } else if (asset.kind === 'video' || asset.kind === 'audio') {
+            const media = element(asset.kind);
+            media.src = asset.assetUrl;
+            media.controls = true;
+            media.preload = 'metadata';
+            preview.append(media);
+        } else {
+            preview.append(element('span', 'muted', label(asset.kind)));
+        }
+
+        node.querySelector('.asset-title').textContent =
+            `${asset.modelId} · ${label(asset.operation)} · v${asset.version} · ${formatDate(asset.timestamp)}`;
+        node.querySelector('.asset-prompt').textContent = asset.prompt || '';
+
+        const parameters = node.querySelector('.asset-parameters');
+        for (const [name, value] of Object.entries(asset.parameters)) {
+            parameters.append(
+                element('dt', null, label(name)),
+                element('dd', null, typeof value === 'object' ? JSON.stringify(value) : String(value))
+            );
+        }
+
+        const links = node.querySelector('.asset-links');
+        if (asset.assetUrl) links.append(link(asset.assetUrl, 'Open asset'));
+        if (asset.driveUrl) links.append(' · ', link(asset.driveUrl, 'Google Drive'));
+        return node;
+    }
+
+    function showError(error) {
+        $('sessions').replaceChildren(element('p', 'error', error.message));
+    }
+
+    let searchTimer = null;
+    $('filter-client').addEventListener('change', (event) => {
+        state.filters.client = event.target.value;
+        loadSessions().catch(showError);
+    });
+    $('filter-state').addEventListener('change', (event) => {
+        state.filters.state = event.target.value;
+        loadSessions().catch(showError);
+    });
+    $('filter-q').addEventListener('input', (event) => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => {
+            state.filters.q = event.target.value.trim();
+            loadSessions().catch(showError);
+        }, 300);
+    });
+
+    loadSessions().catch(showError);
+})();
@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Dashboard Routes - Pages and sign-in for the read-only web dashboard
+ * @description Serves the dashboard page and its static files, and handles sign-in with a link
+ * DMed by the bot or with Sign in with Slack. The page loads its data from /api/dashboard/*.
+ */
+
+const path = require('path');
+const express = require('express');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { asyncErrorHandler } = require('../middleware/errorHandler');
+const { dashboardAuth, readCookie } = require('../services/dashboard/dashboardAuth');
+
+const router = express.Router();
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public', 'dashboard');
+
+// Sign in with Slack must come back within this many seconds
+const STATE_TTL = 600;
+
+// Messages for ?error= on the sign-in page (never echo the query string itself)
+const LOGIN_ERRORS = {
+    link_invalid: 'That sign-in link is invalid, has expired or was already used. Type /dashboard web in Slack for a new one.',
+    slack_not_configured: 'Sign in with Slack is not set up for this dashboard. Use a link from the bot instead.',
+    slack_failed: 'Sign in with Slack did not complete. Please try again.',
+    signed_out: 'You have been signed out.'
+};
+
+router.use('/static', express.static(PUBLIC_DIR, { index: false }));
+
+/**
+ * GET /dashboard
+ * The dashboard page, for signed-in users
+ */
+router.get('/', (req, res) => {
+    try {
+        dashboardAuth.verifySessionToken(readCookie(req, dashboardAuth.sessionCookie) || '');
+    } catch (error) {
+        return res.redirect('/dashboard/login');
+    }
+    res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
+});
+
+/**
+ * GET /dashboard/login?token
+ * Sign-in page; with a token from a bot DM, signs the user in directly
+ */
+router.get('/login', asyncErrorHandler(async (req, res) => {
+    if (req.query.token) {
+        let userId;
+        try {
+            userId = await dashboardAuth.redeemLoginToken(String(req.query.token));
+        } catch (error) {
+            logger.security('dashboard_login_failed', 'Invalid dashboard sign-in link', { ip: req.ip, error: error.message });
+            return res.redirect('/dashboard/login?error=link_invalid');
+        }
+        return signIn(res, { userId });
+    }
+
+    res.send(renderLoginPage(LOGIN_ERRORS[req.query.error] || null));
+}));
+
+/**
+ * GET /dashboard/auth/slack
+ * Start Sign in with Slack (OpenID Connect)
+ */
+router.get('/auth/slack', (req, res) => {
+    if (!dashboardAuth.isSlackSignInEnabled()) {
+        return res.redirect('/dashboard/login?error=slack_not_configured');
+    }
+    const { url, state } = dashboardAuth.createSlackAuthorization();
+    res.cookie(dashboardAuth.stateCookie, state, dashboardAuth.cookieOptions(STATE_TTL));
+    res.redirect(url);
+});
+
+/**
+ * GET /dashboard/auth/slack/callback
+ * Finish Sign in with Slack
+ */
+router.get('/auth/slack/callback', asyncErrorHandler(async (req, res) => {
+    const expectedState = readCookie(req, dashboardAuth.stateCookie);
+    res.clearCookie(dashboardAuth.stateCookie, { path: '/' });
+
+    if (!req.query.code || !expectedState || req.query.state !== expectedState) {
+        logger.security('dashboard_login_failed', 'Sign in with Slack state mismatch', { ip: req.ip, error: req.query.error });
+        return res.redirect('/dashboard/login?error=slack_failed');
+    }
+
+    let user;
+    try {
+        user = await dashboardAuth.completeSlackAuthorization(String(req.query.code));
+    } catch (error) {
+        logger.security('dashboard_login_failed', 'Sign in with Slack failed', { ip: req.ip, error: error.message });
+        return res.redirect('/dashboard/login?error=slack_failed');
+    }
+    signIn(res, user);
+}));
+
+/**
+ * POST /dashboard/logout
+ */
+router.post('/logout', (req, res) => {
+    res.clearCookie(dashboardAuth.sessionCookie, { path: '/' });
+    res.redirect('/dashboard/login?error=signed_out');
+});
+
+/**
+ * Set the dashboard session cookie and go to the dashboard
+ * @param {Object} res - Express response
+ * @param {Object} user - { userId, name }
+ */
+function signIn(res, user) {
+    res.cookie(dashboardAuth.sessionCookie, dashboardAuth.createSessionToken(user), dashboardAuth.cookieOptions(config.dashboard.sessionTtl));
+    logger.info('Dashboard sign-in', { userId: user.userId });
+    res.redirect('/dashboard');
+}
+
+/**
+ * @param {string|null} message - Notice shown above the sign-in options (one of LOGIN_ERRORS)
+ * @returns {string} HTML
+ */
+function renderLoginPage(message) {
+    const slackButton = dashboardAuth.isSlackSignInEnabled()
+        ? '<a class="button" href="/dashboard/auth/slack">Sign in with Slack</a>'
+        : '';
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>Sign in · AI Asset Dashboard</title>
+    <link rel="stylesheet" href="/dashboard/static/dashboard.css">
+</head>
+<body class="login">
+    <main class="login-card">
+        <h1>AI Asset Dashboard</h1>
+        ${message ? `<p class="notice">${message}</p>` : ''}
+        ${slackButton}
+        <p>Or type <code>/dashboard web</code> in Slack and the bot will DM you a sign-in link.</p>
+    </main>
+</body>
+</html>`;
+}
+
+module.exports = router;
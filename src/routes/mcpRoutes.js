@@ -11,22 +11,49 @@ const CursorRulesEngine = require('../utils/cursorRulesEngine');
 const { 
     validateSessionCreation, 
     validateAssetGeneration,
+    validatePricingEstimate,
+    validateBudget,
+    validateBudgetApproval,
+    validateRoleAssignment,
+    validateUsageReport,
+    validateArchiveQuery,
+    validateSessionResume,
+    validateRecentAssets,
+    validateDashboardLink,
+    validateDashboardQuery,
+    validateBrandResearch,
+    validateSessionFile,
+    validatePromptEnhancement,
+    validatePromptDecision,
     validateRateLimit 
 } = require('../middleware/validation');
 const { timeoutMiddleware, withFalaiTimeout, operationMonitor } = require('../middleware/timeout');
-const { authorizeSlackUser, validateSession } = require('../middleware/security');
+const { authorizeSlackUser, authorizeServiceUser, authorizeAdmin, authenticateDashboardUser, validateSession } = require('../middleware/security');
 // Import service factory for consistent service management
 const { serviceFactory } = require('../services/ServiceFactory');
 const logger = require('../utils/logger');
 const config = require('../config');
-const { uploadAssetToDrive, driveService } = require('../services/drive/driveUploadHelper');
+const { driveService } = require('../services/drive/driveUploadHelper');
 const ResponseFormatter = require('../utils/responseFormatter');
+const { generationQueue } = require('../services/queue/generationQueue');
+const { promptEnhancer } = require('../services/gemini/promptEnhancer');
+const { brandResearchService } = require('../services/gemini/brandResearchService');
+const { slackFileService } = require('../services/slack/slackFileService');
+const { estimateCost } = require('../config/modelPricing');
+const { ROLES } = require('../config/roles');
+const { spendLedger } = require('../services/billing/spendLedger');
+const { usageReportService } = require('../services/billing/usageReportService');
+const { sessionArchive } = require('../services/archive/sessionArchive');
+const { dashboardAuth } = require('../services/dashboard/dashboardAuth');
+const { dashboardService } = require('../services/dashboard/dashboardService');
+const { roleService } = require('../services/access/roleService');
 
 // Import validation middleware
 // Old validators removed - using new validation middleware directly on routes
 const { asyncErrorHandler } = require('../middleware/errorHandler');
 
-const router = express.Router();
+// Paths are matched exactly, so no casing of a user-scoped path gets past authenticateService's check
+const router = express.Router({ caseSensitive: true });
 
 // Initialize services
 const sessionManager = new MCPSessionManager();
@@ -35,6 +62,34 @@ const rulesEngine = new CursorRulesEngine();
 // Initialize ServiceFactory
         serviceFactory.initializeServices();
 
+// Start the background generation worker against the shared session manager
+generationQueue.initialize({ sessionManager });
+
+/**
+ * Operation summaries for a user's pickers: only what their role may use
+ * @param {string|null} userId - Slack user ID (null lists every operation)
+ * @returns {Promise<Array>}
+ */
+async function getOperationSummariesFor(userId) {
+    if (!userId) return rulesEngine.getOperationSummaries();
+    const permissions = await roleService.getPermissions(userId);
+    return rulesEngine.getOperationSummaries((operationId, modelId) => roleService.canUseModel(permissions, operationId, modelId));
+}
+
+/**
+ * 403 response for a request the user's role does not allow
+ * @param {Object} refusal - From roleService.checkAccess, checkModelCost or checkJobCost
+ * @param {Object} permissions - From roleService.getPermissions
+ */
+function sendRoleRefusal(res, refusal, permissions) {
+    logger.mcp(permissions.userId, 'role_refused', refusal.message, { role: permissions.role, code: refusal.code });
+    return res.status(403).json(ResponseFormatter.error(refusal.message, {
+        statusCode: 403,
+        code: refusal.code,
+        metadata: { role: permissions.role, maxJobCost: permissions.maxJobCost }
+    }));
+}
+
 // Session management routes
 
 /**
@@ -89,12 +144,8 @@ router.post('/session/create', validateRateLimit, validateSessionCreation,
             });
         }
         
-        // Get available operations dynamically from cursor rules engine
-        const operations = rulesEngine.getAvailableOperations();
-        const availableOperations = Object.keys(operations).map(operationId => ({
-            id: operationId,
-            label: operations[operationId].name
-        }));
+        // Get available operations dynamically from cursor rules engine, limited to the user's role
+        const availableOperations = await getOperationSummariesFor(userId);
         
         res.json(ResponseFormatter.success({
             session: {
@@ -126,12 +177,21 @@ router.post('/session/:userId/:threadId/end',
         const { userId, threadId } = req.params;
         
         const session = await sessionManager.getSession(userId, threadId);
-        if (!session) {
+        // An ended session lingers in storage for a few seconds; ending it again is a no-op
+        if (!session || session.state === sessionManager.SESSION_STATES.COMPLETED) {
             return res.status(404).json(ResponseFormatter.error('Session not found', {
                 statusCode: 404,
                 code: 'SESSION_NOT_FOUND'
             }));
         }
+        // The session is archived and deleted when it ends, so a job still running would lose its asset
+        if (await generationQueue.hasUnfinishedSessionJobs(userId, threadId)) {
+            return res.status(409).json(ResponseFormatter.error('A generation is still running in this session', {
+                statusCode: 409,
+                code: 'GENERATION_IN_PROGRESS',
+                metadata: { sessionId: session.sessionId }
+            }));
+        }
         // Get session summary before ending
         const summary = await sessionManager.getSessionSummary(userId, threadId);
         const success = await sessionManager.endSession(userId, threadId);
@@ -175,6 +235,12 @@ router.post('/session/:userId/:threadId/select-operation',
             }));
         }
 
+        const permissions = await roleService.getPermissions(userId);
+        const refusal = roleService.checkAccess(permissions, operation);
+        if (refusal) {
+            return sendRoleRefusal(res, refusal, permissions);
+        }
+
         // Track the user interaction
         await sessionManager.trackUserInteraction(userId, threadId, 'operation_selected');
         
@@ -218,13 +284,21 @@ router.post('/session/:userId/:threadId/select-model',
             }));
         }
 
+        const selectedOperation = operation || session.context.selectedOperation;
+        const permissions = await roleService.getPermissions(userId);
+        const refusal = roleService.checkAccess(permissions, selectedOperation, modelId) ||
+            roleService.checkModelCost(permissions, selectedOperation, modelId);
+        if (refusal) {
+            return sendRoleRefusal(res, refusal, permissions);
+        }
+
         // Track the user interaction
         await sessionManager.trackUserInteraction(userId, threadId, 'model_selected');
         
         // Update session context with selected model
         const success = await sessionManager.updateSessionContext(userId, threadId, {
             selectedModel: modelId,
-            selectedOperation: operation || session.context.selectedOperation
+            selectedOperation
         });
 
         if (success) {
@@ -247,6 +321,168 @@ router.post('/session/:userId/:threadId/select-model',
     })
 );
 
+/**
+ * POST /brand-research
+ * Build a brand brief (tone, palette, audience, do/don't) for the session's client and store it on the session
+ */
+router.post('/brand-research', validateRateLimit, validateBrandResearch,
+    asyncErrorHandler(async (req, res) => {
+        const { userId, threadId } = req.body;
+
+        const session = await sessionManager.getSession(userId, threadId);
+        if (!session) {
+            return res.status(404).json(ResponseFormatter.error('Session not found', {
+                statusCode: 404,
+                code: 'SESSION_NOT_FOUND'
+            }));
+        }
+
+        const brandResearch = await brandResearchService.research(session);
+
+        await sessionManager.trackUserInteraction(userId, threadId, 'brand_research');
+        await sessionManager.updateSessionContext(userId, threadId, { brandResearch });
+
+        res.json(ResponseFormatter.success(brandResearch, {
+            message: 'Brand research completed',
+            sessionId: session.sessionId
+        }));
+    })
+);
+
+/**
+ * POST /session/:userId/:threadId/files
+ * Re-host a file shared in the session thread (or attached to a message by URL) so it can be used as a generation input
+ */
+router.post('/session/:userId/:threadId/files', validateRateLimit, validateSessionFile,
+    asyncErrorHandler(async (req, res) => {
+        const { userId, threadId } = req.params;
+
+        const session = await sessionManager.getSession(userId, threadId);
+        if (!session) {
+            return res.status(404).json(ResponseFormatter.error('Session not found', {
+                statusCode: 404,
+                code: 'SESSION_NOT_FOUND'
+            }));
+        }
+
+        let file;
+        try {
+            file = req.body.fileId
+                ? await slackFileService.rehost(req.body.fileId, userId)
+                : await slackFileService.rehostUrl(req.body.url, req.body.name);
+        } catch (error) {
+            const statusCodes = { FILE_NOT_VISIBLE: 403, URL_NOT_ALLOWED: 400, UNSUPPORTED_FILE_TYPE: 400, FILE_TOO_LARGE: 413 };
+            if (statusCodes[error.code]) {
+                const statusCode = statusCodes[error.code];
+                return res.status(statusCode).json(ResponseFormatter.error(error.message, {
+                    statusCode,
+                    code: error.code
+                }));
+            }
+            throw error;
+        }
+
+        const inputFiles = slackFileService.addSessionFile(session.context.inputFiles, file);
+
+        await sessionManager.trackUserInteraction(userId, threadId, 'file_shared');
+        await sessionManager.updateSessionContext(userId, threadId, { inputFiles });
+
+        res.json(ResponseFormatter.success({ file, files: inputFiles }, {
+            message: 'File ready to use as a generation input',
+            sessionId: session.sessionId
+        }));
+    })
+);
+
+/**
+ * POST /session/:userId/:threadId/enhance-prompt
+ * Suggest a prompt built from the campaign brief for the selected operation and model
+ */
+router.post('/session/:userId/:threadId/enhance-prompt', validatePromptEnhancement,
+    asyncErrorHandler(async (req, res) => {
+        const { userId, threadId } = req.params;
+
+        const session = await sessionManager.getSession(userId, threadId);
+        if (!session) {
+            return res.status(404).json(ResponseFormatter.error('Session not found', {
+                statusCode: 404,
+                code: 'SESSION_NOT_FOUND'
+            }));
+        }
+
+        const operation = req.body.operation || session.context.selectedOperation;
+        const modelId = req.body.modelId || session.context.selectedModel;
+        const modelConfig = operation && modelId ? rulesEngine.getModelConfig(operation, modelId) : null;
+
+        const suggestion = await promptEnhancer.enhance(session, {
+            operation,
+            modelId,
+            modelName: modelConfig?.name
+        });
+
+        await sessionManager.trackUserInteraction(userId, threadId, 'prompt_enhanced');
+        await sessionManager.updateSessionContext(userId, threadId, {
+            promptSuggestion: suggestion
+        });
+
+        res.json(ResponseFormatter.success(suggestion, {
+            message: 'Prompt suggestion created',
+            sessionId: session.sessionId
+        }));
+    })
+);
+
+/**
+ * POST /session/:userId/:threadId/enhance-prompt/decision
+ * Accept, edit or reject the suggested prompt; sets context.enhancedPrompt accordingly
+ */
+router.post('/session/:userId/:threadId/enhance-prompt/decision', validatePromptDecision,
+    asyncErrorHandler(async (req, res) => {
+        const { userId, threadId } = req.params;
+        const { decision, prompt } = req.body;
+
+        const session = await sessionManager.getSession(userId, threadId);
+        if (!session) {
+            return res.status(404).json(ResponseFormatter.error('Session not found', {
+                statusCode: 404,
+                code: 'SESSION_NOT_FOUND'
+            }));
+        }
+
+        const suggestion = session.context.promptSuggestion;
+        if (!suggestion) {
+            return res.status(409).json(ResponseFormatter.error('No prompt suggestion to decide on', {
+                statusCode: 409,
+                code: 'NO_PROMPT_SUGGESTION'
+            }));
+        }
+
+        const enhancedPrompt = decision === 'accepted' ? suggestion.prompt
+            : decision === 'edited' ? prompt
+            : null;
+
+        await sessionManager.updateSessionContext(userId, threadId, {
+            enhancedPrompt,
+            promptSuggestion: {
+                ...suggestion,
+                decision,
+                decidedAt: new Date().toISOString()
+            }
+        });
+
+        logger.gemini('Prompt suggestion decided', {
+            sessionId: session.sessionId,
+            decision,
+            provider: suggestion.provider
+        });
+
+        res.json(ResponseFormatter.success({ decision, enhancedPrompt }, {
+            message: `Prompt suggestion ${decision}`,
+            sessionId: session.sessionId
+        }));
+    })
+);
+
 /**
  * GET /session/:userId/:threadId
  * Get existing session
@@ -410,13 +646,15 @@ router.delete('/session/:userId/:threadId',
 
 /**
  * GET /operations
- * Get available operations
+ * Get available operations; the summaries only list what the calling user's role may use
  */
 router.get('/operations', asyncErrorHandler(async (req, res) => {
         const operations = rulesEngine.getAvailableOperations();
         
         res.json(ResponseFormatter.success({
-            operations
+            operations,
+            // Picker-ready list: description, model count and price range per operation
+            summaries: await getOperationSummariesFor(req.actingUserId)
         }, {
             message: 'Successfully retrieved available operations',
             code: 'OPERATIONS_RETRIEVED',
@@ -426,13 +664,17 @@ router.get('/operations', asyncErrorHandler(async (req, res) => {
 
 /**
  * GET /models/:operationId
- * Get models for a specific operation
+ * Get models for a specific operation, limited to those the calling user's role may use
  */
 router.get('/models/:operationId', 
     asyncErrorHandler(async (req, res) => {
         const { operationId } = req.params;
         
-        const models = rulesEngine.getModelsForOperation(operationId);
+        let models = rulesEngine.getModelsForOperation(operationId);
+        if (models && req.actingUserId) {
+            const permissions = await roleService.getPermissions(req.actingUserId);
+            models = models.filter(model => roleService.canUseModel(permissions, operationId, model.id));
+        }
         
         if (!models) {
             return res.status(404).json(ResponseFormatter.error('Operation not found', {
@@ -484,257 +726,628 @@ router.get('/model/:operationId/:modelId',
     })
 );
 
-// Asset generation routes (text-to-image only)
-router.post('/generate-asset', validateRateLimit, validateAssetGeneration, timeoutMiddleware,
+/**
+ * POST /pricing/estimate
+ * Estimate the cost of a generation from the model's pricing and the parameters it would run with
+ */
+router.post('/pricing/estimate', validatePricingEstimate,
     asyncErrorHandler(async (req, res) => {
-        console.log('[DEBUG][route] Entered POST /api/generate-asset');
-        const { userId, threadId, generationId, parameters } = req.body;
-        console.log('[DEBUG][route] Request body:', JSON.stringify(req.body, null, 2));
-        logger.mcp(userId, 'generate_asset', `Generating asset for user ${userId}`, { generationId, parameters });
+        const { operation, modelId, parameters } = req.body;
+
+        const estimate = estimateCost(operation, modelId, parameters);
+        if (!estimate) {
+            return res.status(404).json(ResponseFormatter.error('No pricing found for this model', {
+                statusCode: 404,
+                code: 'PRICING_NOT_FOUND',
+                metadata: { operation, modelId }
+            }));
+        }
+
+        res.json(ResponseFormatter.success({ estimate }, {
+            message: `Estimated cost for ${modelId}`,
+            code: 'PRICING_ESTIMATED',
+            operation,
+            modelId
+        }));
+    })
+);
+
+// Asset generation routes
+
+// Operations the generation worker routes to a dedicated service; anything else needs a prompt
+const QUEUED_OPERATIONS = [
+    'text-to-image', 'text-to-audio', 'text-to-speech', 'image-to-image',
+    'text-to-video', 'image-to-video', 'video-to-video', 'image-to-3d'
+];
+
+/**
+ * POST /generate-asset
+ * Queue an asset generation job. Responds immediately with the job ID;
+ * the generation worker performs the fal.ai call, Drive upload and session update.
+ */
+router.post('/generate-asset', validateRateLimit, validateAssetGeneration,
+    asyncErrorHandler(async (req, res) => {
+        const { userId, threadId, generationId, parentGenerationId, parameters } = req.body;
+        logger.mcp(userId, 'generate_asset', `Queueing asset generation for user ${userId}`, { generationId, parentGenerationId, parameters });
 
-        try {
         const session = await sessionManager.getSession(userId, threadId);
-            console.log('[DEBUG][route] Loaded session:', JSON.stringify(session, null, 2));
         if (!session) {
-                console.warn('[WARN][route] No session found for user/thread', { userId, threadId });
-                return res.status(404).json(ResponseFormatter.error('Session not found', { statusCode: 404 }));
-        }
-        await sessionManager.updateSessionState(userId, threadId, 'generating_asset');
-            await sessionManager.updateSessionContext(userId, threadId, { currentGeneration: { generationId, parameters, timestamp: new Date().toISOString() } });
-            console.log('[DEBUG][route] Updated session state/context');
-
-            // Support text-to-image and text-to-video
-            let result, assetUrl;
-            if (parameters.operation === 'text-to-audio') {
-                console.log('[DEBUG][route] Routing to textToAudioService', { modelId: parameters.modelId, parameters });
-                const textToAudioService = serviceFactory.getService('textToAudio');
-                result = await textToAudioService.generateContent(parameters.modelId, parameters, { jobId: generationId });
-                assetUrl = result.audioUrl;
-            } else if (parameters.operation === 'text-to-speech') {
-                console.log('[DEBUG][route] Routing to textToSpeechService', { modelId: parameters.modelId, parameters });
-                const textToSpeechService = serviceFactory.getService('textToSpeech');
-                result = await textToSpeechService.generateContent({ modelId: parameters.modelId, params: parameters }, { jobId: generationId });
-                assetUrl = result.audio;
-            } else if (parameters.operation === 'image-to-image') {
-                console.log('[DEBUG][route] Routing to imageToImageService', { modelId: parameters.modelId, parameters });
-                const imageToImageService = serviceFactory.getService('imageToImage');
-                result = await imageToImageService.generateContent({ modelId: parameters.modelId, params: parameters }, { jobId: generationId });
-                assetUrl = result.imageUrl;
-            } else if (parameters.operation === 'text-to-video') {
-                if (!parameters.prompt) {
-                    console.warn('[WARN][route] Missing required field: prompt for text-to-video');
-                    return res.status(400).json(ResponseFormatter.error('Missing required field: prompt', {
-                        statusCode: 400,
-                        code: 'MISSING_INPUT'
-                    }));
-                }
-                    // text-to-video
-                console.log('[DEBUG][route] Routing to textToVideoService', { modelId: parameters.modelId, parameters });
-                    const textToVideoService = serviceFactory.getService('textToVideo');
-                    result = await textToVideoService.generateContent(parameters.modelId || 'fal-ai/kling-video/v2/master/text-to-video', parameters, { jobId: generationId });
-                    assetUrl = result.videoUrl;
-                } else if (parameters.operation === 'image-to-video') {
-                if (!parameters.prompt) {
-                    console.warn('[WARN][route] Missing required field: prompt for image-to-video');
-                    return res.status(400).json(ResponseFormatter.error('Missing required field: prompt', {
-                        statusCode: 400,
-                        code: 'MISSING_INPUT'
-                    }));
-                }
-                    // image-to-video
-                console.log('[DEBUG][route] Routing to imageToVideoService', { modelId: parameters.modelId, parameters });
-                    const imageToVideoService = serviceFactory.getService('imageToVideo');
-                    result = await imageToVideoService.generateContent(parameters.modelId, parameters, { jobId: generationId });
-                    assetUrl = result.videoUrl;
-            } else if (parameters.operation === 'video-to-video') {
-                console.log('[DEBUG][route] Routing to videoToVideoService', { modelId: parameters.modelId, parameters });
-                const videoToVideoService = serviceFactory.getService('videoToVideo');
-                result = await videoToVideoService.generateContent({ modelId: parameters.modelId, params: parameters }, { jobId: generationId });
-                assetUrl = result.videoUrl;
-            } else if (parameters.operation === 'video-to-video' && parameters.modelId) {
-                console.log('[DEBUG][route] Routing to videoToVideoService (fallback)', { modelId: parameters.modelId, parameters });
-                const videoToVideoService = serviceFactory.getService('videoToVideo');
-                result = await videoToVideoService.generateContent({ modelId: parameters.modelId, params: parameters }, { jobId: generationId });
-                assetUrl = result.videoUrl;
-            } else if (parameters.prompt) {
-                // text-to-image (and any other prompt-based operation)
-                console.log('[DEBUG][route] Routing to textToImageService', { parameters });
-                    result = await serviceFactory.getService('textToImage').generate(parameters.prompt, parameters, session.sessionId);
-                    assetUrl = result.assetUrl;
-            } else if (parameters.operation === 'image-to-3d') {
-                console.log('[DEBUG][route] Routing to imageTo3DService', { modelId: parameters.modelId, parameters });
-                const imageTo3DService = serviceFactory.getService('imageTo3D');
-                result = await imageTo3DService.generateContent({ modelId: parameters.modelId, params: parameters });
-                
-                // Determine primary asset URL based on available URLs
-                let assetUrl = result.modelMeshUrl || result.modelGlbUrl || result.modelGlbPbrUrl || result.pbrModelUrl || result.baseModelUrl || result.remeshingDirUrl;
-                let previewImageUrl = result.renderedImageUrl;
-                
-                // Always return all URLs for image-to-3d operations
-                res.json({ 
-                    success: true, 
-                    data: { 
-                        assetUrl, 
-                        previewImageUrl, 
-                        result 
-                    } 
-                });
-                return;
-            } else {
-                console.warn('[WARN][route] Missing required field: prompt (fallback)');
-                return res.status(400).json(ResponseFormatter.error('Missing required field: prompt', {
-                    statusCode: 400,
-                    code: 'MISSING_INPUT'
-                }));
+            return res.status(404).json(ResponseFormatter.error('Session not found', { statusCode: 404 }));
+        }
+
+        const requiresPrompt = ['text-to-video', 'image-to-video'].includes(parameters.operation) ||
+            !QUEUED_OPERATIONS.includes(parameters.operation);
+        if (requiresPrompt && !parameters.prompt) {
+            return res.status(400).json(ResponseFormatter.error('Missing required field: prompt', {
+                statusCode: 400,
+                code: 'MISSING_INPUT'
+            }));
+        }
+
+        if (parentGenerationId && !(session.context.generatedAssets || []).some(asset => asset.generationId === parentGenerationId)) {
+            return res.status(400).json(ResponseFormatter.error('Parent asset not found in session', {
+                statusCode: 400,
+                code: 'PARENT_ASSET_NOT_FOUND',
+                metadata: { parentGenerationId }
+            }));
+        }
+
+        // The user's role must allow the operation, the model and a job of this size
+        const estimate = estimateCost(parameters.operation, parameters.modelId, parameters);
+        const permissions = await roleService.getPermissions(userId);
+        const refusal = roleService.checkAccess(permissions, parameters.operation, parameters.modelId) ||
+            roleService.checkJobCost(permissions, estimate);
+        if (refusal) {
+            return sendRoleRefusal(res, refusal, permissions);
+        }
+
+        // Monthly budgets of the session's client and the user: the estimate is reserved against them
+        // when it fits. In approve mode an admin can approve the generation (POST /budgets/approvals);
+        // resubmitted with the same generation ID it then uses up that approval and is reserved over budget.
+        const budgetJob = { clientName: session.clientName, userId, cost: estimate ? estimate.high : 0 };
+        let budgetCheck = await spendLedger.reserveBudget(budgetJob);
+        const approvable = config.budgets.enforcement === 'approve';
+        let approval = null;
+        if (!budgetCheck.reserved && approvable) {
+            approval = await spendLedger.takeApproval(generationId, userId);
+            // The approver may have lost the admin role since approving
+            if (approval && (await roleService.resolveRole(approval.approvedBy)).role !== 'admin') {
+                logger.security('budget_approval_denied', approval.approvedBy, { userId, generationId });
+                approval = null;
             }
-            console.log('[DEBUG][route] Service result:', JSON.stringify(result, null, 2));
-            await sessionManager.updateSessionState(userId, threadId, 'asset_generation_complete');
-            
-            // Upload asset to Google Drive if session has a Drive folder
-            let driveUpload = null;
-            if (assetUrl && session.context.driveFolder) {
-                try {
-                    console.log('[DEBUG][route] Starting Drive upload for asset:', assetUrl);
-                    
-                    // Generate filename based on operation and timestamp
-                    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-                    const operation = parameters.operation || 'unknown';
-                    const modelId = parameters.modelId || 'unknown';
-                    
-                    // Determine correct file extension based on asset URL and operation type
-                    let fileExtension = '.jpg'; // default
-                    if (assetUrl) {
-                        const urlLower = assetUrl.toLowerCase();
-                        if (urlLower.includes('.png')) {
-                            fileExtension = '.png';
-                        } else if (urlLower.includes('.mp4') || urlLower.includes('.mov') || urlLower.includes('.avi') || urlLower.includes('video')) {
-                            fileExtension = '.mp4';
-                        } else if (urlLower.includes('.wav') || urlLower.includes('.mp3') || urlLower.includes('.ogg') || urlLower.includes('audio')) {
-                            fileExtension = '.wav';
-                        } else if (urlLower.includes('.glb') || urlLower.includes('.obj') || urlLower.includes('3d')) {
-                            fileExtension = '.glb';
-                        } else if (urlLower.includes('.webp')) {
-                            fileExtension = '.webp';
-                        } else if (urlLower.includes('.gif')) {
-                            fileExtension = '.gif';
-                        }
-                    }
-                    
-                    // Override based on operation type for better accuracy
-                    if (parameters.operation === 'image-to-video' || parameters.operation === 'text-to-video' || parameters.operation === 'video-to-video') {
-                        fileExtension = '.mp4';
-                    } else if (parameters.operation === 'text-to-audio' || parameters.operation === 'text-to-speech') {
-                        fileExtension = '.wav';
-                    } else if (parameters.operation === 'image-to-3d') {
-                        fileExtension = '.glb';
-                    }
-                    
-                    const fileName = `${operation}_${modelId.replace(/[\/\-]/g, '_')}_${timestamp}${fileExtension}`;
-                    
-                    // Upload to Drive
-                    driveUpload = await uploadAssetToDrive(
-                        session.context.driveFolder.folderId,
-                        assetUrl,
-                        fileName,
-                        parameters.operation || 'image',
-                        {
-                            sessionId: session.sessionId,
-                            userId: userId,
-                            modelId: parameters.modelId,
-                            operation: parameters.operation,
-                            generationId: generationId,
-                            prompt: parameters.prompt,
-                            originalUrl: assetUrl
-                        }
-                    );
-                    
-                    console.log('[DEBUG][route] Drive upload successful:', {
-                        fileId: driveUpload.fileId,
-                        webViewLink: driveUpload.webViewLink,
-                        fileName: driveUpload.fileName
-                    });
-                    
-                    logger.drive('Asset uploaded to Drive successfully', {
-                        sessionId: session.sessionId,
-                        fileId: driveUpload.fileId,
-                        fileName: driveUpload.fileName,
-                        webViewLink: driveUpload.webViewLink,
-                        modelId: parameters.modelId,
-                        operation: parameters.operation
-                    });
-                    
-                } catch (driveError) {
-                    console.error('[ERROR][route] Drive upload failed:', driveError);
-                    logger.error('Drive upload failed', {
-                        sessionId: session.sessionId,
-                        assetUrl: assetUrl,
-                        error: driveError.message,
-                        modelId: parameters.modelId,
-                        operation: parameters.operation
-                    });
-                    // Continue without Drive upload - asset generation was successful
-                }
-            } else if (!session.context.driveFolder) {
-                console.log('[DEBUG][route] No Drive folder found for session, skipping upload');
+            if (approval) {
+                budgetCheck = await spendLedger.reserveBudget({ ...budgetJob, overBudget: true });
             }
-            
-            // Create the new asset object with Drive info
-            const newAsset = {
+        }
+        if (!budgetCheck.reserved) {
+            logger.mcp(userId, 'budget_exceeded', 'Generation would exceed a monthly budget', {
                 generationId,
-                assetUrl,
-                timestamp: new Date().toISOString(),
-                operation: parameters.operation,
-                modelId: parameters.modelId,
-                driveUpload: driveUpload ? {
-                    fileId: driveUpload.fileId,
-                    fileName: driveUpload.fileName,
-                    webViewLink: driveUpload.webViewLink,
-                    webContentLink: driveUpload.webContentLink
-                } : null
-            };
-            console.log('[DEBUG][route] New asset to add:', JSON.stringify(newAsset, null, 2));
-            
-            const contextUpdate = { 
-                lastGeneration: { 
-                    generationId, 
-                    assetUrl, 
-                    timestamp: new Date().toISOString(),
-                    driveUpload: driveUpload ? {
-                        fileId: driveUpload.fileId,
-                        fileName: driveUpload.fileName,
-                        webViewLink: driveUpload.webViewLink
-                    } : null
-                },
-                generatedAssets: [newAsset] // Pass as array for merging
-            };
-            console.log('[DEBUG][route] Context update to apply:', JSON.stringify(contextUpdate, null, 2));
-            
-            const updateResult = await sessionManager.updateSessionContext(userId, threadId, contextUpdate);
-            console.log('[DEBUG][route] Session context update result:', updateResult);
-            
-            console.log('[DEBUG][route] Updated session state/context after generation');
-            
-            // Return both fal.ai URL and Drive upload info
-            return res.json({ 
-                success: true, 
-                data: { 
-                    assetUrl, 
-                    driveUpload: driveUpload ? {
-                        fileId: driveUpload.fileId,
-                        fileName: driveUpload.fileName,
-                        webViewLink: driveUpload.webViewLink,
-                        webContentLink: driveUpload.webContentLink,
-                        folderId: session.context.driveFolder?.folderId,
-                        folderName: session.context.driveFolder?.folderName
-                    } : null,
-                    result 
-                } 
+                budgets: budgetCheck.exceeded.map(budget => ({ scope: budget.scope, name: budget.name, projected: budget.projected }))
             });
-        } catch (err) {
-            logger.error('[MCP:generate_asset] Error generating asset', err);
-            console.error('[ERROR][route] Error details:', err && err.stack ? err.stack : err);
-            return res.status(500).json(ResponseFormatter.error('Asset generation failed', { statusCode: 500, code: 'GENERATION_FAILED' }));
-    }
+            // Who the bot asks to approve the job
+            const approverIds = approvable ? await roleService.listAdmins() : [];
+            if (approvable && approverIds.length === 0) {
+                logger.warn('Over-budget generation needs approval but no user has the admin role', { userId, generationId });
+            }
+            return res.status(402).json(ResponseFormatter.error(
+                approvable ? 'Generation would exceed a monthly budget and needs approval' : 'Generation would exceed a monthly budget',
+                {
+                    statusCode: 402,
+                    code: approvable ? 'BUDGET_APPROVAL_REQUIRED' : 'BUDGET_EXCEEDED',
+                    metadata: { budgets: budgetCheck.exceeded, estimate, ...(approvable ? { approverIds } : {}) }
+                }
+            ));
+        }
+
+        let job;
+        let recorded = false;
+        try {
+            // Recorded before the job is queued, so a fast worker's progress and result are not overwritten
+            // and a job that settles at once finds its ledger entry (the generation ID doubles as the job ID)
+            await sessionManager.updateSessionState(userId, threadId, sessionManager.SESSION_STATES.GENERATING_ASSET);
+            await sessionManager.updateSessionContext(userId, threadId, {
+                currentGeneration: { generationId, parameters, timestamp: new Date().toISOString() },
+                currentJob: { jobId: generationId, generationId, status: 'queued' }
+            });
+            await spendLedger.recordGeneration({
+                generationId,
+                jobId: generationId,
+                session,
+                parameters,
+                estimate,
+                approvedBy: budgetCheck.withinBudget || !approval ? null : approval.approvedBy,
+                month: budgetCheck.month
+            });
+            recorded = true;
+            job = await generationQueue.enqueue({ userId, threadId, generationId, parentGenerationId, parameters });
+        } catch (error) {
+            // Nothing was queued; give back the reservation and its ledger entry and put the session back the way it was
+            await spendLedger.releaseBudget(budgetCheck).catch((releaseError) => {
+                logger.error('Failed to release budget reservation', { generationId, error: releaseError.message });
+            });
+            if (recorded) {
+                await spendLedger.deleteEntry(generationId).catch((deleteError) => {
+                    logger.error('Failed to remove spend ledger entry', { generationId, error: deleteError.message });
+                });
+            }
+            await sessionManager.updateSessionState(userId, threadId, session.state);
+            await sessionManager.updateSessionContext(userId, threadId, {
+                currentGeneration: session.context.currentGeneration || null,
+                currentJob: session.context.currentJob || null
+            });
+            throw error;
+        }
+
+        spendLedger.notifyThresholds({ clientName: session.clientName, userId }).catch((error) => {
+            logger.error('Budget alert check failed', { generationId, error: error.message });
+        });
+
+        res.status(202).json(ResponseFormatter.success({
+            jobId: job.id,
+            generationId,
+            status: 'queued'
+        }, {
+            message: 'Asset generation queued',
+            code: 'GENERATION_QUEUED',
+            sessionId: session.sessionId,
+            jobId: job.id
+        }));
+    })
+);
+
+/**
+ * GET /jobs/:jobId
+ * Get the state and, once finished, the result of a generation job
+ */
+router.get('/jobs/:jobId',
+    asyncErrorHandler(async (req, res) => {
+        const job = await generationQueue.getJob(req.params.jobId);
+        // Other users' jobs are reported as missing
+        if (!job || job.data.userId !== req.actingUserId) {
+            return res.status(404).json(ResponseFormatter.error('Job not found', {
+                statusCode: 404,
+                code: 'JOB_NOT_FOUND'
+            }));
+        }
+
+        res.json(ResponseFormatter.success(await generationQueue.describeJob(job), {
+            message: 'Job retrieved successfully',
+            code: 'JOB_RETRIEVED',
+            jobId: job.id
+        }));
+    })
+);
+
+/**
+ * GET /session/:userId/:threadId/assets/:generationId/history
+ * Get the lineage tree (parents, versions and parameter diffs) of a generated asset
+ */
+router.get('/session/:userId/:threadId/assets/:generationId/history',
+    asyncErrorHandler(async (req, res) => {
+        const { userId, threadId, generationId } = req.params;
+
+        const history = await sessionManager.getAssetHistory(userId, threadId, generationId);
+        if (!history) {
+            return res.status(404).json(ResponseFormatter.error('Asset not found in session', {
+                statusCode: 404,
+                code: 'ASSET_NOT_FOUND',
+                metadata: { generationId }
+            }));
+        }
+
+        res.json(ResponseFormatter.success(history, {
+            message: 'Asset history retrieved successfully',
+            code: 'ASSET_HISTORY_RETRIEVED'
+        }));
+    })
+);
+
+/**
+ * DELETE /jobs/:jobId
+ * Cancel a queued or running generation job
+ */
+router.delete('/jobs/:jobId',
+    asyncErrorHandler(async (req, res) => {
+        const job = await generationQueue.getJob(req.params.jobId);
+        // Other users' jobs are reported as missing
+        if (!job || job.data.userId !== req.actingUserId) {
+            return res.status(404).json(ResponseFormatter.error('Job not found', {
+                statusCode: 404,
+                code: 'JOB_NOT_FOUND'
+            }));
+        }
+
+        const { cancelled, state } = await generationQueue.cancelJob(job);
+        if (!cancelled) {
+            return res.status(409).json(ResponseFormatter.error(`Job already ${state}`, {
+                statusCode: 409,
+                code: 'JOB_NOT_CANCELLABLE',
+                metadata: { jobId: job.id, state }
+            }));
+        }
+
+        logger.mcp(job.data.userId, 'cancel_job', `Cancelled generation job ${job.id}`, { jobId: job.id });
+
+        res.json(ResponseFormatter.success({
+            jobId: job.id,
+            generationId: job.data.generationId,
+            state
+        }, {
+            message: 'Job cancelled successfully',
+            code: 'JOB_CANCELLED',
+            jobId: job.id
+        }));
+    })
+);
+
+/**
+ * GET /session/:userId/:threadId/jobs
+ * List a session's in-flight and finished generation jobs
+ */
+router.get('/session/:userId/:threadId/jobs',
+    asyncErrorHandler(async (req, res) => {
+        const { userId, threadId } = req.params;
+
+        const jobs = await generationQueue.listSessionJobs(userId, threadId);
+
+        res.json(ResponseFormatter.success({
+            jobs,
+            inFlight: jobs.filter(job => ['waiting', 'active', 'delayed'].includes(job.state)).length
+        }, {
+            message: `Retrieved ${jobs.length} jobs for session`,
+            code: 'SESSION_JOBS_RETRIEVED'
+        }));
+    })
+);
+
+// Budget routes (admins only)
+
+/**
+ * GET /budgets
+ * List client and user budgets with this month's spend against them
+ */
+router.get('/budgets', authorizeAdmin,
+    asyncErrorHandler(async (req, res) => {
+        const usage = await spendLedger.getBudgetUsage();
+
+        res.json(ResponseFormatter.success(usage, {
+            message: `Budgets for ${usage.month}`,
+            code: 'BUDGETS_RETRIEVED'
+        }));
+    })
+);
+
+/**
+ * POST /budgets/approvals
+ * Approve one pending generation over budget; the requester's resubmission of that generation uses
+ * up the approval. The approver is the admin the service token was signed for.
+ */
+router.post('/budgets/approvals', authorizeAdmin, validateBudgetApproval,
+    asyncErrorHandler(async (req, res) => {
+        const approval = await spendLedger.grantApproval(req.body.generationId, req.body.requesterId, req.adminUserId);
+
+        res.status(201).json(ResponseFormatter.success({ approval }, {
+            message: 'Generation approved over budget',
+            code: 'BUDGET_APPROVAL_GRANTED'
+        }));
+    })
+);
+
+/**
+ * PUT /budgets/clients/:clientName
+ * Set a client's monthly budget (USD)
+ */
+router.put('/budgets/clients/:clientName', authorizeAdmin, validateBudget,
+    asyncErrorHandler(async (req, res) => {
+        const budget = await spendLedger.setBudget('client', req.params.clientName, req.body.monthlyLimit, req.adminUserId);
+
+        res.json(ResponseFormatter.success({ budget }, {
+            message: `Budget set for client ${budget.clientName}`,
+            code: 'BUDGET_UPDATED'
+        }));
+    })
+);
+
+/**
+ * PUT /budgets/users/:userId
+ * Set a user's monthly budget (USD)
+ */
+router.put('/budgets/users/:userId', authorizeAdmin, validateBudget,
+    asyncErrorHandler(async (req, res) => {
+        const budget = await spendLedger.setBudget('user', req.params.userId, req.body.monthlyLimit, req.adminUserId);
+
+        res.json(ResponseFormatter.success({ budget }, {
+            message: `Budget set for user ${budget.userId}`,
+            code: 'BUDGET_UPDATED'
+        }));
+    })
+);
+
+/**
+ * DELETE /budgets/clients/:clientName and /budgets/users/:userId
+ * Remove a monthly budget
+ */
+router.delete('/budgets/:scope(clients|users)/:id', authorizeAdmin,
+    asyncErrorHandler(async (req, res) => {
+        const scope = req.params.scope === 'clients' ? 'client' : 'user';
+        const removed = await spendLedger.deleteBudget(scope, req.params.id);
+        if (!removed) {
+            return res.status(404).json(ResponseFormatter.error('Budget not found', {
+                statusCode: 404,
+                code: 'BUDGET_NOT_FOUND',
+                metadata: { scope, id: req.params.id }
+            }));
+        }
+
+        res.json(ResponseFormatter.success({ scope, id: req.params.id }, {
+            message: 'Budget removed',
+            code: 'BUDGET_REMOVED'
+        }));
+    })
+);
+
+// Role routes (admins only; changes apply to the next request, no restart needed)
+
+/**
+ * GET /roles
+ * List role assignments from ROLE_ASSIGNMENTS and the runtime ones, with each role's permissions
+ */
+router.get('/roles', authorizeAdmin,
+    asyncErrorHandler(async (req, res) => {
+        const assignments = await roleService.listAssignments();
+
+        res.json(ResponseFormatter.success({ ...assignments, roles: ROLES }, {
+            message: 'Role assignments',
+            code: 'ROLES_RETRIEVED'
+        }));
+    })
+);
+
+/**
+ * GET /roles/users/:userId
+ * A user's resolved role and what it allows
+ */
+router.get('/roles/users/:userId', authorizeAdmin,
+    asyncErrorHandler(async (req, res) => {
+        const permissions = await roleService.getPermissions(req.params.userId);
+
+        res.json(ResponseFormatter.success({ permissions }, {
+            message: `User ${req.params.userId} has the ${permissions.role} role`,
+            code: 'ROLE_RETRIEVED'
+        }));
+    })
+);
+
+/**
+ * PUT /roles/users/:userId
+ * Assign a role to a user
+ */
+router.put('/roles/users/:userId', authorizeAdmin, validateRoleAssignment,
+    asyncErrorHandler(async (req, res) => {
+        const assignment = await roleService.setAssignment('user', req.params.userId, req.body.role, req.adminUserId);
+
+        res.json(ResponseFormatter.success({ assignment }, {
+            message: `Role ${assignment.role} assigned to user ${assignment.userId}`,
+            code: 'ROLE_ASSIGNED'
+        }));
+    })
+);
+
+/**
+ * PUT /roles/groups/:groupId
+ * Assign a role to a Slack user group
+ */
+router.put('/roles/groups/:groupId', authorizeAdmin, validateRoleAssignment,
+    asyncErrorHandler(async (req, res) => {
+        const assignment = await roleService.setAssignment('group', req.params.groupId, req.body.role, req.adminUserId);
+
+        res.json(ResponseFormatter.success({ assignment }, {
+            message: `Role ${assignment.role} assigned to user group ${assignment.groupId}`,
+            code: 'ROLE_ASSIGNED'
+        }));
+    })
+);
+
+/**
+ * DELETE /roles/users/:userId and /roles/groups/:groupId
+ * Remove a runtime role assignment (a ROLE_ASSIGNMENTS entry for the same ID applies again)
+ */
+router.delete('/roles/:scope(users|groups)/:id', authorizeAdmin,
+    asyncErrorHandler(async (req, res) => {
+        const scope = req.params.scope === 'groups' ? 'group' : 'user';
+        const removed = await roleService.deleteAssignment(scope, req.params.id, req.adminUserId);
+        if (!removed) {
+            return res.status(404).json(ResponseFormatter.error('Role assignment not found', {
+                statusCode: 404,
+                code: 'ROLE_ASSIGNMENT_NOT_FOUND',
+                metadata: { scope, id: req.params.id }
+            }));
+        }
+
+        res.json(ResponseFormatter.success({ scope, id: req.params.id }, {
+            message: 'Role assignment removed',
+            code: 'ROLE_UNASSIGNED'
+        }));
+    })
+);
+
+// Reporting routes (admins only)
+
+/**
+ * GET /reports/usage?from&to&groupBy=client|user|model|operation&format=json|csv
+ * Generation counts, estimated spend and failure rates from the spend ledger
+ */
+router.get('/reports/usage', authorizeAdmin, validateUsageReport,
+    asyncErrorHandler(async (req, res) => {
+        const { from, to, groupBy, format } = req.query;
+        const report = await usageReportService.getUsageReport({ from, to, groupBy });
+
+        logger.info('Usage report generated', { from: report.from, to: report.to, groupBy, format, requestedBy: req.adminUserId });
+
+        if (format === 'csv') {
+            const fileName = `usage-by-${groupBy}-${report.from.slice(0, 10)}-to-${report.to.slice(0, 10)}.csv`;
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+            return res.send(usageReportService.toCsv(report));
+        }
+
+        res.json(ResponseFormatter.success(report, {
+            message: `Usage by ${groupBy}`,
+            code: 'USAGE_REPORT_GENERATED'
+        }));
+    })
+);
+
+// Session archive routes (admins only)
+
+/**
+ * GET /archive/sessions?userId&client&model&from&to&limit&offset
+ * Ended and expired sessions, newest first; from/to filter on when the session was created
+ */
+router.get('/archive/sessions', authorizeAdmin, validateArchiveQuery,
+    asyncErrorHandler(async (req, res) => {
+        const { limit, offset } = req.query;
+        const result = await sessionArchive.querySessions(req.query);
+
+        res.json(ResponseFormatter.success({ ...result, limit, offset }, {
+            message: `Retrieved ${result.sessions.length} of ${result.total} archived sessions`,
+            code: 'ARCHIVED_SESSIONS_RETRIEVED'
+        }));
+    })
+);
+
+/**
+ * GET /archive/sessions/:sessionId
+ * One archived session with its campaign brief, generation history and Drive links
+ */
+router.get('/archive/sessions/:sessionId', authorizeAdmin,
+    asyncErrorHandler(async (req, res) => {
+        const session = await sessionArchive.getSession(req.params.sessionId);
+        if (!session) {
+            return res.status(404).json(ResponseFormatter.error('Archived session not found', {
+                statusCode: 404,
+                code: 'ARCHIVED_SESSION_NOT_FOUND'
+            }));
+        }
+
+        res.json(ResponseFormatter.success(session, {
+            message: 'Archived session retrieved successfully',
+            code: 'ARCHIVED_SESSION_RETRIEVED'
+        }));
+    })
+);
+
+/**
+ * POST /archive/sessions/:sessionId/resume
+ * Start a new live session in a new thread from one of the user's archived sessions
+ */
+router.post('/archive/sessions/:sessionId/resume', validateRateLimit, validateSessionResume,
+    asyncErrorHandler(async (req, res) => {
+        const { userId, threadId, channelId } = req.body;
+        const archived = await sessionArchive.getSession(req.params.sessionId);
+        if (!archived) {
+            return res.status(404).json(ResponseFormatter.error('Archived session not found', {
+                statusCode: 404,
+                code: 'ARCHIVED_SESSION_NOT_FOUND'
+            }));
+        }
+        if (archived.userId !== userId) {
+            logger.security('resume_denied', 'Attempt to resume another user\'s session', {
+                userId,
+                sessionId: archived.sessionId,
+                ip: req.ip
+            });
+            return res.status(403).json(ResponseFormatter.error('Only the user who ran this session can resume it', {
+                statusCode: 403,
+                code: 'NOT_SESSION_OWNER'
+            }));
+        }
+
+        const session = await sessionManager.resumeSession(archived, userId, threadId, channelId);
+        logger.mcp(session.sessionId, 'resume_session', `Resumed archived session ${archived.sessionId}`, { userId, threadId });
+
+        res.json(ResponseFormatter.success({
+            session: {
+                sessionId: session.sessionId,
+                resumedFrom: archived.sessionId,
+                state: session.state,
+                progress: rulesEngine.getWorkflowProgress(session.state),
+                clientName: session.clientName,
+                campaignIdea: session.campaignIdea,
+                creativeDirections: session.creativeDirections,
+                visualDirections: session.visualDirections,
+                driveFolder: session.context.driveFolder,
+                assetCount: session.context.generatedAssets.length
+            },
+            brandResearch: session.context.brandResearch,
+            availableOperations: await getOperationSummariesFor(userId)
+        }, {
+            message: 'Session resumed successfully',
+            code: 'SESSION_RESUMED',
+            sessionId: session.sessionId
+        }));
+    })
+);
+
+// Web dashboard routes (pages are served under /dashboard, see routes/dashboardRoutes.js)
+
+/**
+ * POST /dashboard/login-links
+ * Create a short-lived dashboard sign-in link for a Slack user (the bot DMs it); only for the service token's own user
+ */
+router.post('/dashboard/login-links', validateRateLimit, validateDashboardLink, authorizeServiceUser,
+    asyncErrorHandler(async (req, res) => {
+        const link = dashboardAuth.createLoginLink(req.body.userId);
+        logger.mcp(req.body.userId, 'dashboard_link', 'Dashboard sign-in link created', { expiresAt: link.expiresAt });
+
+        res.status(201).json(ResponseFormatter.success(link, {
+            message: 'Dashboard sign-in link created',
+            code: 'DASHBOARD_LINK_CREATED'
+        }));
+    })
+);
+
+/**
+ * GET /dashboard/sessions?client&state&q
+ * Sessions for the dashboard list, with the clients and states available as filters
+ */
+router.get('/dashboard/sessions', authenticateDashboardUser, validateDashboardQuery,
+    asyncErrorHandler(async (req, res) => {
+        const sessions = await sessionManager.listSessions();
+        const matching = dashboardService.filterSessions(sessions, req.query);
+
+        res.json(ResponseFormatter.success({
+            sessions: matching.map(session => dashboardService.summarizeSession(session)),
+            filters: {
+                clients: [...new Set(sessions.map(session => session.clientName).filter(Boolean))].sort(),
+                states: [...new Set(sessions.map(session => session.state))].sort()
+            },
+            total: sessions.length
+        }, {
+            message: `Retrieved ${matching.length} of ${sessions.length} sessions`,
+            code: 'DASHBOARD_SESSIONS_RETRIEVED'
+        }));
+    })
+);
+
+/**
+ * GET /dashboard/sessions/:userId/:threadId
+ * One session's brief, prompts, assets, Drive links and status
+ */
+router.get('/dashboard/sessions/:userId/:threadId', authenticateDashboardUser,
+    asyncErrorHandler(async (req, res) => {
+        const session = await sessionManager.peekSession(req.params.userId, req.params.threadId);
+        if (!session) {
+            return res.status(404).json(ResponseFormatter.error('Session not found', {
+                statusCode: 404,
+                code: 'SESSION_NOT_FOUND'
+            }));
+        }
+
+        res.json(ResponseFormatter.success(dashboardService.describeSession(session), {
+            message: 'Session retrieved successfully',
+            code: 'DASHBOARD_SESSION_RETRIEVED'
+        }));
     })
 );
 
@@ -775,8 +1388,11 @@ router.get('/user/:userId/sessions',
                 sessionId: session.sessionId,
                 threadId: session.threadId,
                 channelId: session.channelId,
+                clientName: session.clientName,
+                campaignIdea: session.campaignIdea,
                 state: session.state,
                 progress: rulesEngine.getWorkflowProgress(session.state),
+                assetCount: session.context.generatedAssets.length,
                 createdAt: session.createdAt,
                 lastActivity: session.lastActivity
             }))
@@ -789,6 +1405,94 @@ router.get('/user/:userId/sessions',
     })
 );
 
+/**
+ * GET /user/:userId/assets?limit
+ * A user's newest assets across live and archived sessions
+ */
+router.get('/user/:userId/assets', authorizeSlackUser, validateRecentAssets,
+    asyncErrorHandler(async (req, res) => {
+        const userId = req.authorizedUserId;
+        const { limit } = req.query;
+
+        // Only the newest archived sessions are read; older ones rarely hold a user's latest assets
+        const [live, archived] = await Promise.all([
+            sessionManager.getUserSessions(userId),
+            sessionArchive.getRecentSessions(userId, limit)
+        ]);
+        const assets = dashboardService.listRecentAssets([...live, ...archived], limit);
+
+        res.json(ResponseFormatter.success({ assets }, {
+            message: `Retrieved ${assets.length} assets for user`,
+            code: 'USER_ASSETS_RETRIEVED',
+            userId
+        }));
+    })
+);
+
+/**
+ * GET /user/:userId/spend
+ * A user's estimated spend this month (UTC), from the spend ledger, with their budget if set
+ */
+router.get('/user/:userId/spend', authorizeSlackUser,
+    asyncErrorHandler(async (req, res) => {
+        const spend = await spendLedger.getUserSpend(req.authorizedUserId);
+
+        res.json(ResponseFormatter.success(spend, {
+            message: `Spend for ${spend.month}`,
+            code: 'USER_SPEND_RETRIEVED',
+            userId: req.authorizedUserId
+        }));
+    })
+);
+
+/**
+ * GET /user/:userId/jobs
+ * A user's generation jobs that are queued or running, with the session each belongs to
+ */
+router.get('/user/:userId/jobs', authorizeSlackUser,
+    asyncErrorHandler(async (req, res) => {
+        const userId = req.authorizedUserId;
+
+        const [jobs, sessions] = await Promise.all([
+            generationQueue.listUserInFlightJobs(userId),
+            sessionManager.getUserSessions(userId)
+        ]);
+        const sessionsByThread = new Map(sessions.map(session => [session.threadId, session]));
+
+        res.json(ResponseFormatter.success({
+            jobs: jobs.map(job => {
+                const session = sessionsByThread.get(job.threadId);
+                return {
+                    ...job,
+                    channelId: session?.channelId || null,
+                    clientName: session?.clientName || null
+                };
+            })
+        }, {
+            message: `Retrieved ${jobs.length} in-flight jobs for user`,
+            code: 'USER_JOBS_RETRIEVED',
+            userId
+        }));
+    })
+);
+
+/**
+ * GET /user/:userId/archived-sessions?limit
+ * A user's ended and expired sessions, newest first (for /dashboard resume)
+ */
+router.get('/user/:userId/archived-sessions', authorizeSlackUser, validateArchiveQuery,
+    asyncErrorHandler(async (req, res) => {
+        const { limit, offset } = req.query;
+        const result = await sessionArchive.querySessions({ userId: req.authorizedUserId, limit, offset });
+
+        res.json(ResponseFormatter.success(result, {
+            message: `Retrieved ${result.sessions.length} of ${result.total} archived sessions for user`,
+            code: 'USER_ARCHIVED_SESSIONS_RETRIEVED',
+            userId: req.authorizedUserId
+        }));
+    })
+);
+
 // Health check and utility routes
 
 /**
@@ -32,12 +32,16 @@ const {
 } = require('./middleware/requestTracking');
 const {
   securityMiddleware,
+  authenticateService,
   authorizeSlackUser,
   validateSession
 } = require('./middleware/security');
 
 // Import utilities
 const logManager = require('./utils/logManager');
+const { generationQueue } = require('./services/queue/generationQueue');
+const { spendLedger } = require('./services/billing/spendLedger');
+const { roleService } = require('./services/access/roleService');
 const portManager = require('./utils/portManager');
 
 // Setup global error handlers
@@ -54,7 +58,7 @@ process.on('unhandledRejection', (reason, promise) => {
 console.log('[DEBUG] server.js starting...');
 
 // Import configuration and utilities with error handling
-let config, logger, mcpRoutes;
+let config, logger, mcpRoutes, dashboardRoutes;
 
 try {
     config = require('./config');
@@ -90,6 +94,13 @@ try {
     process.exit(1);
 }
 
+try {
+    dashboardRoutes = require('./routes/dashboardRoutes');
+} catch (error) {
+    console.error('[DEBUG] Error loading dashboardRoutes:', error);
+    process.exit(1);
+}
+
 class BackendAPIServer {
     constructor() {
         try {
@@ -129,6 +140,8 @@ class BackendAPIServer {
                     scriptSrc: ["'self'", "'unsafe-inline'"],
                     styleSrc: ["'self'", "'unsafe-inline'"],
                     imgSrc: ["'self'", "data:", "https:"],
+                    // Dashboard previews of generated videos and audio (fal.ai CDN)
+                    mediaSrc: ["'self'", "https:"],
                     connectSrc: ["'self'", "https://api.fal.ai", "https://generativelanguage.googleapis.com"]
                 }
             }
@@ -196,7 +209,8 @@ class BackendAPIServer {
                 environment: config.app.env,
                 endpoints: {
                     health: '/health',
-                    api: '/api'
+                    api: '/api',
+                    ...(config.features.webDashboard ? { dashboard: '/dashboard' } : {})
                 }
             });
         });
@@ -209,9 +223,17 @@ class BackendAPIServer {
         this.app.use('/api/brand-research', brandResearchLimiter);
         this.app.use('/api/models', modelListingLimiter);
 
+        // Every API call needs a service token signed for the acting Slack user
+        this.app.use('/api', authenticateService);
+
         // Mount MCP routes with validation
         this.app.use('/api', mcpRoutes);
 
+        // Read-only web dashboard (pages and sign-in; its data comes from /api/dashboard)
+        if (config.features.webDashboard) {
+            this.app.use('/dashboard', dashboardRoutes);
+        }
+
         // 404 handler
         this.app.use('*', (req, res) => {
             res.status(404).json({
@@ -242,6 +264,8 @@ class BackendAPIServer {
         try {
             // Initialize log management
             await logManager.initialize();
+
+            await this.checkBudgetApprovers();
             
             // Validate and get available port
             const desiredPort = process.env.PORT || 3000;
@@ -277,11 +301,42 @@ class BackendAPIServer {
         }
     }
 
+    /**
+     * In approve mode over-budget jobs wait for an admin, so warn when no user resolves to admin
+     * (nobody could approve them until ADMIN_USER_IDS is set or someone is granted the role)
+     */
+    async checkBudgetApprovers() {
+        if (config.budgets.enforcement !== 'approve') {
+            return;
+        }
+
+        try {
+            const admins = await roleService.listAdmins();
+            if (admins.length === 0) {
+                logger.warn('BUDGET_ENFORCEMENT is approve but no user has the admin role; over-budget generations cannot be approved until ADMIN_USER_IDS is set or a user or group is assigned admin');
+            }
+        } catch (error) {
+            logger.warn('Could not check for budget approvers', { error: error.message });
+        }
+    }
+
     /**
      * Gracefully shutdown the server
      */
     async shutdown() {
         logger.info('Shutting down server gracefully');
+
+        try {
+            await generationQueue.shutdown();
+        } catch (error) {
+            logger.error('Failed to close generation queue', error);
+        }
+
+        try {
+            await spendLedger.close();
+        } catch (error) {
+            logger.error('Failed to close spend ledger', error);
+        }
         
         return new Promise((resolve) => {
             if (this.server) {
@@ -0,0 +1,302 @@
+/**
+ * @fileoverview Role Service - Which role a Slack user holds, and what that role may generate
+ * @description Roles are assigned to Slack users and user groups, in ROLE_ASSIGNMENTS and at runtime
+ * by admins through /api/roles. A user's role is, in order: admin for ADMIN_USER_IDS, their own
+ * assignment (runtime before config), the most privileged role of the user groups they belong to,
+ * then DEFAULT_ROLE. Runtime assignments are kept in Redis (or memory in development) so every
+ * backend process sees a change immediately; group members are looked up in Slack and cached.
+ */
+
+const Redis = require('ioredis');
+const logger = require('../../utils/logger');
+const config = require('../../config');
+const { slackBot } = require('../slack/slackBot');
+const { ROLE_NAMES, getRole, allowsOperation, allowsModel, allowsCost } = require('../../config/roles');
+const { estimateCost } = require('../../config/modelPricing');
+
+const ASSIGNMENTS_KEY = 'roles:assignments';
+
+function formatLimit(maxJobCost) {
+    return `$${maxJobCost.toFixed(2)}`;
+}
+
+class RoleService {
+    constructor(slackClient = slackBot.client) {
+        this.slackClient = slackClient;
+        this.groupMembers = new Map();
+        this.configAssignments = this.parseConfigAssignments(config.roles.assignments);
+        // Same rule as the session manager: Redis in production, configurable elsewhere
+        this.storageType = process.env.NODE_ENV === 'production' ? 'redis' : (config.session.storageType || 'redis');
+
+        if (this.storageType === 'memory') {
+            this.assignments = new Map();
+        } else {
+            this.redis = new Redis({
+                host: config.redis.host,
+                port: config.redis.port,
+                password: config.redis.password,
+                db: config.redis.db,
+                keyPrefix: config.redis.keyPrefix,
+                maxRetriesPerRequest: 3,
+                lazyConnect: true
+            });
+            this.redis.on('error', (error) => {
+                logger.error('Role service: Redis error', { error: error.message });
+            });
+        }
+    }
+
+    /**
+     * @param {Array<string>} entries - "U0123456789:producer" or "S0123456789:creative"
+     * @returns {Map<string, string>} Assignment field ("user:U…", "group:S…") to role
+     */
+    parseConfigAssignments(entries) {
+        const assignments = new Map();
+        entries.forEach(entry => {
+            const [id, role] = entry.split(':');
+            assignments.set(this.assignmentField(id.startsWith('S') ? 'group' : 'user', id), role);
+        });
+        return assignments;
+    }
+
+    assignmentField(scope, id) {
+        return `${scope}:${id}`;
+    }
+
+    /**
+     * Config assignments overlaid with the runtime ones
+     * @returns {Promise<Map<string, Object>>} Field to { role, source, updatedBy, updatedAt }
+     */
+    async getAssignments() {
+        const stored = this.storageType === 'memory'
+            ? Object.fromEntries(this.assignments)
+            : await this.redis.hgetall(ASSIGNMENTS_KEY);
+
+        const assignments = new Map();
+        this.configAssignments.forEach((role, field) => assignments.set(field, { role, source: 'config' }));
+        Object.entries(stored).forEach(([field, data]) => assignments.set(field, { ...JSON.parse(data), source: 'runtime' }));
+        return assignments;
+    }
+
+    /**
+     * List role assignments, for the admin API
+     * @returns {Promise<Object>} { users, groups, defaultRole, adminUserIds }
+     */
+    async listAssignments() {
+        const listed = { users: [], groups: [], defaultRole: config.roles.defaultRole, adminUserIds: config.admin.userIds };
+        for (const [field, assignment] of await this.getAssignments()) {
+            const [scope, id] = field.split(':');
+            listed[scope === 'group' ? 'groups' : 'users'].push({ [scope === 'group' ? 'groupId' : 'userId']: id, ...assignment });
+        }
+        listed.users.sort((a, b) => a.userId.localeCompare(b.userId));
+        listed.groups.sort((a, b) => a.groupId.localeCompare(b.groupId));
+        return listed;
+    }
+
+    /**
+     * Assign a role to a user or user group; takes effect on their next request
+     * @param {string} scope - user or group
+     * @param {string} id - Slack user or user group ID
+     * @param {string} role - Role name
+     * @param {string} updatedBy - Slack user ID of the admin
+     * @returns {Promise<Object>} Stored assignment
+     */
+    async setAssignment(scope, id, role, updatedBy) {
+        if (!getRole(role)) {
+            throw new Error(`Unknown role: ${role}`);
+        }
+
+        const assignment = { role, updatedBy, updatedAt: new Date().toISOString() };
+        const field = this.assignmentField(scope, id);
+
+        if (this.storageType === 'memory') {
+            this.assignments.set(field, JSON.stringify(assignment));
+        } else {
+            await this.redis.hset(ASSIGNMENTS_KEY, field, JSON.stringify(assignment));
+        }
+
+        logger.security('role_assigned', updatedBy, { scope, id, role });
+        return { [scope === 'group' ? 'groupId' : 'userId']: id, ...assignment, source: 'runtime' };
+    }
+
+    /**
+     * Remove a runtime assignment; a ROLE_ASSIGNMENTS entry for the same ID applies again
+     * @returns {Promise<boolean>} Whether an assignment was removed
+     */
+    async deleteAssignment(scope, id, updatedBy) {
+        const field = this.assignmentField(scope, id);
+        const removed = this.storageType === 'memory'
+            ? this.assignments.delete(field)
+            : (await this.redis.hdel(ASSIGNMENTS_KEY, field)) > 0;
+
+        if (removed) {
+            logger.security('role_unassigned', updatedBy, { scope, id });
+        }
+        return removed;
+    }
+
+    /**
+     * Resolve a user's role
+     * @param {string} userId - Slack user ID
+     * @returns {Promise<Object>} { role, source } where source is admin, user, group (with groupId) or default
+     */
+    async resolveRole(userId) {
+        if (config.admin.userIds.includes(userId)) {
+            return { role: 'admin', source: 'admin' };
+        }
+
+        const assignments = await this.getAssignments();
+        const own = assignments.get(this.assignmentField('user', userId));
+        if (own) {
+            return { role: own.role, source: 'user' };
+        }
+
+        // Most privileged first, so the first group the user is in decides
+        const groups = [...assignments.entries()]
+            .filter(([field]) => field.startsWith('group:'))
+            .map(([field, assignment]) => ({ groupId: field.slice('group:'.length), role: assignment.role }))
+            .sort((a, b) => ROLE_NAMES.indexOf(a.role) - ROLE_NAMES.indexOf(b.role));
+        for (const group of groups) {
+            if ((await this.getGroupMembers(group.groupId)).includes(userId)) {
+                return { role: group.role, source: 'group', groupId: group.groupId };
+            }
+        }
+
+        return { role: config.roles.defaultRole, source: 'default' };
+    }
+
+    /**
+     * Everyone who currently resolves to the admin role: ADMIN_USER_IDS, and users given admin directly
+     * or through a user group. They approve over-budget jobs and get client budget alerts.
+     * @returns {Promise<Array<string>>} Slack user IDs
+     */
+    async listAdmins() {
+        const candidates = new Set(config.admin.userIds);
+        for (const [field, assignment] of await this.getAssignments()) {
+            if (assignment.role !== 'admin') continue;
+            const [scope, id] = field.split(':');
+            const userIds = scope === 'group' ? await this.getGroupMembers(id) : [id];
+            userIds.forEach(userId => candidates.add(userId));
+        }
+
+        // A user's own assignment outranks their groups, so group members are not all admins
+        const admins = [];
+        for (const userId of candidates) {
+            if ((await this.resolveRole(userId)).role === 'admin') {
+                admins.push(userId);
+            }
+        }
+        return admins;
+    }
+
+    /**
+     * Members of a Slack user group, cached for ROLE_GROUP_CACHE_TTL seconds
+     * @param {string} groupId - Slack user group ID
+     * @returns {Promise<Array<string>>} User IDs (empty when the group cannot be read)
+     */
+    async getGroupMembers(groupId) {
+        const cached = this.groupMembers.get(groupId);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.users;
+        }
+
+        let users = [];
+        try {
+            const response = await this.slackClient.usergroups.users.list({ usergroup: groupId });
+            users = response.users || [];
+        } catch (error) {
+            // A stale list beats treating every member as outside the group
+            logger.error('Failed to load Slack user group members', { groupId, error: error.message });
+            if (cached) return cached.users;
+        }
+
+        this.groupMembers.set(groupId, { users, expiresAt: Date.now() + config.roles.groupCacheTtl * 1000 });
+        return users;
+    }
+
+    /**
+     * A user's role with what it allows
+     * @param {string} userId - Slack user ID
+     * @returns {Promise<Object>} { userId, role, source, description, operations, models, maxJobCost }
+     */
+    async getPermissions(userId) {
+        const resolved = await this.resolveRole(userId);
+        return { userId, ...resolved, ...getRole(resolved.role) };
+    }
+
+    /**
+     * Whether a role may pick a model: allowed, and a job with the model's default settings within
+     * the per-job limit. Used for the pickers and select-model; generate-asset checks the estimate
+     * for the job's actual parameters. Models without a price are only open to roles without a limit.
+     * @param {Object} permissions - From getPermissions
+     * @param {string} operation - Operation ID
+     * @param {string} modelId - Model ID
+     * @returns {boolean}
+     */
+    canUseModel(permissions, operation, modelId) {
+        if (!allowsOperation(permissions, operation) || !allowsModel(permissions, modelId)) {
+            return false;
+        }
+        return !this.checkJobCost(permissions, estimateCost(operation, modelId));
+    }
+
+    /**
+     * Check an operation, and optionally a model, against a role's allowlists
+     * @param {Object} permissions - From getPermissions
+     * @param {string} operation - Operation ID
+     * @param {string|null} modelId - Model ID
+     * @returns {Object|null} { code, message } when not allowed, null when allowed
+     */
+    checkAccess(permissions, operation, modelId = null) {
+        const { role } = permissions;
+
+        if (!allowsOperation(permissions, operation)) {
+            return { code: 'OPERATION_NOT_ALLOWED', message: `The ${role} role cannot run ${operation}` };
+        }
+        if (modelId && !allowsModel(permissions, modelId)) {
+            return { code: 'MODEL_NOT_ALLOWED', message: `The ${role} role cannot use ${modelId}` };
+        }
+        return null;
+    }
+
+    /**
+     * Check a model against the role's per-job limit when it is selected, before the job's
+     * parameters are known (see canUseModel)
+     * @returns {Object|null} { code, message } when not allowed, null when allowed
+     */
+    checkModelCost(permissions, operation, modelId) {
+        const estimate = estimateCost(operation, modelId);
+        const refusal = this.checkJobCost(permissions, estimate);
+        if (!refusal || !estimate) return refusal;
+        return {
+            code: 'JOB_COST_NOT_ALLOWED',
+            message: `A ${modelId} job costs more than the ${permissions.role} role's ${formatLimit(permissions.maxJobCost)} per-job limit`
+        };
+    }
+
+    /**
+     * Check a job's estimate against the role's per-job limit. A job without an estimate (an unpriced
+     * model) could cost anything, so only roles without a limit may run it.
+     * @param {Object} permissions - From getPermissions
+     * @param {Object|null} estimate - From estimateCost
+     * @returns {Object|null} { code, message } when not allowed, null when allowed
+     */
+    checkJobCost(permissions, estimate) {
+        if (permissions.maxJobCost === null) return null;
+        if (!estimate) {
+            return {
+                code: 'JOB_COST_NOT_ALLOWED',
+                message: `This model has no price, so its cost cannot be checked against the ${permissions.role} role's ${formatLimit(permissions.maxJobCost)} per-job limit`
+            };
+        }
+        if (allowsCost(permissions, estimate.high)) return null;
+        return {
+            code: 'JOB_COST_NOT_ALLOWED',
+            message: `This job could cost up to $${estimate.high.toFixed(2)}, over the ${permissions.role} role's ${formatLimit(permissions.maxJobCost)} per-job limit`
+        };
+    }
+}
+
+const roleService = new RoleService();
+
+module.exports = { roleService, RoleService };
@@ -0,0 +1,126 @@
+/**
+ * @fileoverview File Archive Store - Session archive kept as JSON files on local disk
+ * @description One file per archived session under sessions/, plus index.jsonl with one summary line
+ * per archive write, which queries scan without opening the session files. A session archived twice
+ * keeps its newest record; its older index lines are ignored.
+ *
+ * An archive store implements save(record, summary), query(filters) and get(sessionId); another
+ * backend (SQLite, Postgres) can replace this one by implementing the same three methods.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Session IDs are UUIDs; anything else is never used as a file name
+const SESSION_ID_PATTERN = /^[0-9a-f-]{36}$/i;
+
+class FileArchiveStore {
+    /**
+     * @param {string} directory - Archive directory (created on first write)
+     */
+    constructor(directory) {
+        this.directory = path.resolve(directory);
+        this.sessionsDir = path.join(this.directory, 'sessions');
+        this.indexFile = path.join(this.directory, 'index.jsonl');
+    }
+
+    /**
+     * Write a session record and add its summary to the index
+     * @param {Object} record - Full archived session
+     * @param {Object} summary - Fields queries filter and list on (must include sessionId)
+     * @returns {Promise<void>}
+     */
+    async save(record, summary) {
+        const file = this.getRecordPath(summary.sessionId);
+        await fs.promises.mkdir(this.sessionsDir, { recursive: true });
+
+        // Write then rename, so a crash never leaves a half-written record
+        const tempFile = `${file}.tmp`;
+        await fs.promises.writeFile(tempFile, JSON.stringify(record, null, 2));
+        await fs.promises.rename(tempFile, file);
+
+        await fs.promises.appendFile(this.indexFile, `${JSON.stringify(summary)}\n`);
+    }
+
+    /**
+     * Summaries matching the filters, newest session first
+     * @param {Object} filters
+     * @param {string} filters.userId - Slack user ID
+     * @param {string} filters.client - Client name (case-insensitive)
+     * @param {string} filters.model - Model ID used for at least one asset
+     * @param {Date} filters.from - Sessions created at or after
+     * @param {Date} filters.to - Sessions created before
+     * @param {number} filters.limit - Page size
+     * @param {number} filters.offset - Summaries to skip
+     * @returns {Promise<Object>} { sessions, total }
+     */
+    async query({ userId, client, model, from, to, limit = 50, offset = 0 } = {}) {
+        const clientKey = client ? client.trim().toLowerCase() : null;
+        const summaries = [...(await this.readIndex()).values()]
+            .filter(summary => {
+                const createdAt = new Date(summary.createdAt);
+                if (userId && summary.userId !== userId) return false;
+                if (clientKey && (summary.clientName || '').trim().toLowerCase() !== clientKey) return false;
+                if (model && !summary.models.includes(model)) return false;
+                if (from && createdAt < from) return false;
+                if (to && createdAt >= to) return false;
+                return true;
+            })
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+        return {
+            sessions: summaries.slice(offset, offset + limit),
+            total: summaries.length
+        };
+    }
+
+    /**
+     * @param {string} sessionId - Session ID
+     * @returns {Promise<Object|null>} Archived session, or null if it is not in the archive
+     */
+    async get(sessionId) {
+        if (!SESSION_ID_PATTERN.test(sessionId)) return null;
+        try {
+            return JSON.parse(await fs.promises.readFile(this.getRecordPath(sessionId), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Latest summary per session
+     * @returns {Promise<Map<string, Object>>}
+     */
+    async readIndex() {
+        let content;
+        try {
+            content = await fs.promises.readFile(this.indexFile, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return new Map();
+            throw error;
+        }
+
+        const summaries = new Map();
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                const summary = JSON.parse(line);
+                summaries.set(summary.sessionId, summary);
+            } catch (error) {
+                // A line cut short by a crash mid-append; the session file itself is intact
+                continue;
+            }
+        }
+        return summaries;
+    }
+
+    getRecordPath(sessionId) {
+        if (!SESSION_ID_PATTERN.test(sessionId)) {
+            throw new Error(`Invalid session ID for archive: ${sessionId}`);
+        }
+        return path.join(this.sessionsDir, `${sessionId}.json`);
+    }
+}
+
+module.exports = { FileArchiveStore };
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Session Archive - Durable record of ended and expired sessions
+ * @description Live sessions are dropped from Redis (or memory) when they end or expire. Before that
+ * the session manager hands them to this archive, which keeps the campaign brief, the full generation
+ * history with parameters, and the Drive links, and answers queries by user, client, model and date.
+ */
+
+const config = require('../../config');
+const { FileArchiveStore } = require('./fileArchiveStore');
+
+const END_REASONS = ['ended', 'expired'];
+
+class SessionArchive {
+    /**
+     * @param {Object} store - Archive store (see FileArchiveStore for the interface)
+     */
+    constructor(store = new FileArchiveStore(config.archive.directory)) {
+        this.store = store;
+    }
+
+    /**
+     * Archive a session
+     * @param {Object} session - Session object, as stored by the session manager
+     * @param {string} reason - 'ended' (the user ended it) or 'expired' (it timed out)
+     * @returns {Promise<Object>} Summary of the archived session
+     */
+    async archiveSession(session, reason) {
+        if (!END_REASONS.includes(reason)) {
+            throw new Error(`Unknown archive reason: ${reason}`);
+        }
+
+        const assets = session.context?.generatedAssets || [];
+        const archivedAt = new Date().toISOString();
+        const record = {
+            ...session,
+            endReason: reason,
+            endedAt: reason === 'ended' ? (session.metadata?.completedAt || archivedAt) : session.lastActivity,
+            archivedAt
+        };
+        const summary = {
+            sessionId: session.sessionId,
+            userId: session.userId,
+            threadId: session.threadId,
+            channelId: session.channelId,
+            clientName: session.clientName || null,
+            campaignIdea: session.campaignIdea || null,
+            state: session.state,
+            endReason: reason,
+            createdAt: session.createdAt,
+            endedAt: record.endedAt,
+            archivedAt,
+            assetCount: assets.length,
+            models: [...new Set(assets.map(asset => asset.modelId).filter(Boolean))],
+            operations: [...new Set(assets.map(asset => asset.operation).filter(Boolean))]
+        };
+
+        await this.store.save(record, summary);
+        return summary;
+    }
+
+    /**
+     * Find archived sessions
+     * @param {Object} filters
+     * @param {string} filters.userId - Slack user ID
+     * @param {string} filters.client - Client name (case-insensitive)
+     * @param {string} filters.model - Model ID used for at least one asset
+     * @param {Date} filters.from - Sessions created at or after
+     * @param {Date} filters.to - Sessions created before
+     * @param {number} filters.limit - Page size
+     * @param {number} filters.offset - Sessions to skip
+     * @returns {Promise<Object>} { sessions, total } with summaries, newest first
+     */
+    async querySessions(filters = {}) {
+        return await this.store.query(filters);
+    }
+
+    /**
+     * A user's most recently created archived sessions, in full
+     * @param {string} userId - Slack user ID
+     * @param {number} limit - Number of sessions
+     * @returns {Promise<Array>} Archived sessions, newest first
+     */
+    async getRecentSessions(userId, limit) {
+        const { sessions } = await this.querySessions({ userId, limit });
+        const records = await Promise.all(sessions.map(summary => this.getSession(summary.sessionId)));
+        return records.filter(Boolean);
+    }
+
+    /**
+     * @param {string} sessionId - Session ID
+     * @returns {Promise<Object|null>} Full archived session
+     */
+    async getSession(sessionId) {
+        return await this.store.get(sessionId);
+    }
+}
+
+const sessionArchive = new SessionArchive();
+
+module.exports = { sessionArchive, SessionArchive };
@@ -0,0 +1,693 @@
+/**
+ * @fileoverview Spend Ledger - Per-generation cost records and monthly budgets per client and user
+ * @description Every queued generation gets a ledger entry: client (from the session), user, model,
+ * estimated and actual cost and job ID. Admins set monthly budgets per client and per user. Each month
+ * keeps a running spend total per client and user: the generate-asset route reserves a job's estimate
+ * against the budgets before queueing it (check and reservation are one atomic step) and the job's
+ * charge is settled when it finishes. When a budget's usage crosses 50, 80 or 100% the people
+ * responsible get a Slack DM. Entries and budgets do not expire; like sessions they are kept in Redis,
+ * or in memory in development.
+ */
+
+const Redis = require('ioredis');
+const logger = require('../../utils/logger');
+const config = require('../../config');
+const { slackBot } = require('../slack/slackBot');
+const { roleService } = require('../access/roleService');
+
+// Usage percentages that trigger a budget alert, at most once per budget and month
+const ALERT_THRESHOLDS = [50, 80, 100];
+
+// Jobs in these states were not run to completion and are not charged
+const UNCHARGED_STATUSES = ['failed', 'cancelled'];
+
+const ENTRY_KEY = 'ledger:entry:';
+const ENTRY_INDEX_KEY = 'ledger:entries';
+const BUDGETS_KEY = 'ledger:budgets';
+const ALERTS_KEY = 'ledger:alerts:';
+// An admin's approval of one over-budget generation, until the generation is resubmitted
+const APPROVAL_KEY = 'ledger:approval:';
+const APPROVAL_TTL_SECONDS = 24 * 3600;
+// Hash per month: client:<key> and user:<id> hold spend, count:user:<id> the user's generations
+const TOTALS_KEY = 'ledger:totals:';
+
+// Checks each budget against its running total and, when none would be exceeded (or the job was
+// approved over budget), adds the cost to every total in the same step.
+// KEYS[1]: month totals; ARGV: cost, '1' to reserve over budget, count field, then field/limit pairs
+// ('' when the field has no budget). Returns { reserved (0/1), then the spend of each field before the job }.
+const RESERVE_SCRIPT = `
+    local cost = tonumber(ARGV[1])
+    local spent = {}
+    local exceeded = false
+    for i = 4, #ARGV, 2 do
+        local current = tonumber(redis.call('HGET', KEYS[1], ARGV[i]) or '0')
+        table.insert(spent, tostring(current))
+        if ARGV[i + 1] ~= '' and math.floor((current + cost) * 10000 + 0.5) / 10000 > tonumber(ARGV[i + 1]) then
+            exceeded = true
+        end
+    end
+    if exceeded and ARGV[2] ~= '1' then
+        return { 0, unpack(spent) }
+    end
+    for i = 4, #ARGV, 2 do
+        redis.call('HINCRBYFLOAT', KEYS[1], ARGV[i], ARGV[1])
+    end
+    redis.call('HINCRBY', KEYS[1], ARGV[3], 1)
+    return { 1, unpack(spent) }
+`;
+
+// Fills a month's totals from its ledger entries unless they already exist
+// KEYS[1]: month totals; ARGV: field/value pairs
+const BUILD_TOTALS_SCRIPT = `
+    if redis.call('EXISTS', KEYS[1]) == 1 then
+        return 0
+    end
+    redis.call('HSET', KEYS[1], unpack(ARGV))
+    return 1
+`;
+
+class SpendLedger {
+    constructor(slackClient = slackBot.client) {
+        this.slackClient = slackClient;
+        // Same rule as the session manager: Redis in production, configurable elsewhere
+        this.storageType = process.env.NODE_ENV === 'production' ? 'redis' : (config.session.storageType || 'redis');
+
+        if (this.storageType === 'memory') {
+            this.entries = new Map();
+            this.budgets = new Map();
+            this.alertsSent = new Set();
+            this.totals = new Map();
+            this.approvals = new Map();
+        } else {
+            this.redis = new Redis({
+                host: config.redis.host,
+                port: config.redis.port,
+                password: config.redis.password,
+                db: config.redis.db,
+                keyPrefix: config.redis.keyPrefix,
+                maxRetriesPerRequest: 3,
+                lazyConnect: true
+            });
+            this.redis.on('error', (error) => {
+                logger.error('Spend ledger: Redis error', { error: error.message });
+            });
+            // Months whose totals this process has made sure exist
+            this.totalsBuilt = new Map();
+        }
+    }
+
+    /**
+     * Key a client is stored under, so "Acme" and "acme " share a budget
+     * @param {string|null} clientName - Client name from the session
+     * @returns {string|null}
+     */
+    clientKey(clientName) {
+        const key = String(clientName || '').trim().toLowerCase();
+        return key || null;
+    }
+
+    /**
+     * Record a generation that is about to be queued
+     * @param {Object} generation
+     * @param {string} generation.generationId - Generation ID (also the job ID)
+     * @param {string} generation.jobId - Queue job ID
+     * @param {Object} generation.session - Session the generation belongs to
+     * @param {Object} generation.parameters - Generation parameters (operation, modelId, ...)
+     * @param {Object|null} generation.estimate - Estimate from estimateCost
+     * @param {string|null} generation.approvedBy - Admin who approved going over a budget
+     * @param {string} generation.month - Month (YYYY-MM) reserveBudget counted the estimate in
+     * @returns {Promise<Object>} Ledger entry
+     */
+    async recordGeneration({ generationId, jobId, session, parameters, estimate, approvedBy = null, month = getMonthRange(new Date()).month }) {
+        const entry = {
+            generationId,
+            jobId: String(jobId),
+            sessionId: session.sessionId,
+            clientName: session.clientName || null,
+            userId: session.userId,
+            threadId: session.threadId,
+            operation: parameters.operation,
+            modelId: parameters.modelId,
+            // Budgets are checked against the top of the estimate range
+            estimatedCost: estimate ? estimate.high : null,
+            estimateBasis: estimate ? estimate.basis : null,
+            actualCost: null,
+            // actual: billed cost known; estimate: charged its estimate; none: failed or cancelled
+            costSource: null,
+            status: 'queued',
+            approvedOverBudget: !!approvedBy,
+            approvedBy,
+            // The running totals its charge is counted in
+            budgetMonth: month,
+            createdAt: new Date().toISOString(),
+            settledAt: null
+        };
+
+        await this.saveEntry(entry);
+        logger.info('Generation recorded in spend ledger', {
+            generationId,
+            clientName: entry.clientName,
+            userId: entry.userId,
+            modelId: entry.modelId,
+            estimatedCost: entry.estimatedCost
+        });
+        return entry;
+    }
+
+    /**
+     * Record how a generation ended
+     * @param {string} generationId - Generation ID
+     * @param {string} status - completed, failed or cancelled
+     * @param {number|null} actualCost - Billed cost of a completed job; null when it is not known, in
+     * which case the entry keeps counting its estimate
+     * @returns {Promise<Object|null>} Updated entry, or null when the generation is not in the ledger
+     */
+    async settleGeneration(generationId, status, actualCost = null) {
+        const entry = await this.getEntry(generationId);
+        if (!entry) {
+            logger.warn('Generation missing from spend ledger', { generationId, status });
+            return null;
+        }
+
+        const uncharged = UNCHARGED_STATUSES.includes(status);
+        const settled = {
+            ...entry,
+            status,
+            actualCost: uncharged ? 0 : actualCost,
+            costSource: uncharged ? 'none' : (actualCost === null ? 'estimate' : 'actual'),
+            settledAt: new Date().toISOString()
+        };
+        await this.saveEntry(settled);
+
+        // The totals held the entry's previous charge (its estimate while queued)
+        const difference = this.getCharge(settled) - this.getCharge(entry);
+        if (difference !== 0) {
+            const month = entry.budgetMonth || getMonthRange(new Date(entry.createdAt)).month;
+            await this.adjustTotals(month, this.totalFields(entry.clientName, entry.userId), difference);
+        }
+        return settled;
+    }
+
+    /**
+     * Amount an entry counts against budgets: its actual cost once known, its estimate until then
+     * @param {Object} entry - Ledger entry
+     * @returns {number} USD
+     */
+    getCharge(entry) {
+        if (UNCHARGED_STATUSES.includes(entry.status)) return 0;
+        return entry.actualCost ?? entry.estimatedCost ?? 0;
+    }
+
+    /**
+     * Ledger entries created in a date range, oldest first
+     * @param {Date} from - Start (inclusive)
+     * @param {Date} to - End (exclusive)
+     * @returns {Promise<Array>} Entries
+     */
+    async listEntries(from, to) {
+        if (this.storageType === 'memory') {
+            return [...this.entries.values()]
+                .map(data => JSON.parse(data))
+                .filter(entry => new Date(entry.createdAt) >= from && new Date(entry.createdAt) < to)
+                .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+        }
+
+        const ids = await this.redis.zrangebyscore(ENTRY_INDEX_KEY, from.getTime(), `(${to.getTime()}`);
+        if (ids.length === 0) return [];
+        const values = await this.redis.mget(ids.map(id => `${ENTRY_KEY}${id}`));
+        return values.filter(Boolean).map(data => JSON.parse(data));
+    }
+
+    /**
+     * Budgets with this month's spend against them
+     * @param {Date} at - Any time in the month to report on
+     * @returns {Promise<Object>} { month, clients: [...], users: [...] }
+     */
+    async getBudgetUsage(at = new Date()) {
+        const { month } = getMonthRange(at);
+        const [budgets, totals] = await Promise.all([this.getBudgets(), this.getTotals(month)]);
+
+        return {
+            month,
+            clients: budgets.clients.map(budget => withUsage(budget, totals[`client:${this.clientKey(budget.clientName)}`])),
+            users: budgets.users.map(budget => withUsage(budget, totals[`user:${budget.userId}`]))
+        };
+    }
+
+    /**
+     * A user's spend this month, with their budget if they have one
+     * @param {string} userId - Slack user ID
+     * @param {Date} at - Any time in the month to report on
+     * @returns {Promise<Object>} { month, spent, generations, budget }
+     */
+    async getUserSpend(userId, at = new Date()) {
+        const { month } = getMonthRange(at);
+        const [usage, totals] = await Promise.all([this.getBudgetUsage(at), this.getTotals(month)]);
+
+        return {
+            month,
+            spent: round(totals[`user:${userId}`] || 0),
+            generations: totals[`count:user:${userId}`] || 0,
+            budget: usage.users.find(budget => budget.userId === userId) || null
+        };
+    }
+
+    /**
+     * Check a new job against the budgets of its client and user and, if it fits, add its estimate to
+     * this month's totals. The check and the addition are one atomic step, so concurrent jobs cannot
+     * all pass against the same remaining budget.
+     * @param {Object} job
+     * @param {string|null} job.clientName - Client name from the session
+     * @param {string} job.userId - Slack user ID
+     * @param {number} job.cost - Estimated cost of the job (USD)
+     * @param {boolean} job.overBudget - Reserve even when a budget would be exceeded (approved by an admin)
+     * @returns {Promise<Object>} { reserved, month, withinBudget, budgets, exceeded }; budgets lists the
+     * ones that apply. Release a reservation whose job is not queued after all with releaseBudget.
+     */
+    async reserveBudget({ clientName, userId, cost, overBudget = false }) {
+        const { month } = getMonthRange(new Date());
+        const fields = this.totalFields(clientName, userId);
+        const budgets = await this.getBudgets();
+        // Budgets are stored under the same fields as the totals
+        const byField = new Map([
+            ...budgets.clients.map(budget => [this.budgetField('client', budget.clientName), budget]),
+            ...budgets.users.map(budget => [this.budgetField('user', budget.userId), budget])
+        ]);
+        const limits = fields.map(field => byField.get(field));
+
+        let reserved;
+        let spent;
+        if (this.storageType === 'memory') {
+            // No await between the check and the update, so this is atomic within the process
+            const totals = this.getMonthTotals(month);
+            spent = fields.map(field => totals.get(field) || 0);
+            const exceeded = limits.some((budget, i) => budget && round(spent[i] + cost) > budget.monthlyLimit);
+            reserved = overBudget || !exceeded;
+            if (reserved) {
+                fields.forEach(field => totals.set(field, (totals.get(field) || 0) + cost));
+                totals.set(`count:user:${userId}`, (totals.get(`count:user:${userId}`) || 0) + 1);
+            }
+        } else {
+            await this.ensureTotals(month);
+            const args = fields.flatMap((field, i) => [field, limits[i] ? String(limits[i].monthlyLimit) : '']);
+            const [result, ...spentValues] = await this.redis.eval(
+                RESERVE_SCRIPT, 1, `${TOTALS_KEY}${month}`,
+                cost.toFixed(10), overBudget ? '1' : '0', `count:user:${userId}`, ...args
+            );
+            reserved = result === 1;
+            spent = spentValues.map(Number);
+        }
+
+        const applying = limits.flatMap((budget, i) => {
+            if (!budget) return [];
+            const scoped = budget.clientName !== undefined
+                ? { scope: 'client', name: budget.clientName }
+                : { scope: 'user', name: `<@${userId}>` };
+            const projected = round(spent[i] + cost);
+            return [{ ...scoped, ...withUsage(budget, spent[i]), cost, projected, exceeded: projected > budget.monthlyLimit }];
+        });
+        const exceeded = applying.filter(budget => budget.exceeded);
+
+        return { reserved, month, withinBudget: exceeded.length === 0, budgets: applying, exceeded, clientName, userId, cost };
+    }
+
+    /**
+     * Give back a reservation whose job was never queued (remove its entry with deleteEntry)
+     * @param {Object} reservation - Result of reserveBudget
+     */
+    async releaseBudget(reservation) {
+        if (!reservation.reserved) return;
+        await this.adjustTotals(reservation.month, this.totalFields(reservation.clientName, reservation.userId), -reservation.cost, -1);
+    }
+
+    /**
+     * Record an admin's approval to run one generation over budget. The approval is tied to the
+     * generation and its requester, and is used up by the generate-asset request it lets through.
+     * @param {string} generationId - Generation ID of the pending job
+     * @param {string} requesterId - Slack user who asked for the generation
+     * @param {string} approvedBy - Slack user ID of the admin
+     * @returns {Promise<Object>} Stored approval
+     */
+    async grantApproval(generationId, requesterId, approvedBy) {
+        const approval = { generationId, requesterId, approvedBy, approvedAt: new Date().toISOString() };
+
+        if (this.storageType === 'memory') {
+            this.approvals.set(generationId, { data: JSON.stringify(approval), expiresAt: Date.now() + APPROVAL_TTL_SECONDS * 1000 });
+        } else {
+            await this.redis.set(`${APPROVAL_KEY}${generationId}`, JSON.stringify(approval), 'EX', APPROVAL_TTL_SECONDS);
+        }
+
+        logger.info('Over-budget generation approved', { generationId, requesterId, approvedBy });
+        return approval;
+    }
+
+    /**
+     * Use up the approval of a generation; a second request for the same generation finds none
+     * @param {string} generationId - Generation ID
+     * @param {string} requesterId - Slack user submitting the generation
+     * @returns {Promise<Object|null>} The approval, or null when there is none for this generation and user
+     */
+    async takeApproval(generationId, requesterId) {
+        let data = null;
+        if (this.storageType === 'memory') {
+            const stored = this.approvals.get(generationId);
+            this.approvals.delete(generationId);
+            data = stored && stored.expiresAt > Date.now() ? stored.data : null;
+        } else {
+            const [[, stored]] = await this.redis.multi()
+                .get(`${APPROVAL_KEY}${generationId}`)
+                .del(`${APPROVAL_KEY}${generationId}`)
+                .exec();
+            data = stored;
+        }
+
+        const approval = data ? JSON.parse(data) : null;
+        return approval && approval.requesterId === requesterId ? approval : null;
+    }
+
+    /**
+     * Fields of the month totals a job counts in: its client (when it has one), then its user
+     * @returns {Array<string>}
+     */
+    totalFields(clientName, userId) {
+        const clientKey = this.clientKey(clientName);
+        return [...(clientKey ? [`client:${clientKey}`] : []), `user:${userId}`];
+    }
+
+    /**
+     * Add an amount to the running totals of a month
+     * @param {string} month - YYYY-MM
+     * @param {Array<string>} fields - From totalFields
+     * @param {number} amount - USD, negative to subtract
+     * @param {number} generations - Change to the user's generation count
+     */
+    async adjustTotals(month, fields, amount, generations = 0) {
+        const countField = `count:${fields[fields.length - 1]}`;
+        if (this.storageType === 'memory') {
+            const totals = this.getMonthTotals(month);
+            fields.forEach(field => totals.set(field, (totals.get(field) || 0) + amount));
+            if (generations) totals.set(countField, (totals.get(countField) || 0) + generations);
+            return;
+        }
+
+        await this.ensureTotals(month);
+        const pipeline = this.redis.pipeline();
+        fields.forEach(field => pipeline.hincrbyfloat(`${TOTALS_KEY}${month}`, field, amount.toFixed(10)));
+        if (generations) pipeline.hincrby(`${TOTALS_KEY}${month}`, countField, generations);
+        await pipeline.exec();
+    }
+
+    /**
+     * Running totals of a month
+     * @param {string} month - YYYY-MM
+     * @returns {Promise<Object>} field -> amount (USD) or generation count
+     */
+    async getTotals(month) {
+        if (this.storageType === 'memory') {
+            return Object.fromEntries(this.getMonthTotals(month));
+        }
+
+        await this.ensureTotals(month);
+        const stored = await this.redis.hgetall(`${TOTALS_KEY}${month}`);
+        delete stored.built;
+        return Object.fromEntries(Object.entries(stored).map(([field, value]) => [field, Number(value)]));
+    }
+
+    getMonthTotals(month) {
+        if (!this.totals.has(month)) {
+            this.totals.set(month, new Map());
+        }
+        return this.totals.get(month);
+    }
+
+    /**
+     * Build a month's totals from its ledger entries the first time they are needed (entries written
+     * before the totals existed); once the totals exist this is a no-op
+     * @param {string} month - YYYY-MM
+     */
+    async ensureTotals(month) {
+        if (!this.totalsBuilt.has(month)) {
+            const building = this.buildTotals(month);
+            this.totalsBuilt.set(month, building);
+            // A failed build is retried by the next caller
+            building.catch(() => this.totalsBuilt.delete(month));
+        }
+        await this.totalsBuilt.get(month);
+    }
+
+    async buildTotals(month) {
+        if (await this.redis.exists(`${TOTALS_KEY}${month}`)) return;
+
+        const { from, to } = getMonthRange(new Date(`${month}-01T00:00:00Z`));
+        const entries = (await this.listEntries(from, to)).filter(entry => !entry.budgetMonth || entry.budgetMonth === month);
+        // The marker keeps the hash in place for a month without spend
+        const totals = new Map([['built', new Date().toISOString()]]);
+        for (const entry of entries) {
+            const fields = this.totalFields(entry.clientName, entry.userId);
+            fields.forEach(field => totals.set(field, (totals.get(field) || 0) + this.getCharge(entry)));
+            const countField = `count:${fields[fields.length - 1]}`;
+            totals.set(countField, (totals.get(countField) || 0) + 1);
+        }
+
+        const built = await this.redis.eval(BUILD_TOTALS_SCRIPT, 1, `${TOTALS_KEY}${month}`, ...[...totals].flat().map(String));
+        if (built === 1) {
+            logger.info('Spend totals built from the ledger', { month, entries: entries.length });
+        }
+    }
+
+    /**
+     * The client and user budgets that apply to a job, from getBudgetUsage
+     * @returns {Array} [{ scope, name, monthlyLimit, spent, usage, ... }]
+     */
+    findBudgets(usage, clientName, userId) {
+        const clientBudget = usage.clients.find(budget => this.clientKey(budget.clientName) === this.clientKey(clientName));
+        const userBudget = usage.users.find(budget => budget.userId === userId);
+        return [
+            ...(clientName && clientBudget ? [{ scope: 'client', name: clientBudget.clientName, ...clientBudget }] : []),
+            ...(userBudget ? [{ scope: 'user', name: `<@${userId}>`, ...userBudget }] : [])
+        ];
+    }
+
+    /**
+     * DM the people responsible for a budget the first time its usage crosses each alert threshold in a month
+     * User budgets alert the user; client budgets alert the user who spent and the admins.
+     * @param {Object} job - { clientName, userId }
+     * @returns {Promise<Array>} Alerts sent ({ scope, name, threshold, usage })
+     */
+    async notifyThresholds({ clientName, userId }) {
+        const usage = await this.getBudgetUsage();
+        const sent = [];
+
+        for (const budget of this.findBudgets(usage, clientName, userId)) {
+            const crossed = ALERT_THRESHOLDS.filter(threshold => budget.usage !== null && budget.usage >= threshold);
+            const id = budget.scope === 'client' ? this.clientKey(budget.clientName) : budget.userId;
+
+            // Every crossed threshold is marked; only the highest new one is announced
+            let threshold = null;
+            for (const level of crossed) {
+                if (await this.markAlertSent(usage.month, `${budget.scope}:${id}:${level}`)) {
+                    threshold = level;
+                }
+            }
+            if (threshold === null) continue;
+
+            const recipients = budget.scope === 'user'
+                ? [userId]
+                : [...new Set([userId, ...await roleService.listAdmins()])];
+            const text = formatBudgetAlert(budget, threshold, usage.month);
+
+            for (const recipient of recipients) {
+                try {
+                    await this.slackClient.chat.postMessage({ channel: recipient, text });
+                } catch (error) {
+                    logger.error('Failed to send budget alert', { recipient, scope: budget.scope, error: error.message });
+                }
+            }
+
+            logger.info('Budget alert sent', { scope: budget.scope, name: budget.name, threshold, usage: budget.usage });
+            sent.push({ scope: budget.scope, name: budget.name, threshold, usage: budget.usage });
+        }
+
+        return sent;
+    }
+
+    /**
+     * @returns {Promise<Object>} { clients: [{ clientName, monthlyLimit, updatedBy, updatedAt }], users: [{ userId, ... }] }
+     */
+    async getBudgets() {
+        const stored = this.storageType === 'memory'
+            ? Object.fromEntries(this.budgets)
+            : await this.redis.hgetall(BUDGETS_KEY);
+
+        const budgets = { clients: [], users: [] };
+        for (const [field, data] of Object.entries(stored)) {
+            const budget = JSON.parse(data);
+            (field.startsWith('client:') ? budgets.clients : budgets.users).push(budget);
+        }
+        budgets.clients.sort((a, b) => a.clientName.localeCompare(b.clientName));
+        budgets.users.sort((a, b) => a.userId.localeCompare(b.userId));
+        return budgets;
+    }
+
+    /**
+     * Set the monthly budget of a client or user
+     * @param {string} scope - client or user
+     * @param {string} id - Client name or Slack user ID
+     * @param {number} monthlyLimit - USD per calendar month (UTC)
+     * @param {string} updatedBy - Slack user ID of the admin
+     * @returns {Promise<Object>} Stored budget
+     */
+    async setBudget(scope, id, monthlyLimit, updatedBy) {
+        const budget = {
+            ...(scope === 'client' ? { clientName: id.trim() } : { userId: id }),
+            monthlyLimit,
+            updatedBy,
+            updatedAt: new Date().toISOString()
+        };
+        const field = this.budgetField(scope, id);
+
+        if (this.storageType === 'memory') {
+            this.budgets.set(field, JSON.stringify(budget));
+        } else {
+            await this.redis.hset(BUDGETS_KEY, field, JSON.stringify(budget));
+        }
+
+        logger.info('Budget updated', { scope, id, monthlyLimit, updatedBy });
+        return budget;
+    }
+
+    /**
+     * Remove the monthly budget of a client or user
+     * @returns {Promise<boolean>} Whether a budget was removed
+     */
+    async deleteBudget(scope, id) {
+        const field = this.budgetField(scope, id);
+        const removed = this.storageType === 'memory'
+            ? this.budgets.delete(field)
+            : (await this.redis.hdel(BUDGETS_KEY, field)) > 0;
+
+        if (removed) {
+            logger.info('Budget removed', { scope, id });
+        }
+        return removed;
+    }
+
+    budgetField(scope, id) {
+        return scope === 'client' ? `client:${this.clientKey(id)}` : `user:${id}`;
+    }
+
+    /**
+     * Get a ledger entry
+     * @param {string} generationId - Generation ID
+     * @returns {Promise<Object|null>}
+     */
+    async getEntry(generationId) {
+        const data = this.storageType === 'memory'
+            ? this.entries.get(generationId)
+            : await this.redis.get(`${ENTRY_KEY}${generationId}`);
+        return data ? JSON.parse(data) : null;
+    }
+
+    /**
+     * Remove the entry of a generation that was never queued
+     * @param {string} generationId - Generation ID
+     * @returns {Promise<boolean>} Whether an entry was removed
+     */
+    async deleteEntry(generationId) {
+        if (this.storageType === 'memory') {
+            return this.entries.delete(generationId);
+        }
+        const [[, removed]] = await this.redis.pipeline()
+            .del(`${ENTRY_KEY}${generationId}`)
+            .zrem(ENTRY_INDEX_KEY, generationId)
+            .exec();
+        return removed > 0;
+    }
+
+    async saveEntry(entry) {
+        if (this.storageType === 'memory') {
+            this.entries.set(entry.generationId, JSON.stringify(entry));
+            return;
+        }
+        await this.redis.pipeline()
+            .set(`${ENTRY_KEY}${entry.generationId}`, JSON.stringify(entry))
+            .zadd(ENTRY_INDEX_KEY, new Date(entry.createdAt).getTime(), entry.generationId)
+            .exec();
+    }
+
+    /**
+     * Remember that an alert went out
+     * @returns {Promise<boolean>} false when it had already been sent
+     */
+    async markAlertSent(month, alertId) {
+        if (this.storageType === 'memory') {
+            const key = `${month}:${alertId}`;
+            if (this.alertsSent.has(key)) return false;
+            this.alertsSent.add(key);
+            return true;
+        }
+        return (await this.redis.sadd(`${ALERTS_KEY}${month}`, alertId)) === 1;
+    }
+
+    /**
+     * Close the Redis connection
+     */
+    async close() {
+        if (this.redis && this.redis.status !== 'wait' && this.redis.status !== 'end') {
+            await this.redis.quit();
+        }
+    }
+}
+
+/**
+ * Calendar month (UTC) containing a date
+ * @param {Date} at - Any time in the month
+ * @returns {Object} { from, to, month } with month as YYYY-MM
+ */
+function getMonthRange(at) {
+    const from = new Date(Date.UTC(at.getUTCFullYear(), at.getUTCMonth(), 1));
+    const to = new Date(Date.UTC(at.getUTCFullYear(), at.getUTCMonth() + 1, 1));
+    return { from, to, month: from.toISOString().slice(0, 7) };
+}
+
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * @param {Object} budget - Stored budget
+ * @param {number} spent - Spend against it this month (USD)
+ * @returns {Object} The budget with spent and usage (percent of the limit)
+ */
+function withUsage(budget, spent = 0) {
+    const rounded = round(spent);
+    return {
+        ...budget,
+        spent: rounded,
+        usage: budget.monthlyLimit > 0 ? Math.round((rounded / budget.monthlyLimit) * 1000) / 10 : null
+    };
+}
+
+/**
+ * @param {Object} budget - Budget with usage, from findBudgets
+ * @param {number} threshold - Alert threshold crossed
+ * @param {string} month - YYYY-MM
+ * @returns {string} mrkdwn text
+ */
+function formatBudgetAlert(budget, threshold, month) {
+    const usage = budget.scope === 'client'
+        ? `Client *${budget.name}* is at ${budget.usage}% of its ${month} budget`
+        : `You are at ${budget.usage}% of your ${month} budget`;
+    const spent = `$${budget.spent.toFixed(2)} of $${budget.monthlyLimit.toFixed(2)}`;
+    if (threshold >= 100) {
+        const next = config.budgets.enforcement === 'approve'
+            ? 'New generations need approval to go over it.'
+            : 'New generations are blocked until an admin raises it.';
+        return `🛑 *Budget reached:* ${usage} (${spent}). ${next}`;
+    }
+    return `📊 *Budget alert:* ${usage} (${spent}).`;
+}
+
+const spendLedger = new SpendLedger();
+
+module.exports = { spendLedger, SpendLedger, getMonthRange };
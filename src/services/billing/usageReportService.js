@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Usage Report Service - Generation counts, spend and failure rates from the spend ledger
+ * @description Groups the ledger entries of a date range by client, user, model or operation for
+ * account managers' monthly chargebacks, as JSON or as CSV for finance.
+ */
+
+const { spendLedger } = require('./spendLedger');
+
+const GROUP_BY = ['client', 'user', 'model', 'operation'];
+
+// Entries without a client (sessions created before client names were required)
+const NO_CLIENT = '(no client)';
+
+const CSV_COLUMNS = [
+    ['group', row => row.group],
+    ['generations', row => row.generations],
+    ['completed', row => row.completed],
+    ['failed', row => row.failed],
+    ['cancelled', row => row.cancelled],
+    ['pending', row => row.pending],
+    ['failure_rate', row => (row.failureRate === null ? '' : row.failureRate)],
+    ['estimated_spend_usd', row => row.estimatedSpend.toFixed(4)],
+    ['unpriced_generations', row => row.unpriced]
+];
+
+class UsageReportService {
+    constructor(ledger = spendLedger) {
+        this.ledger = ledger;
+    }
+
+    /**
+     * @returns {Array<string>} Supported groupBy values
+     */
+    getGroupings() {
+        return GROUP_BY;
+    }
+
+    /**
+     * Build a usage report
+     * @param {Object} options
+     * @param {Date} options.from - Start (inclusive)
+     * @param {Date} options.to - End (exclusive)
+     * @param {string} options.groupBy - client, user, model or operation
+     * @returns {Promise<Object>} { from, to, groupBy, totals, groups } with groups sorted by spend
+     */
+    async getUsageReport({ from, to, groupBy }) {
+        const entries = await this.ledger.listEntries(from, to);
+        const groups = new Map();
+
+        for (const entry of entries) {
+            const { key, label } = this.getGroup(entry, groupBy);
+            if (!groups.has(key)) {
+                groups.set(key, { group: label, entries: [] });
+            }
+            groups.get(key).entries.push(entry);
+        }
+
+        return {
+            from: from.toISOString(),
+            to: to.toISOString(),
+            groupBy,
+            totals: this.summarize(entries),
+            groups: [...groups.values()]
+                .map(({ group, entries: groupEntries }) => ({ group, ...this.summarize(groupEntries) }))
+                .sort((a, b) => b.estimatedSpend - a.estimatedSpend || b.generations - a.generations)
+        };
+    }
+
+    /**
+     * Group an entry belongs to
+     * Client names are matched case-insensitively; the first spelling seen is shown.
+     * @returns {Object} { key, label }
+     */
+    getGroup(entry, groupBy) {
+        switch (groupBy) {
+            case 'client':
+                return entry.clientName
+                    ? { key: this.ledger.clientKey(entry.clientName), label: entry.clientName.trim() }
+                    : { key: NO_CLIENT, label: NO_CLIENT };
+            case 'user':
+                return { key: entry.userId, label: entry.userId };
+            case 'model':
+                return { key: entry.modelId, label: entry.modelId };
+            default:
+                return { key: entry.operation, label: entry.operation };
+        }
+    }
+
+    /**
+     * Counts, spend and failure rate of a set of ledger entries
+     * The failure rate is failed / (completed + failed); cancelled and pending jobs are left out.
+     * @param {Array} entries - Ledger entries
+     * @returns {Object} { generations, completed, failed, cancelled, pending, failureRate, estimatedSpend, unpriced }
+     */
+    summarize(entries) {
+        const count = status => entries.filter(entry => entry.status === status).length;
+        const completed = count('completed');
+        const failed = count('failed');
+        const cancelled = count('cancelled');
+        const spend = entries.reduce((sum, entry) => sum + this.ledger.getCharge(entry), 0);
+
+        return {
+            generations: entries.length,
+            completed,
+            failed,
+            cancelled,
+            pending: entries.length - completed - failed - cancelled,
+            failureRate: completed + failed > 0 ? Math.round((failed / (completed + failed)) * 1000) / 1000 : null,
+            estimatedSpend: Math.round(spend * 10000) / 10000,
+            unpriced: entries.filter(entry => entry.estimatedCost === null).length
+        };
+    }
+
+    /**
+     * Render a report as CSV: one row per group and a final total row
+     * @param {Object} report - Report from getUsageReport
+     * @returns {string} CSV text
+     */
+    toCsv(report) {
+        const rows = [...report.groups, { group: 'TOTAL', ...report.totals }];
+        return [
+            CSV_COLUMNS.map(([name]) => name).join(','),
+            ...rows.map(row => CSV_COLUMNS.map(([, value]) => escapeCsv(value(row))).join(','))
+        ].join('\n') + '\n';
+    }
+}
+
+// Text a spreadsheet would run as a formula: =, +, - or @ (also after leading spaces), or a leading tab or CR
+const CSV_FORMULA_START = /^(?:[\t\r]|\s*[=+\-@])/;
+
+/**
+ * Quote a CSV field when it contains a separator, quote or line break
+ * Text that would start a formula (client names, user-entered campaign text) is prefixed with ' so
+ * spreadsheets show it as text. Numbers are left as they are.
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+function escapeCsv(value) {
+    let text = String(value ?? '');
+    if (typeof value === 'string' && CSV_FORMULA_START.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const usageReportService = new UsageReportService();
+
+module.exports = { usageReportService, UsageReportService };
@@ -0,0 +1,221 @@
+/**
+ * @fileoverview Dashboard Auth - Sign-in for the read-only web dashboard
+ * @description Two ways in: a short-lived signed link the bot DMs to a Slack user, or
+ * "Sign in with Slack" (OpenID Connect) when SLACK_CLIENT_ID, SLACK_CLIENT_SECRET and SLACK_TEAM_ID are set.
+ * Either way the browser gets an httpOnly cookie holding a signed dashboard session token. A sign-in link
+ * works once: its ID is recorded when it is redeemed (in Redis, or in memory in development).
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Redis = require('ioredis');
+const { webApi } = require('@slack/bolt');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+const SESSION_COOKIE = 'dashboard_session';
+const STATE_COOKIE = 'dashboard_oauth_state';
+
+// Tokens carry their purpose so a sign-in link cannot be used as a session cookie or the other way round
+const LOGIN_PURPOSE = 'dashboard-login';
+const SESSION_PURPOSE = 'dashboard-session';
+
+// IDs of sign-in links that have been redeemed, kept until the link would have expired
+const REDEEMED_LINK_KEY = 'dashboard:redeemed-link:';
+
+class DashboardAuth {
+    constructor(slackClient = new webApi.WebClient()) {
+        this.slackClient = slackClient;
+        this.sessionCookie = SESSION_COOKIE;
+        this.stateCookie = STATE_COOKIE;
+        // Same rule as the session manager: Redis in production, configurable elsewhere
+        this.storageType = process.env.NODE_ENV === 'production' ? 'redis' : (config.session.storageType || 'redis');
+
+        if (this.storageType === 'memory') {
+            this.redeemedLinks = new Map();
+        } else {
+            this.redis = new Redis({
+                host: config.redis.host,
+                port: config.redis.port,
+                password: config.redis.password,
+                db: config.redis.db,
+                keyPrefix: config.redis.keyPrefix,
+                maxRetriesPerRequest: 3,
+                lazyConnect: true
+            });
+            this.redis.on('error', (error) => {
+                logger.error('Dashboard auth: Redis error', { error: error.message });
+            });
+        }
+    }
+
+    /**
+     * Sign in with Slack is only offered for a configured workspace: any Slack account can complete
+     * OpenID Connect, and the dashboard shows every user's sessions
+     * @returns {boolean} Whether Sign in with Slack is configured
+     */
+    isSlackSignInEnabled() {
+        return !!(config.slack.clientId && config.slack.clientSecret && config.slack.teamId);
+    }
+
+    /**
+     * Build a sign-in link for a Slack user
+     * @param {string} userId - Slack user ID
+     * @returns {Object} { url, expiresAt }
+     */
+    createLoginLink(userId) {
+        const token = jwt.sign({ purpose: LOGIN_PURPOSE }, config.security.jwtSecret, {
+            subject: userId,
+            jwtid: crypto.randomUUID(),
+            expiresIn: config.dashboard.linkTtl
+        });
+        return {
+            url: `${config.dashboard.baseUrl}/dashboard/login?token=${encodeURIComponent(token)}`,
+            expiresAt: new Date(Date.now() + config.dashboard.linkTtl * 1000).toISOString()
+        };
+    }
+
+    /**
+     * Check a sign-in link token and mark it as used
+     * @param {string} token - Token from the link
+     * @returns {Promise<string>} Slack user ID
+     * @throws {Error} When the token is invalid, expired, not a sign-in token or already used
+     */
+    async redeemLoginToken(token) {
+        const payload = this.verify(token, LOGIN_PURPOSE);
+        if (!payload.jti) {
+            throw new Error('Sign-in link has no ID');
+        }
+
+        const ttlSeconds = Math.max(payload.exp - Math.floor(Date.now() / 1000), 1);
+        let firstUse;
+        if (this.storageType === 'memory') {
+            const now = Date.now();
+            for (const [jti, expiresAt] of this.redeemedLinks) {
+                if (expiresAt <= now) this.redeemedLinks.delete(jti);
+            }
+            firstUse = !this.redeemedLinks.has(payload.jti);
+            if (firstUse) this.redeemedLinks.set(payload.jti, now + ttlSeconds * 1000);
+        } else {
+            firstUse = await this.redis.set(`${REDEEMED_LINK_KEY}${payload.jti}`, payload.sub, 'EX', ttlSeconds, 'NX') === 'OK';
+        }
+
+        if (!firstUse) {
+            throw new Error('Sign-in link has already been used');
+        }
+        return payload.sub;
+    }
+
+    /**
+     * Issue the browser session token stored in the dashboard cookie
+     * @param {Object} user - { userId, name }
+     * @returns {string} Signed token
+     */
+    createSessionToken({ userId, name = null }) {
+        return jwt.sign({ purpose: SESSION_PURPOSE, name }, config.security.jwtSecret, {
+            subject: userId,
+            expiresIn: config.dashboard.sessionTtl
+        });
+    }
+
+    /**
+     * @param {string} token - Token from the dashboard cookie
+     * @returns {Object} { userId, name }
+     * @throws {Error} When the token is invalid or expired
+     */
+    verifySessionToken(token) {
+        const payload = this.verify(token, SESSION_PURPOSE);
+        return { userId: payload.sub, name: payload.name || null };
+    }
+
+    verify(token, purpose) {
+        const payload = jwt.verify(token, config.security.jwtSecret);
+        if (payload.purpose !== purpose || !payload.sub) {
+            throw new Error('Token is not valid for this purpose');
+        }
+        return payload;
+    }
+
+    /**
+     * Options for the dashboard cookies
+     * @param {number} maxAgeSeconds - Cookie lifetime
+     */
+    cookieOptions(maxAgeSeconds) {
+        return {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: config.dashboard.baseUrl.startsWith('https://'),
+            path: '/',
+            maxAge: maxAgeSeconds * 1000
+        };
+    }
+
+    /**
+     * Start Sign in with Slack
+     * @returns {Object} { url, state } - Redirect the browser to url and keep state in a cookie
+     */
+    createSlackAuthorization() {
+        const state = crypto.randomBytes(16).toString('hex');
+        const params = new URLSearchParams({
+            response_type: 'code',
+            scope: 'openid profile',
+            client_id: config.slack.clientId,
+            redirect_uri: this.getSlackRedirectUri(),
+            state,
+            team: config.slack.teamId
+        });
+        return { url: `https://slack.com/openid/connect/authorize?${params}`, state };
+    }
+
+    getSlackRedirectUri() {
+        return `${config.dashboard.baseUrl}/dashboard/auth/slack/callback`;
+    }
+
+    /**
+     * Finish Sign in with Slack: exchange the code and look up who signed in
+     * @param {string} code - Authorization code from the callback
+     * @returns {Promise<Object>} { userId, name }
+     * @throws {Error} When the exchange fails or the user belongs to another workspace
+     */
+    async completeSlackAuthorization(code) {
+        const tokens = await this.slackClient.openid.connect.token({
+            client_id: config.slack.clientId,
+            client_secret: config.slack.clientSecret,
+            code,
+            redirect_uri: this.getSlackRedirectUri()
+        });
+        const profile = await this.slackClient.openid.connect.userInfo({ token: tokens.access_token });
+
+        const teamId = profile['https://slack.com/team_id'];
+        if (!config.slack.teamId || teamId !== config.slack.teamId) {
+            logger.security('dashboard_login_rejected', 'Slack user from another workspace', { teamId });
+            throw new Error('This Slack workspace cannot use the dashboard');
+        }
+
+        return { userId: profile['https://slack.com/user_id'], name: profile.name || null };
+    }
+}
+
+/**
+ * Read one cookie from a request (the backend has no cookie parser)
+ * @param {Object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|null}
+ */
+function readCookie(req, name) {
+    for (const part of (req.headers.cookie || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index > 0 && part.slice(0, index).trim() === name) {
+            try {
+                return decodeURIComponent(part.slice(index + 1).trim());
+            } catch (error) {
+                return null;
+            }
+        }
+    }
+    return null;
+}
+
+const dashboardAuth = new DashboardAuth();
+
+module.exports = { dashboardAuth, DashboardAuth, readCookie };
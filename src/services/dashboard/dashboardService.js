@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Dashboard Service - Read-only session views for the web dashboard
+ * @description Turns stored sessions into the list and detail shapes the dashboard page renders,
+ * and applies its client, state and free-text filters.
+ */
+
+// How each operation's output is previewed
+const OUTPUT_KINDS = {
+    'text-to-image': 'image',
+    'image-to-image': 'image',
+    'text-to-video': 'video',
+    'image-to-video': 'video',
+    'video-to-video': 'video',
+    'text-to-audio': 'audio',
+    'text-to-speech': 'audio',
+    'image-to-3d': 'model'
+};
+
+class DashboardService {
+    /**
+     * Filter sessions for the list view
+     * @param {Array} sessions - Session objects
+     * @param {Object} filters - { client, state, q } (all optional; client is matched case-insensitively)
+     * @returns {Array} Matching sessions
+     */
+    filterSessions(sessions, { client, state, q } = {}) {
+        const clientKey = client ? client.trim().toLowerCase() : null;
+        const terms = (q || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+        return sessions.filter(session => {
+            if (clientKey && (session.clientName || '').trim().toLowerCase() !== clientKey) return false;
+            if (state && session.state !== state) return false;
+            if (terms.length === 0) return true;
+            const text = this.getSearchText(session);
+            return terms.every(term => text.includes(term));
+        });
+    }
+
+    /**
+     * Text a session is searched by: brief, user, prompts and models
+     */
+    getSearchText(session) {
+        const assets = session.context?.generatedAssets || [];
+        return [
+            session.clientName,
+            session.campaignIdea,
+            session.creativeDirections,
+            session.visualDirections,
+            session.userId,
+            session.context?.enhancedPrompt,
+            ...assets.map(asset => asset.parameters?.prompt),
+            ...assets.map(asset => asset.modelId)
+        ].filter(Boolean).join('\n').toLowerCase();
+    }
+
+    /**
+     * Session list row
+     * @param {Object} session - Session object
+     * @returns {Object} { sessionId, userId, threadId, clientName, campaignIdea, state, createdAt, lastActivity, assetCount, latestAsset }
+     */
+    summarizeSession(session) {
+        const assets = session.context?.generatedAssets || [];
+        const latest = assets[assets.length - 1];
+        return {
+            sessionId: session.sessionId,
+            userId: session.userId,
+            threadId: session.threadId,
+            channelId: session.channelId,
+            clientName: session.clientName,
+            campaignIdea: session.campaignIdea,
+            state: session.state,
+            createdAt: session.createdAt,
+            lastActivity: session.lastActivity,
+            assetCount: assets.length,
+            latestAsset: latest ? this.describeAsset(latest) : null
+        };
+    }
+
+    /**
+     * Full session view: brief, prompts, generated assets with their parameters and Drive links, status
+     * @param {Object} session - Session object
+     * @returns {Object}
+     */
+    describeSession(session) {
+        const context = session.context || {};
+        const folder = context.driveFolder;
+        return {
+            ...this.summarizeSession(session),
+            creativeDirections: session.creativeDirections,
+            visualDirections: session.visualDirections,
+            enhancedPrompt: context.enhancedPrompt || null,
+            selectedOperation: context.selectedOperation || null,
+            selectedModel: context.selectedModel || null,
+            driveFolder: folder ? {
+                folderId: folder.folderId,
+                folderName: folder.folderName,
+                url: folder.webViewLink || `https://drive.google.com/drive/folders/${folder.folderId}`
+            } : null,
+            currentJob: context.currentJob || null,
+            assets: (context.generatedAssets || []).map(asset => this.describeAsset(asset)).reverse(),
+            errors: (session.metadata?.errors || []).map(error => ({
+                message: error.message || String(error),
+                timestamp: error.timestamp || null
+            }))
+        };
+    }
+
+    /**
+     * Newest assets across sessions, each with the session it came from
+     * @param {Array} sessions - Live and archived session objects; an asset found in several (a session
+     * just ended is briefly both live and archived) is taken from the first
+     * @param {number} limit - Number of assets
+     * @returns {Array} Assets (see describeAsset) with sessionId, threadId, channelId, clientName and archived
+     */
+    listRecentAssets(sessions, limit) {
+        const seen = new Set();
+        return sessions
+            .flatMap(session => (session.context?.generatedAssets || []).map(asset => ({
+                ...this.describeAsset(asset),
+                sessionId: session.sessionId,
+                threadId: session.threadId,
+                channelId: session.channelId,
+                clientName: session.clientName,
+                archived: Boolean(session.endReason)
+            })))
+            .filter(asset => !seen.has(asset.generationId) && seen.add(asset.generationId))
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+            .slice(0, limit);
+    }
+
+    /**
+     * @param {Object} asset - Entry of context.generatedAssets
+     * @returns {Object} Asset with its preview kind and the parameters it was generated with
+     */
+    describeAsset(asset) {
+        const { operation, modelId, prompt, ...parameters } = asset.parameters || {};
+        return {
+            generationId: asset.generationId,
+            operation: asset.operation,
+            modelId: asset.modelId,
+            kind: OUTPUT_KINDS[asset.operation] || 'file',
+            assetUrl: asset.assetUrl,
+            prompt: prompt || null,
+            parameters,
+            version: asset.version || 1,
+            parentAssetId: asset.parentAssetId || null,
+            timestamp: asset.timestamp,
+            driveUrl: asset.driveUpload?.webViewLink || null
+        };
+    }
+}
+
+const dashboardService = new DashboardService();
+
+module.exports = { dashboardService, DashboardService };
@@ -126,6 +126,22 @@ class BaseFalaiService {
         throw new Error('Fal model asset generation not implemented.');
     }
 
+    /**
+     * Forward a fal.ai queue update to the caller's progress callback
+     * @param {Object} options - Generation options (may contain onProgress)
+     * @param {Object} update - fal.ai queue status ({ status, request_id, queue_position, logs })
+     */
+    reportProgress(options, update) {
+        if (!options || typeof options.onProgress !== 'function' || !update) {
+            return;
+        }
+        try {
+            options.onProgress(update);
+        } catch (error) {
+            logger.warn(`${this.serviceName} progress callback failed`, { error: error.message });
+        }
+    }
+
     /**
      * Handle errors and provide meaningful error messages
      * @param {Error} error - Original error
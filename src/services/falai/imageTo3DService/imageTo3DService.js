@@ -1,92 +1,11 @@
 const BaseFalaiService = require('../BaseFalaiService');
 const { fal } = require('@fal-ai/client');
 const logger = require('../../../utils/logger');
+const { modelRegistry } = require('../../../config/modelRegistry');
 
 class ImageTo3DService extends BaseFalaiService {
     constructor() {
-        const supportedModels = [
-            {
-                id: 'tripo3d/tripo/v2.5/image-to-3d',
-                name: 'Tripo3D v2.5 Image-to-3D',
-                description: 'Generate a 3D model from a single image using Tripo3D.',
-                params: [
-                    'image_url', 'seed', 'face_limit', 'pbr', 'texture', 'texture_seed',
-                    'auto_size', 'style', 'quad', 'texture_alignment', 'orientation'
-                ]
-            },
-            {
-                id: 'fal-ai/hunyuan3d-v21',
-                name: 'Hunyuan3D v21',
-                description: 'Tencent Hunyuan3D v21 single image to 3D.',
-                params: [
-                    'input_image_url', 'seed', 'num_inference_steps', 'guidance_scale', 'octree_resolution', 'textured_mesh'
-                ]
-            },
-            {
-                id: 'fal-ai/hyper3d/rodin',
-                name: 'Hyper3D Rodin',
-                description: 'Hyper3D Rodin single/multi image to 3D.',
-                params: [
-                    'prompt', 'input_image_urls', 'condition_mode', 'seed', 'geometry_file_format', 'material', 'quality', 'use_hyper', 'tier', 'TAPose', 'bbox_condition', 'addons'
-                ]
-            },
-            {
-                id: 'fal-ai/trellis',
-                name: 'Trellis',
-                description: 'Trellis single image to 3D.',
-                params: [
-                    'image_url', 'seed', 'ss_guidance_strength', 'ss_sampling_steps', 'slat_guidance_strength', 'slat_sampling_steps', 'mesh_simplify', 'texture_size'
-                ]
-            },
-            {
-                id: 'tripo3d/tripo/v2.5/multiview-to-3d',
-                name: 'Tripo3D v2.5 Multiview-to-3D',
-                description: 'Generate a 3D model from multiple views using Tripo3D.',
-                params: [
-                    'front_image_url', 'left_image_url', 'back_image_url', 'right_image_url', 'seed', 'face_limit', 'pbr', 'texture', 'texture_seed', 'auto_size', 'style', 'quad', 'texture_alignment', 'orientation'
-                ]
-            },
-            {
-                id: 'fal-ai/hunyuan3d/v2/multi-view',
-                name: 'Hunyuan3D v2 Multi-view',
-                description: 'Hunyuan3D v2 multi-view image to 3D.',
-                params: [
-                    'front_image_url', 'back_image_url', 'left_image_url', 'seed', 'num_inference_steps', 'guidance_scale', 'octree_resolution', 'textured_mesh'
-                ]
-            },
-            {
-                id: 'fal-ai/trellis/multi',
-                name: 'Trellis Multi',
-                description: 'Trellis multi-image to 3D.',
-                params: [
-                    'image_urls', 'seed', 'ss_guidance_strength', 'ss_sampling_steps', 'slat_guidance_strength', 'slat_sampling_steps', 'mesh_simplify', 'texture_size', 'multiimage_algo'
-                ]
-            },
-            {
-                id: 'fal-ai/hunyuan3d/v2',
-                name: 'Hunyuan3D v2',
-                description: 'Hunyuan3D v2 single image to 3D.',
-                params: [
-                    'input_image_url', 'seed', 'num_inference_steps', 'guidance_scale', 'octree_resolution', 'textured_mesh'
-                ]
-            },
-            {
-                id: 'fal-ai/hunyuan3d/v2/turbo',
-                name: 'Hunyuan3D v2 Turbo',
-                description: 'Hunyuan3D v2 turbo single image to 3D.',
-                params: [
-                    'input_image_url', 'seed', 'num_inference_steps', 'guidance_scale', 'octree_resolution', 'textured_mesh'
-                ]
-            },
-            {
-                id: 'fal-ai/triposr',
-                name: 'TripoSR',
-                description: 'TripoSR image to 3D model generation.',
-                params: [
-                    'image_url', 'output_format', 'do_remove_background', 'foreground_ratio', 'mc_resolution'
-                ]
-            }
-        ];
+        const supportedModels = modelRegistry.getServiceModels('image-to-3d');
         super('imageTo3D', supportedModels);
         this.supportedModels = supportedModels;
     }
@@ -118,11 +37,11 @@ class ImageTo3DService extends BaseFalaiService {
         return mapped;
     }
 
-    async generateContent({ modelId, params }) {
+    async generateContent({ modelId, params }, options = {}) {
         const mappedParams = this.mapParams(modelId, params);
         let requestId;
         try {
-            const submitResult = await fal.queue.submit(modelId, {
+            const submitResult = await fal.queue.submit(modelRegistry.getEndpoint(modelId), {
                 input: mappedParams
             });
             requestId = submitResult.request_id;
@@ -138,10 +57,11 @@ class ImageTo3DService extends BaseFalaiService {
         const pollIntervalMs = 2000; // Poll every 2 seconds
         while (pollCount < maxPolls) {
             try {
-                status = await fal.queue.status(modelId, {
+                status = await fal.queue.status(modelRegistry.getEndpoint(modelId), {
                     requestId,
-                    logs: false
+                    logs: true
                 });
+                this.reportProgress(options, { ...status, request_id: requestId });
                 if (status.status === 'COMPLETED') break;
                 if (status.status === 'FAILED' || status.status === 'CANCELLED') {
                     throw new Error(`fal.ai async request failed with status: ${status.status}`);
@@ -158,7 +78,7 @@ class ImageTo3DService extends BaseFalaiService {
         // Fetch the result
         let result;
         try {
-            result = await fal.queue.result(modelId, { requestId });
+            result = await fal.queue.result(modelRegistry.getEndpoint(modelId), { requestId });
             logger.debug(`[ImageTo3DService] Full fal.ai result for model ${modelId}:`, JSON.stringify(result, null, 2));
         } catch (err) {
             throw new Error('Error fetching fal.ai async result: ' + err.message);
@@ -1,72 +1,12 @@
 const BaseFalaiService = require('../BaseFalaiService');
 const { fal } = require('@fal-ai/client');
 const logger = require('../../../utils/logger');
+const { modelRegistry } = require('../../../config/modelRegistry');
 
 class ImageToImageService extends BaseFalaiService {
     constructor() {
         // Define supported models first
-        const supportedModels = [
-            {
-                id: 'fal-ai/image-editing/background-change',
-                name: 'Background Change',
-                description: 'Replace photo backgrounds with any scene while preserving the main subject.',
-                params: ['image_url', 'prompt', 'guidance_scale', 'num_inference_steps', 'safety_tolerance', 'output_format', 'aspect_ratio', 'seed', 'sync_mode']
-            },
-            {
-                id: 'fal-ai/image-editing/face-enhancement',
-                name: 'Face Enhancement',
-                description: 'Professional facial retouching with natural-looking enhancements.',
-                params: ['image_url', 'guidance_scale', 'num_inference_steps', 'safety_tolerance', 'output_format', 'aspect_ratio', 'seed', 'sync_mode']
-            },
-            {
-                id: 'fal-ai/image-editing/color-correction',
-                name: 'Color Correction',
-                description: 'Professional color grading and tone adjustment for consistent results.',
-                params: ['image_url', 'guidance_scale', 'num_inference_steps', 'safety_tolerance', 'output_format', 'aspect_ratio', 'seed', 'sync_mode']
-            },
-            {
-                id: 'fal-ai/post-processing/sharpen',
-                name: 'Image Sharpening',
-                description: 'Apply sharpening effects with three modes: basic, smart, and CAS.',
-                params: ['image_url', 'sharpen_mode', 'sharpen_radius', 'sharpen_alpha', 'noise_radius', 'preserve_edges', 'smart_sharpen_strength', 'smart_sharpen_ratio', 'cas_amount']
-            },
-            {
-                id: 'fal-ai/image-editing/object-removal',
-                name: 'Object Removal',
-                description: 'Remove unwanted objects from photos with seamless background reconstruction.',
-                params: ['image_url', 'prompt', 'guidance_scale', 'num_inference_steps', 'safety_tolerance', 'output_format', 'aspect_ratio', 'seed', 'sync_mode']
-            },
-            {
-                id: 'fal-ai/flux/dev/image-to-image',
-                name: 'FLUX Dev Image-to-Image',
-                description: 'High-quality image transformation with 12B parameter flow transformer.',
-                params: ['image_url', 'prompt', 'strength', 'num_inference_steps', 'seed', 'guidance_scale', 'sync_mode', 'num_images', 'enable_safety_checker', 'output_format', 'acceleration']
-            },
-            {
-                id: 'fal-ai/recraft/v3/image-to-image',
-                name: 'Recraft V3 Image-to-Image',
-                description: 'Advanced image editing with typography and vector art capabilities.',
-                params: ['prompt', 'image_url', 'strength', 'style', 'colors', 'style_id', 'negative_prompt', 'sync_mode']
-            },
-            {
-                id: 'fal-ai/luma-photon/modify',
-                name: 'Luma Photon Modify',
-                description: 'Creative, personalizable image editing with intelligent visual models.',
-                params: ['prompt', 'image_url', 'strength', 'aspect_ratio']
-            },
-            {
-                id: 'fal-ai/bytedance/seededit/v3/edit-image',
-                name: 'ByteDance SeedEdit V3',
-                description: 'Accurate image editing with precise content preservation.',
-                params: ['prompt', 'image_url', 'guidance_scale', 'seed']
-            },
-            {
-                id: 'fal-ai/flux-pro/kontext/max/multi',
-                name: 'FLUX Pro Kontext Max Multi',
-                description: 'Premium image editing with multiple image support and improved prompt adherence.',
-                params: ['prompt', 'seed', 'guidance_scale', 'sync_mode', 'num_images', 'output_format', 'safety_tolerance', 'aspect_ratio', 'image_urls']
-            }
-        ];
+        const supportedModels = modelRegistry.getServiceModels('image-to-image');
 
         // Call parent constructor with service name and supported models
         super('imageToImage', supportedModels);
@@ -134,6 +74,16 @@ class ImageToImageService extends BaseFalaiService {
                     sync_mode: enforcedSyncMode
                 };
             
+            case 'fal-ai/esrgan':
+                return {
+                    image_url: params.image_url,
+                    scale: params.scale || 2,
+                    model: params.model || 'RealESRGAN_x4plus',
+                    face: params.face === true,
+                    tile: params.tile || 0,
+                    output_format: enforcedOutputFormat
+                };
+            
             case 'fal-ai/image-editing/object-removal':
                 return {
                     image_url: params.image_url,
@@ -224,7 +174,7 @@ class ImageToImageService extends BaseFalaiService {
         }
     }
 
-    async generateContent({ modelId, params }) {
+    async generateContent({ modelId, params }, options = {}) {
         // Enforce output_format and async mode
         const mappedParams = this.mapParams(modelId, params);
         mappedParams.output_format = mappedParams.output_format === 'png' ? 'png' : 'jpeg';
@@ -233,7 +183,7 @@ class ImageToImageService extends BaseFalaiService {
         // Use the imported fal client directly
         let requestId;
         try {
-            const submitResult = await fal.queue.submit(modelId, {
+            const submitResult = await fal.queue.submit(modelRegistry.getEndpoint(modelId), {
                 input: mappedParams
             });
             requestId = submitResult.request_id;
@@ -250,10 +200,11 @@ class ImageToImageService extends BaseFalaiService {
         const pollIntervalMs = 1000;
         while (pollCount < maxPolls) {
             try {
-                status = await fal.queue.status(modelId, {
+                status = await fal.queue.status(modelRegistry.getEndpoint(modelId), {
                     requestId,
-                    logs: false
+                    logs: true
                 });
+                this.reportProgress(options, { ...status, request_id: requestId });
                 if (status.status === 'COMPLETED') break;
                 if (status.status === 'FAILED' || status.status === 'CANCELLED') {
                     throw new Error(`fal.ai async request failed with status: ${status.status}`);
@@ -271,7 +222,7 @@ class ImageToImageService extends BaseFalaiService {
         // Fetch the result
         let result;
         try {
-            result = await fal.queue.result(modelId, { requestId });
+            result = await fal.queue.result(modelRegistry.getEndpoint(modelId), { requestId });
             logger.debug(`[ImageToImageService] Full fal.ai result for model ${modelId}:`, JSON.stringify(result, null, 2));
         } catch (err) {
             throw new Error('Error fetching fal.ai async result: ' + err.message);
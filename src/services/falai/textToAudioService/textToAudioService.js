@@ -1,79 +1,9 @@
 const BaseFalaiService = require('../BaseFalaiService');
 const { fal } = require('@fal-ai/client');
 const logger = require('../../../utils/logger');
+const { modelRegistry } = require('../../../config/modelRegistry');
 
-const SUPPORTED_MODELS = [
-  {
-    id: 'fal-ai/lyria2',
-    name: 'Lyria 2 Text-to-Music',
-    description: "Generate music using Google's Lyria 2 text-to-music model.",
-    category: 'music',
-    params: ['prompt', 'negative_prompt', 'seed']
-  },
-  {
-    id: 'fal-ai/ace-step',
-    name: 'ACE-Step Text-to-Audio',
-    description: 'Generate audio from text using the ACE-Step model.',
-    category: 'music',
-    params: ['tags', 'lyrics', 'duration', 'number_of_steps', 'seed', 'scheduler', 'guidance_type', 'granularity_scale', 'guidance_interval', 'guidance_interval_decay', 'guidance_scale', 'minimum_guidance_scale', 'tag_guidance_scale', 'lyric_guidance_scale']
-  },
-  {
-    id: 'fal-ai/ace-step/prompt-to-audio',
-    name: 'ACE-Step Prompt-to-Audio',
-    description: 'Generate audio from a prompt using the ACE-Step model.',
-    category: 'music',
-    params: ['prompt', 'instrumental', 'duration', 'number_of_steps', 'seed', 'scheduler', 'guidance_type', 'granularity_scale', 'guidance_interval', 'guidance_interval_decay', 'guidance_scale', 'minimum_guidance_scale', 'tag_guidance_scale', 'lyric_guidance_scale']
-  },
-  {
-    id: 'CassetteAI/music-generator',
-    name: 'CassetteAI Music Generator',
-    description: 'Generate music from a text prompt using CassetteAI.',
-    category: 'music',
-    params: ['prompt', 'duration']
-  },
-  {
-    id: 'cassetteai/sound-effects-generator',
-    name: 'CassetteAI Sound Effects Generator',
-    description: 'Generate high-quality sound effects from a prompt using CassetteAI.',
-    category: 'sound',
-    params: ['prompt', 'duration']
-  },
-  {
-    id: 'fal-ai/diffrhythm',
-    name: 'DiffRhythm',
-    description: 'Generate full songs from lyrics using DiffRhythm.',
-    category: 'music',
-    params: ['lyrics', 'reference_audio_url', 'style_prompt', 'music_duration', 'cfg_strength', 'scheduler', 'num_inference_steps']
-  },
-  {
-    id: 'fal-ai/elevenlabs/sound-effects',
-    name: 'ElevenLabs Sound Effects',
-    description: 'Generate sound effects using ElevenLabs advanced model.',
-    category: 'sound',
-    params: ['text', 'duration_seconds', 'prompt_influence']
-  },
-  {
-    id: 'fal-ai/yue',
-    name: 'YuE',
-    description: 'Generate music from lyrics and genres using YuE.',
-    category: 'music',
-    params: ['lyrics', 'genres']
-  },
-  {
-    id: 'fal-ai/mmaudio-v2/text-to-audio',
-    name: 'MMAudio V2',
-    description: 'Generate synchronized audio from text using MMAudio V2.',
-    category: 'audio',
-    params: ['prompt', 'negative_prompt', 'seed', 'num_steps', 'duration', 'cfg_strength', 'mask_away_clip']
-  },
-  {
-    id: 'fal-ai/minimax-music',
-    name: 'MiniMax Music',
-    description: 'Generate music from lyrics and reference audio using MiniMax.',
-    category: 'music',
-    params: ['prompt', 'reference_audio_url']
-  }
-];
+const SUPPORTED_MODELS = modelRegistry.getServiceModels('text-to-audio');
 
 class TextToAudioService extends BaseFalaiService {
   constructor() {
@@ -107,7 +37,7 @@ class TextToAudioService extends BaseFalaiService {
       }
     }
     // Validate required fields for this model only
-    const missingRequired = allowedParams.filter(
+    const missingRequired = modelRegistry.getRequiredParams(modelId).filter(
       (param) => !Object.prototype.hasOwnProperty.call(input, param) || input[param] === undefined || input[param] === null
     );
     if (missingRequired.length > 0) {
@@ -153,13 +83,14 @@ class TextToAudioService extends BaseFalaiService {
       }
       logger.info('[TextToAudioService] Final payload to Fal API', { modelId, falInput });
       try {
-        const result = await fal.subscribe(modelId, {
+        const result = await fal.subscribe(modelRegistry.getEndpoint(modelId), {
           input: falInput,
           logs: true,
           onQueueUpdate: (update) => {
             if (update.status === 'IN_PROGRESS' && update.logs) {
               update.logs.map((log) => log.message).forEach(logger.info);
             }
+            this.reportProgress(options, update);
           }
         });
         if (modelId === 'fal-ai/yue') {
@@ -1,67 +1,13 @@
 const BaseFalaiService = require('../BaseFalaiService');
 const { fal } = require('@fal-ai/client');
 const logger = require('../../../utils/logger');
+const { modelRegistry } = require('../../../config/modelRegistry');
 
 class TextToSpeechService extends BaseFalaiService {
     constructor() {
         super();
-        // Supported TTS models from modelinfo.txt
-        this.supportedModels = [
-            {
-                id: 'resemble-ai/chatterboxhd/text-to-speech',
-                name: 'ChatterboxHD TTS',
-                description: 'High-quality TTS with voice selection, emotion, and more.',
-                params: ['text', 'voice', 'audio_url', 'exaggeration', 'cfg', 'high_quality_audio', 'seed', 'temperature']
-            },
-            {
-                id: 'fal-ai/orpheus-tts',
-                name: 'Orpheus TTS',
-                description: 'Expressive TTS with emotive tags and voice selection.',
-                params: ['text', 'voice', 'temperature', 'repetition_penalty']
-            },
-            {
-                id: 'fal-ai/minimax/speech-02-hd',
-                name: 'MiniMax Speech 02 HD',
-                description: 'HD TTS with advanced voice and audio settings.',
-                params: ['text', 'voice_setting', 'audio_setting', 'language_boost', 'output_format', 'pronunciation_dict']
-            },
-            {
-                id: 'fal-ai/dia-tts',
-                name: 'Dia Dialogue TTS',
-                description: 'Dialogue TTS for multi-speaker scripts.',
-                params: ['text']
-            },
-            {
-                id: 'fal-ai/minimax/voice-clone',
-                name: 'MiniMax Voice Clone',
-                description: 'Clone a voice from an audio URL and generate TTS.',
-                params: ['audio_url', 'noise_reduction', 'need_volume_normalization', 'accuracy', 'text', 'model']
-            },
-            {
-                id: 'fal-ai/playai/tts/v3',
-                name: 'PlayAI TTS v3',
-                description: 'PlayAI TTS with voice presets and reproducibility.',
-                params: ['input', 'voice', 'response_format', 'seed']
-            },
-            {
-                id: 'fal-ai/elevenlabs/tts/turbo-v2.5',
-                name: 'ElevenLabs Turbo v2.5',
-                description: 'ElevenLabs TTS with multi-language and voice control.',
-                params: ['text', 'voice', 'stability', 'similarity_boost', 'style', 'speed', 'timestamps', 'previous_text', 'next_text', 'language_code']
-            },
-            {
-                id: 'fal-ai/minimax/speech-02-turbo',
-                name: 'MiniMax Speech 02 Turbo',
-                description: 'Turbo TTS for fast, high-quality speech.',
-                params: ['text', 'voice_setting', 'audio_setting', 'language_boost', 'output_format', 'pronunciation_dict']
-            },
-            {
-                id: 'fal-ai/chatterbox/text-to-speech',
-                name: 'Chatterbox TTS',
-                description: 'Chatterbox TTS with emotive tags and reference audio.',
-                params: ['text', 'audio_url', 'exaggeration', 'temperature', 'cfg', 'seed']
-            }
-        ];
+        // Supported TTS models from the model registry
+        this.supportedModels = modelRegistry.getServiceModels('text-to-speech');
     }
 
     // Map generic params to model-specific input
@@ -142,7 +88,7 @@ class TextToSpeechService extends BaseFalaiService {
         }
     }
 
-    async generateContent({ modelId, params }) {
+    async generateContent({ modelId, params }, options = {}) {
         try {
             // Filter out operation and modelId from params
             const filteredParams = { ...params };
@@ -150,9 +96,10 @@ class TextToSpeechService extends BaseFalaiService {
             delete filteredParams.modelId;
             const input = this.mapParams(modelId, filteredParams);
             logger.info(`[TTS] Generating with model ${modelId} and input:`, input);
-            const result = await fal.subscribe(modelId, {
+            const result = await fal.subscribe(modelRegistry.getEndpoint(modelId), {
                 input,
-                logs: true
+                logs: true,
+                onQueueUpdate: (update) => this.reportProgress(options, update)
             });
             return {
                 audio: result.data?.audio?.url || result.data?.audio_url || null,
@@ -1,80 +1,9 @@
 const BaseFalaiService = require('../BaseFalaiService');
 const { fal } = require('@fal-ai/client');
 const logger = require('../../../utils/logger');
+const { modelRegistry } = require('../../../config/modelRegistry');
 
-const SUPPORTED_MODELS = [
-  // Cost-Effective Models (Higher Quality, Higher Cost)
-  {
-    id: 'fal-ai/kling-video/v2/master/text-to-video',
-    name: 'Kling 2.0 Master',
-    description: 'Kling 2.0 Master Text to Video API with enhanced text understanding, motion quality, and visual quality.',
-    category: 'cost-effective',
-    params: ['prompt', 'duration', 'aspect_ratio', 'negative_prompt', 'cfg_scale']
-  },
-  {
-    id: 'fal-ai/bytedance/seedance/v1/pro/text-to-video',
-    name: 'Seedance 1.0 Pro',
-    description: 'High quality video generation model developed by Bytedance with 1080p resolution.',
-    category: 'cost-effective',
-    params: ['prompt', 'aspect_ratio', 'resolution', 'duration', 'camera_fixed', 'seed']
-  },
-  {
-    id: 'fal-ai/pixverse/v4/text-to-video/fast',
-    name: 'Text To Video Fast V4',
-    description: 'PixVerse V4 Fast: High quality, fast text-to-video generation with support for aspect ratio, resolution, style, and negative prompt.',
-    category: 'cost-effective',
-    params: ['prompt', 'aspect_ratio', 'resolution', 'negative_prompt', 'style', 'seed']
-  },
-  {
-    id: 'fal-ai/pixverse/v4.5/text-to-video',
-    name: 'PixVerse V4.5',
-    description: 'PixVerse V4.5: High quality text-to-video generation with support for aspect ratio, resolution, style, duration, and negative prompt.',
-    category: 'cost-effective',
-    params: ['prompt', 'aspect_ratio', 'resolution', 'duration', 'negative_prompt', 'style', 'seed']
-  },
-  {
-    id: 'fal-ai/wan-pro/text-to-video',
-    name: 'Wan Pro',
-    description: 'Generate a 6-second 1080p video (at 30 FPS) from text using an enhanced version of Wan 2.1.',
-    category: 'cost-effective',
-    params: ['prompt', 'seed', 'enable_safety_checker']
-  },
-  {
-    id: 'fal-ai/luma-dream-machine/ray-2-flash',
-    name: 'Luma Ray2 Flash',
-    description: 'Luma Ray2 Flash: State of the art text-to-video generation with advanced aspect ratio, resolution, and looping support.',
-    category: 'cost-effective',
-    params: ['prompt', 'aspect_ratio', 'loop', 'resolution', 'duration']
-  },
-  {
-    id: 'fal-ai/pika/v2.2/text-to-video',
-    name: 'Pika 2.2',
-    description: 'Pika 2.2: High quality text-to-video generation with support for resolution and duration options.',
-    category: 'cost-effective',
-    params: ['prompt', 'seed', 'negative_prompt', 'aspect_ratio', 'resolution', 'duration']
-  },
-  {
-    id: 'fal-ai/minimax/hailuo-02/standard/text-to-video',
-    name: 'MiniMax Hailuo-02',
-    description: 'MiniMax Hailuo-02: Advanced video generation model with 768p resolution and prompt optimization.',
-    category: 'cost-effective',
-    params: ['prompt', 'duration', 'prompt_optimizer']
-  },
-  {
-    id: 'fal-ai/veo3',
-    name: 'Veo 3',
-    description: 'Veo 3: Generate videos using Google’s Veo 3 Fast model with advanced prompt enhancement and audio support.',
-    category: 'cost-effective',
-    params: ['prompt', 'aspect_ratio', 'duration', 'negative_prompt', 'seed', 'resolution', 'generate_audio']
-  },
-  {
-    id: 'fal-ai/veo2',
-    name: 'Veo 2',
-    description: 'Veo 2: Generate videos using Google’s Veo 2 text-to-video model with advanced prompt enhancement.',
-    category: 'cost-effective',
-    params: ['prompt', 'aspect_ratio', 'duration', 'negative_prompt', 'seed']
-  }
-];
+const SUPPORTED_MODELS = modelRegistry.getServiceModels('text-to-video');
 
 class TextToVideoService extends BaseFalaiService {
   constructor() {
@@ -118,13 +47,14 @@ class TextToVideoService extends BaseFalaiService {
         input: { ...falInput, prompt: falInput.prompt?.substring(0, 100) + '...' }
       });
 
-      const result = await fal.subscribe(modelId, {
+      const result = await fal.subscribe(modelRegistry.getEndpoint(modelId), {
         input: falInput,
         logs: true,
         onQueueUpdate: (update) => {
           if (update.status === 'IN_PROGRESS' && update.logs) {
             update.logs.map((log) => log.message).forEach(logger.info);
           }
+          this.reportProgress(options, update);
         }
       });
 
@@ -1,6 +1,7 @@
 const BaseFalaiService = require('../BaseFalaiService');
 const { fal } = require('@fal-ai/client');
 const logger = require('../../../utils/logger');
+const { modelRegistry } = require('../../../config/modelRegistry');
 
 // Utility to remove undefined/null fields from params
 function cleanParams(obj) {
@@ -16,95 +17,7 @@ function cleanParams(obj) {
 
 class VideoToVideoService extends BaseFalaiService {
     constructor() {
-        const supportedModels = [
-            {
-                id: 'fal-ai/luma-dream-machine/ray-2/modify',
-                name: 'Ray2 Modify Video',
-                description: 'Ray2 Modify is a video generative model capable of restyling or retexturing the entire shot.',
-                params: ['video_url', 'image_url', 'prompt', 'mode']
-            },
-            {
-                id: 'fal-ai/wan-vace-14b',
-                name: 'Wan VACE 14B',
-                description: 'Endpoint for inpainting a video from all supported sources.',
-                params: [
-                    'prompt', 'negative_prompt', 'match_input_num_frames', 'num_frames', 'match_input_frames_per_second',
-                    'frames_per_second', 'task', 'seed', 'resolution', 'aspect_ratio', 'num_inference_steps',
-                    'guidance_scale', 'video_url', 'mask_video_url', 'mask_image_url', 'ref_image_urls',
-                    'enable_safety_checker', 'enable_prompt_expansion', 'preprocess', 'acceleration'
-                ]
-            },
-            // 8 new models
-            {
-                id: 'fal-ai/ltx-video-13b-distilled/multiconditioning',
-                name: 'LTX Video 13B Multiconditioning',
-                description: 'Generate a video from a prompt and any number of images and video.',
-                params: [
-                    'prompt', 'negative_prompt', 'loras', 'resolution', 'aspect_ratio', 'seed', 'num_frames',
-                    'first_pass_num_inference_steps', 'first_pass_skip_final_steps', 'second_pass_num_inference_steps',
-                    'second_pass_skip_initial_steps', 'frame_rate', 'expand_prompt', 'reverse_video',
-                    'enable_safety_checker', 'constant_rate_factor', 'images', 'videos'
-                ]
-            },
-            {
-                id: 'fal-ai/magi/extend-video',
-                name: 'Magi Extend Video',
-                description: 'Generate a video extension.',
-                params: [
-                    'prompt', 'video_url', 'num_frames', 'start_frame', 'seed', 'resolution', 'num_inference_steps',
-                    'enable_safety_checker', 'aspect_ratio'
-                ]
-            },
-            {
-                id: 'fal-ai/pixverse/lipsync',
-                name: 'Pixverse Lipsync',
-                description: 'Create a lipsync video by combining a video with audio.',
-                params: [
-                    'video_url', 'audio_url', 'voice_id', 'text'
-                ]
-            },
-            {
-                id: 'fal-ai/pixverse/extend/fast',
-                name: 'Pixverse Extend Fast',
-                description: 'Extend a video by generating new content based on its ending using fast mode.',
-                params: [
-                    'video_url', 'prompt', 'negative_prompt', 'style', 'resolution', 'model', 'seed'
-                ]
-            },
-            {
-                id: 'fal-ai/fast-animatediff/turbo/video-to-video',
-                name: 'Fast AnimateDiff Turbo Video-to-Video',
-                description: 'Turbo Video To Video.',
-                params: [
-                    'video_url', 'first_n_seconds', 'prompt', 'negative_prompt', 'num_inference_steps', 'strength',
-                    'guidance_scale', 'seed', 'fps', 'motions'
-                ]
-            },
-            {
-                id: 'fal-ai/video-upscaler',
-                name: 'Video Upscaler',
-                description: 'Upscale a video.',
-                params: [
-                    'video_url', 'scale'
-                ]
-            },
-            {
-                id: 'fal-ai/amt-interpolation',
-                name: 'AMT Interpolation',
-                description: 'Interpolate video frames.',
-                params: [
-                    'video_url', 'output_fps', 'recursive_interpolation_passes'
-                ]
-            },
-            {
-                id: 'fal-ai/ffmpeg-api/merge-audio-video',
-                name: 'FFmpeg Merge Audio Video',
-                description: 'Combine video and audio into a single file.',
-                params: [
-                    'video_url', 'audio_url', 'start_offset'
-                ]
-            }
-        ];
+        const supportedModels = modelRegistry.getServiceModels('video-to-video');
         super('videoToVideo', supportedModels);
         this.supportedModels = supportedModels;
     }
@@ -279,7 +192,7 @@ class VideoToVideoService extends BaseFalaiService {
         }
     }
 
-    async generateContent({ modelId, params }) {
+    async generateContent({ modelId, params }, options = {}) {
         const mappedParams = this.mapParams(modelId, params);
         // Per-model required field validation
         const modelRequiredFields = {
@@ -329,7 +242,7 @@ class VideoToVideoService extends BaseFalaiService {
                     modelId,
                     mappedParams: JSON.stringify(mappedParams, null, 2)
                 });
-                const result = await fal.subscribe(modelId, {
+                const result = await fal.subscribe(modelRegistry.getEndpoint(modelId), {
                     input: mappedParams,
                     logs: true,
                     onQueueUpdate: (update) => {
@@ -339,6 +252,7 @@ class VideoToVideoService extends BaseFalaiService {
                         if (update.status) {
                             logger.debug(`[VideoToVideoService][Fal.ai Status] ${update.status} (request_id: ${update.request_id})`);
                         }
+                        this.reportProgress(options, update);
                     }
                 });
                 logger.debug('[VideoToVideoService] Fal.ai subscribe result',
@@ -367,7 +281,7 @@ class VideoToVideoService extends BaseFalaiService {
         let requestId;
         try {
             logger.debug('[VideoToVideoService] Submitting to Fal.ai via queue.submit', { modelId, mappedParams });
-            const submitResult = await fal.queue.submit(modelId, {
+            const submitResult = await fal.queue.submit(modelRegistry.getEndpoint(modelId), {
                 input: mappedParams
             });
             requestId = submitResult.request_id;
@@ -385,11 +299,12 @@ class VideoToVideoService extends BaseFalaiService {
         const pollIntervalMs = 1000;
         while (pollCount < maxPolls) {
             try {
-                status = await fal.queue.status(modelId, {
+                status = await fal.queue.status(modelRegistry.getEndpoint(modelId), {
                     requestId,
                     logs: true
                 });
                 logger.debug(`[VideoToVideoService] Poll ${pollCount + 1} status:`, status);
+                this.reportProgress(options, { ...status, request_id: requestId });
                 if (status.status === 'COMPLETED') break;
                 if (status.status === 'FAILED' || status.status === 'CANCELLED') {
                     logger.error(`[VideoToVideoService] Fal.ai request failed`, status);
@@ -409,7 +324,7 @@ class VideoToVideoService extends BaseFalaiService {
         // Fetch the result
         let result;
         try {
-            result = await fal.queue.result(modelId, { requestId });
+            result = await fal.queue.result(modelRegistry.getEndpoint(modelId), { requestId });
             logger.debug(`[VideoToVideoService] Full fal.ai result for model ${modelId}:`, JSON.stringify(result, null, 2));
         } catch (err) {
             throw new Error('Error fetching fal.ai async result: ' + err.message);
@@ -0,0 +1,224 @@
+/**
+ * @fileoverview Brand Research Service - Structured brand brief for a campaign
+ * @description Asks the LLM client for the client's tone, palette, audience and do/don't list as JSON.
+ * When the stub client is active or the LLM response is unusable, the brief is derived from the
+ * campaign data directly so sessions always get one.
+ */
+
+const logger = require('../../utils/logger');
+const { createLlmClient } = require('./llmClientFactory');
+
+// Limits keep the brief small enough for a Slack section and a prompt
+const MAX_PALETTE_COLORS = 6;
+const MAX_GUIDELINES = 5;
+const MAX_FIELD_LENGTH = 300;
+
+// Color words recognized when deriving a palette from the campaign text
+const COLOR_HEX = {
+    red: '#D62828',
+    orange: '#F77F00',
+    yellow: '#FCBF49',
+    gold: '#D4AF37',
+    green: '#2A9D8F',
+    teal: '#008080',
+    blue: '#1D4ED8',
+    navy: '#1B263B',
+    purple: '#7B2CBF',
+    pink: '#FF70A6',
+    pastel: '#F4D6CC',
+    black: '#111111',
+    white: '#FFFFFF',
+    gray: '#8D99AE',
+    grey: '#8D99AE',
+    silver: '#C0C0C0',
+    beige: '#E9DCC9',
+    brown: '#7F5539'
+};
+
+const SYSTEM_INSTRUCTION = [
+    'You are a brand strategist preparing a brief for a creative team that generates AI images, video and audio.',
+    'Reply with JSON only, matching: {"tone": string, "palette": [{"name": string, "hex": "#RRGGBB"}], "audience": string, "dos": [string], "donts": [string]}.',
+    `Use at most ${MAX_PALETTE_COLORS} palette colors and ${MAX_GUIDELINES} items per list.`
+].join(' ');
+
+class BrandResearchService {
+    constructor(llmClient = null) {
+        this.llmClient = llmClient;
+    }
+
+    /**
+     * Replace the LLM client (any object with generateText({ systemInstruction, prompt, brief }))
+     * @param {Object} llmClient - LLM client
+     */
+    setLlmClient(llmClient) {
+        this.llmClient = llmClient;
+    }
+
+    getLlmClient() {
+        if (!this.llmClient) {
+            this.llmClient = createLlmClient();
+        }
+        return this.llmClient;
+    }
+
+    /**
+     * Produce a brand brief for the session's client and campaign
+     * @param {Object} session - MCP session
+     * @returns {Promise<Object>} { clientName, tone, palette, audience, dos, donts, source, createdAt }
+     */
+    async research(session) {
+        const campaign = {
+            clientName: session.clientName || null,
+            campaignIdea: session.campaignIdea || null,
+            creativeDirections: session.creativeDirections || null,
+            visualDirections: session.visualDirections || null
+        };
+
+        const llmClient = this.getLlmClient();
+        let brief = null;
+        let source = 'campaign';
+
+        if (llmClient.name !== 'stub') {
+            try {
+                const text = await llmClient.generateText({
+                    systemInstruction: SYSTEM_INSTRUCTION,
+                    prompt: this.buildPrompt(campaign),
+                    brief: campaign
+                });
+                brief = this.normalizeBrief(this.parseJson(text));
+                source = llmClient.name || 'custom';
+            } catch (error) {
+                logger.warn('Brand research via LLM failed, deriving the brief from campaign data', {
+                    sessionId: session.sessionId,
+                    provider: llmClient.name,
+                    error: error.message
+                });
+            }
+        }
+
+        if (!brief) {
+            brief = this.deriveFromCampaign(campaign);
+        }
+
+        logger.gemini('Brand brief created', {
+            sessionId: session.sessionId,
+            source,
+            paletteSize: brief.palette.length
+        });
+
+        return {
+            clientName: campaign.clientName,
+            ...brief,
+            source,
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    buildPrompt(campaign) {
+        return [
+            `Client: ${campaign.clientName || 'n/a'}`,
+            `Campaign idea: ${campaign.campaignIdea || 'n/a'}`,
+            `Creative directions: ${campaign.creativeDirections || 'n/a'}`,
+            `Visual directions: ${campaign.visualDirections || 'n/a'}`,
+            'Research the brand and write the brief.'
+        ].join('\n');
+    }
+
+    /**
+     * Extract the JSON object from an LLM reply (tolerates code fences and surrounding text)
+     */
+    parseJson(text) {
+        const match = String(text || '').match(/\{[\s\S]*\}/);
+        if (!match) {
+            throw new Error('LLM reply did not contain a JSON object');
+        }
+        return JSON.parse(match[0]);
+    }
+
+    /**
+     * Validate and trim an LLM-produced brief
+     * @throws {Error} When required fields are missing
+     */
+    normalizeBrief(raw) {
+        const text = value => (typeof value === 'string' ? value.trim().substring(0, MAX_FIELD_LENGTH) : '');
+        const list = value => (Array.isArray(value) ? value.map(text).filter(Boolean).slice(0, MAX_GUIDELINES) : []);
+
+        const palette = (Array.isArray(raw.palette) ? raw.palette : [])
+            .map(color => ({ name: text(color?.name), hex: text(color?.hex).toUpperCase() }))
+            .filter(color => color.name && /^#[0-9A-F]{6}$/.test(color.hex))
+            .slice(0, MAX_PALETTE_COLORS);
+
+        const brief = {
+            tone: text(raw.tone),
+            palette,
+            audience: text(raw.audience),
+            dos: list(raw.dos),
+            donts: list(raw.donts)
+        };
+
+        if (!brief.tone || !brief.audience) {
+            throw new Error('LLM brief is missing tone or audience');
+        }
+        return brief;
+    }
+
+    /**
+     * Build a brief from the campaign fields alone
+     */
+    deriveFromCampaign(campaign) {
+        const directions = [campaign.creativeDirections, campaign.visualDirections].filter(Boolean).join(', ');
+        const allText = [campaign.campaignIdea, directions].filter(Boolean).join(' ').toLowerCase();
+
+        const toneWords = (campaign.creativeDirections || '')
+            .split(/,|;|\band\b/)
+            .map(word => word.trim())
+            .filter(Boolean)
+            .slice(0, 3);
+
+        const palette = Object.keys(COLOR_HEX)
+            .filter(color => new RegExp(`\\b${color}\\b`).test(allText))
+            .filter((color, index, colors) => !(color === 'grey' && colors.includes('gray')))
+            .slice(0, MAX_PALETTE_COLORS)
+            .map(color => ({ name: color.charAt(0).toUpperCase() + color.slice(1), hex: COLOR_HEX[color] }));
+
+        const dos = [];
+        if (campaign.campaignIdea) dos.push(`Keep the campaign idea front and centre: ${campaign.campaignIdea}`.substring(0, MAX_FIELD_LENGTH));
+        if (campaign.visualDirections) dos.push(`Follow the visual direction: ${campaign.visualDirections}`.substring(0, MAX_FIELD_LENGTH));
+        if (palette.length > 0) dos.push(`Stay within the ${palette.map(color => color.name.toLowerCase()).join(', ')} palette`);
+
+        return {
+            tone: toneWords.length > 0 ? toneWords.join(', ') : 'Clear, confident and on-brand',
+            palette,
+            audience: 'Not specified in the brief; confirm the target audience with the client',
+            dos,
+            donts: [
+                campaign.clientName ? `Don't show competitor branding next to ${campaign.clientName}` : 'Don\'t show competitor branding',
+                'Don\'t add text or logos the model cannot render accurately'
+            ]
+        };
+    }
+
+    /**
+     * Render a brief as prompt context lines (for prompt enhancement and generation prompts)
+     * @param {Object} brief - Stored brand brief
+     * @returns {string} Multi-line text, empty when there is no brief
+     */
+    formatForPrompt(brief) {
+        if (!brief) {
+            return '';
+        }
+
+        const lines = [`Brand tone: ${brief.tone}`];
+        if (brief.palette?.length) {
+            lines.push(`Brand palette: ${brief.palette.map(color => `${color.name} (${color.hex})`).join(', ')}`);
+        }
+        if (brief.audience) lines.push(`Audience: ${brief.audience}`);
+        if (brief.dos?.length) lines.push(`Do: ${brief.dos.join('; ')}`);
+        if (brief.donts?.length) lines.push(`Don't: ${brief.donts.join('; ')}`);
+        return lines.join('\n');
+    }
+}
+
+const brandResearchService = new BrandResearchService();
+
+module.exports = { brandResearchService, BrandResearchService };
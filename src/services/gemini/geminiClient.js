@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Gemini LLM client - Text generation through Vertex AI or the Gemini API
+ * @description Uses Vertex AI when VERTEX_AI_PROJECT_ID is set, otherwise the Gemini API key.
+ * Any object exposing the same generateText() method can replace it (see stubLlmClient.js).
+ */
+
+const { VertexAI } = require('@google-cloud/vertexai');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const logger = require('../../utils/logger');
+const config = require('../../config');
+
+class GeminiClient {
+    constructor(options = {}) {
+        const vertexConfig = config.vertexAI || {};
+        this.name = 'gemini';
+        this.modelName = options.modelName || vertexConfig.modelName || 'gemini-1.5-pro-002';
+        this.projectId = options.projectId || vertexConfig.projectId;
+        this.location = options.location || vertexConfig.location || 'us-central1';
+        this.apiKey = options.apiKey || config.google?.apiKey;
+        this.timeout = options.timeout || vertexConfig.timeout || 30000;
+        this.maxRetries = options.maxRetries ?? vertexConfig.maxRetries ?? 3;
+        this.backend = this.projectId ? 'vertex' : 'gemini-api';
+    }
+
+    /**
+     * Whether credentials for either backend are configured
+     * @returns {boolean}
+     */
+    isConfigured() {
+        return !!(this.projectId || this.apiKey);
+    }
+
+    /**
+     * Generate text from a prompt
+     * @param {Object} request - { systemInstruction, prompt }
+     * @returns {Promise<string>} Generated text
+     */
+    async generateText({ systemInstruction, prompt }) {
+        if (!this.isConfigured()) {
+            throw new Error('Gemini is not configured (set VERTEX_AI_PROJECT_ID or GEMINI_API_KEY)');
+        }
+
+        let lastError;
+        for (let attempt = 1; attempt <= Math.max(1, this.maxRetries); attempt++) {
+            try {
+                const startTime = Date.now();
+                const text = this.backend === 'vertex'
+                    ? await this.generateWithVertex(systemInstruction, prompt)
+                    : await this.generateWithApiKey(systemInstruction, prompt);
+
+                logger.gemini('Text generated', {
+                    backend: this.backend,
+                    model: this.modelName,
+                    attempt,
+                    duration: Date.now() - startTime,
+                    outputLength: text.length
+                });
+                return text;
+            } catch (error) {
+                lastError = error;
+                logger.warn('Gemini request failed', {
+                    backend: this.backend,
+                    model: this.modelName,
+                    attempt,
+                    error: error.message
+                });
+            }
+        }
+        throw lastError;
+    }
+
+    async generateWithVertex(systemInstruction, prompt) {
+        if (!this.vertexModel) {
+            const vertexAI = new VertexAI({ project: this.projectId, location: this.location });
+            this.vertexModel = vertexAI.getGenerativeModel(
+                { model: this.modelName, systemInstruction },
+                { timeout: this.timeout }
+            );
+        }
+
+        const result = await this.vertexModel.generateContent({
+            contents: [{ role: 'user', parts: [{ text: prompt }] }]
+        });
+        const parts = result.response?.candidates?.[0]?.content?.parts || [];
+        const text = parts.map(part => part.text || '').join('').trim();
+        if (!text) {
+            throw new Error('Vertex AI returned an empty response');
+        }
+        return text;
+    }
+
+    async generateWithApiKey(systemInstruction, prompt) {
+        if (!this.apiKeyModel) {
+            const genAI = new GoogleGenerativeAI(this.apiKey);
+            this.apiKeyModel = genAI.getGenerativeModel(
+                { model: this.modelName, systemInstruction },
+                { timeout: this.timeout }
+            );
+        }
+
+        const result = await this.apiKeyModel.generateContent(prompt);
+        const text = result.response.text().trim();
+        if (!text) {
+            throw new Error('Gemini API returned an empty response');
+        }
+        return text;
+    }
+}
+
+module.exports = GeminiClient;
@@ -0,0 +1,30 @@
+/**
+ * @fileoverview LLM client factory - Picks the LLM client shared by the Gemini-backed services
+ * @description PROMPT_ENHANCER_PROVIDER=stub selects the offline stub; otherwise Gemini is used
+ * when credentials are configured, falling back to the stub when they are not.
+ */
+
+const logger = require('../../utils/logger');
+const config = require('../../config');
+const GeminiClient = require('./geminiClient');
+const StubLlmClient = require('./stubLlmClient');
+
+/**
+ * Create the LLM client named by config
+ * @returns {Object} Client exposing name and generateText()
+ */
+function createLlmClient() {
+    const provider = config.promptEnhancement?.provider || 'gemini';
+    if (provider === 'stub') {
+        return new StubLlmClient();
+    }
+
+    const gemini = new GeminiClient();
+    if (!gemini.isConfigured()) {
+        logger.gemini('Gemini credentials not configured, using stub LLM client');
+        return new StubLlmClient();
+    }
+    return gemini;
+}
+
+module.exports = { createLlmClient };
@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Prompt Enhancer - Turns the campaign brief into a suggested generation prompt
+ * @description Combines the session's campaign data with the chosen operation and model and asks an
+ * LLM client for an optimized prompt. The client is pluggable: Gemini by default, or the offline stub.
+ * If the LLM call fails the brief is composed directly, so enhancement never blocks a generation.
+ */
+
+const logger = require('../../utils/logger');
+const StubLlmClient = require('./stubLlmClient');
+const { createLlmClient } = require('./llmClientFactory');
+const { brandResearchService } = require('./brandResearchService');
+
+// Maximum length of a suggested prompt (matches the prompt validation limit)
+const MAX_PROMPT_LENGTH = 2000;
+
+// What a good prompt looks like for each operation
+const OPERATION_GUIDANCE = {
+    'text-to-image': 'a single still image: subject, composition, setting, lighting, color palette and photographic or artistic style',
+    'image-to-image': 'an edit instruction for an existing image: what to change and what to keep',
+    'text-to-video': 'a short video shot: subject, action, camera movement, pacing, lighting and style',
+    'image-to-video': 'the motion to apply to an existing image: subject movement, camera movement and atmosphere',
+    'video-to-video': 'a transformation of an existing video: the new look or content and what to preserve',
+    'text-to-audio': 'a piece of music or sound: genre, mood, instrumentation, tempo and structure',
+    'text-to-speech': 'the exact script to be spoken, written in the brand voice',
+    'image-to-3d': 'a 3D object: shape, materials and surface detail'
+};
+
+const SYSTEM_INSTRUCTION = [
+    'You write prompts for generative AI models used by a creative agency.',
+    'Turn the campaign brief into ONE prompt for the requested operation and model.',
+    'Keep the client\'s intent, be concrete and visual, and avoid brand names the model cannot render.',
+    'Reply with the prompt text only: no preamble, no quotes, no markdown.'
+].join(' ');
+
+class PromptEnhancer {
+    constructor(llmClient = null) {
+        this.llmClient = llmClient;
+        this.fallbackClient = new StubLlmClient();
+    }
+
+    /**
+     * Replace the LLM client (any object with generateText({ systemInstruction, prompt, brief }))
+     * @param {Object} llmClient - LLM client
+     */
+    setLlmClient(llmClient) {
+        this.llmClient = llmClient;
+    }
+
+    getLlmClient() {
+        if (!this.llmClient) {
+            this.llmClient = createLlmClient();
+        }
+        return this.llmClient;
+    }
+
+    /**
+     * Collect the inputs for a suggestion from the session
+     * @param {Object} session - MCP session
+     * @param {Object} target - { operation, modelId, modelName }
+     * @returns {Object} Brief
+     */
+    buildBrief(session, { operation, modelId, modelName } = {}) {
+        return {
+            clientName: session.clientName || null,
+            campaignIdea: session.campaignIdea || null,
+            creativeDirections: session.creativeDirections || null,
+            visualDirections: session.visualDirections || null,
+            operation: operation || null,
+            modelId: modelId || null,
+            modelName: modelName || null,
+            brandResearch: session.context?.brandResearch || null
+        };
+    }
+
+    /**
+     * Build the user message sent to the LLM
+     * @param {Object} brief - Brief from buildBrief
+     * @returns {string}
+     */
+    buildPrompt(brief) {
+        const lines = [
+            `Client: ${brief.clientName || 'n/a'}`,
+            `Campaign idea: ${brief.campaignIdea || 'n/a'}`,
+            `Creative directions: ${brief.creativeDirections || 'n/a'}`,
+            `Visual directions: ${brief.visualDirections || 'n/a'}`,
+            `Operation: ${brief.operation || 'n/a'}`,
+            `Model: ${brief.modelName ? `${brief.modelName} (${brief.modelId})` : (brief.modelId || 'n/a')}`
+        ];
+
+        if (brief.brandResearch) {
+            lines.push(brandResearchService.formatForPrompt(brief.brandResearch));
+        }
+
+        const guidance = OPERATION_GUIDANCE[brief.operation];
+        if (guidance) {
+            lines.push(`Write the prompt as ${guidance}.`);
+        }
+        lines.push(`Keep it under ${MAX_PROMPT_LENGTH} characters.`);
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Suggest a prompt for the session's campaign
+     * @param {Object} session - MCP session
+     * @param {Object} target - { operation, modelId, modelName }
+     * @returns {Promise<Object>} { prompt, provider, fallback, operation, modelId, createdAt }
+     */
+    async enhance(session, target = {}) {
+        const brief = this.buildBrief(session, target);
+        if (!brief.campaignIdea) {
+            throw new Error('Session has no campaign idea to enhance');
+        }
+
+        const llmClient = this.getLlmClient();
+        const request = {
+            systemInstruction: SYSTEM_INSTRUCTION,
+            prompt: this.buildPrompt(brief),
+            brief
+        };
+
+        let text;
+        let provider = llmClient.name || 'custom';
+        let fallback = false;
+        try {
+            text = await llmClient.generateText(request);
+        } catch (error) {
+            logger.warn('Prompt enhancement failed, composing the brief directly', {
+                sessionId: session.sessionId,
+                provider,
+                error: error.message
+            });
+            text = await this.fallbackClient.generateText(request);
+            provider = this.fallbackClient.name;
+            fallback = true;
+        }
+
+        const prompt = this.cleanSuggestion(text);
+        logger.gemini('Prompt suggestion created', {
+            sessionId: session.sessionId,
+            provider,
+            fallback,
+            operation: brief.operation,
+            modelId: brief.modelId,
+            promptLength: prompt.length
+        });
+
+        return {
+            prompt,
+            provider,
+            fallback,
+            operation: brief.operation,
+            modelId: brief.modelId,
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Strip wrapping quotes / code fences models sometimes add and cap the length
+     * @param {string} text - Raw LLM output
+     * @returns {string}
+     */
+    cleanSuggestion(text) {
+        let prompt = String(text || '')
+            .replace(/^```[a-z]*\s*/i, '')
+            .replace(/```\s*$/, '')
+            .trim()
+            .replace(/^["'“]+|["'”]+$/g, '')
+            .replace(/^prompt:\s*/i, '')
+            .replace(/^["'“]+|["'”]+$/g, '')
+            .trim();
+
+        if (prompt.length > MAX_PROMPT_LENGTH) {
+            prompt = prompt.substring(0, MAX_PROMPT_LENGTH).trim();
+        }
+        return prompt;
+    }
+}
+
+const promptEnhancer = new PromptEnhancer();
+
+module.exports = { promptEnhancer, PromptEnhancer };
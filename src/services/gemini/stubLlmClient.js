@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Stub LLM client - Offline stand-in for Gemini
+ * @description Builds a prompt directly from the campaign brief without calling any API.
+ * Used for local development and when PROMPT_ENHANCER_PROVIDER=stub.
+ */
+
+class StubLlmClient {
+    constructor() {
+        this.name = 'stub';
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    /**
+     * Compose a prompt from the structured brief the enhancer passes along
+     * @param {Object} request - { systemInstruction, prompt, brief }
+     * @returns {Promise<string>} Composed prompt
+     */
+    async generateText({ brief = {} }) {
+        const idea = brief.campaignIdea && brief.clientName
+            ? `${brief.campaignIdea.trim().replace(/[.\s]+$/, '')} for ${brief.clientName}`
+            : brief.campaignIdea;
+        // A brief derived from the campaign fields would only repeat them
+        const brand = brief.brandResearch?.source !== 'campaign' ? brief.brandResearch : null;
+        const parts = [
+            idea,
+            brief.visualDirections,
+            brief.creativeDirections,
+            brand?.tone ? `${brand.tone} tone` : null,
+            brand?.palette?.length ? `Color palette: ${brand.palette.map(color => color.name.toLowerCase()).join(', ')}` : null
+        ];
+
+        return parts
+            .filter(part => typeof part === 'string' && part.trim())
+            .map(part => part.trim().replace(/[.\s]+$/, ''))
+            .join('. ') + '.';
+    }
+}
+
+module.exports = StubLlmClient;
@@ -0,0 +1,621 @@
+/**
+ * @fileoverview Generation Queue - Background processing for asset generation jobs
+ * @description Wraps a Bull queue backed by Redis (config.jobQueue). The HTTP layer enqueues
+ * generation requests and returns immediately; the worker runs the fal.ai service call,
+ * uploads the result to Google Drive and records the asset on the session.
+ */
+
+const Queue = require('bull');
+const { fal } = require('@fal-ai/client');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const { serviceFactory } = require('../ServiceFactory');
+const { uploadAssetToDrive } = require('../drive/driveUploadHelper');
+const { modelRegistry } = require('../../config/modelRegistry');
+const { spendLedger } = require('../billing/spendLedger');
+
+const QUEUE_NAME = 'asset-generation';
+const IN_FLIGHT_STATES = ['active', 'waiting', 'delayed'];
+const MAX_PROGRESS_LOGS = 20;
+
+class GenerationQueue {
+    constructor() {
+        this.queue = null;
+        this.sessionManager = null;
+        this.isInitialized = false;
+        // Jobs running in this process: jobId -> { modelId, requestId, cancelled }
+        this.activeJobs = new Map();
+    }
+
+    /**
+     * Create the Bull queue and register the worker
+     * @param {Object} options
+     * @param {MCPSessionManager} options.sessionManager - Session manager shared with the routes
+     */
+    initialize({ sessionManager }) {
+        if (this.isInitialized) {
+            return;
+        }
+
+        const { redis, attempts, backoffDelay, concurrency, retentionHours, retentionCount } = config.jobQueue;
+        // Finished jobs stay around for status lookups and the session job list, within these limits
+        const keepFinishedJobs = { age: retentionHours * 3600, count: retentionCount };
+
+        this.sessionManager = sessionManager;
+        this.queue = new Queue(QUEUE_NAME, {
+            redis: {
+                host: redis.host,
+                port: redis.port,
+                password: redis.password || undefined,
+                db: redis.db
+            },
+            defaultJobOptions: {
+                attempts,
+                backoff: { type: 'exponential', delay: backoffDelay },
+                removeOnComplete: keepFinishedJobs,
+                removeOnFail: keepFinishedJobs
+            }
+        });
+
+        this.queue.process(concurrency, (job) => this.processJob(job));
+
+        this.queue.on('failed', (job, error) => {
+            const finalAttempt = job.attemptsMade >= (job.opts.attempts || 1) || error.unrecoverable === true;
+            logger.job(job.id, 'failed', `Generation attempt ${job.attemptsMade} failed`, {
+                error: error.message,
+                finalAttempt
+            });
+            if (error.cancelled) {
+                this.settleLedger(job, 'cancelled');
+                this.markSessionCancelled(job).catch((markError) => {
+                    logger.error('Failed to record generation cancellation on session', {
+                        jobId: job.id,
+                        error: markError.message
+                    });
+                });
+            } else if (finalAttempt) {
+                this.settleLedger(job, 'failed');
+                this.markSessionFailed(job, error).catch((markError) => {
+                    logger.error('Failed to record generation failure on session', {
+                        jobId: job.id,
+                        error: markError.message
+                    });
+                });
+            }
+        });
+
+        this.queue.on('error', (error) => {
+            logger.error('Generation queue error', { error: error.message });
+        });
+
+        this.isInitialized = true;
+        logger.info('Generation queue initialized', {
+            queue: QUEUE_NAME,
+            redisHost: redis.host,
+            redisDb: redis.db,
+            attempts,
+            backoffDelay,
+            concurrency
+        });
+    }
+
+    /**
+     * Enqueue a generation request
+     * @param {Object} data - { userId, threadId, generationId, parentGenerationId, parameters }
+     * @returns {Promise<Object>} Bull job
+     */
+    async enqueue(data) {
+        // generationId doubles as the job ID so a double-submitted request is not queued twice
+        const job = await this.queue.add(data, { jobId: data.generationId });
+
+        // Index the job under its session; the index expires with the jobs it points to
+        const { retentionHours } = config.jobQueue;
+        const sessionJobsKey = this.getSessionJobsKey(data.userId, data.threadId);
+        await this.queue.client.multi()
+            .sadd(sessionJobsKey, job.id)
+            .expire(sessionJobsKey, retentionHours * 3600)
+            .exec();
+
+        logger.job(job.id, 'queued', 'Generation job queued', {
+            userId: data.userId,
+            threadId: data.threadId,
+            operation: data.parameters.operation,
+            modelId: data.parameters.modelId
+        });
+        return job;
+    }
+
+    /**
+     * Look up a job by ID
+     * @param {string} jobId - Job identifier
+     * @returns {Promise<Object|null>} Bull job or null
+     */
+    async getJob(jobId) {
+        return this.queue.getJob(jobId);
+    }
+
+    /**
+     * Serialize a job for API responses
+     * @param {Object} job - Bull job
+     * @returns {Promise<Object>} Job summary
+     */
+    async describeJob(job) {
+        const bullState = await job.getState();
+        const isCancelled = !!job.data.cancelledAt || !!this.activeJobs.get(job.id)?.cancelled;
+        const state = bullState !== 'completed' && isCancelled ? 'cancelled' : bullState;
+        const progress = typeof job.progress() === 'object' ? job.progress() : null;
+        return {
+            jobId: job.id,
+            generationId: job.data.generationId,
+            userId: job.data.userId,
+            threadId: job.data.threadId,
+            operation: job.data.parameters.operation,
+            modelId: job.data.parameters.modelId,
+            state,
+            attemptsMade: job.attemptsMade,
+            progress,
+            elapsedMs: job.processedOn ? (job.finishedOn || Date.now()) - job.processedOn : null,
+            createdAt: new Date(job.timestamp).toISOString(),
+            processedAt: job.processedOn ? new Date(job.processedOn).toISOString() : null,
+            finishedAt: job.finishedOn ? new Date(job.finishedOn).toISOString() : null,
+            result: state === 'completed' ? job.returnvalue : null,
+            error: state === 'failed' || state === 'cancelled' ? job.failedReason || null : null
+        };
+    }
+
+    /**
+     * List the jobs belonging to one session, newest first
+     * @param {string} userId - Slack user ID
+     * @param {string} threadId - Slack thread ID
+     * @returns {Promise<Array>} Job summaries
+     */
+    async listSessionJobs(userId, threadId) {
+        const sessionJobsKey = this.getSessionJobsKey(userId, threadId);
+        const jobIds = await this.queue.client.smembers(sessionJobsKey);
+        const jobs = await Promise.all(jobIds.map(jobId => this.queue.getJob(jobId)));
+
+        // Jobs past the retention limits are gone from Redis; drop them from the index too
+        const removedIds = jobIds.filter((jobId, index) => !jobs[index]);
+        if (removedIds.length > 0) {
+            await this.queue.client.srem(sessionJobsKey, ...removedIds);
+        }
+
+        const sessionJobs = jobs.filter(Boolean).sort((a, b) => b.timestamp - a.timestamp);
+        return Promise.all(sessionJobs.map(job => this.describeJob(job)));
+    }
+
+    /**
+     * Whether a session has a job the worker has not finished yet, including a cancelled one it has
+     * not failed yet; such a job still writes its result to the session
+     * @param {string} userId - Slack user ID
+     * @param {string} threadId - Slack thread ID
+     * @returns {Promise<boolean>}
+     */
+    async hasUnfinishedSessionJobs(userId, threadId) {
+        const jobIds = await this.queue.client.smembers(this.getSessionJobsKey(userId, threadId));
+        const jobs = await Promise.all(jobIds.map(jobId => this.queue.getJob(jobId)));
+        const states = await Promise.all(jobs.filter(Boolean).map(job => job.getState()));
+        return states.some(state => IN_FLIGHT_STATES.includes(state));
+    }
+
+    /**
+     * Redis set holding the IDs of a session's jobs
+     * @param {string} userId - Slack user ID
+     * @param {string} threadId - Slack thread ID
+     * @returns {string} Key, under the queue's own prefix
+     */
+    getSessionJobsKey(userId, threadId) {
+        return this.queue.toKey(`session-jobs:${userId}:${threadId}`);
+    }
+
+    /**
+     * List a user's jobs that have not finished yet, across all their sessions, newest first
+     * @param {string} userId - Slack user ID
+     * @returns {Promise<Array>} Job summaries (cancelled jobs waiting to be failed are left out)
+     */
+    async listUserInFlightJobs(userId) {
+        const jobs = await this.queue.getJobs(IN_FLIGHT_STATES);
+        const userJobs = jobs
+            .filter(job => job && job.data.userId === userId)
+            .sort((a, b) => b.timestamp - a.timestamp);
+        const described = await Promise.all(userJobs.map(job => this.describeJob(job)));
+        return described.filter(job => job.state !== 'cancelled');
+    }
+
+    /**
+     * Cancel a job that has not finished yet
+     * Waiting and delayed jobs are flagged and fail as soon as the worker picks them up;
+     * an active job has its fal.ai request cancelled and is failed once the service call returns.
+     * @param {Object} job - Bull job
+     * @returns {Promise<Object>} { cancelled, state }
+     */
+    async cancelJob(job) {
+        const state = await job.getState();
+        if (state === 'completed' || state === 'failed' || job.data.cancelledAt) {
+            return { cancelled: false, state: job.data.cancelledAt ? 'cancelled' : state };
+        }
+
+        if (state === 'active') {
+            const active = this.activeJobs.get(job.id);
+            await job.update({ ...job.data, cancelledAt: new Date().toISOString() });
+            if (active) {
+                active.cancelled = true;
+                if (active.requestId) {
+                    try {
+                        await fal.queue.cancel(modelRegistry.getEndpoint(active.modelId), { requestId: active.requestId });
+                    } catch (error) {
+                        // The request may already be running; the worker still discards its result
+                        logger.warn('fal.ai request cancellation failed', {
+                            jobId: job.id,
+                            requestId: active.requestId,
+                            error: error.message
+                        });
+                    }
+                }
+            }
+        } else {
+            await job.update({ ...job.data, cancelledAt: new Date().toISOString() });
+            if (state === 'delayed') {
+                await job.promote();
+            }
+        }
+
+        logger.job(job.id, 'cancelled', 'Generation job cancelled', { previousState: state });
+        return { cancelled: true, state: 'cancelled' };
+    }
+
+    /**
+     * Worker: run the service call, Drive upload and session update for one job
+     * @param {Object} job - Bull job
+     * @returns {Promise<Object>} Generation result stored as the job's return value
+     */
+    async processJob(job) {
+        const { userId, threadId, parameters } = job.data;
+        logger.job(job.id, 'active', `Processing generation (attempt ${job.attemptsMade + 1})`, {
+            operation: parameters.operation,
+            modelId: parameters.modelId
+        });
+
+        if (job.data.cancelledAt) {
+            throw cancelled(job);
+        }
+
+        const session = await this.sessionManager.getSession(userId, threadId);
+        if (!session) {
+            // Retrying will not bring the session back
+            throw failWithoutRetry(job, new Error('Session not found'));
+        }
+
+        const active = { modelId: parameters.modelId, requestId: null, cancelled: false };
+        this.activeJobs.set(job.id, active);
+        try {
+            return await this.runJob(job, session, active);
+        } finally {
+            this.activeJobs.delete(job.id);
+        }
+    }
+
+    /**
+     * Run one attempt of a job: service call, Drive upload and session update
+     * @param {Object} job - Bull job
+     * @param {Object} session - Session data
+     * @param {Object} active - Cancellation and fal.ai request tracking for this job
+     * @returns {Promise<Object>} Generation result
+     */
+    async runJob(job, session, active) {
+        const { userId, threadId, generationId, parentGenerationId, parameters } = job.data;
+        const progress = {
+            stage: 'generating',
+            falStatus: null,
+            queuePosition: null,
+            requestId: null,
+            logs: [],
+            updatedAt: new Date().toISOString()
+        };
+        const reportProgress = (changes) => {
+            Object.assign(progress, changes, { updatedAt: new Date().toISOString() });
+            job.progress({ ...progress }).catch((error) => {
+                logger.warn('Failed to store job progress', { jobId: job.id, error: error.message });
+            });
+        };
+        const onProgress = (update) => {
+            if (update.request_id) {
+                active.requestId = update.request_id;
+            }
+            reportProgress({
+                falStatus: update.status || null,
+                queuePosition: update.queue_position ?? null,
+                requestId: active.requestId,
+                logs: Array.isArray(update.logs) && update.logs.length > 0
+                    ? update.logs.slice(-MAX_PROGRESS_LOGS).map(log => log.message)
+                    : progress.logs
+            });
+        };
+        reportProgress({});
+
+        await this.sessionManager.updateSessionState(userId, threadId, this.sessionManager.SESSION_STATES.GENERATING_ASSET);
+        await this.sessionManager.updateSessionContext(userId, threadId, {
+            currentJob: { jobId: job.id, generationId, status: 'active', attempt: job.attemptsMade + 1 }
+        });
+
+        let serviceOutput;
+        try {
+            serviceOutput = await this.runService(parameters, generationId, session, job, onProgress);
+        } catch (error) {
+            // A cancelled fal.ai request surfaces as a service error; do not retry it
+            throw active.cancelled ? cancelled(job) : error;
+        }
+        if (active.cancelled) {
+            throw cancelled(job);
+        }
+        const { result, assetUrl, previewImageUrl } = serviceOutput;
+
+        reportProgress({ stage: 'uploading' });
+        await this.sessionManager.updateSessionState(userId, threadId, this.sessionManager.SESSION_STATES.UPLOADING_ASSET);
+        const driveUpload = await this.uploadToDrive(session, assetUrl, parameters, generationId);
+
+        const timestamp = new Date().toISOString();
+        const driveInfo = driveUpload ? {
+            fileId: driveUpload.fileId,
+            fileName: driveUpload.fileName,
+            webViewLink: driveUpload.webViewLink,
+            webContentLink: driveUpload.webContentLink
+        } : null;
+
+        await this.sessionManager.updateSessionContext(userId, threadId, {
+            // Operation, model and parameters are kept so the asset can be regenerated later
+            lastGeneration: {
+                generationId,
+                assetUrl,
+                timestamp,
+                operation: parameters.operation,
+                modelId: parameters.modelId,
+                parameters,
+                parentAssetId: parentGenerationId || null,
+                driveUpload: driveInfo
+            },
+            // The session manager fills in version and paramDiff from the parent asset
+            generatedAssets: [{
+                generationId,
+                assetUrl,
+                timestamp,
+                operation: parameters.operation,
+                modelId: parameters.modelId,
+                parameters,
+                parentAssetId: parentGenerationId || null,
+                driveUpload: driveInfo
+            }],
+            currentJob: null
+        });
+        await this.sessionManager.updateSessionState(userId, threadId, this.sessionManager.SESSION_STATES.ASSET_GENERATION_COMPLETE);
+
+        const updatedSession = await this.sessionManager.getSession(userId, threadId);
+        const storedAsset = (updatedSession?.context.generatedAssets || []).find(asset => asset.generationId === generationId);
+
+        // fal.ai results carry no price, so the cost is left unknown and the ledger keeps charging the estimate
+        this.settleLedger(job, 'completed');
+
+        reportProgress({ stage: 'completed' });
+        logger.job(job.id, 'completed', 'Generation completed', { assetUrl, uploadedToDrive: !!driveUpload });
+
+        return {
+            assetUrl,
+            previewImageUrl,
+            generationId,
+            parentAssetId: storedAsset?.parentAssetId || null,
+            version: storedAsset?.version || 1,
+            paramDiff: storedAsset?.paramDiff || null,
+            driveUpload: driveInfo ? {
+                ...driveInfo,
+                folderId: session.context.driveFolder?.folderId,
+                folderName: session.context.driveFolder?.folderName
+            } : null,
+            result
+        };
+    }
+
+    /**
+     * Route a generation to the fal.ai service for its operation
+     * @param {Object} parameters - Generation parameters (includes operation and modelId)
+     * @param {string} generationId - Generation identifier
+     * @param {Object} session - Session data
+     * @param {Object} job - Bull job
+     * @param {Function} onProgress - Receives fal.ai queue updates
+     * @returns {Promise<Object>} { result, assetUrl, previewImageUrl }
+     */
+    async runService(parameters, generationId, session, job, onProgress) {
+        const options = { jobId: generationId, onProgress };
+        let result;
+
+        switch (parameters.operation) {
+            case 'text-to-audio':
+                result = await serviceFactory.getService('textToAudio').generateContent(parameters.modelId, parameters, options);
+                return { result, assetUrl: result.audioUrl };
+            case 'text-to-speech':
+                result = await serviceFactory.getService('textToSpeech').generateContent({ modelId: parameters.modelId, params: parameters }, options);
+                return { result, assetUrl: result.audio };
+            case 'image-to-image':
+                result = await serviceFactory.getService('imageToImage').generateContent({ modelId: parameters.modelId, params: parameters }, options);
+                return { result, assetUrl: result.imageUrl };
+            case 'text-to-video':
+                result = await serviceFactory.getService('textToVideo').generateContent(parameters.modelId || 'fal-ai/kling-video/v2/master/text-to-video', parameters, options);
+                return { result, assetUrl: result.videoUrl };
+            case 'image-to-video':
+                result = await serviceFactory.getService('imageToVideo').generateContent(parameters.modelId, parameters, options);
+                return { result, assetUrl: result.videoUrl };
+            case 'video-to-video':
+                result = await serviceFactory.getService('videoToVideo').generateContent({ modelId: parameters.modelId, params: parameters }, options);
+                return { result, assetUrl: result.videoUrl };
+            case 'image-to-3d':
+                result = await serviceFactory.getService('imageTo3D').generateContent({ modelId: parameters.modelId, params: parameters }, options);
+                return {
+                    result,
+                    assetUrl: result.modelMeshUrl || result.modelGlbUrl || result.modelGlbPbrUrl || result.pbrModelUrl || result.baseModelUrl || result.remeshingDirUrl,
+                    previewImageUrl: result.renderedImageUrl
+                };
+            default:
+                if (!parameters.prompt) {
+                    throw failWithoutRetry(job, new Error(`Unsupported operation: ${parameters.operation}`));
+                }
+                // text-to-image (and any other prompt-based operation)
+                result = await serviceFactory.getService('textToImage').generate(parameters.prompt, parameters, session.sessionId, options);
+                return { result, assetUrl: result.assetUrl };
+        }
+    }
+
+    /**
+     * Upload a generated asset to the session's Drive folder
+     * Drive failures are logged and swallowed - the asset itself was generated successfully.
+     * @returns {Promise<Object|null>} Drive upload info or null
+     */
+    async uploadToDrive(session, assetUrl, parameters, generationId) {
+        if (!assetUrl || !session.context.driveFolder) {
+            return null;
+        }
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const operation = parameters.operation || 'unknown';
+        const modelId = parameters.modelId || 'unknown';
+        const fileName = `${operation}_${modelId.replace(/[\/\-]/g, '_')}_${timestamp}${getFileExtension(assetUrl, parameters.operation)}`;
+
+        try {
+            const driveUpload = await uploadAssetToDrive(
+                session.context.driveFolder.folderId,
+                assetUrl,
+                fileName,
+                parameters.operation || 'image',
+                {
+                    sessionId: session.sessionId,
+                    userId: session.userId,
+                    modelId: parameters.modelId,
+                    operation: parameters.operation,
+                    generationId,
+                    prompt: parameters.prompt,
+                    originalUrl: assetUrl
+                }
+            );
+
+            logger.drive('Asset uploaded to Drive successfully', {
+                sessionId: session.sessionId,
+                fileId: driveUpload.fileId,
+                fileName: driveUpload.fileName,
+                webViewLink: driveUpload.webViewLink,
+                modelId: parameters.modelId,
+                operation: parameters.operation
+            });
+            return driveUpload;
+        } catch (driveError) {
+            logger.error('Drive upload failed', {
+                sessionId: session.sessionId,
+                assetUrl,
+                error: driveError.message,
+                modelId: parameters.modelId,
+                operation: parameters.operation
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Record how a job ended in the spend ledger and send any budget alerts it triggers
+     * Ledger failures are logged; they do not affect the job.
+     * @param {Object} job - Bull job
+     * @param {string} status - completed, failed or cancelled
+     * @param {number|null} actualCost - Billed cost of a completed job, null when not known
+     */
+    settleLedger(job, status, actualCost = null) {
+        spendLedger.settleGeneration(job.data.generationId, status, actualCost)
+            .then(entry => entry && spendLedger.notifyThresholds({ clientName: entry.clientName, userId: entry.userId }))
+            .catch((error) => {
+                logger.error('Failed to settle generation in spend ledger', {
+                    jobId: job.id,
+                    status,
+                    error: error.message
+                });
+            });
+    }
+
+    /**
+     * Record a job that has exhausted its retries on the session
+     */
+    async markSessionFailed(job, error) {
+        const { userId, threadId, generationId } = job.data;
+        await this.sessionManager.updateSessionState(userId, threadId, this.sessionManager.SESSION_STATES.ERROR);
+        await this.sessionManager.updateSessionContext(userId, threadId, {
+            currentJob: { jobId: job.id, generationId, status: 'failed', error: error.message }
+        });
+    }
+
+    /**
+     * Record a cancelled job on the session and hand control back to operation selection
+     */
+    async markSessionCancelled(job) {
+        const { userId, threadId, generationId } = job.data;
+        await this.sessionManager.updateSessionState(userId, threadId, this.sessionManager.SESSION_STATES.SELECTING_OPERATION);
+        await this.sessionManager.updateSessionContext(userId, threadId, {
+            currentJob: { jobId: job.id, generationId, status: 'cancelled' }
+        });
+    }
+
+    /**
+     * Close the queue connection
+     */
+    async shutdown() {
+        if (this.queue) {
+            await this.queue.close();
+            logger.info('Generation queue closed');
+        }
+    }
+}
+
+/**
+ * Stop Bull from retrying a job whose failure is not transient
+ * @param {Object} job - Bull job
+ * @param {Error} error - Error to fail the job with
+ * @returns {Error} The same error, flagged as unrecoverable
+ */
+function failWithoutRetry(job, error) {
+    job.discard();
+    error.unrecoverable = true;
+    return error;
+}
+
+/**
+ * Build the error used to fail a cancelled job
+ * @param {Object} job - Bull job
+ * @returns {Error} Unrecoverable cancellation error
+ */
+function cancelled(job) {
+    const error = failWithoutRetry(job, new Error('Job cancelled'));
+    error.cancelled = true;
+    return error;
+}
+
+/**
+ * Determine the file extension for a generated asset
+ * @param {string} assetUrl - Asset URL
+ * @param {string} operation - Operation ID
+ * @returns {string} File extension including the dot
+ */
+function getFileExtension(assetUrl, operation) {
+    if (operation === 'image-to-video' || operation === 'text-to-video' || operation === 'video-to-video') {
+        return '.mp4';
+    }
+    if (operation === 'text-to-audio' || operation === 'text-to-speech') {
+        return '.wav';
+    }
+    if (operation === 'image-to-3d') {
+        return '.glb';
+    }
+
+    const urlLower = assetUrl.toLowerCase();
+    if (urlLower.includes('.png')) return '.png';
+    if (urlLower.includes('.webp')) return '.webp';
+    if (urlLower.includes('.gif')) return '.gif';
+    return '.jpg';
+}
+
+// Create singleton instance
+const generationQueue = new GenerationQueue();
+
+module.exports = { generationQueue };
@@ -0,0 +1,180 @@
+/**
+ * @fileoverview App Home Builder - Renders a user's App Home tab as Slack Block Kit
+ * @description The Home tab shows the user's active sessions with their workflow progress, this month's
+ * estimated spend, archived sessions to resume and their newest assets. Data comes from the backend's
+ * /api/user/:userId/* endpoints; a section whose data could not be loaded says so instead.
+ */
+
+const { formatCost } = require('../../config/modelPricing');
+
+// Slack Block Kit limits (a Home view holds at most 100 blocks)
+const MAX_ACTIVE_SESSIONS = 10;
+const MAX_PROMPT_LENGTH = 150;
+
+class AppHomeBuilder {
+    /**
+     * @param {Object} data - Each part is null when it could not be loaded
+     * @param {Array|null} data.sessions - From GET /api/user/:userId/sessions
+     * @param {Array|null} data.assets - From GET /api/user/:userId/assets
+     * @param {Object|null} data.spend - From GET /api/user/:userId/spend
+     * @param {Array|null} data.archivedSessions - From GET /api/user/:userId/archived-sessions
+     * @returns {Object} Home view for views.publish
+     */
+    buildHomeView({ sessions, assets, spend, archivedSessions }) {
+        const blocks = [
+            {
+                type: 'header',
+                text: { type: 'plain_text', text: '🎨 AI Asset Generator' }
+            },
+            {
+                type: 'actions',
+                elements: [{
+                    type: 'button',
+                    action_id: 'home_new_campaign',
+                    style: 'primary',
+                    text: { type: 'plain_text', text: '➕ New campaign' }
+                }]
+            },
+            this.buildSpendSection(spend),
+            { type: 'divider' },
+            this.buildHeading('⚡ Active sessions')
+        ];
+
+        if (!sessions) {
+            blocks.push(this.buildNotice('Active sessions could not be loaded.'));
+        } else if (sessions.length === 0) {
+            blocks.push(this.buildNotice('No active sessions. Start a new campaign, or resume one below.'));
+        } else {
+            sessions.slice(0, MAX_ACTIVE_SESSIONS).forEach(session => blocks.push(this.buildSessionBlock(session)));
+        }
+
+        blocks.push({ type: 'divider' }, this.buildHeading('🔁 Resume a session'));
+        if (!archivedSessions) {
+            blocks.push(this.buildNotice('Archived sessions could not be loaded.'));
+        } else if (archivedSessions.length === 0) {
+            blocks.push(this.buildNotice('Ended and expired sessions will appear here.'));
+        } else {
+            archivedSessions.forEach(session => blocks.push(this.buildResumableSessionBlock(session)));
+        }
+
+        blocks.push({ type: 'divider' }, this.buildHeading('🖼️ Recent assets'));
+        if (!assets) {
+            blocks.push(this.buildNotice('Assets could not be loaded.'));
+        } else if (assets.length === 0) {
+            blocks.push(this.buildNotice('Assets you generate will appear here.'));
+        } else {
+            assets.forEach(asset => blocks.push(this.buildAssetBlock(asset)));
+        }
+
+        return { type: 'home', blocks };
+    }
+
+    /**
+     * Month-to-date estimated spend, with the user's budget if they have one
+     */
+    buildSpendSection(spend) {
+        if (!spend) {
+            return { type: 'section', text: { type: 'mrkdwn', text: '*💰 This month*\n_Spend could not be loaded._' } };
+        }
+
+        const amount = formatCost({ low: spend.spent, high: spend.spent });
+        let text = `*💰 This month (${spend.month})*\n${amount} estimated across ${spend.generations} generation${spend.generations === 1 ? '' : 's'}`;
+        if (spend.budget) {
+            text += `\nBudget: $${spend.budget.monthlyLimit.toFixed(2)}${spend.budget.usage !== null ? ` (${spend.budget.usage}% used)` : ''}`;
+        }
+        return { type: 'section', text: { type: 'mrkdwn', text } };
+    }
+
+    /**
+     * Active session with its state, workflow progress and channel
+     */
+    buildSessionBlock(session) {
+        const state = String(session.state || '').replace(/_/g, ' ');
+        const assets = `${session.assetCount} asset${session.assetCount === 1 ? '' : 's'}`;
+        return {
+            type: 'section',
+            text: {
+                type: 'mrkdwn',
+                text: `*${session.clientName || 'Unknown client'}*${session.campaignIdea ? ` · ${session.campaignIdea}` : ''}\n` +
+                    `${this.buildProgressBar(session.progress)} ${session.progress}% · ${state} · ${assets} · <#${session.channelId}>\n` +
+                    `Last activity ${this.formatDate(session.lastActivity)}`
+            }
+        };
+    }
+
+    /**
+     * Archived session with a Resume button (also used by /dashboard resume)
+     */
+    buildResumableSessionBlock(session) {
+        const assets = `${session.assetCount} asset${session.assetCount === 1 ? '' : 's'}`;
+        return {
+            type: 'section',
+            text: {
+                type: 'mrkdwn',
+                text: `*${session.clientName || 'Unknown client'}*${session.campaignIdea ? ` · ${session.campaignIdea}` : ''}\n` +
+                    `${assets} · ${session.endReason} ${this.formatDate(session.endedAt)}`
+            },
+            accessory: {
+                type: 'button',
+                action_id: 'resume_session',
+                text: { type: 'plain_text', text: 'Resume' },
+                value: session.sessionId
+            }
+        };
+    }
+
+    /**
+     * Asset with a thumbnail (images only), its prompt and links to the file and its Drive copy
+     */
+    buildAssetBlock(asset) {
+        const prompt = asset.prompt && asset.prompt.length > MAX_PROMPT_LENGTH
+            ? `${asset.prompt.slice(0, MAX_PROMPT_LENGTH - 1)}…`
+            : asset.prompt;
+        const links = [`<${asset.assetUrl}|Open asset>`];
+        if (asset.driveUrl) links.push(`<${asset.driveUrl}|Google Drive>`);
+
+        const block = {
+            type: 'section',
+            text: {
+                type: 'mrkdwn',
+                text: `*${asset.modelId}* · ${String(asset.operation).replace(/-/g, ' ')} · ${asset.clientName || 'Unknown client'}\n` +
+                    (prompt ? `_${prompt}_\n` : '') +
+                    `${links.join(' · ')} · ${this.formatDate(asset.timestamp)}`
+            }
+        };
+        if (asset.kind === 'image' && asset.assetUrl) {
+            block.accessory = { type: 'image', image_url: asset.assetUrl, alt_text: prompt || asset.modelId };
+        }
+        return block;
+    }
+
+    buildHeading(text) {
+        return { type: 'header', text: { type: 'plain_text', text } };
+    }
+
+    buildNotice(text) {
+        return { type: 'context', elements: [{ type: 'mrkdwn', text }] };
+    }
+
+    /**
+     * @param {number} progress - 0 to 100
+     * @returns {string} Ten-step bar
+     */
+    buildProgressBar(progress) {
+        const filled = Math.round((progress || 0) / 10);
+        return '▰'.repeat(filled) + '▱'.repeat(10 - filled);
+    }
+
+    /**
+     * Date in the reader's time zone (Slack date token, with the ISO date as fallback)
+     */
+    formatDate(iso) {
+        if (!iso) return '';
+        const seconds = Math.floor(new Date(iso).getTime() / 1000);
+        return `<!date^${seconds}^{date_short_pretty} at {time}|${iso}>`;
+    }
+}
+
+const appHomeBuilder = new AppHomeBuilder();
+
+module.exports = { appHomeBuilder, AppHomeBuilder };
@@ -0,0 +1,368 @@
+/**
+ * @fileoverview Parameter Modal Builder - Renders a model's parameter schema as Slack Block Kit inputs
+ * @description Every operation uses the same builder: the model registry's parameter schema decides the
+ * element for each field (select, checkbox, number input with range, URL list, JSON editor or text), and
+ * submitted values are coerced back to typed values. Invalid fields are reported per block so the modal
+ * can show them inline with response_action: 'errors'.
+ */
+
+// Slack Block Kit limits
+const MAX_PLACEHOLDER_LENGTH = 150;
+const MAX_OPTION_TEXT_LENGTH = 75;
+const MAX_HINT_LENGTH = 2000;
+const MAX_TEXT_INPUT_LENGTH = 3000;
+
+class ParameterModalBuilder {
+    /**
+     * Display label for a parameter: the registry label, or the parameter name in Title Case
+     * @param {string} paramName - Parameter name
+     * @param {Object} param - Parameter schema
+     * @returns {string}
+     */
+    getLabel(paramName, param) {
+        return param.label || paramName.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+    }
+
+    /**
+     * Kind of modal field a parameter is rendered as
+     * @param {Object} param - Parameter schema
+     * @returns {string} select, checkbox, number, list, json or text
+     */
+    getFieldKind(param) {
+        if (param.options) return 'select';
+        if (param.type === 'boolean') return 'checkbox';
+        if (param.type === 'number') return 'number';
+        if (param.type === 'array') {
+            // Lists of plain values are typed one per line; anything structured is edited as JSON
+            return param.items && param.items.type === 'string' ? 'list' : 'json';
+        }
+        if (param.type === 'object') return 'json';
+        return 'text';
+    }
+
+    /**
+     * Build one input block per parameter
+     * @param {Object} parameters - Parameter schema keyed by name (model registry format)
+     * @returns {Array} Block Kit input blocks (block_id `${name}_block`, action_id `${name}`)
+     */
+    buildBlocks(parameters) {
+        if (!parameters) return [];
+        return Object.entries(parameters).map(([paramName, param]) => this.buildBlock(paramName, param));
+    }
+
+    /**
+     * @param {string} paramName - Parameter name
+     * @param {Object} param - Parameter schema
+     * @returns {Object} Input block
+     */
+    buildBlock(paramName, param) {
+        const label = this.getLabel(paramName, param);
+        const block = {
+            type: 'input',
+            block_id: `${paramName}_block`,
+            optional: param.required !== true,
+            label: {
+                type: 'plain_text',
+                text: param.required === true ? label : `${label} (Optional)`
+            },
+            element: this.buildElement(paramName, param, label)
+        };
+        if (param.help) {
+            block.hint = { type: 'plain_text', text: param.help.substring(0, MAX_HINT_LENGTH) };
+        }
+        return block;
+    }
+
+    buildElement(paramName, param, label) {
+        const kind = this.getFieldKind(param);
+        const placeholder = (text) => ({
+            type: 'plain_text',
+            text: (param.placeholder || text).substring(0, MAX_PLACEHOLDER_LENGTH)
+        });
+
+        if (kind === 'select') {
+            const options = param.options.map(option => ({
+                text: {
+                    type: 'plain_text',
+                    text: String(param.optionLabels?.[option] || option).substring(0, MAX_OPTION_TEXT_LENGTH)
+                },
+                value: String(option)
+            }));
+            const element = {
+                type: 'static_select',
+                action_id: paramName,
+                options,
+                placeholder: {
+                    type: 'plain_text',
+                    text: `Select ${label.toLowerCase()}...`.substring(0, MAX_PLACEHOLDER_LENGTH)
+                }
+            };
+            // initial_option must be the option object itself (see assertReferentialEquality)
+            const initialOption = param.default !== undefined && options.find(option => option.value === String(param.default));
+            if (initialOption) element.initial_option = initialOption;
+            return element;
+        }
+
+        if (kind === 'checkbox') {
+            const options = [{
+                text: { type: 'plain_text', text: `Enable ${label.toLowerCase()}`.substring(0, MAX_OPTION_TEXT_LENGTH) },
+                value: 'true'
+            }];
+            const element = { type: 'checkboxes', action_id: paramName, options };
+            if (param.default === true) element.initial_options = [options[0]];
+            return element;
+        }
+
+        if (kind === 'number') {
+            const element = {
+                type: 'number_input',
+                action_id: paramName,
+                is_decimal_allowed: param.integer !== true,
+                placeholder: placeholder(this.describeRange(param) || `Enter ${label.toLowerCase()}...`)
+            };
+            if (param.min !== undefined) element.min_value = String(param.min);
+            if (param.max !== undefined) element.max_value = String(param.max);
+            return element;
+        }
+
+        if (kind === 'list') {
+            return {
+                type: 'plain_text_input',
+                action_id: paramName,
+                multiline: true,
+                placeholder: placeholder(param.items.format === 'uri' ? 'One URL per line...' : 'One value per line...')
+            };
+        }
+
+        if (kind === 'json') {
+            return {
+                type: 'plain_text_input',
+                action_id: paramName,
+                multiline: true,
+                placeholder: placeholder(param.type === 'array' ? 'JSON array, e.g. [ ... ]' : 'JSON object, e.g. { "key": "value" }')
+            };
+        }
+
+        const element = {
+            type: 'plain_text_input',
+            action_id: paramName,
+            multiline: param.multiline === true,
+            placeholder: placeholder(`Enter ${label.toLowerCase()}...`)
+        };
+        if (param.maxLength) element.max_length = Math.min(param.maxLength, MAX_TEXT_INPUT_LENGTH);
+        return element;
+    }
+
+    /**
+     * @param {Object} param - Number parameter schema
+     * @returns {string|null} e.g. "1 to 50 (default 28)"
+     */
+    describeRange(param) {
+        const parts = [];
+        if (param.min !== undefined && param.max !== undefined) {
+            parts.push(`${param.min} to ${param.max}`);
+        } else if (param.min !== undefined) {
+            parts.push(`At least ${param.min}`);
+        } else if (param.max !== undefined) {
+            parts.push(`At most ${param.max}`);
+        }
+        if (param.default !== undefined) {
+            parts.push(parts.length ? `(default ${param.default})` : `Default ${param.default}`);
+        }
+        return parts.length ? parts.join(' ') : null;
+    }
+
+    /**
+     * Pre-fill blocks with values (e.g. the previous generation's parameters)
+     * @param {Array} blocks - Blocks from buildBlocks (other blocks are left alone)
+     * @param {Object} parameters - Parameter schema keyed by name
+     * @param {Object} values - Values keyed by parameter name
+     * @returns {Array} The same blocks
+     */
+    applyInitialValues(blocks, parameters, values) {
+        if (!values || !parameters) return blocks;
+        for (const block of blocks) {
+            const element = block.element;
+            const param = element && parameters[element.action_id];
+            if (!param) continue;
+            const value = values[element.action_id];
+            if (value === undefined || value === null || value === '') continue;
+
+            const kind = this.getFieldKind(param);
+            if (kind === 'select') {
+                const initialOption = element.options.find(option => option.value === String(value));
+                if (initialOption) element.initial_option = initialOption;
+            } else if (kind === 'checkbox') {
+                if (value === true) {
+                    element.initial_options = [element.options[0]];
+                } else {
+                    delete element.initial_options;
+                }
+            } else if (kind === 'list') {
+                element.initial_value = Array.isArray(value) ? value.join('\n') : String(value);
+            } else if (kind === 'json') {
+                element.initial_value = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+            } else {
+                element.initial_value = String(value);
+            }
+        }
+        return blocks;
+    }
+
+    /**
+     * Coerce submitted modal values into typed parameters and check them against the schema
+     * @param {Object} values - view.state.values
+     * @param {Object} parameters - Parameter schema keyed by name
+     * @param {Object} overrides - Values chosen outside the parameter's own block (e.g. a picked file), keyed by name
+     * @returns {Object} { parameters, errors } - errors keyed by block_id, ready for response_action: 'errors'
+     */
+    parseValues(values, parameters, overrides = {}) {
+        const result = {};
+        const errors = {};
+        if (!parameters) return { parameters: result, errors };
+
+        for (const [paramName, param] of Object.entries(parameters)) {
+            const blockId = `${paramName}_block`;
+            if (overrides[paramName] !== undefined) {
+                result[paramName] = overrides[paramName];
+                continue;
+            }
+
+            let value;
+            try {
+                value = this.parseField(param, values?.[blockId]?.[paramName]);
+            } catch (error) {
+                errors[blockId] = error.message;
+                continue;
+            }
+
+            if (value !== undefined) {
+                result[paramName] = value;
+            } else if (param.default !== undefined) {
+                result[paramName] = param.default;
+            } else if (param.required) {
+                errors[blockId] = 'This field is required.';
+            }
+        }
+
+        return { parameters: result, errors };
+    }
+
+    /**
+     * Coerce one submitted element state
+     * @param {Object} param - Parameter schema
+     * @param {Object} state - Element state from view.state.values
+     * @returns {*} Typed value, or undefined when the field was left empty
+     * @throws {Error} With a message to show under the field
+     */
+    parseField(param, state) {
+        if (!state) return undefined;
+        const kind = this.getFieldKind(param);
+
+        if (kind === 'select') {
+            const selected = state.selected_option?.value;
+            if (selected === undefined) return undefined;
+            return param.type === 'number' ? Number(selected) : selected;
+        }
+
+        if (kind === 'checkbox') {
+            return Array.isArray(state.selected_options) && state.selected_options.length > 0;
+        }
+
+        const raw = typeof state.value === 'string' ? state.value.trim() : '';
+        if (!raw) return undefined;
+
+        if (kind === 'number') {
+            const number = Number(raw);
+            if (!Number.isFinite(number)) throw new Error('Enter a number.');
+            if (param.integer && !Number.isInteger(number)) throw new Error('Enter a whole number.');
+            if (!this.isInRange(param, number)) {
+                throw new Error(`Enter a value ${this.describeBounds(param)}.`);
+            }
+            return number;
+        }
+
+        if (kind === 'list') {
+            const isUrlList = param.items.format === 'uri';
+            const items = raw.split(isUrlList ? /[\s,]+/ : /\n|,/).map(item => item.trim()).filter(Boolean);
+            const invalid = isUrlList && items.find(item => !this.isUrl(item));
+            if (invalid) throw new Error(`Not a valid URL: ${invalid.substring(0, 100)}`);
+            return items;
+        }
+
+        if (kind === 'json') {
+            let parsed;
+            try {
+                parsed = JSON.parse(raw);
+            } catch (error) {
+                throw new Error(`Enter valid JSON (${error.message}).`);
+            }
+            if (param.type === 'array' && !Array.isArray(parsed)) {
+                throw new Error('Enter a JSON array, e.g. [ ... ].');
+            }
+            if (param.type === 'object' && (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed))) {
+                throw new Error('Enter a JSON object, e.g. { "key": "value" }.');
+            }
+            if (param.items && param.items.type === 'object' && param.items.properties) {
+                parsed.forEach((item, index) => this.checkJsonItem(param.items.properties, item, index));
+            }
+            return parsed;
+        }
+
+        if (param.maxLength && raw.length > param.maxLength) {
+            throw new Error(`Must be at most ${param.maxLength} characters (currently ${raw.length}).`);
+        }
+        if (param.format === 'uri' && !this.isUrl(raw)) {
+            throw new Error('Enter a valid URL starting with http:// or https://.');
+        }
+        return raw;
+    }
+
+    /**
+     * Check an item of a JSON array against its declared properties
+     * @throws {Error} Naming the item and property that is wrong
+     */
+    checkJsonItem(properties, item, index) {
+        const where = `Item ${index + 1}`;
+        if (item === null || typeof item !== 'object' || Array.isArray(item)) {
+            throw new Error(`${where} must be a JSON object.`);
+        }
+        for (const [name, property] of Object.entries(properties)) {
+            const value = item[name];
+            if (value === undefined) {
+                if (property.required) throw new Error(`${where} is missing "${name}".`);
+                continue;
+            }
+            if (property.type === 'number') {
+                if (typeof value !== 'number') throw new Error(`${where}: "${name}" must be a number.`);
+                if (!this.isInRange(property, value)) {
+                    throw new Error(`${where}: "${name}" must be ${this.describeBounds(property)}.`);
+                }
+            } else if (property.type === 'string' && typeof value !== 'string') {
+                throw new Error(`${where}: "${name}" must be a string.`);
+            }
+        }
+    }
+
+    isInRange(param, number) {
+        return (param.min === undefined || number >= param.min) && (param.max === undefined || number <= param.max);
+    }
+
+    describeBounds(param) {
+        if (param.min !== undefined && param.max !== undefined) return `from ${param.min} to ${param.max}`;
+        return param.min !== undefined ? `of at least ${param.min}` : `of at most ${param.max}`;
+    }
+
+    isUrl(value) {
+        try {
+            const url = new URL(value);
+            return url.protocol === 'http:' || url.protocol === 'https:';
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+const parameterModalBuilder = new ParameterModalBuilder();
+
+module.exports = { parameterModalBuilder, ParameterModalBuilder };
@@ -0,0 +1,14 @@
+/**
+ * @fileoverview Slack Web API client for backend-side notifications
+ * @description The interactive bot runs in slack-service.js; the backend only needs a
+ * Web API client (bot token) to post status messages such as OperationMonitor updates.
+ */
+
+const { webApi } = require('@slack/bolt');
+const config = require('../../config');
+
+const slackBot = {
+    client: new webApi.WebClient(config.slack.botToken)
+};
+
+module.exports = { slackBot };
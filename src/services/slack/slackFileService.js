@@ -0,0 +1,280 @@
+/**
+ * @fileoverview Slack File Service - Re-hosts files shared in Slack as generation inputs
+ * @description Slack file URLs need the bot token, which fal.ai does not have. Files are looked up
+ * by ID, downloaded with the bot token and uploaded to fal.ai storage, whose URLs models can read.
+ * Images attached to messages by URL (link unfurls, bot attachments) are re-hosted the same way, so
+ * the input keeps working if the original link goes away.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const { fal } = require('@fal-ai/client');
+const logger = require('../../utils/logger');
+const config = require('../../config');
+const { slackBot } = require('./slackBot');
+
+// fal.ai storage accepts large uploads, but Slack downloads are buffered in memory
+const MAX_FILE_BYTES = 100 * 1024 * 1024;
+
+// Input kinds, from the file's MIME type
+const FILE_KINDS = ['image', 'video', 'audio'];
+
+// Re-hosted files remembered per session (newest first)
+const MAX_SESSION_FILES = 10;
+
+// Addresses a URL from a message must not reach: loopback, private, link-local (cloud metadata),
+// carrier-grade NAT, multicast and reserved ranges, and IPv4 addresses mapped into IPv6
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 127], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function isPublicAddress(address) {
+    const family = net.isIP(address);
+    return family !== 0 && !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function urlNotAllowedError(message) {
+    const error = new Error(message);
+    error.code = 'URL_NOT_ALLOWED';
+    return error;
+}
+
+// DNS lookup for URL downloads that refuses hosts resolving to a non-public address; it runs when the
+// connection is made, so a host cannot pass a check and then resolve somewhere else
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+        const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+        if (!addresses.every(isPublicAddress)) {
+            return callback(urlNotAllowedError(`${hostname} does not resolve to a public address`));
+        }
+        callback(null, address, family);
+    });
+}
+
+const publicHttpsAgent = new https.Agent({ lookup: publicLookup });
+
+class SlackFileService {
+    constructor(slackClient = slackBot.client) {
+        this.slackClient = slackClient;
+    }
+
+    /**
+     * Kind of generation input a MIME type can be used as
+     * @param {string} mimetype - e.g. image/png
+     * @returns {string|null} image, video, audio or null when unsupported
+     */
+    getFileKind(mimetype) {
+        const kind = String(mimetype || '').split('/')[0];
+        return FILE_KINDS.includes(kind) ? kind : null;
+    }
+
+    /**
+     * Whether a Slack user can see a file: they uploaded it, it is in a public channel and they are a
+     * full member of the workspace, or they are in a conversation it is shared in. The bot token reads
+     * any file the bot can see, so a file ID alone must not pull in files from elsewhere.
+     * @param {Object} file - File from files.info
+     * @param {string} userId - Slack user ID
+     * @returns {Promise<boolean>}
+     */
+    async canUserSeeFile(file, userId) {
+        if (file.user === userId) {
+            return true;
+        }
+
+        const publicChannels = Object.keys(file.shares?.public || {});
+        const privateConversations = Object.keys(file.shares?.private || {});
+        let conversations = privateConversations;
+        if (publicChannels.length > 0) {
+            // Guests only see the public channels they were added to
+            const { user } = await this.slackClient.users.info({ user: userId });
+            if (!user.is_restricted && !user.is_ultra_restricted) {
+                return true;
+            }
+            conversations = [...publicChannels, ...privateConversations];
+        }
+
+        for (const channelId of conversations) {
+            if (await this.isConversationMember(channelId, userId)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @param {string} channelId - Channel, private channel or DM ID
+     * @param {string} userId - Slack user ID
+     * @returns {Promise<boolean>} Whether the user is in the conversation (false when the bot cannot list it)
+     */
+    async isConversationMember(channelId, userId) {
+        let cursor;
+        try {
+            do {
+                const response = await this.slackClient.conversations.members({ channel: channelId, cursor, limit: 1000 });
+                if (response.members.includes(userId)) {
+                    return true;
+                }
+                cursor = response.response_metadata?.next_cursor;
+            } while (cursor);
+        } catch (error) {
+            logger.warn('Could not list conversation members for a file share', { channelId, error: error.message });
+        }
+        return false;
+    }
+
+    /**
+     * Fetch a Slack file with the bot token and upload it to fal.ai storage
+     * @param {string} fileId - Slack file ID (F...)
+     * @param {string} userId - Slack user adding the file; they must be able to see it
+     * @returns {Promise<Object>} { fileId, name, mimetype, kind, size, url, sharedAt }
+     * @throws {Error} With code FILE_NOT_VISIBLE, UNSUPPORTED_FILE_TYPE or FILE_TOO_LARGE for unusable files
+     */
+    async rehost(fileId, userId) {
+        const info = await this.slackClient.files.info({ file: fileId });
+        const file = info.file;
+
+        if (!await this.canUserSeeFile(file, userId)) {
+            const error = new Error('Only files from conversations you are in can be used as inputs');
+            error.code = 'FILE_NOT_VISIBLE';
+            throw error;
+        }
+
+        const kind = this.getFileKind(file.mimetype);
+        if (!kind) {
+            const error = new Error(`Files of type ${file.mimetype || 'unknown'} cannot be used as generation inputs`);
+            error.code = 'UNSUPPORTED_FILE_TYPE';
+            throw error;
+        }
+        if (file.size > MAX_FILE_BYTES) {
+            const error = new Error(`File is larger than ${MAX_FILE_BYTES / 1024 / 1024} MB`);
+            error.code = 'FILE_TOO_LARGE';
+            throw error;
+        }
+
+        const download = await axios.get(file.url_private_download || file.url_private, {
+            responseType: 'arraybuffer',
+            maxContentLength: MAX_FILE_BYTES,
+            headers: { Authorization: `Bearer ${config.slack.botToken}` }
+        });
+
+        const url = await this.upload(download.data, file.mimetype);
+
+        logger.info('Slack file re-hosted for generation input', {
+            fileId,
+            kind,
+            size: file.size
+        });
+
+        return {
+            fileId,
+            name: file.name || file.title || fileId,
+            mimetype: file.mimetype,
+            kind,
+            size: file.size,
+            url,
+            sharedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Download a publicly reachable file (e.g. an image attached to a message) and upload it to fal.ai storage
+     * Only public HTTPS hosts are fetched and redirects are not followed, so a message cannot point the
+     * backend at internal services.
+     * @param {string} sourceUrl - HTTPS URL of the file
+     * @param {string} name - Display name (defaults to the last path segment of the URL)
+     * @returns {Promise<Object>} Same shape as rehost(); fileId is derived from the URL
+     * @throws {Error} With code URL_NOT_ALLOWED, UNSUPPORTED_FILE_TYPE or FILE_TOO_LARGE for unusable files
+     */
+    async rehostUrl(sourceUrl, name) {
+        const { protocol, hostname } = new URL(sourceUrl);
+        // IP literals are connected to without a lookup
+        const host = hostname.replace(/^\[|\]$/g, '');
+        if (protocol !== 'https:' || (net.isIP(host) && !isPublicAddress(host))) {
+            throw urlNotAllowedError('Only files on public HTTPS hosts can be used as inputs');
+        }
+
+        let download;
+        try {
+            download = await axios.get(sourceUrl, {
+                responseType: 'arraybuffer',
+                maxContentLength: MAX_FILE_BYTES,
+                maxRedirects: 0,
+                httpsAgent: publicHttpsAgent,
+                proxy: false,
+                timeout: config.api.requestTimeout
+            });
+        } catch (error) {
+            if (error.code === 'URL_NOT_ALLOWED' || error.cause?.code === 'URL_NOT_ALLOWED') {
+                throw urlNotAllowedError(error.cause?.message || error.message);
+            }
+            if (error.response && error.response.status >= 300 && error.response.status < 400) {
+                throw urlNotAllowedError('The file URL redirects elsewhere; use the final URL of the file');
+            }
+            if (error.code === 'ERR_BAD_RESPONSE' && /maxContentLength/.test(error.message)) {
+                const tooLarge = new Error(`File is larger than ${MAX_FILE_BYTES / 1024 / 1024} MB`);
+                tooLarge.code = 'FILE_TOO_LARGE';
+                throw tooLarge;
+            }
+            throw error;
+        }
+
+        const mimetype = String(download.headers['content-type'] || '').split(';')[0].trim();
+        const kind = this.getFileKind(mimetype);
+        if (!kind) {
+            const error = new Error(`Files of type ${mimetype || 'unknown'} cannot be used as generation inputs`);
+            error.code = 'UNSUPPORTED_FILE_TYPE';
+            throw error;
+        }
+
+        const url = await this.upload(download.data, mimetype);
+        const fileId = `url-${crypto.createHash('sha1').update(sourceUrl).digest('hex').slice(0, 12)}`;
+
+        logger.info('Attached file re-hosted for generation input', {
+            fileId,
+            kind,
+            size: download.data.length
+        });
+
+        return {
+            fileId,
+            name: name || decodeURIComponent(new URL(sourceUrl).pathname.split('/').pop()) || fileId,
+            mimetype,
+            kind,
+            size: download.data.length,
+            url,
+            sharedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * @param {Buffer} data - File contents
+     * @param {string} mimetype - MIME type
+     * @returns {Promise<string>} fal.ai storage URL
+     */
+    async upload(data, mimetype) {
+        return await fal.storage.upload(new Blob([data], { type: mimetype }));
+    }
+
+    /**
+     * Put a re-hosted file at the front of a session's file list
+     * @param {Array} files - Current list (newest first)
+     * @param {Object} file - File from rehost()
+     * @returns {Array} New list, without duplicates and capped at MAX_SESSION_FILES
+     */
+    addSessionFile(files, file) {
+        return [file, ...(files || []).filter(existing => existing.fileId !== file.fileId)].slice(0, MAX_SESSION_FILES);
+    }
+}
+
+const slackFileService = new SlackFileService();
+
+module.exports = { slackFileService, SlackFileService };
@@ -37,257 +37,212 @@ try {
 // Import utilities
 const logManager = require('./utils/logManager');
 const portManager = require('./utils/portManager');
+const { parameterModalBuilder } = require('./services/slack/parameterModalBuilder');
+const { appHomeBuilder } = require('./services/slack/appHomeBuilder');
+const { formatCost, formatPricing } = require('./config/modelPricing');
+const { generateServiceToken } = require('./middleware/security');
 
-// Add import at the top
-const textToVideoModalParams = require('./services/falai/textToVideoService/textToVideoModalParams');
-const imageToVideoModalParams = require('./services/falai/imageToVideoService/imageToVideoModalParams');
-const textToAudioModalParams = require('./services/falai/textToAudioService/textToAudioModalParams');
-const textToSpeechModalParams = require('./services/falai/textToSpeechService/textToSpeechModalParams');
-const imageToImageModalParams = require('./services/falai/imageToImageService/imageToImageModalParams');
-const videoToVideoModalParams = require('./services/falai/videoToVideoService/videoToVideoModalParams');
-
-// Helper for boolean (checkboxes) block with debug logs
-function buildCheckboxBlock(paramName, paramConfig, blockId, actionId) {
-  const options = [
-    {
-      text: {
-        type: 'plain_text',
-        text: `Enable ${paramName}`
-      },
-      value: 'true'
-    }
-  ];
-  
-  // Create label with optional indicator
-  const labelText = paramName.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
-  const isRequired = paramConfig.required === true;
-  const displayLabel = isRequired ? labelText : `${labelText} (Optional)`;
-  
-  // Use section block with accessory to avoid validation
-  const block = {
-    type: 'section',
-    block_id: blockId,
-    text: {
-      type: 'mrkdwn',
-      text: `*${displayLabel}*${isRequired ? ' (Required)' : ' (Optional)'}`
-    },
-    accessory: {
-      type: 'checkboxes',
-      action_id: actionId,
-      options
-    }
-  };
-  
-  // Only add initial_options if default is true
-  if (paramConfig.default === true) {
-    block.accessory.initial_options = [options[0]];
+// Emoji shown next to each operation in the picker (unknown operations get a generic one)
+const OPERATION_EMOJI = {
+  'text-to-image': '🖼️',
+  'text-to-video': '🎬',
+  'image-to-video': '🎥',
+  'text-to-audio': '🎵',
+  'text-to-speech': '🗣️',
+  'image-to-image': '🎨',
+  'video-to-video': '📼',
+  'image-to-3d': '🧊'
+};
+
+// Kind of asset each operation produces (decides which follow-up buttons a result gets)
+const OPERATION_ASSET_TYPES = {
+  'text-to-image': 'image',
+  'image-to-image': 'image',
+  'text-to-video': 'video',
+  'image-to-video': 'video',
+  'video-to-video': 'video'
+};
+
+// Model the "Upscale" button sends each kind of asset to
+const ASSET_UPSCALERS = {
+  image: { operation: 'image-to-image', modelId: 'fal-ai/esrgan', inputParam: 'image_url' },
+  video: { operation: 'video-to-video', modelId: 'fal-ai/video-upscaler', inputParam: 'video_url' }
+};
+
+// Model picker the "Edit" button opens for each kind of asset
+const ASSET_EDIT_OPERATIONS = {
+  image: { operation: 'image-to-image', inputParam: 'image_url' },
+  video: { operation: 'video-to-video', inputParam: 'video_url' }
+};
+
+// Operations a file shared in a campaign thread can feed, by file kind
+const FILE_INPUT_OPERATIONS = {
+  image: [
+    { operation: 'image-to-image', label: '🎨 Edit image' },
+    { operation: 'image-to-video', label: '🎥 Animate' },
+    { operation: 'image-to-3d', label: '🧊 Make 3D' }
+  ],
+  video: [{ operation: 'video-to-video', label: '📼 Restyle video' }],
+  audio: [{ operation: 'text-to-speech', label: '🗣️ Clone voice' }]
+};
+
+// Shared files offered in each parameter's file picker
+const MAX_FILE_PICKER_OPTIONS = 5;
+
+// Slack's limit on a modal's private_metadata
+const MAX_MODAL_METADATA_LENGTH = 3000;
+
+// Option text in a static select is cut to this length (Slack's limit is 75)
+const MAX_OPTION_TEXT_LENGTH = 75;
+
+// /dashboard subcommands, in the order /dashboard help lists them
+const DASHBOARD_SUBCOMMANDS = [
+  { usage: '/dashboard', description: 'Start a new campaign' },
+  { usage: '/dashboard help', description: 'This help and the operation catalog' },
+  { usage: '/dashboard history', description: 'Your active and recent sessions' },
+  { usage: '/dashboard status', description: 'Your generations that are queued or running' },
+  { usage: '/dashboard models <operation>', description: 'Models for an operation, with pricing' },
+  { usage: '/dashboard end', description: 'End your session in this channel and get its summary' },
+  { usage: '/dashboard resume', description: 'Pick up an ended or expired session' },
+  { usage: '/dashboard web', description: 'Sign-in link for the web dashboard' }
+];
+
+// Ended and expired sessions listed by /dashboard history
+const MAX_HISTORY_SESSIONS = 10;
+
+// Archived sessions listed by /dashboard resume and on the App Home tab
+const MAX_RESUMABLE_SESSIONS = 5;
+
+// Assets shown on the App Home tab
+const MAX_HOME_ASSETS = 20;
+
+// Backend error codes for requests the user's role does not allow (see config/roles.js)
+const ROLE_REFUSAL_CODES = ['OPERATION_NOT_ALLOWED', 'MODEL_NOT_ALLOWED', 'JOB_COST_NOT_ALLOWED'];
+const ROLE_NO_OPERATIONS_TEXT = '🔒 Your role does not allow generating assets. Ask an admin if you need access.';
+
+// Message for a backend refusal based on the user's role, or null for any other error
+function getRoleRefusalText(error) {
+  const data = error.response?.data;
+  if (error.response?.status !== 403 || !ROLE_REFUSAL_CODES.includes(data?.code)) return null;
+  return `🔒 ${data.error}. Ask an admin if you need access.`;
+}
+
+// Key for per-thread bot state: each campaign lives in its own thread, so one user can run several at once
+function threadKey(userId, threadTs) {
+  return `${userId}:${threadTs}`;
+}
+
+// Slack user a backend call acts for: the user in a /api/session/:userId or /api/user/:userId path,
+// the userId in the body, or actingUserId in the request config for calls that name neither
+function getActingUserId(requestConfig) {
+  const pathMatch = String(requestConfig.url || '').match(/^\/api\/(?:session|user)\/([^/]+)\//);
+  return pathMatch?.[1] || requestConfig.data?.userId || requestConfig.actingUserId || null;
+}
+
+// Confirmation buttons carry the user who requested the job, so only they can act on them
+function encodePendingValue(ownerId, pendingId) {
+  return `${ownerId}:${pendingId}`;
+}
+
+function decodePendingValue(value) {
+  const [ownerId, pendingId] = String(value).split(':');
+  return { ownerId, pendingId };
+}
+
+// Session thread an interaction came from (the campaign root message ts)
+function getInteractionThreadTs(body) {
+  return body.message?.thread_ts || body.container?.thread_ts || body.message?.ts || null;
+}
+
+// Modals carry the channel and session thread in private_metadata
+function encodeModalMetadata(channelId, threadTs) {
+  return JSON.stringify({ channelId, threadTs });
+}
+
+function decodeModalMetadata(metadata) {
+  try {
+    const parsed = JSON.parse(metadata);
+    return { channelId: parsed.channelId || null, threadTs: parsed.threadTs || null };
+  } catch (error) {
+    // Plain channel ID (modals opened outside a campaign thread)
+    return { channelId: metadata || null, threadTs: null };
   }
-  
-  // Debug log
-  console.log(`[DEBUG][Modal] Checkbox field '${paramName}' options:`, JSON.stringify(options, null, 2));
-  console.log(`[DEBUG][Modal] Checkbox field '${paramName}' initial_options:`, JSON.stringify(block.accessory.initial_options || [], null, 2));
-  
-  return block;
 }
 
-// Helper for static_select block with debug logs
-function buildStaticSelectBlock(paramName, paramConfig, blockId, actionId) {
-  const options = (paramConfig.options || []).map(opt => ({
-    text: { type: 'plain_text', text: opt },
-    value: opt
-  }));
-  
-  // Create label with optional indicator
-  const labelText = paramName.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
-  const isRequired = paramConfig.required === true;
-  const displayLabel = isRequired ? labelText : `${labelText} (Optional)`;
-  
-  const block = {
-    type: 'section',
-    block_id: blockId,
-    text: {
-      type: 'mrkdwn',
-      text: `*${displayLabel}*${isRequired ? ' (Required)' : ' (Optional)'}`
-    },
-    accessory: {
-      type: 'static_select',
-      action_id: actionId,
-      options,
-      placeholder: {
-        type: 'plain_text',
-        text: `Select ${paramName}...`
-      }
+// Files and attached images of a message that can feed an operation, for the "Use as input" shortcut
+function getMessageInputs(message) {
+  const inputs = [];
+  (message.files || []).forEach(file => {
+    const kind = String(file.mimetype || '').split('/')[0];
+    if (FILE_INPUT_OPERATIONS[kind]) {
+      inputs.push({ fileId: file.id, name: file.name || file.title || file.id, kind });
     }
-  };
-  
-  // Only add initial_option if there's a default value
-  if (paramConfig.default !== undefined) {
-    const initial_option = options.find(opt => opt.value === paramConfig.default);
-    if (initial_option) {
-      block.accessory.initial_option = initial_option;
+  });
+  // Images attached by URL (link unfurls, bot attachments) are not Slack files
+  (message.attachments || []).forEach(attachment => {
+    if (attachment.image_url) {
+      inputs.push({ url: attachment.image_url, name: attachment.title || attachment.fallback || 'Attached image', kind: 'image' });
     }
-  }
-  
-  // Debug log
-  console.log(`[DEBUG][Modal] Select field '${paramName}' options:`, JSON.stringify(options, null, 2));
-  console.log(`[DEBUG][Modal] Select field '${paramName}' initial_option:`, JSON.stringify(block.accessory.initial_option || 'undefined', null, 2));
-  
-  return block;
+  });
+  return inputs;
 }
 
-// Unified parameter modal builder for all operations
-function buildParameterBlocksFromModelConfig(modelConfig) {
-  const blocks = [];
-  if (!modelConfig || !modelConfig.parameters) return blocks;
-  
-  console.log('[DEBUG][Modal] Building parameter blocks from modelConfig:', JSON.stringify(modelConfig.parameters, null, 2));
-  
-  Object.entries(modelConfig.parameters).forEach(([paramName, paramConfig], idx) => {
-    const blockId = `${paramName}_block`;
-    const actionId = paramName;
-    
-    console.log(`[DEBUG][Modal] Processing param '${paramName}':`, JSON.stringify(paramConfig, null, 2));
-    
-    // Create label with optional indicator
-    const labelText = paramName.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
-    const isRequired = paramConfig.required === true;
-    const displayLabel = isRequired ? labelText : `${labelText} (Optional)`;
-    
-    try {
-      if (paramConfig.type === 'array' && paramName === 'image_urls') {
-        // Special handling for image_urls: multi-line input
-        blocks.push({
-          type: 'input',
-          block_id: blockId,
-          optional: false, // First image URL is required
-          label: {
-            type: 'plain_text',
-            text: 'Image URLs (first required, others optional)'
-          },
-          element: {
-            type: 'plain_text_input',
-            action_id: actionId,
-            placeholder: {
-              type: 'plain_text',
-              text: 'Paste the required first image URL on the first line. Add more URLs (optional) on new lines or separated by commas.'
-            },
-            multiline: true
-          }
-        });
-      } else if (paramConfig.type === 'boolean') {
-        console.log(`[DEBUG][Modal] Building checkbox for '${paramName}'`);
-        const options = [
-          {
-            text: {
-              type: 'plain_text',
-              text: `Enable ${paramName}`
-            },
-            value: 'true'
-          }
-        ];
-        
-        const block = {
-          type: 'input',
-          block_id: blockId,
-          optional: !isRequired, // true for optional, false for required
-          label: {
-            type: 'plain_text',
-            text: displayLabel
-          },
-          element: {
-            type: 'checkboxes',
-            action_id: actionId,
-            options
-          }
-        };
-        
-        if (paramConfig.default === true) {
-          block.element.initial_options = [options[0]];
-        }
-        
-        blocks.push(block);
-      } else if (paramConfig.type === 'string' && paramConfig.options) {
-        console.log(`[DEBUG][Modal] Building static_select for '${paramName}'`);
-        const options = (paramConfig.options || []).map(opt => ({
-          text: { type: 'plain_text', text: opt },
-          value: opt
-        }));
-        
-        const block = {
-          type: 'input',
-          block_id: blockId,
-          optional: !isRequired, // true for optional, false for required
-          label: {
-            type: 'plain_text',
-            text: displayLabel
-          },
-          element: {
-            type: 'static_select',
-            action_id: actionId,
-            options,
-            placeholder: {
-              type: 'plain_text',
-              text: `Select ${paramName}...`
-            }
-          }
-        };
-        
-        if (paramConfig.default !== undefined) {
-          const initial_option = options.find(opt => opt.value === paramConfig.default);
-          if (initial_option) {
-            block.element.initial_option = initial_option;
-          }
-        }
-        
-        blocks.push(block);
-      } else if (paramConfig.type === 'number') {
-        console.log(`[DEBUG][Modal] Building number_input for '${paramName}'`);
-        blocks.push({
-          type: 'input',
-          block_id: blockId,
-          optional: !isRequired, // true for optional, false for required
-          label: {
-            type: 'plain_text',
-            text: displayLabel
-          },
-          element: {
-            type: 'number_input',
-            action_id: actionId,
-            placeholder: {
-              type: 'plain_text',
-              text: `Enter ${paramName}...`
-            },
-            is_decimal_allowed: true
-          }
-        });
-      } else {
-        console.log(`[DEBUG][Modal] Building plain_text_input for '${paramName}'`);
-        
-        blocks.push({
-          type: 'input',
-          block_id: blockId,
-          optional: !isRequired, // true for optional, false for required
-          label: {
-            type: 'plain_text',
-            text: displayLabel
-          },
-          element: {
-            type: 'plain_text_input',
-            action_id: actionId,
-            placeholder: {
-              type: 'plain_text',
-              text: `Enter ${paramName}...`
-            },
-            multiline: false
-          }
-        });
-      }
-    } catch (err) {
-      console.error(`[ERROR][Modal] Failed to build block for param '${paramName}':`, err);
+function truncateOptionText(text) {
+  return text.length > MAX_OPTION_TEXT_LENGTH ? `${text.slice(0, MAX_OPTION_TEXT_LENGTH - 1)}…` : text;
+}
+
+// Kind of file a media parameter takes, from its name (image_url, ref_image_urls, reference_audio_url, ...)
+function getFileParamKind(paramName) {
+  const match = paramName.match(/(image|video|audio)_urls?$/);
+  return match ? match[1] : null;
+}
+
+// Pre-fill the primary (first required) media parameter of each kind with the newest matching file
+// shared in the thread; secondary inputs (extra views, end frames) are left for the user to pick
+function buildFileInputValues(modelConfig, files) {
+  const values = {};
+  if (!modelConfig || !modelConfig.parameters || !files || files.length === 0) return values;
+  const filledKinds = new Set();
+  Object.entries(modelConfig.parameters).forEach(([paramName, paramConfig]) => {
+    const kind = getFileParamKind(paramName);
+    if (!kind || !paramConfig.required || filledKinds.has(kind)) return;
+    const file = files.find(f => f.kind === kind);
+    if (file) {
+      values[paramName] = paramConfig.type === 'array' ? [file.url] : file.url;
+      filledKinds.add(kind);
     }
   });
-  
-  console.log(`[DEBUG][Modal] Built ${blocks.length} parameter blocks`);
+  return values;
+}
+
+// Add a dropdown of recent thread files under each media parameter (picked files override the URL field)
+function addFilePickerBlocks(blocks, files) {
+  if (!files || files.length === 0) return blocks;
+  for (let i = blocks.length - 1; i >= 0; i--) {
+    const paramName = blocks[i].element?.action_id;
+    const kind = paramName && getFileParamKind(paramName);
+    const matching = kind ? files.filter(f => f.kind === kind).slice(0, MAX_FILE_PICKER_OPTIONS) : [];
+    if (matching.length === 0) continue;
+
+    blocks.splice(i + 1, 0, {
+      type: 'input',
+      block_id: `${paramName}_file_block`,
+      optional: true,
+      label: {
+        type: 'plain_text',
+        text: 'Or use a file shared in this thread'
+      },
+      element: {
+        type: 'static_select',
+        action_id: `${paramName}_file`,
+        placeholder: { type: 'plain_text', text: 'Pick a file...' },
+        options: matching.map(f => ({
+          text: { type: 'plain_text', text: f.name.substring(0, 75) },
+          value: f.fileId
+        }))
+      }
+    });
+  }
   return blocks;
 }
 
@@ -312,81 +267,22 @@ function assertReferentialEquality(blocks) {
   }
 }
 
-// Unified parameter extraction from modal values using modelConfig
-function extractParametersFromModal(values, modelConfig) {
-  const parameters = {};
-  if (!modelConfig || !modelConfig.parameters) return parameters;
-  
-  console.log('[DEBUG][extractParametersFromModal] values:', JSON.stringify(values, null, 2));
-  console.log('[DEBUG][extractParametersFromModal] modelConfig:', JSON.stringify(modelConfig, null, 2));
-  
-  Object.entries(modelConfig.parameters).forEach(([paramName, paramConfig]) => {
-    const blockId = `${paramName}_block`;
-    const blockValue = values[blockId];
-    let extractedValue = undefined;
-
-    // --- Normalization for Slack modal field types ---
-    let type = paramConfig.type;
-    if (type === 'plain_text_input') type = 'string';
-    if (type === 'static_select') type = 'string';
-    if (type === 'number_input') type = 'number';
-    if (type === 'checkbox') type = 'boolean';
-    // -------------------------------------------------
-    
-    if (!blockValue || !blockValue[paramName]) {
-      if (paramConfig.required) {
-        console.warn(`[WARN][extractParametersFromModal] Missing required field: ${paramName} (blockId: ${blockId})`);
-      }
-      if (!paramConfig.required && paramConfig.default !== undefined) {
-        parameters[paramName] = paramConfig.default;
-      }
-      return;
-    }
-    const inputValue = blockValue[paramName];
-    console.log(`[DEBUG][extractParametersFromModal] Extracting param: ${paramName}, inputValue:`, JSON.stringify(inputValue, null, 2));
-
-    // Special handling for array fields (like ref_image_urls, images, videos, motions)
-    if (type === 'array' && paramName === 'image_urls') {
-      const raw = inputValue.value || '';
-      extractedValue = raw
-        .split(/\n|,/) // split by newline or comma
-        .map(s => s.trim())
-        .filter(Boolean);
-      if (!extractedValue[0]) {
-        throw new Error('The first image URL is required for image_urls.');
-      }
-      parameters[paramName] = extractedValue;
-    } else if (type === 'array' || paramName === 'ref_image_urls' || paramName === 'images' || paramName === 'videos' || paramName === 'motions') {
-      const raw = inputValue.value || '';
-      extractedValue = raw
-        .split(/,/) // split by comma
-        .map(s => s.trim())
-        .filter(Boolean);
-      if (extractedValue.length > 0) {
-        parameters[paramName] = extractedValue;
-      }
-    } else if (type === 'string' && paramConfig.options) {
-      extractedValue = inputValue.selected_option?.value;
-    } else if (type === 'string') {
-      extractedValue = inputValue.value?.trim();
-    } else if (type === 'number') {
-      extractedValue = inputValue.value !== undefined && inputValue.value !== '' ? parseFloat(inputValue.value) : undefined;
-      if ((extractedValue === undefined || isNaN(extractedValue)) && !paramConfig.required && paramConfig.default !== undefined) {
-        extractedValue = paramConfig.default;
-      }
-    } else if (type === 'boolean') {
-      extractedValue = inputValue.selected_options && inputValue.selected_options.length > 0;
-    }
-    if (extractedValue !== undefined && extractedValue !== null && extractedValue !== '') {
-      parameters[paramName] = extractedValue;
-      console.log(`[DEBUG][extractParametersFromModal] Set param: ${paramName} =`, extractedValue);
-    } else if (!paramConfig.required && paramConfig.default !== undefined) {
-      parameters[paramName] = paramConfig.default;
-      console.log(`[DEBUG][extractParametersFromModal] Set param: ${paramName} (default) =`, paramConfig.default);
+// Coerce modal values into typed parameters; errors are keyed by block_id for response_action: 'errors'
+// files: re-hosted thread files, used when a media parameter's file picker has a selection
+function extractParametersFromModal(values, modelConfig, files = []) {
+  const overrides = {};
+  const parameters = (modelConfig && modelConfig.parameters) || {};
+  Object.entries(parameters).forEach(([paramName, paramConfig]) => {
+    const fileId = values[`${paramName}_file_block`]?.[`${paramName}_file`]?.selected_option?.value;
+    const file = fileId && (files || []).find(f => f.fileId === fileId);
+    if (file) {
+      overrides[paramName] = paramConfig.type === 'array' ? [file.url] : file.url;
     }
   });
-  console.log('[DEBUG][extractParametersFromModal] Final parameters:', JSON.stringify(parameters, null, 2));
-  return parameters;
+
+  const result = parameterModalBuilder.parseValues(values, parameters, overrides);
+  console.log('[DEBUG][extractParametersFromModal] Final parameters:', JSON.stringify(result, null, 2));
+  return result;
 }
 
 class SlackBotService {
@@ -400,7 +296,7 @@ class SlackBotService {
         // Store trigger ID for modal interactions
         this.lastTriggerId = null;
         
-        // Cache for model configurations
+        // Cache for model configurations, per user: the backend lists only the models the user's role may use
         this.modelCache = {};
         
         // Store user session data for modal interactions
@@ -408,6 +304,9 @@ class SlackBotService {
         
         // Prevent duplicate operation processing
         this.processingOperations = new Set();
+
+        // Files shared in each campaign thread, re-hosted by the backend (newest first)
+        this.threadFiles = new Map();
         
         logger.info('Backend API URL configured', { backendUrl: this.backendUrl });
         
@@ -456,6 +355,8 @@ class SlackBotService {
         // Request interceptor
         this.apiClient.interceptors.request.use(
             (config) => {
+                // Every call carries a short-lived token for the user it acts for
+                config.headers.Authorization = `Bearer ${generateServiceToken(getActingUserId(config))}`;
                 logger.http('Backend API Request', {
                     method: config.method?.toUpperCase(),
                     url: config.url,
@@ -500,7 +401,7 @@ class SlackBotService {
                 await ack();
                 
                 const userId = body.user.id;
-                const channelId = body.view.private_metadata || this.userSessions.get(userId)?.channelId;
+                const { channelId } = decodeModalMetadata(body.view.private_metadata);
                 const values = view.state.values;
                 
                 // Extract and validate form data
@@ -543,26 +444,31 @@ class SlackBotService {
                     hasVisualDirections: !!campaignData.visualDirections
                 });
 
-                // Update user session with channel ID if not already stored
-                if (channelId && !this.userSessions.get(userId)) {
-                    this.userSessions.set(userId, {
-                        channelId,
-                        timestamp: Date.now()
-                    });
-                    logger.slack(userId, 'Channel ID stored in user session from modal', {
-                        channelId,
-                        sessionData: this.userSessions.get(userId)
-                    });
-                }
+                // Every campaign gets its own thread; the session is keyed by its root message
+                const rootMessage = await client.chat.postMessage({
+                    channel: channelId,
+                    text: `🚀 *New campaign: ${campaignData.clientName}*\nEverything for this campaign happens in this thread. Reply \`end\` here when you are done.`
+                });
+                const threadTs = rootMessage.ts;
+
+                this.userSessions.set(threadKey(userId, threadTs), {
+                    channelId,
+                    threadTs,
+                    timestamp: Date.now()
+                });
+                logger.slack(userId, 'Campaign thread started', {
+                    channelId,
+                    threadTs
+                });
 
                 // Create session via backend API
-                await this.createSession(userId, channelId, campaignData, client);
+                await this.createSession(userId, channelId, threadTs, campaignData, client);
 
             } catch (error) {
                 logger.error('Campaign modal submission failed', error);
                 
                 // Send error message to user if channel is available
-                const channelId = body.view.private_metadata || this.userSessions.get(body.user.id)?.channelId;
+                const { channelId } = decodeModalMetadata(body.view.private_metadata);
                 if (channelId) {
                     try {
                         await client.chat.postMessage({
@@ -582,21 +488,23 @@ class SlackBotService {
                 await ack();
                 
                 const userId = body.user.id;
-                const selectedOperation = this.pendingOperations?.[userId];
+                const threadTs = getInteractionThreadTs(body);
+                const selectedOperation = this.pendingOperations?.[threadKey(userId, threadTs)];
                 
                 if (!selectedOperation) {
                     await client.chat.postEphemeral({
                         channel: body.channel.id,
+                        thread_ts: threadTs,
                         user: userId,
                         text: '❌ Please select an operation first.'
                     });
                     return;
                 }
                 
-                await this.selectOperation(userId, body.channel.id, selectedOperation, client);
+                await this.selectOperation(userId, body.channel.id, threadTs, selectedOperation, client);
                 
                 // Clear the pending operation
-                delete this.pendingOperations[userId];
+                delete this.pendingOperations[threadKey(userId, threadTs)];
 
             } catch (error) {
                 logger.error('Operation confirmation failed', error);
@@ -611,17 +519,19 @@ class SlackBotService {
                 
                 const userId = body.user.id;
                 const channelId = body.channel.id;
+                const threadTs = getInteractionThreadTs(body);
                 const modelId = body.actions[0].selected_option.value;
                 
                 logger.slack(userId, 'Model selected', {
                     modelId,
-                    channelId
+                    channelId,
+                    threadTs
                 });
 
                 // Store trigger ID for modal opening
                 this.lastTriggerId = body.trigger_id;
                 
-                await this.selectModel(userId, channelId, modelId, client);
+                await this.selectModel(userId, channelId, threadTs, modelId, client);
 
             } catch (error) {
                 logger.error('Model selection failed', error);
@@ -636,10 +546,11 @@ class SlackBotService {
                 
                 const userId = body.user.id;
                 const channelId = body.channel.id;
+                const threadTs = getInteractionThreadTs(body);
                 const operation = body.actions[0].value;
                 
                 // Prevent duplicate processing
-                processingKey = `${userId}-${channelId}-${operation}`;
+                processingKey = `${userId}-${threadTs}-${operation}`;
                 if (this.processingOperations && this.processingOperations.has(processingKey)) {
                     logger.debug('Operation already being processed, skipping', { userId, operation });
                     return;
@@ -650,10 +561,11 @@ class SlackBotService {
                 
                 logger.slack(userId, 'Operation selected', {
                     operation,
-                    channelId
+                    channelId,
+                    threadTs
                 });
                 
-                await this.selectOperation(userId, channelId, operation, client);
+                await this.selectOperation(userId, channelId, threadTs, operation, client);
                 
                 // Remove from processing set after completion
                 this.processingOperations.delete(processingKey);
@@ -670,15 +582,28 @@ class SlackBotService {
         // Handle parameter configuration modal submission
         this.app.view('parameter_configuration_modal', async ({ ack, body, view, client }) => {
             console.log('[DEBUG][handler] Entered parameter_configuration_modal view handler');
-            await ack();
             
             const userId = body.user.id;
             const values = view.state.values;
             console.log('[DEBUG][parameter_configuration_modal] Modal submission values:', JSON.stringify(values, null, 2));
             
-            // Get channel ID from stored user session
-            const userSession = this.userSessions.get(userId);
+            // The modal carries the session thread; the channel comes from the stored user session
+            const metadata = decodeModalMetadata(view.private_metadata);
+            const threadTs = metadata.threadTs;
+            const userSession = this.userSessions.get(threadKey(userId, threadTs));
             let channelId = null;
+
+            // Coerce and check the values while the modal is still open, so mistakes are shown under their fields
+            const modelConfigForExtraction = userSession && userSession.modelConfig;
+            const extraction = modelConfigForExtraction
+                ? extractParametersFromModal(values, modelConfigForExtraction, this.threadFiles.get(threadKey(userId, threadTs)))
+                : null;
+            if (extraction && Object.keys(extraction.errors).length > 0) {
+                logger.slack(userId, 'Parameter modal has invalid fields', { errors: extraction.errors });
+                await ack({ response_action: 'errors', errors: extraction.errors });
+                return;
+            }
+            await ack();
             
             try {
                 
@@ -686,20 +611,22 @@ class SlackBotService {
                     channelId = userSession.channelId;
                     logger.slack(userId, 'Retrieved channel ID from user session', {
                         channelId,
+                        threadTs,
                         sessionAge: Date.now() - userSession.timestamp
                     });
                 } else {
                     // Fallback to private_metadata if session not available
-                    channelId = body.private_metadata || view.private_metadata;
+                    channelId = metadata.channelId;
                     logger.warn('No user session found, using private_metadata fallback', {
                         userId,
                         hasUserSession: !!userSession,
-                        privateMetadata: body.private_metadata || view.private_metadata
+                        privateMetadata: view.private_metadata
                     });
                 }
                 
                 logger.slack(userId, 'Parameter modal submitted', {
                     channelId,
+                    threadTs,
                     hasValues: !!values,
                     valueKeys: values ? Object.keys(values) : [],
                     hasUserSession: !!userSession
@@ -710,17 +637,16 @@ class SlackBotService {
                     logger.error('No channel ID available for parameter submission', {
                         userId,
                         hasUserSession: !!userSession,
-                        privateMetadata: body.private_metadata || view.private_metadata
+                        privateMetadata: view.private_metadata
                     });
                     throw new Error('No channel ID available for parameter submission');
                 }
                 
-                let modelConfigForExtraction = userSession && userSession.modelConfig;
-                if (!modelConfigForExtraction) {
+                if (!extraction) {
                     logger.error('No modelConfig found in user session for parameter extraction', { userId, userSession });
                     throw new Error('No modelConfig found for parameter extraction');
                 }
-                const parameters = extractParametersFromModal(values, modelConfigForExtraction);
+                const parameters = extraction.parameters;
                 
                 logger.slack(userId, 'Parameters extracted', {
                     parameterCount: Object.keys(parameters).length,
@@ -728,13 +654,13 @@ class SlackBotService {
                 });
                 
                 // Post parameter summary to chat
-                await this.postParameterSummaryToChat(userId, channelId, parameters, client);
+                await this.postParameterSummaryToChat(userId, channelId, threadTs, parameters, client);
                 
-                // Submit generation request
-                await this.submitGeneration(userId, channelId, parameters, client);
+                // Submit generation request (after the cost is confirmed, when enabled)
+                await this.requestGeneration(userId, channelId, threadTs, parameters, client);
                 
                 // Keep user session alive for continued operations
-                // Session will be cleaned up when user types /end or session times out
+                // Session will be cleaned up when the user ends it or it times out
                 logger.slack(userId, 'Generation completed, session kept alive for continued operations');
 
             } catch (error) {
@@ -745,6 +671,7 @@ class SlackBotService {
                     try {
                         await client.chat.postMessage({
                             channel: channelId,
+                            thread_ts: threadTs,
                             text: '❌ Failed to process parameters. Please try again.'
                         });
                     } catch (postError) {
@@ -753,7 +680,7 @@ class SlackBotService {
                 }
                 
                 // Clean up user session on error as well
-                this.userSessions.delete(userId);
+                this.userSessions.delete(threadKey(userId, threadTs));
             }
         });
 
@@ -762,83 +689,29 @@ class SlackBotService {
             try {
                 const userId = message.user;
                 const channelId = message.channel;
+                const threadTs = message.thread_ts;
                 
                 logger.slack(userId, 'Session end command received', {
                     channelId,
+                    threadTs,
                     messageText: message.text
                 });
 
-                // Call backend API to end session
-                try {
-                    const response = await this.apiClient.post(`/api/session/${userId}/${channelId}/end`);
-                    
-                    if (response.data?.success) {
-                        const summary = response.data?.data?.summary;
-                        
-                        // Create summary message
-                        let summaryText = '🎉 *Session Ended Successfully!*\n\n';
-                        
-                        if (summary) {
-                            summaryText += `*Client:* ${summary.clientName || 'Unknown'}\n`;
-                            summaryText += `*Campaign:* ${summary.campaignIdea || 'N/A'}\n`;
-                            summaryText += `*Operations Used:* ${summary.operationsText || 'N/A'}\n`;
-                            summaryText += `*Models Used:* ${summary.modelsText || 'N/A'}\n`;
-                            summaryText += `*Assets Generated:* ${summary.generatedAssets || 0}\n`;
-                            summaryText += `*Session Duration:* ${Math.round((summary.sessionDuration || 0) / 1000 / 60)} minutes\n`;
-                            summaryText += `*Total Interactions:* ${summary.totalInteractions || 0}\n`;
-                        }
-                        
-                        summaryText += '\n*Session Summary:*\n';
-                        summaryText += '✅ Campaign data collected\n';
-                        summaryText += '✅ Operation selected\n';
-                        summaryText += '✅ Model configured\n';
-                        summaryText += '✅ Assets generated\n';
-                        summaryText += '✅ Session completed\n\n';
-                        summaryText += 'Type `/dashboard` to start a new session!';
-                        
-                        await say({
-                            text: summaryText
-                        });
-                        
-                        // Clean up local user session
-                        this.userSessions.delete(userId);
-                        
-                        logger.slack(userId, 'Session ended successfully', {
-                            sessionId: response.data?.data?.sessionId,
-                            summary: summary
-                        });
-                        
-                    } else {
-                        await say({
-                            text: '❌ *Session End Failed*\n\nNo active session found or session could not be ended. Type `/dashboard` to start a new session.'
-                        });
-                    }
-                    
-                } catch (apiError) {
-                    // Handle specific 404 error (session not found)
-                    if (apiError.response && apiError.response.status === 404) {
-                        logger.slack(userId, 'Session end attempted but no session found', {
-                            channelId,
-                            error: 'Session not found'
-                        });
-                        
-                        await say({
-                            text: 'ℹ️ *No Active Session*\n\nThere is no active session to end. Type `/dashboard` to start a new session!'
-                        });
-                    } else {
-                        // Handle other API errors
-                        logger.error('Session end command failed', apiError);
-                        
-                        await say({
-                            text: '❌ *Error Ending Session*\n\nSorry, there was an error ending your session. Please try again or contact support.'
-                        });
-                    }
+                // Sessions live in campaign threads, so `end` only means something inside one
+                if (!threadTs) {
+                    await say({
+                        text: 'ℹ️ Reply `end` inside the campaign thread you want to finish.'
+                    });
+                    return;
                 }
-                
+
+                await this.endSession(userId, channelId, threadTs, client);
+
             } catch (error) {
                 logger.error('Session end command failed', error);
                 
                 await say({
+                    thread_ts: message.thread_ts,
                     text: '❌ *Error Ending Session*\n\nSorry, there was an error ending your session. Please try again or contact support.'
                 });
             }
@@ -850,97 +723,922 @@ class SlackBotService {
                 await ack();
                 
                 const userId = body.user.id;
-                await this.regenerateAsset(userId, body.channel.id, client);
+                await this.regenerateAsset(userId, body.channel.id, getInteractionThreadTs(body), client, {
+                    generationId: body.actions[0].value
+                });
 
             } catch (error) {
                 logger.error('Asset regeneration failed', error);
             }
         });
 
-        // Remove legacy image-to-video action handler and modal logic
-        // Remove this.app.action('select_image_to_video_operation', ...) and related code
-        // Remove this.app.action('select_image_to_video_model', ...) and related code
-        // Remove this.app.view('submit_image_to_video_parameters', ...) and related code
-        // Only keep the unified operation selection handler:
-        this.app.action(/select_operation_(.+)/, async ({ ack, body, client }) => {
-            let processingKey = null;
+        this.app.action('regenerate_asset_new_seed', async ({ ack, body, client }) => {
             try {
                 await ack();
+
                 const userId = body.user.id;
-                const channelId = body.channel.id;
-                const operation = body.actions[0].value;
-                processingKey = `${userId}-${channelId}-${operation}`;
-                if (this.processingOperations && this.processingOperations.has(processingKey)) {
-                    logger.debug('Operation already being processed, skipping', { userId, operation });
-                    return;
-                }
-                if (!this.processingOperations) this.processingOperations = new Set();
-                this.processingOperations.add(processingKey);
-                logger.slack(userId, 'Operation selected', {
-                    operation,
-                    channelId
+                await this.regenerateAsset(userId, body.channel.id, getInteractionThreadTs(body), client, {
+                    generationId: body.actions[0].value,
+                    newSeed: true
                 });
-                await this.selectOperation(userId, channelId, operation, client);
-                this.processingOperations.delete(processingKey);
+
             } catch (error) {
-                logger.error('Operation selection failed', error);
-                if (this.processingOperations && processingKey) {
-                    this.processingOperations.delete(processingKey);
-                }
+                logger.error('Asset regeneration with new seed failed', error);
             }
         });
 
-        // Main slash command handler for /dashboard
-        this.app.command('/dashboard', async ({ command, ack, respond, client }) => {
-            console.log('[DEBUG][handler] Entered /dashboard command handler');
+        this.app.action('regenerate_asset_with_changes', async ({ ack, body, client }) => {
             try {
                 await ack();
-                const userId = command.user_id;
-                const channelId = command.channel_id;
-                const triggerId = command.trigger_id;
-                // Show campaign collection modal as the main entry point
-                await this.showCampaignCollectionModal(userId, channelId, triggerId, client);
+
+                const userId = body.user.id;
+                // Store trigger ID so the pre-filled parameter modal can open
+                this.lastTriggerId = body.trigger_id;
+                await this.regenerateAsset(userId, body.channel.id, getInteractionThreadTs(body), client, {
+                    generationId: body.actions[0].value,
+                    withChanges: true
+                });
+
             } catch (error) {
-                logger.error('Dashboard command failed', error);
-                await respond({
-                    text: '❌ Sorry, something went wrong. Please try again.',
-                    response_type: 'ephemeral'
+                logger.error('Asset regeneration with changes failed', error);
+            }
+        });
+
+        this.app.action('edit_asset', async ({ ack, body, client }) => {
+            try {
+                await ack();
+
+                const userId = body.user.id;
+                await this.editAsset(userId, body.channel.id, getInteractionThreadTs(body), body.actions[0].value, client);
+
+            } catch (error) {
+                logger.error('Asset edit failed', error);
+            }
+        });
+
+        this.app.action('upscale_asset', async ({ ack, body, client }) => {
+            try {
+                await ack();
+
+                const userId = body.user.id;
+                await this.upscaleAsset(userId, body.channel.id, getInteractionThreadTs(body), body.actions[0].value, client);
+
+            } catch (error) {
+                logger.error('Asset upscaling failed', error);
+            }
+        });
+
+        // Files dropped into a campaign thread become generation inputs
+        this.app.event('message', async ({ event, client }) => {
+            if (event.subtype !== 'file_share' || !event.thread_ts || !config.features.fileInputs) return;
+            try {
+                await this.handleSharedFiles(event.user, event.channel, event.thread_ts, event.files || [], client);
+            } catch (error) {
+                logger.error('Handling shared files failed', error);
+            }
+        });
+
+        this.app.action(/^use_file_input_/, async ({ ack, body, client }) => {
+            try {
+                await ack();
+
+                const userId = body.user.id;
+                const { fileId, operation } = JSON.parse(body.actions[0].value);
+                await this.useFileInput(userId, body.channel.id, getInteractionThreadTs(body), fileId, operation, client);
+
+            } catch (error) {
+                logger.error('Using shared file as input failed', error);
+            }
+        });
+
+        // "Use as input" message shortcut: send a file or image from any message to a campaign session
+        this.app.shortcut('use_as_input', async ({ ack, shortcut, client }) => {
+            try {
+                await ack();
+                await this.openUseAsInputModal(shortcut.user.id, shortcut.message, shortcut.trigger_id, client);
+            } catch (error) {
+                logger.error('Use as input shortcut failed', error);
+            }
+        });
+
+        this.app.view('use_as_input_modal', async ({ ack, body, view, client }) => {
+            const { inputs } = JSON.parse(view.private_metadata);
+            const values = view.state.values;
+            const input = inputs[Number(values.input_file_block?.input_file?.selected_option?.value || 0)];
+            const operation = values.input_operation_block.input_operation.selected_option.value;
+            const [channelId, threadTs] = values.input_session_block.input_session.selected_option.value.split(':');
+
+            if (!FILE_INPUT_OPERATIONS[input.kind].some(target => target.operation === operation)) {
+                await ack({
+                    response_action: 'errors',
+                    errors: { input_operation_block: `This operation can't take ${input.kind === 'image' ? 'an image' : `a ${input.kind}`}` }
+                });
+                return;
+            }
+            await ack();
+
+            const userId = body.user.id;
+            try {
+                await this.useMessageInput(userId, channelId, threadTs, input, operation, client);
+            } catch (error) {
+                logger.error('Using message file as input failed', error);
+                await client.chat.postEphemeral({
+                    channel: channelId,
+                    thread_ts: threadTs,
+                    user: userId,
+                    text: `❌ Sorry, *${input.name}* could not be used as an input. Please try again.`
                 });
             }
         });
-    }
 
-    /**
-     * Show campaign collection modal
-     */
-    async showCampaignCollectionModal(userId, channelId, triggerId, client) {
-        const modal = {
-            type: 'modal',
-            callback_id: 'campaign_collection_modal',
-            private_metadata: channelId,
-            title: {
-                type: 'plain_text',
-                text: '�� AI Asset Generator'
-            },
-            submit: {
-                type: 'plain_text',
-                text: 'Start Creating'
-            },
-            close: {
-                type: 'plain_text',
-                text: 'Cancel'
-            },
-            blocks: [
-                {
-                    type: 'header',
-                    text: {
-                        type: 'plain_text',
-                        text: 'Campaign Information'
-                    }
-                },
-                {
-                    type: 'input',
-                    block_id: 'client_name_block',
+        // Handle cost confirmation
+        this.app.action('confirm_generation', async ({ ack, body, client }) => {
+            try {
+                await ack();
+                await this.confirmGeneration(body.user.id, body.channel.id, getInteractionThreadTs(body), body.actions[0].value, body.message.ts, client);
+            } catch (error) {
+                logger.error('Confirming generation failed', error);
+            }
+        });
+
+        this.app.action('confirm_generation_above_threshold', async ({ ack, body, client }) => {
+            try {
+                await ack();
+                await this.confirmGeneration(body.user.id, body.channel.id, getInteractionThreadTs(body), body.actions[0].value, body.message.ts, client, { aboveThreshold: true });
+            } catch (error) {
+                logger.error('Confirming generation above the cost threshold failed', error);
+            }
+        });
+
+        this.app.action('approve_over_budget', async ({ ack, body, client }) => {
+            try {
+                await ack();
+                await this.approveOverBudget(body.user.id, body.actions[0].value, body.channel.id, body.message.ts, client);
+            } catch (error) {
+                logger.error('Approving generation over budget failed', error);
+            }
+        });
+
+        this.app.action('cancel_generation', async ({ ack, body, client }) => {
+            try {
+                await ack();
+                await this.cancelGeneration(body.user.id, body.channel.id, getInteractionThreadTs(body), body.actions[0].value, body.message.ts, client);
+            } catch (error) {
+                logger.error('Cancelling generation failed', error);
+            }
+        });
+
+        // Handle prompt suggestion decisions
+        this.app.action('accept_prompt_suggestion', async ({ ack, body, client }) => {
+            try {
+                await ack();
+
+                const userId = body.user.id;
+                const threadTs = getInteractionThreadTs(body);
+                this.lastTriggerId = body.trigger_id;
+                const enhancedPrompt = await this.decidePromptSuggestion(userId, body.channel.id, threadTs, 'accepted');
+                await this.openParameterModalWithPrompt(userId, body.channel.id, threadTs, enhancedPrompt, client);
+
+            } catch (error) {
+                logger.error('Accepting prompt suggestion failed', error);
+            }
+        });
+
+        this.app.action('reject_prompt_suggestion', async ({ ack, body, client }) => {
+            try {
+                await ack();
+
+                const userId = body.user.id;
+                const threadTs = getInteractionThreadTs(body);
+                this.lastTriggerId = body.trigger_id;
+                await this.decidePromptSuggestion(userId, body.channel.id, threadTs, 'rejected');
+                await this.openParameterModalWithPrompt(userId, body.channel.id, threadTs, null, client);
+
+            } catch (error) {
+                logger.error('Rejecting prompt suggestion failed', error);
+            }
+        });
+
+        this.app.action('edit_prompt_suggestion', async ({ ack, body, client }) => {
+            try {
+                await ack();
+
+                const userId = body.user.id;
+                await this.showPromptEditModal(userId, body.channel.id, getInteractionThreadTs(body), body.trigger_id, client);
+
+            } catch (error) {
+                logger.error('Opening prompt editor failed', error);
+            }
+        });
+
+        this.app.view('prompt_edit_modal', async ({ ack, body, view, client }) => {
+            const prompt = view.state.values.prompt_block?.prompt_input?.value?.trim();
+            if (!prompt) {
+                await ack({ response_action: 'errors', errors: { prompt_block: 'Please enter a prompt' } });
+                return;
+            }
+            await ack();
+
+            const userId = body.user.id;
+            const { channelId, threadTs } = decodeModalMetadata(view.private_metadata);
+            try {
+                const enhancedPrompt = await this.decidePromptSuggestion(userId, channelId, threadTs, 'edited', prompt);
+
+                // A view submission cannot open the next modal, so hand over with a button
+                await client.chat.postMessage({
+                    channel: channelId,
+                    thread_ts: threadTs,
+                    text: `✏️ *Prompt updated:*\n>${enhancedPrompt}`,
+                    blocks: [
+                        {
+                            type: 'section',
+                            text: { type: 'mrkdwn', text: `✏️ *Prompt updated:*\n>${enhancedPrompt}` }
+                        },
+                        {
+                            type: 'actions',
+                            elements: [
+                                {
+                                    type: 'button',
+                                    action_id: 'open_parameter_modal',
+                                    style: 'primary',
+                                    text: { type: 'plain_text', text: '⚙️ Configure parameters' }
+                                }
+                            ]
+                        }
+                    ]
+                });
+            } catch (error) {
+                logger.error('Saving edited prompt failed', error);
+                await client.chat.postMessage({
+                    channel: channelId,
+                    thread_ts: threadTs,
+                    text: '❌ Sorry, your edited prompt could not be saved. Please try again.'
+                });
+            }
+        });
+
+        this.app.action('open_parameter_modal', async ({ ack, body, client }) => {
+            try {
+                await ack();
+
+                const userId = body.user.id;
+                const threadTs = getInteractionThreadTs(body);
+                this.lastTriggerId = body.trigger_id;
+                const enhancedPrompt = this.userSessions.get(threadKey(userId, threadTs))?.enhancedPrompt || null;
+                await this.openParameterModalWithPrompt(userId, body.channel.id, threadTs, enhancedPrompt, client);
+
+            } catch (error) {
+                logger.error('Opening parameter modal failed', error);
+            }
+        });
+
+        // Remove legacy image-to-video action handler and modal logic
+        // Remove this.app.action('select_image_to_video_operation', ...) and related code
+        // Remove this.app.action('select_image_to_video_model', ...) and related code
+        // Remove this.app.view('submit_image_to_video_parameters', ...) and related code
+        // Only keep the unified operation selection handler:
+        this.app.action(/select_operation_(.+)/, async ({ ack, body, client }) => {
+            let processingKey = null;
+            try {
+                await ack();
+                const userId = body.user.id;
+                const channelId = body.channel.id;
+                const threadTs = getInteractionThreadTs(body);
+                const operation = body.actions[0].value;
+                processingKey = `${userId}-${threadTs}-${operation}`;
+                if (this.processingOperations && this.processingOperations.has(processingKey)) {
+                    logger.debug('Operation already being processed, skipping', { userId, operation });
+                    return;
+                }
+                if (!this.processingOperations) this.processingOperations = new Set();
+                this.processingOperations.add(processingKey);
+                logger.slack(userId, 'Operation selected', {
+                    operation,
+                    channelId,
+                    threadTs
+                });
+                await this.selectOperation(userId, channelId, threadTs, operation, client);
+                this.processingOperations.delete(processingKey);
+            } catch (error) {
+                logger.error('Operation selection failed', error);
+                if (this.processingOperations && processingKey) {
+                    this.processingOperations.delete(processingKey);
+                }
+            }
+        });
+
+        // Resume an archived session in a new thread (from /dashboard resume or an ended session's summary)
+        this.app.action('resume_session', async ({ ack, body, client }) => {
+            try {
+                await ack();
+                // From the Home tab there is no channel; the new thread goes to the user's DM with the bot
+                const channelId = body.channel?.id || await this.openDirectMessage(body.user.id, client);
+                await this.resumeArchivedSession(body.user.id, channelId, body.actions[0].value, client);
+            } catch (error) {
+                logger.error('Session resume failed', error);
+            }
+        });
+
+        // App Home tab: refreshed every time the user opens it
+        this.app.event('app_home_opened', async ({ event, client }) => {
+            if (event.tab !== 'home' || !config.features.appHome) return;
+            try {
+                await this.publishHomeView(event.user, client);
+            } catch (error) {
+                logger.error('App Home publish failed', error);
+            }
+        });
+
+        // "New campaign" on the Home tab; the campaign thread goes to the user's DM with the bot
+        this.app.action('home_new_campaign', async ({ ack, body, client }) => {
+            try {
+                await ack();
+                const channelId = await this.openDirectMessage(body.user.id, client);
+                await this.showCampaignCollectionModal(body.user.id, channelId, body.trigger_id, client);
+            } catch (error) {
+                logger.error('New campaign from App Home failed', error);
+            }
+        });
+
+        // End button in the /dashboard end list, shown when the user has several sessions in the channel
+        this.app.action('end_session', async ({ ack, body, client }) => {
+            try {
+                await ack();
+                const [channelId, threadTs] = body.actions[0].value.split(':');
+                await this.endSession(body.user.id, channelId, threadTs, client);
+            } catch (error) {
+                logger.error('Session end from /dashboard end failed', error);
+            }
+        });
+
+        // Link button in the dashboard sign-in DM; Slack opens the URL, the click only needs acknowledging
+        this.app.action('open_dashboard', async ({ ack }) => {
+            await ack();
+        });
+
+        // Main slash command handler for /dashboard
+        this.app.command('/dashboard', async ({ command, ack, respond, client }) => {
+            console.log('[DEBUG][handler] Entered /dashboard command handler');
+            try {
+                await ack();
+                const userId = command.user_id;
+                const channelId = command.channel_id;
+                const triggerId = command.trigger_id;
+                const [subcommand, ...args] = (command.text || '').trim().split(/\s+/).filter(Boolean);
+                if (subcommand) {
+                    await this.runDashboardSubcommand(subcommand.toLowerCase(), args, { userId, channelId, respond, client });
+                    return;
+                }
+                // Show campaign collection modal as the main entry point
+                await this.showCampaignCollectionModal(userId, channelId, triggerId, client);
+            } catch (error) {
+                logger.error('Dashboard command failed', error);
+                await respond({
+                    text: '❌ Sorry, something went wrong. Please try again.',
+                    response_type: 'ephemeral'
+                });
+            }
+        });
+    }
+
+    /**
+     * Run a /dashboard subcommand; an unknown one shows help
+     * @param {string} subcommand - First word after /dashboard, lowercased
+     * @param {Array<string>} args - Remaining words
+     * @param {Object} context - { userId, channelId, respond, client }
+     */
+    async runDashboardSubcommand(subcommand, args, { userId, channelId, respond, client }) {
+        logger.slack(userId, 'Dashboard subcommand received', { subcommand, args });
+
+        switch (subcommand) {
+            case 'help':
+                return await this.showDashboardHelp(userId, respond);
+            case 'history':
+                return await this.showSessionHistory(userId, respond);
+            case 'status':
+                return await this.showJobStatus(userId, respond);
+            case 'models':
+                return await this.showModelCatalog(userId, args[0], respond);
+            case 'end':
+                return await this.endSessionFromCommand(userId, channelId, respond, client);
+            case 'resume':
+                return await this.showResumableSessions(userId, respond);
+            case 'web':
+                return await this.sendDashboardLink(userId, respond, client);
+            default:
+                return await this.showDashboardHelp(userId, respond, `Unknown subcommand \`${subcommand}\`.`);
+        }
+    }
+
+    /**
+     * Usage of /dashboard and its subcommands, followed by the operation catalog (/dashboard help)
+     * @param {string} userId - Slack user ID; the catalog lists the operations their role may use
+     * @param {Function} respond - Slash command respond
+     * @param {string} notice - Shown above the usage (e.g. for an unknown subcommand)
+     */
+    async showDashboardHelp(userId, respond, notice = null) {
+        const response = await this.apiClient.get('/api/operations', { actingUserId: userId });
+        const operations = response.data.data.summaries;
+
+        const usage = DASHBOARD_SUBCOMMANDS.map(command => `\`${command.usage}\` ${command.description}`).join('\n');
+        const blocks = [
+            {
+                type: 'section',
+                text: { type: 'mrkdwn', text: `${notice ? `ℹ️ ${notice}\n\n` : ''}*🎨 /dashboard commands*\n${usage}` }
+            },
+            {
+                type: 'context',
+                elements: [{ type: 'mrkdwn', text: 'In a campaign thread, drop a file to use it as an input, or reply `end` to finish the session.' }]
+            },
+            { type: 'divider' },
+            { type: 'header', text: { type: 'plain_text', text: 'Operations' } }
+        ];
+        operations.forEach(op => {
+            const details = [`\`${op.id}\``, `${op.modelCount} model${op.modelCount === 1 ? '' : 's'}`];
+            if (op.priceRange) details.push(op.priceRange);
+            blocks.push({
+                type: 'section',
+                text: {
+                    type: 'mrkdwn',
+                    text: `${OPERATION_EMOJI[op.id] || '✨'} *${op.label}*` +
+                        (op.description ? `\n${op.description}` : '') +
+                        `\n_${details.join(' • ')}_`
+                }
+            });
+        });
+        blocks.push({
+            type: 'context',
+            elements: [{ type: 'mrkdwn', text: 'Type `/dashboard models <operation>` to see an operation\'s models and prices.' }]
+        });
+
+        await respond({ text: `${notice ? `${notice} ` : ''}/dashboard commands`, blocks, response_type: 'ephemeral' });
+    }
+
+    /**
+     * The user's active sessions and their most recent ended and expired ones (/dashboard history)
+     */
+    async showSessionHistory(userId, respond) {
+        const [activeResponse, archivedResponse] = await Promise.all([
+            this.apiClient.get(`/api/user/${userId}/sessions`),
+            this.apiClient.get(`/api/user/${userId}/archived-sessions`, { params: { limit: MAX_HISTORY_SESSIONS } })
+        ]);
+        const active = activeResponse.data.data.sessions;
+        const { sessions: archived, total } = archivedResponse.data.data;
+
+        if (active.length === 0 && archived.length === 0) {
+            await respond({
+                text: 'ℹ️ You have no sessions yet. Type `/dashboard` to start a campaign.',
+                response_type: 'ephemeral'
+            });
+            return;
+        }
+
+        const blocks = [appHomeBuilder.buildHeading('⚡ Active sessions')];
+        if (active.length === 0) {
+            blocks.push(appHomeBuilder.buildNotice('No active sessions.'));
+        } else {
+            active.forEach(session => blocks.push(appHomeBuilder.buildSessionBlock(session)));
+        }
+
+        blocks.push({ type: 'divider' }, appHomeBuilder.buildHeading('🗂️ Recent sessions'));
+        if (archived.length === 0) {
+            blocks.push(appHomeBuilder.buildNotice('Ended and expired sessions will appear here.'));
+        } else {
+            archived.forEach(session => blocks.push(appHomeBuilder.buildResumableSessionBlock(session)));
+            if (total > archived.length) {
+                blocks.push(appHomeBuilder.buildNotice(`Showing your ${archived.length} most recent of ${total} sessions.`));
+            }
+        }
+
+        await respond({ text: '🗂️ Your sessions', blocks, response_type: 'ephemeral' });
+    }
+
+    /**
+     * The user's queued and running generations (/dashboard status)
+     */
+    async showJobStatus(userId, respond) {
+        const response = await this.apiClient.get(`/api/user/${userId}/jobs`);
+        const jobs = response.data.data.jobs;
+
+        if (jobs.length === 0) {
+            await respond({
+                text: '✅ Nothing is generating right now.',
+                response_type: 'ephemeral'
+            });
+            return;
+        }
+
+        const lines = jobs.map(job => {
+            const details = [job.modelId, job.state === 'active' ? (job.progress?.stage || 'running') : job.state];
+            if (job.progress?.queuePosition) details.push(`position ${job.progress.queuePosition} in the fal.ai queue`);
+            if (job.elapsedMs) details.push(`${Math.round(job.elapsedMs / 1000)}s`);
+            const where = job.clientName ? ` for *${job.clientName}*` : '';
+            return `${OPERATION_EMOJI[job.operation] || '✨'} *${job.operation}*${where}${job.channelId ? ` in <#${job.channelId}>` : ''}\n_${details.join(' • ')}_`;
+        });
+
+        await respond({
+            text: `⏳ *${jobs.length} generation${jobs.length === 1 ? '' : 's'} in progress*\n\n${lines.join('\n\n')}`,
+            response_type: 'ephemeral'
+        });
+    }
+
+    /**
+     * An operation's models with their pricing (/dashboard models <operation>), limited to the user's role
+     * @param {string} userId - Slack user ID
+     * @param {string} operation - Operation ID; without one (or with an unknown one) the operations are listed
+     * @param {Function} respond - Slash command respond
+     */
+    async showModelCatalog(userId, operation, respond) {
+        const operationsResponse = await this.apiClient.get('/api/operations', { actingUserId: userId });
+        const summaries = operationsResponse.data.data.summaries;
+        const summary = summaries.find(op => op.id === String(operation || '').toLowerCase());
+
+        if (summaries.length === 0) {
+            await respond({ text: ROLE_NO_OPERATIONS_TEXT, response_type: 'ephemeral' });
+            return;
+        }
+        if (!summary) {
+            const known = summaries.map(op => `\`${op.id}\``).join(', ');
+            await respond({
+                text: `${operation ? `ℹ️ Unknown operation \`${operation}\`.` : 'ℹ️ Usage: `/dashboard models <operation>`'}\nOperations: ${known}`,
+                response_type: 'ephemeral'
+            });
+            return;
+        }
+
+        const modelsResponse = await this.apiClient.get(`/api/models/${summary.id}`, { actingUserId: userId });
+        const models = modelsResponse.data.data.models;
+        const lines = models.map(model => {
+            const price = model.pricing ? formatPricing(model.pricing) : 'Pricing not available';
+            return `• *${model.name || model.id}* \`${model.id}\`\n   ${price}${model.description ? ` · ${model.description}` : ''}`;
+        });
+
+        await respond({
+            text: `${OPERATION_EMOJI[summary.id] || '✨'} *${summary.label}* (${models.length} model${models.length === 1 ? '' : 's'})\n\n${lines.join('\n')}\n\n_Prices are fal.ai list prices; each generation's estimate is shown before it is submitted._`,
+            response_type: 'ephemeral'
+        });
+    }
+
+    /**
+     * End the user's session in the channel the command was used in (/dashboard end)
+     * Slash commands don't carry the thread they were typed in, so with several sessions in the
+     * channel the user picks one.
+     */
+    async endSessionFromCommand(userId, channelId, respond, client) {
+        const response = await this.apiClient.get(`/api/user/${userId}/sessions`);
+        const sessions = response.data.data.sessions;
+        const inChannel = sessions.filter(session => session.channelId === channelId);
+
+        if (inChannel.length === 0) {
+            const elsewhere = [...new Set(sessions.map(session => `<#${session.channelId}>`))];
+            await respond({
+                text: elsewhere.length > 0
+                    ? `ℹ️ You have no active session in this channel. Your sessions are in ${elsewhere.join(', ')}; reply \`end\` in the campaign thread or use \`/dashboard end\` there.`
+                    : 'ℹ️ You have no active session to end. Type `/dashboard` to start a new one.',
+                response_type: 'ephemeral'
+            });
+            return;
+        }
+
+        if (inChannel.length === 1) {
+            const session = inChannel[0];
+            const ended = await this.endSession(userId, channelId, session.threadId, client);
+            if (ended) {
+                await respond({
+                    text: `✅ Ended your *${session.clientName || 'Unknown client'}* session. The summary is in its thread.`,
+                    response_type: 'ephemeral'
+                });
+            }
+            return;
+        }
+
+        const blocks = [{
+            type: 'section',
+            text: { type: 'mrkdwn', text: 'You have several sessions in this channel. Which one do you want to end?' }
+        }];
+        inChannel.forEach(session => blocks.push({
+            ...appHomeBuilder.buildSessionBlock(session),
+            accessory: {
+                type: 'button',
+                action_id: 'end_session',
+                text: { type: 'plain_text', text: 'End' },
+                value: `${session.channelId}:${session.threadId}`
+            }
+        }));
+
+        await respond({ text: 'Which session do you want to end?', blocks, response_type: 'ephemeral' });
+    }
+
+    /**
+     * End a session, then post its summary (with a Resume button) in the campaign thread
+     * @param {string} userId - Slack user ID
+     * @param {string} channelId - Slack channel ID
+     * @param {string} threadTs - Campaign thread timestamp (the session thread ID)
+     * @param {Object} client - Slack client
+     * @returns {Promise<boolean>} Whether the session was ended
+     */
+    async endSession(userId, channelId, threadTs, client) {
+        // Call backend API to end session
+        try {
+            const response = await this.apiClient.post(`/api/session/${userId}/${threadTs}/end`);
+            
+            if (response.data?.success) {
+                const summary = response.data?.data?.summary;
+                
+                // Create summary message
+                let summaryText = '🎉 *Session Ended Successfully!*\n\n';
+                
+                if (summary) {
+                    summaryText += `*Client:* ${summary.clientName || 'Unknown'}\n`;
+                    summaryText += `*Campaign:* ${summary.campaignIdea || 'N/A'}\n`;
+                    summaryText += `*Operations Used:* ${summary.operationsText || 'N/A'}\n`;
+                    summaryText += `*Models Used:* ${summary.modelsText || 'N/A'}\n`;
+                    summaryText += `*Assets Generated:* ${summary.generatedAssets || 0}\n`;
+                    summaryText += `*Session Duration:* ${Math.round((summary.sessionDuration || 0) / 1000 / 60)} minutes\n`;
+                    summaryText += `*Total Interactions:* ${summary.totalInteractions || 0}\n`;
+                }
+                
+                summaryText += '\n*Session Summary:*\n';
+                summaryText += '✅ Campaign data collected\n';
+                summaryText += '✅ Operation selected\n';
+                summaryText += '✅ Model configured\n';
+                summaryText += '✅ Assets generated\n';
+                summaryText += '✅ Session completed\n\n';
+                summaryText += 'Type `/dashboard` to start a new session, or `/dashboard resume` to pick up an earlier one.';
+                
+                await client.chat.postMessage({
+                    channel: channelId,
+                    thread_ts: threadTs,
+                    text: summaryText,
+                    blocks: [
+                        {
+                            type: 'section',
+                            text: { type: 'mrkdwn', text: summaryText }
+                        },
+                        {
+                            type: 'actions',
+                            elements: [{
+                                type: 'button',
+                                action_id: 'resume_session',
+                                text: { type: 'plain_text', text: '🔁 Resume' },
+                                value: response.data.data.sessionId
+                            }]
+                        }
+                    ]
+                });
+                
+                // Clean up local user session
+                this.userSessions.delete(threadKey(userId, threadTs));
+                
+                logger.slack(userId, 'Session ended successfully', {
+                    sessionId: response.data?.data?.sessionId,
+                    summary: summary
+                });
+                return true;
+                
+            } else {
+                await client.chat.postMessage({
+                    channel: channelId,
+                    thread_ts: threadTs,
+                    text: '❌ *Session End Failed*\n\nNo active session found or session could not be ended. Type `/dashboard` to start a new session.'
+                });
+            }
+            
+        } catch (apiError) {
+            // Handle specific 404 error (session not found)
+            if (apiError.response && apiError.response.status === 404) {
+                logger.slack(userId, 'Session end attempted but no session found', {
+                    channelId,
+                    threadTs,
+                    error: 'Session not found'
+                });
+                
+                await client.chat.postMessage({
+                    channel: channelId,
+                    thread_ts: threadTs,
+                    text: 'ℹ️ *No Active Session*\n\nThere is no active session to end. Type `/dashboard` to start a new session!'
+                });
+            } else if (apiError.response?.data?.code === 'GENERATION_IN_PROGRESS') {
+                await client.chat.postMessage({
+                    channel: channelId,
+                    thread_ts: threadTs,
+                    text: '⏳ *Generation Still Running*\n\nThis session has a generation that has not finished yet. End the session once its result is posted, or cancel the generation first.'
+                });
+            } else {
+                // Handle other API errors
+                logger.error('Session end command failed', apiError);
+                
+                await client.chat.postMessage({
+                    channel: channelId,
+                    thread_ts: threadTs,
+                    text: '❌ *Error Ending Session*\n\nSorry, there was an error ending your session. Please try again or contact support.'
+                });
+            }
+        }
+        
+
+        return false;
+    }
+
+    /**
+     * List the user's recent ended and expired sessions with a Resume button each (/dashboard resume)
+     */
+    async showResumableSessions(userId, respond) {
+        const response = await this.apiClient.get(`/api/user/${userId}/archived-sessions`, {
+            params: { limit: MAX_RESUMABLE_SESSIONS }
+        });
+        const { sessions, total } = response.data.data;
+
+        if (sessions.length === 0) {
+            await respond({
+                text: 'ℹ️ You have no ended or expired sessions to resume. Type `/dashboard` to start a new campaign.',
+                response_type: 'ephemeral'
+            });
+            return;
+        }
+
+        const blocks = [{
+            type: 'section',
+            text: {
+                type: 'mrkdwn',
+                text: '🔁 *Resume a campaign*\nPick up a recent session in a new thread. Its brief, brand research, assets and Drive folder carry over.'
+            }
+        }];
+        sessions.forEach(session => blocks.push(appHomeBuilder.buildResumableSessionBlock(session)));
+        if (total > sessions.length) {
+            blocks.push({
+                type: 'context',
+                elements: [{ type: 'mrkdwn', text: `Showing your ${sessions.length} most recent of ${total} sessions.` }]
+            });
+        }
+
+        await respond({ text: '🔁 Resume a campaign', blocks, response_type: 'ephemeral' });
+    }
+
+    /**
+     * Publish the user's App Home tab: active sessions, month-to-date spend, sessions to resume and recent assets
+     */
+    async publishHomeView(userId, client) {
+        // A section that fails to load is shown as unavailable rather than blanking the whole tab
+        const load = async (path, params) => {
+            try {
+                const response = await this.apiClient.get(path, { params });
+                return response.data.data;
+            } catch (error) {
+                logger.warn('App Home data could not be loaded', { userId, path, error: error.message });
+                return null;
+            }
+        };
+        const [sessions, assets, spend, archived] = await Promise.all([
+            load(`/api/user/${userId}/sessions`),
+            load(`/api/user/${userId}/assets`, { limit: MAX_HOME_ASSETS }),
+            load(`/api/user/${userId}/spend`),
+            load(`/api/user/${userId}/archived-sessions`, { limit: MAX_RESUMABLE_SESSIONS })
+        ]);
+
+        await client.views.publish({
+            user_id: userId,
+            view: appHomeBuilder.buildHomeView({
+                sessions: sessions?.sessions || null,
+                assets: assets?.assets || null,
+                spend,
+                archivedSessions: archived?.sessions || null
+            })
+        });
+        logger.slack(userId, 'App Home published');
+    }
+
+    /**
+     * Resume an archived session: start a new campaign thread and restore the session into it
+     */
+    async resumeArchivedSession(userId, channelId, archivedSessionId, client) {
+        const rootMessage = await client.chat.postMessage({
+            channel: channelId,
+            text: '🔁 *Resuming campaign...*'
+        });
+        const threadTs = rootMessage.ts;
+
+        let resumed;
+        try {
+            const response = await this.apiClient.post(`/api/archive/sessions/${archivedSessionId}/resume`, {
+                userId,
+                threadId: threadTs,
+                channelId
+            });
+            resumed = response.data.data;
+        } catch (error) {
+            const status = error.response?.status;
+            const text = status === 404 ? '❌ That session is no longer in the archive.'
+                : status === 403 ? '❌ Only the person who ran that session can resume it.'
+                    : '❌ Sorry, the session could not be resumed. Please try again.';
+            await client.chat.update({ channel: channelId, ts: threadTs, text });
+            logger.error('Failed to resume archived session', { userId, archivedSessionId, status, error: error.message });
+            return;
+        }
+
+        const { session, brandResearch, availableOperations } = resumed;
+        await client.chat.update({
+            channel: channelId,
+            ts: threadTs,
+            text: `🔁 *Resumed campaign: ${session.clientName}*\nEverything for this campaign happens in this thread. Reply \`end\` here when you are done.`
+        });
+
+        this.userSessions.set(threadKey(userId, threadTs), {
+            channelId,
+            threadTs,
+            timestamp: Date.now()
+        });
+
+        const driveFolder = session.driveFolder?.webViewLink
+            ? `<${session.driveFolder.webViewLink}|${session.driveFolder.folderName}>`
+            : 'None';
+        await client.chat.postMessage({
+            channel: channelId,
+            thread_ts: threadTs,
+            text: `*Campaign Resumed!*\n*Client Name:* ${session.clientName}\n*Campaign Idea:* ${session.campaignIdea || ''}\n*Creative Directions:* ${session.creativeDirections || ''}\n*Visual Directions:* ${session.visualDirections || ''}\n*Assets so far:* ${session.assetCount}\n*Drive Folder:* ${driveFolder}`
+        });
+
+        await this.showOperationSelection(userId, channelId, threadTs, brandResearch, availableOperations);
+
+        logger.slack(userId, 'Archived session resumed', {
+            archivedSessionId,
+            sessionId: session.sessionId,
+            threadTs
+        });
+    }
+
+    /**
+     * DM the user a sign-in link for the web dashboard (/dashboard web)
+     */
+    async sendDashboardLink(userId, respond, client) {
+        if (!config.features.webDashboard) {
+            await respond({ text: 'ℹ️ The web dashboard is not enabled.', response_type: 'ephemeral' });
+            return;
+        }
+
+        const response = await this.apiClient.post('/api/dashboard/login-links', { userId });
+        const { url, expiresAt } = response.data.data;
+        const minutes = Math.round((new Date(expiresAt) - Date.now()) / 60000);
+
+        await client.chat.postMessage({
+            channel: userId,
+            text: `🖥️ Your dashboard sign-in link (valid for ${minutes} minutes): ${url}`,
+            blocks: [
+                {
+                    type: 'section',
+                    text: {
+                        type: 'mrkdwn',
+                        text: `🖥️ *AI Asset Dashboard*\nBrowse sessions, prompts and assets by client and campaign. This link signs you in and works for ${minutes} minutes; don't share it.`
+                    }
+                },
+                {
+                    type: 'actions',
+                    elements: [
+                        {
+                            type: 'button',
+                            action_id: 'open_dashboard',
+                            text: { type: 'plain_text', text: 'Open dashboard' },
+                            url
+                        }
+                    ]
+                }
+            ]
+        });
+        await respond({ text: '📬 Sent you a dashboard sign-in link in a DM.', response_type: 'ephemeral' });
+        logger.slack(userId, 'Dashboard sign-in link sent');
+    }
+
+    /**
+     * Show campaign collection modal
+     */
+    async showCampaignCollectionModal(userId, channelId, triggerId, client) {
+        const modal = {
+            type: 'modal',
+            callback_id: 'campaign_collection_modal',
+            private_metadata: channelId,
+            title: {
+                type: 'plain_text',
+                text: '�� AI Asset Generator'
+            },
+            submit: {
+                type: 'plain_text',
+                text: 'Start Creating'
+            },
+            close: {
+                type: 'plain_text',
+                text: 'Cancel'
+            },
+            blocks: [
+                {
+                    type: 'header',
+                    text: {
+                        type: 'plain_text',
+                        text: 'Campaign Information'
+                    }
+                },
+                {
+                    type: 'input',
+                    block_id: 'client_name_block',
                     element: {
                         type: 'plain_text_input',
                         action_id: 'client_name_input',
@@ -954,916 +1652,1706 @@ class SlackBotService {
                         text: 'Client Name'
                     }
                 },
-                {
-                    type: 'input',
-                    block_id: 'campaign_idea_block',
-                    element: {
-                        type: 'plain_text_input',
-                        action_id: 'campaign_idea_input',
-                        multiline: true,
-                        placeholder: {
-                            type: 'plain_text',
-                            text: 'Describe your campaign idea...'
-                        }
-                    },
-                    label: {
+                {
+                    type: 'input',
+                    block_id: 'campaign_idea_block',
+                    element: {
+                        type: 'plain_text_input',
+                        action_id: 'campaign_idea_input',
+                        multiline: true,
+                        placeholder: {
+                            type: 'plain_text',
+                            text: 'Describe your campaign idea...'
+                        }
+                    },
+                    label: {
+                        type: 'plain_text',
+                        text: 'Campaign Idea'
+                    }
+                },
+                {
+                    type: 'input',
+                    block_id: 'creative_directions_block',
+                    element: {
+                        type: 'plain_text_input',
+                        action_id: 'creative_directions_input',
+                        multiline: true,
+                        placeholder: {
+                            type: 'plain_text',
+                            text: 'Creative directions and messaging...'
+                        }
+                    },
+                    label: {
+                        type: 'plain_text',
+                        text: 'Creative Directions'
+                    }
+                },
+                {
+                    type: 'input',
+                    block_id: 'visual_directions_block',
+                    element: {
+                        type: 'plain_text_input',
+                        action_id: 'visual_directions_input',
+                        multiline: true,
+                        placeholder: {
+                            type: 'plain_text',
+                            text: 'Visual style and directions...'
+                        }
+                    },
+                    label: {
+                        type: 'plain_text',
+                        text: 'Visual Directions'
+                    }
+                }
+            ]
+        };
+
+        logger.slack(userId, 'Attempting to open modal', {
+            triggerId,
+            modalType: 'campaign_collection_modal'
+        });
+
+        await client.views.open({
+            trigger_id: triggerId,
+            view: modal
+        });
+        
+        logger.slack(userId, 'Modal opened successfully');
+    }
+
+    /**
+     * Create session via backend API
+     */
+    async createSession(userId, channelId, threadTs, campaignData, client) {
+        console.log('[DEBUG][createSession] Called with:', { userId, channelId, threadTs, campaignData });
+        try {
+            const clientName = campaignData.clientName || campaignData.brandName || 'Unknown Client';
+            const campaignIdea = campaignData.campaignIdea || '';
+            const creativeDirections = campaignData.creativeDirections || '';
+            const visualDirections = campaignData.visualDirections || '';
+            const response = await this.apiClient.post('/api/session/create', {
+                userId,
+                threadId: threadTs,
+                channelId,
+                clientName,
+                campaignIdea,
+                creativeDirections,
+                visualDirections
+            });
+            const sessionData = response.data?.data?.session || {};
+            let availableOperations = response.data?.data?.availableOperations || [];
+
+            // Print campaign data in the campaign thread
+            await client.chat.postMessage({
+                channel: channelId,
+                thread_ts: threadTs,
+                text: `*Campaign Created!*\n*Client Name:* ${clientName}\n*Campaign Idea:* ${campaignIdea}\n*Creative Directions:* ${creativeDirections}\n*Visual Directions:* ${visualDirections}`
+            });
+
+            // Fall back to the operations endpoint if the session response had none
+            if (!Array.isArray(availableOperations) || availableOperations.length === 0) {
+                logger.warn('No availableOperations returned from backend, loading them from /api/operations', { channelId });
+                const operationsResponse = await this.apiClient.get('/api/operations', { actingUserId: userId });
+                availableOperations = operationsResponse.data?.data?.summaries || [];
+            }
+
+            // Research the brand before offering operations; the brief is optional
+            let brandResearch = null;
+            try {
+                const researchResponse = await this.apiClient.post('/api/brand-research', {
+                    userId,
+                    threadId: threadTs
+                });
+                brandResearch = researchResponse.data?.data || null;
+            } catch (researchError) {
+                logger.warn('Brand research failed, continuing without a brand brief', {
+                    userId,
+                    channelId,
+                    error: researchError.message
+                });
+            }
+
+            await this.showOperationSelection(userId, channelId, threadTs, brandResearch, availableOperations);
+
+            logger.slack(userId, 'Session created successfully', {
+                sessionId: sessionData.sessionId
+            });
+        } catch (error) {
+            logger.error('Failed to create session via API', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Show operation selection, preceded by the brand brief when one was produced
+     * Operations come from the rules engine, so new operations appear here without code changes.
+     * @param {Object|null} brandResearch - Brief from POST /api/brand-research
+     * @param {Array} availableOperations - Operations as { id, label, description, modelCount, priceRange }
+     */
+    async showOperationSelection(userId, channelId, threadTs, brandResearch, availableOperations = []) {
+        const blocks = brandResearch ? [...this.buildBrandResearchBlocks(brandResearch), { type: 'divider' }] : [];
+
+        // Operations are limited to the user's role; a viewer has none
+        if (availableOperations.length === 0) {
+            blocks.push({ type: 'section', text: { type: 'mrkdwn', text: ROLE_NO_OPERATIONS_TEXT } });
+            await this.app.client.chat.postMessage({
+                channel: channelId,
+                thread_ts: threadTs,
+                blocks,
+                text: ROLE_NO_OPERATIONS_TEXT
+            });
+            return;
+        }
+
+        blocks.push({
+            type: 'header',
+            text: { type: 'plain_text', text: 'Select the type of asset you want to generate:' }
+        });
+
+        availableOperations.forEach(op => {
+            const details = [];
+            if (op.modelCount) details.push(`${op.modelCount} model${op.modelCount === 1 ? '' : 's'}`);
+            if (op.priceRange) details.push(op.priceRange);
+
+            blocks.push({
+                type: 'section',
+                text: {
+                    type: 'mrkdwn',
+                    text: `${OPERATION_EMOJI[op.id] || '✨'} *${op.label}*` +
+                        (op.description ? `\n${op.description}` : '') +
+                        (details.length > 0 ? `\n_${details.join(' • ')}_` : '')
+                },
+                accessory: {
+                    type: 'button',
+                    text: { type: 'plain_text', text: 'Select' },
+                    action_id: `select_operation_${op.id.replace(/-/g, '_')}`,
+                    value: op.id
+                }
+            });
+        });
+
+        await this.app.client.chat.postMessage({
+            channel: channelId,
+            thread_ts: threadTs,
+            blocks: blocks,
+            text: 'Select the type of asset you want to generate:'
+        });
+    }
+
+    /**
+     * Build the Block Kit summary of a brand brief
+     * @param {Object} brandResearch - { clientName, tone, palette, audience, dos, donts, source }
+     * @returns {Array} Slack blocks
+     */
+    buildBrandResearchBlocks(brandResearch) {
+        const bullets = items => (items || []).map(item => `• ${item}`).join('\n') || '_None_';
+        const palette = (brandResearch.palette || []).map(color => `\`${color.hex}\` ${color.name}`).join('   ');
+
+        return [
+            {
+                type: 'header',
+                text: { type: 'plain_text', text: `🔎 Brand Brief${brandResearch.clientName ? `: ${brandResearch.clientName}` : ''}` }
+            },
+            {
+                type: 'section',
+                fields: [
+                    { type: 'mrkdwn', text: `*🎙️ Tone*\n${brandResearch.tone}` },
+                    { type: 'mrkdwn', text: `*👥 Audience*\n${brandResearch.audience}` }
+                ]
+            },
+            {
+                type: 'section',
+                text: { type: 'mrkdwn', text: `*🎨 Palette*\n${palette || '_No palette identified_'}` }
+            },
+            {
+                type: 'section',
+                fields: [
+                    { type: 'mrkdwn', text: `*✅ Do*\n${bullets(brandResearch.dos)}` },
+                    { type: 'mrkdwn', text: `*🚫 Don't*\n${bullets(brandResearch.donts)}` }
+                ]
+            },
+            {
+                type: 'context',
+                elements: [{
+                    type: 'mrkdwn',
+                    text: brandResearch.source === 'campaign'
+                        ? 'Derived from your campaign details. Prompt suggestions will follow this brief.'
+                        : 'Researched with Gemini. Prompt suggestions will follow this brief.'
+                }]
+            }
+        ];
+    }
+
+    /**
+     * Select operation via backend API
+     */
+    async selectOperation(userId, channelId, threadTs, operation, client) {
+        console.log('[DEBUG][selectOperation] Called with:', { userId, channelId, threadTs, operation });
+        try {
+            // Track operation selection in session
+            await this.apiClient.post(`/api/session/${userId}/${threadTs}/select-operation`, {
+                operation
+            });
+
+            // Get the models of the operation the user's role may use
+            const modelsResponse = await this.apiClient.get(`/api/models/${operation}`, { actingUserId: userId });
+            const models = modelsResponse.data?.data?.models || modelsResponse.data?.models || modelsResponse.data;
+            
+            if (!models || !Array.isArray(models)) {
+                throw new Error('Invalid models response from API');
+            }
+            if (models.length === 0) {
+                await client.chat.postEphemeral({
+                    channel: channelId,
+                    thread_ts: threadTs,
+                    user: userId,
+                    text: `🔒 None of the ${operation} models are available to your role. Ask an admin if you need access.`
+                });
+                return;
+            }
+
+            // Store models in memory for later config lookup
+            this.cacheModels(userId, operation, models);
+            
+            // Store operation in user session for future reference
+            const userSession = this.userSessions.get(threadKey(userId, threadTs)) || {};
+            userSession.operation = operation;
+            userSession.channelId = channelId;
+            userSession.threadTs = threadTs;
+            userSession.timestamp = Date.now();
+            this.userSessions.set(threadKey(userId, threadTs), userSession);
+            
+            logger.slack(userId, 'Operation selected and stored in session', {
+                operation,
+                modelCount: models.length
+            });
+
+            await this.showModelSelection(userId, channelId, threadTs, operation, models, client);
+
+        } catch (error) {
+            const refusalText = getRoleRefusalText(error);
+            if (!refusalText) {
+                logger.error('Failed to select operation via API', error);
+            }
+            await client.chat.postEphemeral({
+                channel: channelId,
+                thread_ts: threadTs,
+                user: userId,
+                text: refusalText || '❌ Failed to load models. Please try again.'
+            });
+        }
+    }
+
+    /**
+     * Show model selection
+     */
+    async showModelSelection(userId, channelId, threadTs, operation, models, client) {
+        console.log('[DEBUG][showModelSelection] Called with:', { userId, channelId, threadTs, operation, models });
+        const options = models.map(model => {
+            // Ensure model.name and model.description exist
+            let modelName = model.name || model.id || 'Unknown Model';
+            // If this is the Lyria2 model for text-to-audio, override the display name
+            if (operation === 'text-to-audio' && model.id === 'fal-ai/lyria2') {
+                modelName = 'Lyria 2';
+            }
+            
+            // Add pricing information to display text
+            let displayText = modelName;
+            if (model.pricing && model.pricing.price) {
+                const tierEmoji = {
+                    'budget': '💰',
+                    'fast': '⚡',
+                    'standard': '📊',
+                    'premium': '💎'
+                };
+                const emoji = tierEmoji[model.pricing.tier] || '💵';
+                displayText = `${emoji} ${modelName} (${model.pricing.price})`;
+            }
+            
+            // Truncate if needed
+            if (displayText.length > 60) {
+                displayText = displayText.substring(0, 57) + '...';
+            }
+            
+            logger.debug('Model option created', { 
+                modelId: model.id, 
+                originalName: model.name, 
+                displayText: displayText, 
+                length: displayText.length,
+                pricing: model.pricing
+            });
+            return {
+                text: {
+                    type: 'plain_text',
+                    text: displayText
+                },
+                value: model.id
+            };
+        });
+
+        const blocks = [
+            {
+                type: 'section',
+                text: {
+                    type: 'mrkdwn',
+                    text: `*Select a model for ${operation}:*`
+                },
+                accessory: {
+                    type: 'static_select',
+                    action_id: 'select_model',
+                    placeholder: {
                         type: 'plain_text',
-                        text: 'Campaign Idea'
+                        text: 'Choose model...'
+                    },
+                    options: options.slice(0, 100) // Slack limit
+                }
+            }
+        ];
+
+        await client.chat.postMessage({
+            channel: channelId,
+            thread_ts: threadTs,
+            blocks: blocks,
+            text: `Select model for ${operation}`
+        });
+    }
+
+    /**
+     * Select model and show parameter configuration
+     */
+    async selectModel(userId, channelId, threadTs, modelId, client) {
+        console.log('[DEBUG][selectModel] Called with:', { userId, channelId, modelId });
+        try {
+            logger.slack(userId, 'Model selected', { modelId, channelId });
+
+            console.log('[DEBUG][Modal] selectModel called with:', { userId, channelId, modelId });
+            const userModels = this.modelCache[userId] || {};
+            console.log('[DEBUG][Modal] modelCache keys:', Object.keys(userModels));
+
+            // Find the operation for this model (from last selection)
+            let operation = Object.keys(userModels).find(op =>
+                userModels[op].some(m => m.id === modelId)
+            );
+            
+            console.log('[DEBUG][Modal] Found operation:', operation);
+            
+            // If operation not found in cache, try to get it from the user session
+            if (!operation) {
+                const userSession = this.userSessions.get(threadKey(userId, threadTs));
+                operation = userSession?.operation;
+                console.log('[DEBUG][Modal] Operation from user session:', operation);
+            }
+            
+            // If still no operation, try to determine from modelId
+            if (!operation) {
+                if (modelId.includes('tts') || modelId.includes('speech')) {
+                    operation = 'text-to-speech';
+                } else if (modelId.includes('image')) {
+                    operation = 'text-to-image';
+                } else if (modelId.includes('video')) {
+                    operation = 'text-to-video';
+                } else {
+                    operation = 'text-to-image'; // fallback
+                }
+                console.log('[DEBUG][Modal] Operation determined from modelId:', operation);
+            }
+            
+            // Track model selection in session
+            await this.apiClient.post(`/api/session/${userId}/${threadTs}/select-model`, {
+                modelId,
+                operation
+            });
+            
+            // Find the models array and modelConfig first
+            let models = userModels[operation] || [];
+            console.log('[DEBUG][Modal] Models for operation:', models.length);
+            let modelConfig = models.find(m => m.id === modelId);
+            
+            // If modelConfig not found in cache, try to fetch it from API
+            if (!modelConfig) {
+                console.log('[DEBUG][Modal] Model config not found in cache, fetching from API');
+                try {
+                    const modelsResponse = await this.apiClient.get(`/api/models/${operation}`, { actingUserId: userId });
+                    const apiModels = modelsResponse.data?.data?.models || modelsResponse.data?.models || modelsResponse.data;
+                    
+                    if (apiModels && Array.isArray(apiModels)) {
+                        // Update cache
+                        this.cacheModels(userId, operation, apiModels);
+                        
+                        // Find modelConfig again
+                        modelConfig = apiModels.find(m => m.id === modelId);
+                        console.log('[DEBUG][Modal] Model config found after API fetch:', modelConfig ? 'yes' : 'no');
                     }
-                },
-                {
-                    type: 'input',
-                    block_id: 'creative_directions_block',
-                    element: {
-                        type: 'plain_text_input',
-                        action_id: 'creative_directions_input',
-                        multiline: true,
-                        placeholder: {
-                            type: 'plain_text',
-                            text: 'Creative directions and messaging...'
+                } catch (apiError) {
+                    console.log('[DEBUG][Modal] Failed to fetch models from API:', apiError.message);
+                }
+            }
+            
+            console.log('[DEBUG][Modal] Found modelConfig:', modelConfig ? 'yes' : 'no');
+            if (!modelConfig) throw new Error('Model config not found');
+
+            // Inputs queued by the Edit button apply only to the operation they were queued for
+            const pendingInputs = this.userSessions.get(threadKey(userId, threadTs))?.pendingInputs;
+            const initialValues = pendingInputs && pendingInputs.operation === operation ? pendingInputs.values : null;
+
+            // Store user session data for modal interactions (now modelConfig is defined)
+            this.userSessions.set(threadKey(userId, threadTs), {
+                channelId,
+                threadTs,
+                modelId,
+                operation,
+                modelConfig, // <-- store the full modelConfig for later extraction
+                ...(initialValues ? { parentGenerationId: pendingInputs.parentGenerationId } : {}),
+                timestamp: Date.now()
+            });
+            
+            // Also store the operation in the session for future reference
+            logger.slack(userId, 'User session updated with model selection', {
+                operation,
+                modelId,
+                hasModelConfig: !!modelConfig
+            });
+
+            console.log('[DEBUG][Modal] ModelConfig details:', {
+                id: modelConfig.id,
+                name: modelConfig.name,
+                parametersCount: Object.keys(modelConfig.parameters || {}).length,
+                parameters: Object.keys(modelConfig.parameters || {})
+            });
+
+            // Post model selection confirmation to chat
+            let displayModelName = modelConfig.name;
+            if (operation === 'text-to-audio' && modelConfig.id === 'fal-ai/lyria2') {
+                displayModelName = 'Lyria 2';
+            }
+            // Build pricing information text
+            let pricingText = '';
+            if (modelConfig.pricing && modelConfig.pricing.price) {
+                const tierEmoji = {
+                    'budget': '💰',
+                    'fast': '⚡',
+                    'standard': '📊',
+                    'premium': '💎'
+                };
+                const emoji = tierEmoji[modelConfig.pricing.tier] || '💵';
+                const note = modelConfig.pricing.note ? ` (${modelConfig.pricing.note})` : '';
+                pricingText = `\n\n${emoji} *Pricing:* ${modelConfig.pricing.price}${note}\n📊 *Tier:* ${modelConfig.pricing.tier} • *Source:* ${modelConfig.pricing.source}`;
+            }
+
+            await client.chat.postMessage({
+                channel: channelId,
+                thread_ts: threadTs,
+                text: `✅ *Model Selected:* ${displayModelName}\n\n📝 *Description:* ${modelConfig.description}${pricingText}\n\n⚙️ *Parameters Available:* ${Object.keys(modelConfig.parameters).length} configurable options`,
+                blocks: [
+                    {
+                        type: 'section',
+                        text: {
+                            type: 'mrkdwn',
+                            text: `✅ *Model Selected:* ${displayModelName}\n\n📝 *Description:* ${modelConfig.description}${pricingText}`
                         }
                     },
-                    label: {
-                        type: 'plain_text',
-                        text: 'Creative Directions'
+                    {
+                        type: 'section',
+                        text: {
+                            type: 'mrkdwn',
+                            text: `⚙️ *Parameters Available:* ${Object.keys(modelConfig.parameters).length} configurable options\n\n🔧 *Next Step:* Configure parameters in the modal below`
+                        }
+                    }
+                ]
+            });
+
+            // Models that take a prompt get a suggestion from the campaign brief first;
+            // the parameter modal opens once the user accepts, edits or rejects it
+            if (config.features.promptEnhancement && modelConfig.parameters && 'prompt' in modelConfig.parameters) {
+                this.userSessions.get(threadKey(userId, threadTs)).pendingModalValues = initialValues;
+                if (await this.suggestPrompt(userId, channelId, threadTs, operation, modelConfig, client)) {
+                    return;
+                }
+            }
+
+            // Show parameter configuration modal
+            try {
+                console.log('[DEBUG][Modal] About to call showParameterModal');
+                await this.showParameterModal(userId, channelId, threadTs, modelId, modelConfig, client, initialValues);
+            } catch (modalError) {
+                logger.error('Failed to show parameter modal', modalError);
+                // Fallback: show configuration in chat
+                await this.showParameterConfigurationInChat(userId, channelId, threadTs, modelConfig, client);
+            }
+
+        } catch (error) {
+            const refusalText = getRoleRefusalText(error);
+            if (refusalText) {
+                await client.chat.postEphemeral({
+                    channel: channelId,
+                    thread_ts: threadTs,
+                    user: userId,
+                    text: refusalText
+                });
+                return;
+            }
+
+            logger.error('Failed to select model', error);
+            await client.chat.postMessage({
+                channel: channelId,
+                thread_ts: threadTs,
+                text: `❌ Failed to load model configuration for *${modelId}*. Please try again.`
+            });
+        }
+    }
+
+    /**
+     * Ask the backend for a prompt built from the campaign brief and offer it in the channel
+     * @returns {Promise<boolean>} false when no suggestion could be shown (caller opens the modal directly)
+     */
+    async suggestPrompt(userId, channelId, threadTs, operation, modelConfig, client) {
+        let suggestion;
+        try {
+            const response = await this.apiClient.post(`/api/session/${userId}/${threadTs}/enhance-prompt`, {
+                operation,
+                modelId: modelConfig.id
+            });
+            suggestion = response.data.data;
+        } catch (error) {
+            logger.error('Failed to get prompt suggestion', error);
+            return false;
+        }
+
+        const userSession = this.userSessions.get(threadKey(userId, threadTs));
+        if (userSession) {
+            userSession.promptSuggestion = suggestion.prompt;
+        }
+
+        const source = suggestion.fallback || suggestion.provider === 'stub'
+            ? 'Built directly from your campaign brief'
+            : 'Written by Gemini from your campaign brief';
+
+        await client.chat.postMessage({
+            channel: channelId,
+            thread_ts: threadTs,
+            text: `💡 Suggested prompt: ${suggestion.prompt}`,
+            blocks: [
+                {
+                    type: 'section',
+                    text: {
+                        type: 'mrkdwn',
+                        text: `💡 *Suggested prompt for ${modelConfig.name}:*\n>${suggestion.prompt}`
                     }
                 },
                 {
-                    type: 'input',
-                    block_id: 'visual_directions_block',
-                    element: {
-                        type: 'plain_text_input',
-                        action_id: 'visual_directions_input',
-                        multiline: true,
-                        placeholder: {
-                            type: 'plain_text',
-                            text: 'Visual style and directions...'
+                    type: 'context',
+                    elements: [{ type: 'mrkdwn', text: source }]
+                },
+                {
+                    type: 'actions',
+                    block_id: 'prompt_suggestion_actions',
+                    elements: [
+                        {
+                            type: 'button',
+                            action_id: 'accept_prompt_suggestion',
+                            style: 'primary',
+                            text: { type: 'plain_text', text: '✅ Use this prompt' }
+                        },
+                        {
+                            type: 'button',
+                            action_id: 'edit_prompt_suggestion',
+                            text: { type: 'plain_text', text: '✏️ Edit' }
+                        },
+                        {
+                            type: 'button',
+                            action_id: 'reject_prompt_suggestion',
+                            text: { type: 'plain_text', text: '🚫 Write my own' }
                         }
-                    },
-                    label: {
-                        type: 'plain_text',
-                        text: 'Visual Directions'
-                    }
+                    ]
                 }
             ]
-        };
+        });
+        return true;
+    }
 
-        logger.slack(userId, 'Attempting to open modal', {
-            triggerId,
-            modalType: 'campaign_collection_modal'
+    /**
+     * Record the user's decision on the suggested prompt
+     * @param {string} decision - accepted, edited or rejected
+     * @param {string} prompt - Edited prompt (only for 'edited')
+     * @returns {Promise<string|null>} The prompt to use, or null when rejected
+     */
+    async decidePromptSuggestion(userId, channelId, threadTs, decision, prompt = undefined) {
+        const response = await this.apiClient.post(`/api/session/${userId}/${threadTs}/enhance-prompt/decision`, {
+            decision,
+            ...(decision === 'edited' ? { prompt } : {})
         });
+        const { enhancedPrompt } = response.data.data;
+
+        const userSession = this.userSessions.get(threadKey(userId, threadTs));
+        if (userSession) {
+            userSession.enhancedPrompt = enhancedPrompt;
+        }
+
+        logger.slack(userId, 'Prompt suggestion decided', { decision });
+        return enhancedPrompt;
+    }
+
+    /**
+     * Open a modal to edit the suggested prompt
+     */
+    async showPromptEditModal(userId, channelId, threadTs, triggerId, client) {
+        const suggestion = this.userSessions.get(threadKey(userId, threadTs))?.promptSuggestion || '';
 
         await client.views.open({
             trigger_id: triggerId,
-            view: modal
+            view: {
+                type: 'modal',
+                callback_id: 'prompt_edit_modal',
+                private_metadata: encodeModalMetadata(channelId, threadTs),
+                title: { type: 'plain_text', text: 'Edit Prompt' },
+                submit: { type: 'plain_text', text: 'Save' },
+                close: { type: 'plain_text', text: 'Cancel' },
+                blocks: [
+                    {
+                        type: 'input',
+                        block_id: 'prompt_block',
+                        label: { type: 'plain_text', text: 'Prompt' },
+                        element: {
+                            type: 'plain_text_input',
+                            action_id: 'prompt_input',
+                            multiline: true,
+                            max_length: 2000,
+                            ...(suggestion ? { initial_value: suggestion } : {})
+                        }
+                    }
+                ]
+            }
         });
-        
-        logger.slack(userId, 'Modal opened successfully');
     }
 
     /**
-     * Create session via backend API
+     * Open the parameter modal for the selected model with the prompt filled in
+     * @param {string|null} prompt - Prompt to pre-fill (null leaves the field empty)
+     */
+    async openParameterModalWithPrompt(userId, channelId, threadTs, prompt, client) {
+        const userSession = this.userSessions.get(threadKey(userId, threadTs));
+        if (!userSession || !userSession.modelConfig) {
+            await client.chat.postEphemeral({
+                channel: channelId,
+                thread_ts: threadTs,
+                user: userId,
+                text: 'ℹ️ Please select a model first.'
+            });
+            return;
+        }
+
+        const initialValues = {
+            ...(userSession.pendingModalValues || {}),
+            ...(prompt ? { prompt } : {})
+        };
+
+        try {
+            await this.showParameterModal(userId, channelId, threadTs, userSession.modelId, userSession.modelConfig, client, initialValues);
+        } catch (modalError) {
+            logger.error('Failed to show parameter modal', modalError);
+            await this.showParameterConfigurationInChat(userId, channelId, threadTs, userSession.modelConfig, client);
+        }
+    }
+
+    /**
+     * Show parameter configuration modal
+     * @param {Object} initialValues - Optional parameter values to pre-fill (e.g. when regenerating with changes)
      */
-    async createSession(userId, channelId, campaignData, client) {
-        console.log('[DEBUG][createSession] Called with:', { userId, channelId, campaignData });
+    async showParameterModal(userId, channelId, threadTs, modelId, modelConfig, client, initialValues = null) {
+        console.log('[DEBUG][showParameterModal] Called with:', { userId, channelId, modelId, modelConfig });
         try {
-            const clientName = campaignData.clientName || campaignData.brandName || 'Unknown Client';
-            const campaignIdea = campaignData.campaignIdea || '';
-            const creativeDirections = campaignData.creativeDirections || '';
-            const visualDirections = campaignData.visualDirections || '';
-            const response = await this.apiClient.post('/api/session/create', {
+            console.log('[DEBUG][Modal] showParameterModal called with:', {
                 userId,
-                threadId: channelId,
-                clientName,
-                campaignIdea,
-                creativeDirections,
-                visualDirections
+                channelId,
+                modelId,
+                modelConfigKeys: modelConfig ? Object.keys(modelConfig) : 'null',
+                modelConfigType: typeof modelConfig,
+                modelConfigParameters: modelConfig?.parameters ? Object.keys(modelConfig.parameters) : 'no parameters'
             });
-            const sessionData = response.data?.data?.session || {};
-            let availableOperations = response.data?.data?.availableOperations || [];
 
-            // Print campaign data in the channel
-            await client.chat.postMessage({
-                channel: channelId,
-                text: `*Campaign Created!*\n*Client Name:* ${clientName}\n*Campaign Idea:* ${campaignIdea}\n*Creative Directions:* ${creativeDirections}\n*Visual Directions:* ${visualDirections}`
+            // Blocks are built from the model's registry parameter schema (config/models)
+            const parameterBlocks = parameterModalBuilder.buildBlocks(modelConfig.parameters);
+
+            // Media parameters default to the newest matching file shared in the thread
+            const threadFiles = this.threadFiles.get(threadKey(userId, threadTs)) || [];
+            parameterModalBuilder.applyInitialValues(parameterBlocks, modelConfig.parameters, {
+                ...buildFileInputValues(modelConfig, threadFiles),
+                ...(initialValues || {})
             });
+            addFilePickerBlocks(parameterBlocks, threadFiles);
 
-            // Fallback to default operations if none returned
-            if (!Array.isArray(availableOperations) || availableOperations.length === 0) {
-                availableOperations = [
-                    { id: 'text-to-image', label: 'Text to Image' },
-                    { id: 'text-to-video', label: 'Text to Video' },
-                    { id: 'image-to-video', label: 'Image to Video' },
-                    { id: 'text-to-audio', label: 'Text to Audio' }
-                ];
-                logger.warn('No availableOperations returned from backend, using default list', { channelId });
+            // Assert referential equality before opening modal
+            try {
+                assertReferentialEquality(parameterBlocks);
+                console.log('[DEBUG][Modal] Referential equality check passed');
+            } catch (assertionError) {
+                console.error('[ERROR][Modal] Referential equality check failed:', assertionError.message);
+                throw assertionError;
             }
 
-            // Show available operations
-            const blocks = [
-                {
-                    type: 'header',
-                    text: { type: 'plain_text', text: 'Select the type of asset you want to generate:' }
-                },
-                {
-                    type: 'actions',
-                    elements: availableOperations.map(op => ({
-                        type: 'button',
-                        text: { type: 'plain_text', text: op.label },
-                        action_id: `select_operation_${op.id.replace(/-/g, '_')}`,
-                        value: op.id
-                    }))
+            // Log the final modal payload for debugging
+            console.log('[DEBUG][Modal] Final modal payload:', JSON.stringify(parameterBlocks, null, 2));
+
+            // Check if we have a valid trigger ID
+            const triggerId = this.getCurrentTriggerId();
+            if (!triggerId) {
+                logger.warn(`[SLACK:${userId}] No trigger ID available, falling back to chat-based parameter configuration`, {
+                    modelId,
+                    channelId
+                });
+                
+                // Fallback to chat-based parameter configuration
+                await this.showParameterConfigurationInChat(userId, channelId, threadTs, modelConfig, client);
+                return;
+            }
+
+            // Open the modal
+            await client.views.open({
+                trigger_id: triggerId,
+                view: {
+                    type: 'modal',
+                    callback_id: 'parameter_configuration_modal',
+                    private_metadata: encodeModalMetadata(channelId, threadTs),
+                    title: {
+                        type: 'plain_text',
+                        text: 'Configure Model'
+                    },
+                    submit: {
+                        type: 'plain_text',
+                        text: '🚀 Generate Asset'
+                    },
+                    close: {
+                        type: 'plain_text',
+                        text: 'Cancel'
+                    },
+                    blocks: [
+                        {
+                            type: 'section',
+                            text: {
+                                type: 'mrkdwn',
+                                text: `*${modelConfig.name}*\n${modelConfig.description}`
+                            }
+                        },
+                        // Add pricing information if available
+                        ...(modelConfig.pricing && modelConfig.pricing.price ? [{
+                            type: 'section',
+                            text: {
+                                type: 'mrkdwn',
+                                text: `*💵 Pricing:* ${modelConfig.pricing.price}\n*📊 Tier:* ${modelConfig.pricing.tier} • *Source:* ${modelConfig.pricing.source}`
+                            }
+                        }] : []),
+                        { type: 'divider' },
+                        ...parameterBlocks
+                    ]
                 }
-            ];
-            await client.chat.postMessage({
-                channel: channelId,
-                blocks,
-                text: 'Select the type of asset you want to generate:'
             });
 
-            logger.slack(userId, 'Session created successfully', {
-                sessionId: sessionData.sessionId
+            logger.info(`[SLACK:${userId}] Parameter modal opened successfully`, {
+                modelId,
+                channelId,
+                parameterCount: parameterBlocks.length
             });
+
         } catch (error) {
-            logger.error('Failed to create session via API', error);
-            throw error;
+            logger.error(`[SLACK:${userId}] Modal opening failed`, error);
+            
+            // Fallback: show parameters in chat
+            await this.showParameterConfigurationInChat(userId, channelId, threadTs, modelConfig, client);
+        }
+    }
+
+    /**
+     * Show parameter configuration in chat as fallback
+     */
+    async showParameterConfigurationInChat(userId, channelId, threadTs, modelConfig, client) {
+        const parameterBlocks = [];
+        
+        if (modelConfig.parameters) {
+            Object.entries(modelConfig.parameters).forEach(([paramName, paramConfig]) => {
+                if (paramConfig.type === 'string' && paramConfig.required) {
+                    parameterBlocks.push({
+                        type: 'section',
+                        text: {
+                            type: 'mrkdwn',
+                            text: `*${paramName.charAt(0).toUpperCase() + paramName.slice(1).replace(/_/g, ' ')}* (Required)\nType: ${paramConfig.type}${paramConfig.default ? `\nDefault: ${paramConfig.default}` : ''}`
+                        }
+                    });
+                } else if (paramConfig.type === 'string' && paramConfig.options) {
+                    parameterBlocks.push({
+                        type: 'section',
+                        text: {
+                            type: 'mrkdwn',
+                            text: `*${paramName.charAt(0).toUpperCase() + paramName.slice(1).replace(/_/g, ' ')}*\nType: ${paramConfig.type}\nOptions: ${paramConfig.options.join(', ')}${paramConfig.default ? `\nDefault: ${paramConfig.default}` : ''}`
+                        }
+                    });
+                } else if (paramConfig.type === 'number') {
+                    parameterBlocks.push({
+                        type: 'section',
+                        text: {
+                            type: 'mrkdwn',
+                            text: `*${paramName.charAt(0).toUpperCase() + paramName.slice(1).replace(/_/g, ' ')}*\nType: ${paramConfig.type}${paramConfig.min ? `\nMin: ${paramConfig.min}` : ''}${paramConfig.max ? `\nMax: ${paramConfig.max}` : ''}${paramConfig.default ? `\nDefault: ${paramConfig.default}` : ''}`
+                        }
+                    });
+                } else if (paramConfig.type === 'boolean') {
+                    parameterBlocks.push({
+                        type: 'section',
+                        text: {
+                            type: 'mrkdwn',
+                            text: `*${paramName.charAt(0).toUpperCase() + paramName.slice(1).replace(/_/g, ' ')}*\nType: ${paramConfig.type}${paramConfig.default ? `\nDefault: ${paramConfig.default}` : ''}`
+                        }
+                    });
+                }
+            });
         }
+
+        const blocks = [
+            {
+                type: 'section',
+                text: {
+                    type: 'mrkdwn',
+                    text: `🔧 *Parameter Configuration for ${modelConfig.name}*\n\nSince the modal couldn't be opened, here are the available parameters:`
+                }
+            },
+            {
+                type: 'divider'
+            },
+            ...parameterBlocks,
+            {
+                type: 'section',
+                text: {
+                    type: 'mrkdwn',
+                    text: `💡 *Next Steps:*\n• Use the modal above to configure parameters\n• Or reply with your prompt to use default settings`
+                }
+            }
+        ];
+
+        await client.chat.postMessage({
+            channel: channelId,
+            thread_ts: threadTs,
+            blocks: blocks,
+            text: `Parameter configuration for ${modelConfig.name}`
+        });
+    }
+
+    /**
+     * Get current trigger ID (placeholder - in real implementation, this would be passed from the interaction)
+     */
+    getCurrentTriggerId() {
+        // Use the stored trigger ID from the last interaction
+        return this.lastTriggerId || null;
     }
 
     /**
-     * Show operation selection
+     * Build the action buttons shown under a "Generation Complete" message
+     * @param {Object} asset - { generationId, operation, supportsSeed, canEdit, canUpscale } of the generated
+     * asset; New seed is only offered when its model takes a seed, Edit and Upscale when the user's role allows them
+     * @returns {Array} Slack blocks (empty when no post-generation actions are enabled)
      */
-    async showOperationSelection(userId, channelId, brandResearch) {
-        const blocks = [
-            {
-                type: 'header',
-                text: {
-                    type: 'plain_text',
-                    text: 'Select the type of asset you want to generate:'
-                }
-            }
-        ];
+    buildResultActionBlocks(asset = {}) {
+        const elements = [];
+        const assetType = OPERATION_ASSET_TYPES[asset.operation];
 
-        // Add operation selection instructions
-        blocks.push({
-                type: 'section',
-                text: {
-                    type: 'mrkdwn',
-                    text: '*Select the type of asset you want to generate:*'
-            }
-        });
-        
-        // Add button grid for operations
-        blocks.push({
-            type: 'actions',
-            elements: [
-                {
-                    type: 'button',
-                    text: {
-                        type: 'plain_text',
-                        text: '🎬 Text to Video'
-                    },
-                    action_id: 'select_operation_text_to_video',
-                    value: 'text-to-video',
-                    style: 'primary'
-                },
-                {
-                    type: 'button',
-                    text: {
-                        type: 'plain_text',
-                        text: '🖼️ Text to Image'
-                    },
-                    action_id: 'select_operation_text_to_image',
-                    value: 'text-to-image'
-                },
+        // Every button acts on this specific asset, so it carries the asset's generation ID
+        const value = asset.generationId ? { value: asset.generationId } : {};
+
+        if (config.features.regeneration) {
+            elements.push(
                 {
                     type: 'button',
-                    text: {
-                        type: 'plain_text',
-                        text: '🎥 Image to Video'
-                    },
-                    action_id: 'select_operation_image_to_video',
-                    value: 'image-to-video'
+                    action_id: 'regenerate_asset',
+                    ...value,
+                    text: { type: 'plain_text', text: '🔁 Regenerate' }
                 },
                 {
                     type: 'button',
-                    text: {
-                        type: 'plain_text',
-                        text: '🎵 Text to Audio'
-                    },
-                    action_id: 'select_operation_text_to_audio',
-                    value: 'text-to-audio'
+                    action_id: 'regenerate_asset_with_changes',
+                    ...value,
+                    text: { type: 'plain_text', text: '✏️ Regenerate with changes' }
                 }
-            ]
-        });
-        
-        // Send the operation selection message
-        await this.app.client.chat.postMessage({
-            channel: channelId,
-            blocks: blocks,
-            text: 'Campaign analysis complete! Select your asset type.'
-        });
+            );
+            if (asset.supportsSeed) {
+                elements.push({
+                    type: 'button',
+                    action_id: 'regenerate_asset_new_seed',
+                    ...value,
+                    text: { type: 'plain_text', text: '🎲 New seed' }
+                });
+            }
+        }
+
+        if (asset.generationId && config.features.assetEditing && ASSET_EDIT_OPERATIONS[assetType] && asset.canEdit) {
+            elements.push({
+                type: 'button',
+                action_id: 'edit_asset',
+                value: asset.generationId,
+                text: { type: 'plain_text', text: '🎨 Edit' }
+            });
+        }
+
+        if (asset.generationId && config.features.assetUpscaling && ASSET_UPSCALERS[assetType] && asset.canUpscale) {
+            elements.push({
+                type: 'button',
+                action_id: 'upscale_asset',
+                value: asset.generationId,
+                text: { type: 'plain_text', text: '🔍 Upscale' }
+            });
+        }
+
+        if (elements.length === 0) {
+            return [];
+        }
+
+        return [
+            {
+                type: 'actions',
+                block_id: 'generation_result_actions',
+                elements
+            }
+        ];
     }
 
     /**
-     * Select operation via backend API
+     * Whether the user's role allows editing and upscaling an asset: the edit operation must be in their
+     * operation list and the upscaler model in that operation's model list
+     * @param {string} userId - Slack user ID
+     * @param {string} operation - Operation that produced the asset
+     * @returns {Promise<Object>} { canEdit, canUpscale }
      */
-    async selectOperation(userId, channelId, operation, client) {
-        console.log('[DEBUG][selectOperation] Called with:', { userId, channelId, operation });
+    async getAssetFollowUps(userId, operation) {
+        const assetType = OPERATION_ASSET_TYPES[operation];
+        const edit = ASSET_EDIT_OPERATIONS[assetType];
+        const upscaler = ASSET_UPSCALERS[assetType];
+        if (!edit && !upscaler) {
+            return { canEdit: false, canUpscale: false };
+        }
+
         try {
-            // Track operation selection in session
-            await this.apiClient.post(`/api/session/${userId}/${channelId}/select-operation`, {
-                operation
-            });
+            const operationsResponse = await this.apiClient.get('/api/operations', { actingUserId: userId });
+            const summaries = operationsResponse.data.data.summaries;
+            const canEdit = !!edit && summaries.some(summary => summary.id === edit.operation);
 
-            // Get available models for the operation
-            const modelsResponse = await this.apiClient.get(`/api/models/${operation}`);
-            const models = modelsResponse.data?.data?.models || modelsResponse.data?.models || modelsResponse.data;
-            
-            if (!models || !Array.isArray(models)) {
-                throw new Error('Invalid models response from API');
+            let canUpscale = false;
+            if (upscaler && summaries.some(summary => summary.id === upscaler.operation)) {
+                const modelsResponse = await this.apiClient.get(`/api/models/${upscaler.operation}`, { actingUserId: userId });
+                const models = modelsResponse.data?.data?.models || [];
+                canUpscale = models.some(model => model.id === upscaler.modelId);
             }
+            return { canEdit, canUpscale };
+        } catch (error) {
+            // The backend checks the role again when the button is used
+            logger.warn('Could not check follow-up actions against the user\'s role', { userId, operation, error: error.message });
+            return { canEdit: !!edit, canUpscale: !!upscaler };
+        }
+    }
 
-            // Store models in memory for later config lookup
-            if (!this.modelCache) this.modelCache = {};
-            this.modelCache[operation] = models;
-            
-            // Store operation in user session for future reference
-            const userSession = this.userSessions.get(userId) || {};
-            userSession.operation = operation;
-            userSession.channelId = channelId;
-            userSession.timestamp = Date.now();
-            this.userSessions.set(userId, userSession);
-            
-            logger.slack(userId, 'Operation selected and stored in session', {
-                operation,
-                modelCount: models.length
-            });
+    /**
+     * Find a generated asset in the session's context by its generation ID
+     * @param {string} userId - Slack user ID
+     * @param {string} channelId - Slack channel ID
+     * @param {string} threadTs - Campaign thread timestamp (the session thread ID)
+     * @param {string} generationId - Generation ID of the asset
+     * @returns {Promise<Object|null>} Asset record or null
+     */
+    async getSessionAsset(userId, channelId, threadTs, generationId) {
+        try {
+            const response = await this.apiClient.get(`/api/session/${userId}/${threadTs}`);
+            const assets = response.data?.data?.session?.context?.generatedAssets || [];
+            return assets.find(asset => asset.generationId === generationId) || null;
+        } catch (error) {
+            if (error.response?.status === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
 
-            await this.showModelSelection(userId, channelId, operation, models, client);
+    /**
+     * Send a generated asset straight to the matching upscaler
+     * @param {string} userId - Slack user ID
+     * @param {string} channelId - Slack channel ID
+     * @param {string} threadTs - Campaign thread timestamp (the session thread ID)
+     * @param {string} generationId - Generation ID of the asset to upscale
+     * @param {Object} client - Slack client
+     */
+    async upscaleAsset(userId, channelId, threadTs, generationId, client) {
+        const asset = await this.getSessionAsset(userId, channelId, threadTs, generationId);
+        const upscaler = asset && ASSET_UPSCALERS[OPERATION_ASSET_TYPES[asset.operation]];
 
-        } catch (error) {
-            logger.error('Failed to select operation via API', error);
+        if (!asset || !asset.assetUrl || !upscaler) {
             await client.chat.postEphemeral({
                 channel: channelId,
+                thread_ts: threadTs,
                 user: userId,
-                text: '❌ Failed to load models. Please try again.'
+                text: 'ℹ️ This asset is no longer available for upscaling in this session.'
             });
+            return;
         }
-    }
 
-    /**
-     * Show model selection
-     */
-    async showModelSelection(userId, channelId, operation, models, client) {
-        console.log('[DEBUG][showModelSelection] Called with:', { userId, channelId, operation, models });
-        const options = models.map(model => {
-            // Ensure model.name and model.description exist
-            let modelName = model.name || model.id || 'Unknown Model';
-            // If this is the Lyria2 model for text-to-audio, override the display name
-            if (operation === 'text-to-audio' && model.id === 'fal-ai/lyria2') {
-                modelName = 'Lyria 2';
-            }
-            
-            // Add pricing information to display text
-            let displayText = modelName;
-            if (model.pricing && model.pricing.price) {
-                const tierEmoji = {
-                    'budget': '💰',
-                    'fast': '⚡',
-                    'standard': '📊',
-                    'premium': '💎'
-                };
-                const emoji = tierEmoji[model.pricing.tier] || '💵';
-                displayText = `${emoji} ${modelName} (${model.pricing.price})`;
-            }
-            
-            // Truncate if needed
-            if (displayText.length > 60) {
-                displayText = displayText.substring(0, 57) + '...';
-            }
-            
-            logger.debug('Model option created', { 
-                modelId: model.id, 
-                originalName: model.name, 
-                displayText: displayText, 
-                length: displayText.length,
-                pricing: model.pricing
-            });
-            return {
-                text: {
-                    type: 'plain_text',
-                    text: displayText
-                },
-                value: model.id
-            };
+        logger.slack(userId, 'Upscaling asset', {
+            sourceGenerationId: generationId,
+            modelId: upscaler.modelId
         });
 
-        const blocks = [
-            {
-                type: 'section',
-                text: {
-                    type: 'mrkdwn',
-                    text: `*Select a model for ${operation}:*`
-                },
-                accessory: {
-                    type: 'static_select',
-                    action_id: 'select_model',
-                    placeholder: {
-                        type: 'plain_text',
-                        text: 'Choose model...'
-                    },
-                    options: options.slice(0, 100) // Slack limit
-                }
-            }
-        ];
+        const modelConfig = await this.getModelConfig(userId, upscaler.operation, upscaler.modelId);
+
+        this.userSessions.set(threadKey(userId, threadTs), {
+            ...(this.userSessions.get(threadKey(userId, threadTs)) || {}),
+            channelId,
+            threadTs,
+            modelId: upscaler.modelId,
+            operation: upscaler.operation,
+            modelConfig,
+            parentGenerationId: generationId,
+            timestamp: Date.now()
+        });
 
         await client.chat.postMessage({
             channel: channelId,
-            blocks: blocks,
-            text: `Select model for ${operation}`
+            thread_ts: threadTs,
+            text: `🔍 *Upscaling* your asset with \`${upscaler.modelId}\`...`
         });
+
+        await this.requestGeneration(userId, channelId, threadTs, { [upscaler.inputParam]: asset.assetUrl }, client);
     }
 
     /**
-     * Select model and show parameter configuration
+     * Open the image-to-image or video-to-video model picker with the asset as the input
+     * The asset URL is held on the user session and pre-filled once a model is chosen.
+     * @param {string} userId - Slack user ID
+     * @param {string} channelId - Slack channel ID
+     * @param {string} threadTs - Campaign thread timestamp (the session thread ID)
+     * @param {string} generationId - Generation ID of the asset to edit
+     * @param {Object} client - Slack client
      */
-    async selectModel(userId, channelId, modelId, client) {
-        console.log('[DEBUG][selectModel] Called with:', { userId, channelId, modelId });
-        try {
-            logger.slack(userId, 'Model selected', { modelId, channelId });
+    async editAsset(userId, channelId, threadTs, generationId, client) {
+        const asset = await this.getSessionAsset(userId, channelId, threadTs, generationId);
+        const edit = asset && ASSET_EDIT_OPERATIONS[OPERATION_ASSET_TYPES[asset.operation]];
 
-            console.log('[DEBUG][Modal] selectModel called with:', { userId, channelId, modelId });
-            console.log('[DEBUG][Modal] modelCache keys:', Object.keys(this.modelCache || {}));
-            console.log('[DEBUG][Modal] modelCache contents:', JSON.stringify(this.modelCache, null, 2));
-
-            // Find the operation for this model (from last selection)
-            let operation = Object.keys(this.modelCache || {}).find(op =>
-                (this.modelCache[op] || []).some(m => m.id === modelId)
-            );
-            
-            console.log('[DEBUG][Modal] Found operation:', operation);
-            
-            // If operation not found in cache, try to get it from the user session
-            if (!operation) {
-                const userSession = this.userSessions.get(userId);
-                operation = userSession?.operation;
-                console.log('[DEBUG][Modal] Operation from user session:', operation);
-            }
-            
-            // If still no operation, try to determine from modelId
-            if (!operation) {
-                if (modelId.includes('tts') || modelId.includes('speech')) {
-                    operation = 'text-to-speech';
-                } else if (modelId.includes('image')) {
-                    operation = 'text-to-image';
-                } else if (modelId.includes('video')) {
-                    operation = 'text-to-video';
-                } else {
-                    operation = 'text-to-image'; // fallback
-                }
-                console.log('[DEBUG][Modal] Operation determined from modelId:', operation);
-            }
-            
-            // Track model selection in session
-            await this.apiClient.post(`/api/session/${userId}/${channelId}/select-model`, {
-                modelId,
-                operation
+        if (!asset || !asset.assetUrl || !edit) {
+            await client.chat.postEphemeral({
+                channel: channelId,
+                thread_ts: threadTs,
+                user: userId,
+                text: 'ℹ️ This asset is no longer available for editing in this session.'
             });
-            
-            // Find the models array and modelConfig first
-            let models = this.modelCache?.[operation] || [];
-            console.log('[DEBUG][Modal] Models for operation:', models.length);
-            let modelConfig = models.find(m => m.id === modelId);
-            
-            // If modelConfig not found in cache, try to fetch it from API
-            if (!modelConfig) {
-                console.log('[DEBUG][Modal] Model config not found in cache, fetching from API');
-                try {
-                    const modelsResponse = await this.apiClient.get(`/api/models/${operation}`);
-                    const apiModels = modelsResponse.data?.data?.models || modelsResponse.data?.models || modelsResponse.data;
-                    
-                    if (apiModels && Array.isArray(apiModels)) {
-                        // Update cache
-                        if (!this.modelCache) this.modelCache = {};
-                        this.modelCache[operation] = apiModels;
-                        
-                        // Find modelConfig again
-                        modelConfig = apiModels.find(m => m.id === modelId);
-                        console.log('[DEBUG][Modal] Model config found after API fetch:', modelConfig ? 'yes' : 'no');
-                    }
-                } catch (apiError) {
-                    console.log('[DEBUG][Modal] Failed to fetch models from API:', apiError.message);
+            return;
+        }
+
+        logger.slack(userId, 'Editing asset', {
+            sourceGenerationId: generationId,
+            operation: edit.operation
+        });
+
+        this.userSessions.set(threadKey(userId, threadTs), {
+            ...(this.userSessions.get(threadKey(userId, threadTs)) || {}),
+            channelId,
+            threadTs,
+            pendingInputs: {
+                operation: edit.operation,
+                parentGenerationId: generationId,
+                values: { [edit.inputParam]: asset.assetUrl }
+            },
+            timestamp: Date.now()
+        });
+
+        await this.selectOperation(userId, channelId, threadTs, edit.operation, client);
+    }
+
+    /**
+     * Re-host files shared in a campaign thread and offer the operations they can feed
+     * Files outside a session of this user are ignored (the backend answers 404).
+     * @param {string} userId - Slack user ID
+     * @param {string} channelId - Slack channel ID
+     * @param {string} threadTs - Campaign thread timestamp (the session thread ID)
+     * @param {Array} files - Files from the file_share message event
+     * @param {Object} client - Slack client
+     */
+    async handleSharedFiles(userId, channelId, threadTs, files, client) {
+        for (const sharedFile of files) {
+            let file;
+            try {
+                const response = await this.apiClient.post(`/api/session/${userId}/${threadTs}/files`, {
+                    fileId: sharedFile.id
+                });
+                file = response.data.data.file;
+                this.threadFiles.set(threadKey(userId, threadTs), response.data.data.files);
+            } catch (error) {
+                const status = error.response?.status;
+                if (status === 404) {
+                    return;
                 }
+                await client.chat.postEphemeral({
+                    channel: channelId,
+                    thread_ts: threadTs,
+                    user: userId,
+                    text: status === 400 || status === 403 || status === 413
+                        ? `ℹ️ *${sharedFile.name}* can't be used as an input: ${error.response.data?.error}`
+                        : `❌ Sorry, *${sharedFile.name}* could not be prepared as an input. Please try again.`
+                });
+                continue;
             }
-            
-            console.log('[DEBUG][Modal] Found modelConfig:', modelConfig ? 'yes' : 'no');
-            if (!modelConfig) throw new Error('Model config not found');
-
-            // Store user session data for modal interactions (now modelConfig is defined)
-            this.userSessions.set(userId, {
-                channelId,
-                modelId,
-                operation,
-                modelConfig, // <-- store the full modelConfig for later extraction
-                timestamp: Date.now()
-            });
-            
-            // Also store the operation in the session for future reference
-            logger.slack(userId, 'User session updated with model selection', {
-                operation,
-                modelId,
-                hasModelConfig: !!modelConfig
-            });
 
-            console.log('[DEBUG][Modal] ModelConfig details:', {
-                id: modelConfig.id,
-                name: modelConfig.name,
-                parametersCount: Object.keys(modelConfig.parameters || {}).length,
-                parameters: Object.keys(modelConfig.parameters || {})
+            logger.slack(userId, 'Shared file ready as generation input', {
+                fileId: file.fileId,
+                kind: file.kind,
+                threadTs
             });
 
-            // Post model selection confirmation to chat
-            let displayModelName = modelConfig.name;
-            if (operation === 'text-to-audio' && modelConfig.id === 'fal-ai/lyria2') {
-                displayModelName = 'Lyria 2';
-            }
-            // Build pricing information text
-            let pricingText = '';
-            if (modelConfig.pricing && modelConfig.pricing.price) {
-                const tierEmoji = {
-                    'budget': '💰',
-                    'fast': '⚡',
-                    'standard': '📊',
-                    'premium': '💎'
-                };
-                const emoji = tierEmoji[modelConfig.pricing.tier] || '💵';
-                pricingText = `\n\n${emoji} *Pricing:* ${modelConfig.pricing.price}\n📊 *Tier:* ${modelConfig.pricing.tier} • *Source:* ${modelConfig.pricing.source}`;
-            }
-
+            const text = `📎 *${file.name}* is ready to use as an input. It is pre-filled in the next ${file.kind} field you open, or pick an operation:`;
             await client.chat.postMessage({
                 channel: channelId,
-                text: `✅ *Model Selected:* ${displayModelName}\n\n📝 *Description:* ${modelConfig.description}${pricingText}\n\n⚙️ *Parameters Available:* ${Object.keys(modelConfig.parameters).length} configurable options`,
+                thread_ts: threadTs,
+                text,
                 blocks: [
+                    { type: 'section', text: { type: 'mrkdwn', text } },
                     {
-                        type: 'section',
-                        text: {
-                            type: 'mrkdwn',
-                            text: `✅ *Model Selected:* ${displayModelName}\n\n📝 *Description:* ${modelConfig.description}${pricingText}`
-                        }
-                    },
-                    {
-                        type: 'section',
-                        text: {
-                            type: 'mrkdwn',
-                            text: `⚙️ *Parameters Available:* ${Object.keys(modelConfig.parameters).length} configurable options\n\n🔧 *Next Step:* Configure parameters in the modal below`
-                        }
+                        type: 'actions',
+                        elements: FILE_INPUT_OPERATIONS[file.kind].map(target => ({
+                            type: 'button',
+                            action_id: `use_file_input_${target.operation.replace(/-/g, '_')}`,
+                            text: { type: 'plain_text', text: target.label },
+                            value: JSON.stringify({ fileId: file.fileId, operation: target.operation })
+                        }))
                     }
                 ]
             });
+        }
+    }
 
-            // Show parameter configuration modal
-            try {
-                console.log('[DEBUG][Modal] About to call showParameterModal');
-                await this.showParameterModal(userId, channelId, modelId, modelConfig, client);
-            } catch (modalError) {
-                logger.error('Failed to show parameter modal', modalError);
-                // Fallback: show configuration in chat
-                await this.showParameterConfigurationInChat(userId, channelId, modelConfig, client);
-            }
+    /**
+     * Open an operation's model picker with a shared file as its input
+     * The file moves to the front of the thread's files, so the parameter modal pre-fills it.
+     * @param {string} userId - Slack user ID
+     * @param {string} channelId - Slack channel ID
+     * @param {string} threadTs - Campaign thread timestamp (the session thread ID)
+     * @param {string} fileId - Slack file ID
+     * @param {string} operation - Operation to run on the file
+     * @param {Object} client - Slack client
+     */
+    async useFileInput(userId, channelId, threadTs, fileId, operation, client) {
+        const files = this.threadFiles.get(threadKey(userId, threadTs)) || [];
+        const file = files.find(f => f.fileId === fileId);
 
-        } catch (error) {
-            logger.error('Failed to select model', error);
-            await client.chat.postMessage({
+        if (!file) {
+            await client.chat.postEphemeral({
                 channel: channelId,
-                text: `❌ Failed to load model configuration for *${modelId}*. Please try again.`
+                thread_ts: threadTs,
+                user: userId,
+                text: 'ℹ️ This file is no longer available. Share it in the thread again to use it.'
             });
+            return;
         }
+
+        this.threadFiles.set(threadKey(userId, threadTs), [file, ...files.filter(f => f !== file)]);
+        logger.slack(userId, 'Using shared file as input', { fileId, operation });
+
+        await this.selectOperation(userId, channelId, threadTs, operation, client);
     }
 
     /**
-     * Show parameter configuration modal
+     * Open the "Use as input" modal for a message: pick one of its files, an operation and a session
+     * A message without usable files, or a user without an active session, gets an explanation instead.
+     * @param {string} userId - Slack user ID
+     * @param {Object} message - Message the shortcut was used on
+     * @param {string} triggerId - Trigger ID for opening the modal
+     * @param {Object} client - Slack client
      */
-    async showParameterModal(userId, channelId, modelId, modelConfig, client) {
-        console.log('[DEBUG][showParameterModal] Called with:', { userId, channelId, modelId, modelConfig });
-        try {
-            console.log('[DEBUG][Modal] showParameterModal called with:', {
-                userId,
-                channelId,
-                modelId,
-                modelConfigKeys: modelConfig ? Object.keys(modelConfig) : 'null',
-                modelConfigType: typeof modelConfig,
-                modelConfigParameters: modelConfig?.parameters ? Object.keys(modelConfig.parameters) : 'no parameters'
-            });
+    async openUseAsInputModal(userId, message, triggerId, client) {
+        const openNotice = (text) => client.views.open({
+            trigger_id: triggerId,
+            view: {
+                type: 'modal',
+                title: { type: 'plain_text', text: 'Use as input' },
+                close: { type: 'plain_text', text: 'Close' },
+                blocks: [{ type: 'section', text: { type: 'mrkdwn', text } }]
+            }
+        });
 
-            // FIX: Define operation from user session or modelConfig
-            let operation = modelConfig.operation;
-            if (!operation && this.userSessions.has(userId)) {
-                operation = this.userSessions.get(userId).operation;
-            }
-
-            // Create comprehensive modal view
-            let parameterBlocks;
-            if (operation === 'text-to-video' && textToVideoModalParams[modelId]) {
-              // Build blocks from the schema array
-              parameterBlocks = textToVideoModalParams[modelId].map((param) => {
-                const block = {
-                  type: 'input',
-                  block_id: `${param.action_id}_block`,
-                  optional: !param.required,
-                  label: {
-                    type: 'plain_text',
-                    text: param.label + (param.required ? '' : ' (Optional)')
-                  },
-                  element: {
-                    type: param.type,
-                    action_id: param.action_id
-                  }
-                };
-                if (param.type === 'plain_text_input' && param.placeholder) {
-                  block.element.placeholder = { type: 'plain_text', text: param.placeholder };
-                }
-                if (param.type === 'static_select' && param.options) {
-                  block.element.options = param.options.map(opt => ({
-                    text: { type: 'plain_text', text: opt },
-                    value: opt
-                  }));
-                  block.element.placeholder = { type: 'plain_text', text: `Select ${param.label.toLowerCase()}...` };
-                  if (param.default !== undefined) {
-                    const initial_option = block.element.options.find(o => o.value === param.default);
-                    if (initial_option) block.element.initial_option = initial_option;
-                  }
-                }
-                if (param.type === 'number_input') {
-                  block.element.is_decimal_allowed = true;
-                  if (param.placeholder) {
-                    block.element.placeholder = { type: 'plain_text', text: param.placeholder };
-                  }
-                }
-                if (param.type === 'checkbox') {
-                  block.element = {
-                    type: 'checkboxes',
-                    action_id: param.action_id,
-                    options: [
-                      {
-                        text: { type: 'plain_text', text: param.label },
-                        value: 'true'
-                      }
-                    ]
-                  };
-                  if (param.default === true) {
-                    block.element.initial_options = [block.element.options[0]];
-                  }
-                }
-                return block;
-              });
-            } else if (operation === 'text-to-audio' && textToAudioModalParams[modelId]) {
-              // Build blocks from the schema array
-              parameterBlocks = textToAudioModalParams[modelId].map((param) => {
-                const block = {
-                  type: 'input',
-                  block_id: `${param.action_id}_block`,
-                  optional: !param.required,
-                  label: {
-                    type: 'plain_text',
-                    text: param.label + (param.required ? '' : ' (Optional)')
-                  },
-                  element: {
-                    type: param.type,
-                    action_id: param.action_id
-                  }
-                };
-                if (param.type === 'plain_text_input' && param.placeholder) {
-                  block.element.placeholder = { type: 'plain_text', text: param.placeholder };
-                }
-                if (param.type === 'static_select' && param.options) {
-                  block.element.options = param.options.map(opt => ({
-                    text: { type: 'plain_text', text: opt },
-                    value: opt
-                  }));
-                  block.element.placeholder = { type: 'plain_text', text: `Select ${param.label.toLowerCase()}...` };
-                  if (param.default !== undefined) {
-                    const initial_option = block.element.options.find(o => o.value === param.default);
-                    if (initial_option) block.element.initial_option = initial_option;
-                  }
+        if (!config.features.fileInputs) {
+            await openNotice('ℹ️ File inputs are turned off for this workspace.');
+            return;
+        }
+
+        const inputs = getMessageInputs(message);
+        if (inputs.length === 0) {
+            const kinds = Object.keys(FILE_INPUT_OPERATIONS).join(', ');
+            await openNotice(`ℹ️ This message has no file that can be used as an input. Supported kinds: ${kinds}.`);
+            return;
+        }
+
+        const response = await this.apiClient.get(`/api/user/${userId}/sessions`);
+        const sessions = response.data.data.sessions;
+        if (sessions.length === 0) {
+            await openNotice('ℹ️ You have no active campaign session. Start one with `/dashboard`, or pick up an old one with `/dashboard resume`, then try again.');
+            return;
+        }
+
+        // Inputs travel in private_metadata; drop the last ones if a message has too many to fit
+        while (inputs.length > 1 && JSON.stringify({ inputs }).length > MAX_MODAL_METADATA_LENGTH) {
+            inputs.pop();
+        }
+
+        const kinds = [...new Set(inputs.map(input => input.kind))];
+        const operationOptions = kinds.flatMap(kind => FILE_INPUT_OPERATIONS[kind]).map(target => ({
+            text: { type: 'plain_text', text: target.label },
+            value: target.operation
+        }));
+        const sessionOptions = sessions.map(session => ({
+            text: {
+                type: 'plain_text',
+                text: truncateOptionText([session.clientName || 'Unknown client', session.campaignIdea].filter(Boolean).join(' · '))
+            },
+            value: `${session.channelId}:${session.threadId}`
+        }));
+
+        const blocks = [];
+        if (inputs.length === 1) {
+            blocks.push({
+                type: 'section',
+                text: { type: 'mrkdwn', text: `📎 *${inputs[0].name}* (${inputs[0].kind})` }
+            });
+        } else {
+            const fileOptions = inputs.map((input, index) => ({
+                text: { type: 'plain_text', text: truncateOptionText(`${input.name} (${input.kind})`) },
+                value: String(index)
+            }));
+            blocks.push({
+                type: 'input',
+                block_id: 'input_file_block',
+                label: { type: 'plain_text', text: 'File' },
+                element: {
+                    type: 'static_select',
+                    action_id: 'input_file',
+                    options: fileOptions,
+                    initial_option: fileOptions[0]
                 }
-                if (param.type === 'number_input') {
-                  block.element.is_decimal_allowed = true;
-                  if (param.placeholder) {
-                    block.element.placeholder = { type: 'plain_text', text: param.placeholder };
-                  }
+            });
+        }
+        blocks.push(
+            {
+                type: 'input',
+                block_id: 'input_operation_block',
+                label: { type: 'plain_text', text: 'Operation' },
+                element: {
+                    type: 'static_select',
+                    action_id: 'input_operation',
+                    options: operationOptions,
+                    initial_option: operationOptions[0]
                 }
-                if (param.type === 'checkbox') {
-                  block.element = {
-                    type: 'checkboxes',
-                    action_id: param.action_id,
-                    options: [
-                      {
-                        text: { type: 'plain_text', text: param.label },
-                        value: 'true'
-                      }
-                    ]
-                  };
-                  if (param.default === true) {
-                    block.element.initial_options = [block.element.options[0]];
-                  }
+            },
+            {
+                type: 'input',
+                block_id: 'input_session_block',
+                label: { type: 'plain_text', text: 'Session' },
+                hint: { type: 'plain_text', text: 'The model picker opens in this session\'s thread.' },
+                element: {
+                    type: 'static_select',
+                    action_id: 'input_session',
+                    options: sessionOptions,
+                    initial_option: sessionOptions[0]
                 }
-                return block;
-              });
-            } else if (operation === 'text-to-speech' && textToSpeechModalParams[modelId]) {
-                parameterBlocks = textToSpeechModalParams[modelId].map((param) => {
-                    const block = {
-                        type: 'input',
-                        block_id: `${param.action_id}_block`,
-                        optional: !param.required,
-                        label: { type: 'plain_text', text: param.label },
-                        element: {
-                            type: param.type,
-                            action_id: param.action_id,
-                            placeholder: param.placeholder ? { type: 'plain_text', text: param.placeholder } : undefined
-                        }
-                    };
-                    return block;
-                });
-            } else if (operation === 'image-to-image' && imageToImageModalParams[modelId]) {
-                parameterBlocks = imageToImageModalParams[modelId].map((param) => {
-                    const block = {
-                        type: 'input',
-                        block_id: `${param.action_id}_block`,
-                        optional: !param.required,
-                        label: { type: 'plain_text', text: param.label },
-                        element: {
-                            type: param.type,
-                            action_id: param.action_id,
-                            placeholder: param.placeholder ? { type: 'plain_text', text: param.placeholder } : undefined
-                        }
-                    };
-                    
-                    // Handle static_select type
-                    if (param.type === 'static_select' && param.options) {
-                        block.element.options = param.options;
-                        if (param.default) {
-                            block.element.initial_option = param.options.find(opt => opt.value === param.default);
-                        }
-                    }
-                    
-                    // Handle checkbox type
-                    if (param.type === 'checkbox') {
-                        block.element = {
-                            type: 'checkboxes',
-                            action_id: param.action_id,
-                            options: [
-                                {
-                                    text: { type: 'plain_text', text: param.label },
-                                    value: 'true'
-                                }
-                            ]
-                        };
-                        if (param.default === true) {
-                            block.element.initial_options = [block.element.options[0]];
-                        }
-                    }
-                    
-                    return block;
-                });
-            } else if (operation === 'video-to-video' && videoToVideoModalParams[modelId]) {
-                // Build blocks from the video-to-video schema array with custom UI
-                parameterBlocks = videoToVideoModalParams[modelId].map((param) => {
-                    const block = {
-                        type: 'input',
-                        block_id: `${param.action_id}_block`,
-                        optional: !param.required,
-                        label: {
-                            type: 'plain_text',
-                            text: param.label + (param.required ? '' : ' (Optional)')
-                        },
-                        element: {
-                            type: param.type,
-                            action_id: param.action_id
-                        }
-                    };
-                    
-                    // Add placeholder text
-                    if (param.placeholder) {
-                        block.element.placeholder = { type: 'plain_text', text: param.placeholder };
-                    }
-                    
-                    // Handle static_select type with custom options
-                    if (param.type === 'static_select' && param.options) {
-                        block.element.options = param.options;
-                        block.element.placeholder = { 
-                            type: 'plain_text', 
-                            text: `Select ${param.label.replace(/[🎬🎵🖼️💬🚫🎯🎞️⏱️📊🎛️🎲📺📐🎭🖼️📚🛡️📝🔧⚡🏃🔍🔄⏰▶️🎨🤖💪]/g, '').trim()}...` 
-                        };
-                        
-                        // Set default option if specified
-                        if (param.default !== undefined) {
-                            const initial_option = param.options.find(opt => opt.value === param.default);
-                            if (initial_option) {
-                                block.element.initial_option = initial_option;
-                            }
-                        }
-                    }
-                    
-                    // Handle number_input type
-                    if (param.type === 'number_input') {
-                        block.element.is_decimal_allowed = true;
-                        if (param.placeholder) {
-                            block.element.placeholder = { type: 'plain_text', text: param.placeholder };
-                        }
-                    }
-                    
-                    // Handle checkbox type with custom labels
-                    if (param.type === 'checkbox') {
-                        block.element = {
-                            type: 'checkboxes',
-                            action_id: param.action_id,
-                            options: [
-                                {
-                                    text: { type: 'plain_text', text: `Enable ${param.label.replace(/[🎬🎵🖼️💬🚫🎯🎞️⏱️📊🎛️🎲📺📐🎭🖼️📚🛡️📝🔧⚡🏃🔍🔄⏰▶️🎨🤖💪]/g, '').trim()}` },
-                                    value: 'true'
-                                }
-                            ]
-                        };
-                        
-                        // Set default if specified
-                        if (param.default === true) {
-                            block.element.initial_options = [block.element.options[0]];
-                        }
-                    }
-                    
-                    return block;
-                });
             }
-            else {
-              // Fallback to old logic
-              parameterBlocks = buildParameterBlocksFromModelConfig(modelConfig);
+        );
+
+        await client.views.open({
+            trigger_id: triggerId,
+            view: {
+                type: 'modal',
+                callback_id: 'use_as_input_modal',
+                private_metadata: JSON.stringify({ inputs }),
+                title: { type: 'plain_text', text: 'Use as input' },
+                submit: { type: 'plain_text', text: 'Continue' },
+                close: { type: 'plain_text', text: 'Cancel' },
+                blocks
             }
+        });
+        logger.slack(userId, 'Use as input modal opened', { inputCount: inputs.length, sessionCount: sessions.length });
+    }
 
-            // Assert referential equality before opening modal
-            try {
-                assertReferentialEquality(parameterBlocks);
-                console.log('[DEBUG][Modal] Referential equality check passed');
-            } catch (assertionError) {
-                console.error('[ERROR][Modal] Referential equality check failed:', assertionError.message);
-                throw assertionError;
+    /**
+     * Add a file from another message to a session and open the operation's model picker in its thread
+     * @param {string} userId - Slack user ID
+     * @param {string} channelId - Channel of the session thread
+     * @param {string} threadTs - Campaign thread timestamp (the session thread ID)
+     * @param {Object} input - { fileId } for a Slack file or { url } for an attached image, with name and kind
+     * @param {string} operation - Operation to run on the file
+     * @param {Object} client - Slack client
+     */
+    async useMessageInput(userId, channelId, threadTs, input, operation, client) {
+        let file;
+        try {
+            const response = await this.apiClient.post(`/api/session/${userId}/${threadTs}/files`,
+                input.fileId ? { fileId: input.fileId } : { url: input.url, name: input.name });
+            file = response.data.data.file;
+            this.threadFiles.set(threadKey(userId, threadTs), response.data.data.files);
+        } catch (error) {
+            const status = error.response?.status;
+            if (status !== 400 && status !== 403 && status !== 404 && status !== 413) {
+                throw error;
             }
+            await client.chat.postEphemeral({
+                channel: channelId,
+                thread_ts: threadTs,
+                user: userId,
+                text: status === 404
+                    ? 'ℹ️ This session has ended. Start a new one with `/dashboard`, or resume it with `/dashboard resume`.'
+                    : `ℹ️ *${input.name}* can't be used as an input: ${error.response.data?.error}`
+            });
+            return;
+        }
 
-            // Log the final modal payload for debugging
-            console.log('[DEBUG][Modal] Final modal payload:', JSON.stringify(parameterBlocks, null, 2));
+        await client.chat.postMessage({
+            channel: channelId,
+            thread_ts: threadTs,
+            text: `📎 <@${userId}> added *${file.name}* from another message as an input.`
+        });
 
-            // Check if we have a valid trigger ID
-            const triggerId = this.getCurrentTriggerId();
-            if (!triggerId) {
-                logger.warn(`[SLACK:${userId}] No trigger ID available, falling back to chat-based parameter configuration`, {
-                    modelId,
-                    channelId
+        await this.useFileInput(userId, channelId, threadTs, file.fileId, operation, client);
+    }
+
+    /**
+     * Re-run a generation of the session
+     * Uses the operation, model and parameters stored with the asset in the session's
+     * context.generatedAssets, or those of context.lastGeneration when no asset is given.
+     * @param {string} userId - Slack user ID
+     * @param {string} channelId - Slack channel ID
+     * @param {string} threadTs - Campaign thread timestamp (the session thread ID)
+     * @param {Object} client - Slack client
+     * @param {Object} options - { generationId: asset to regenerate (from the result message's button),
+     * withChanges: reopen the pre-filled parameter modal, newSeed: pick a fresh random seed }
+     */
+    async regenerateAsset(userId, channelId, threadTs, client, options = {}) {
+        const { generationId = null, withChanges = false, newSeed = false } = options;
+
+        let source;
+        try {
+            const response = await this.apiClient.get(`/api/session/${userId}/${threadTs}`);
+            const context = response.data?.data?.session?.context || {};
+            source = generationId
+                ? (context.generatedAssets || []).find(asset => asset.generationId === generationId)
+                : context.lastGeneration;
+        } catch (error) {
+            if (error.response?.status !== 404) {
+                throw error;
+            }
+        }
+
+        if (!source || !source.operation || !source.parameters) {
+            await client.chat.postEphemeral({
+                channel: channelId,
+                thread_ts: threadTs,
+                user: userId,
+                text: generationId
+                    ? 'ℹ️ This asset is no longer available for regeneration in this session.'
+                    : 'ℹ️ There is no previous generation in this session to regenerate. Type `/dashboard` to start a new session.'
+            });
+            return;
+        }
+
+        const { operation, modelId } = source;
+        const parameters = { ...source.parameters };
+        delete parameters.operation;
+        delete parameters.modelId;
+
+        logger.slack(userId, 'Regenerating asset', {
+            sourceGenerationId: source.generationId,
+            operation,
+            modelId,
+            withChanges,
+            newSeed
+        });
+
+        const modelConfig = await this.getModelConfig(userId, operation, modelId);
+
+        // submitGeneration and the parameter modal read the model from the local user session
+        this.userSessions.set(threadKey(userId, threadTs), {
+            ...(this.userSessions.get(threadKey(userId, threadTs)) || {}),
+            channelId,
+            threadTs,
+            modelId,
+            operation,
+            modelConfig,
+            parentGenerationId: source.generationId,
+            timestamp: Date.now()
+        });
+
+        if (withChanges) {
+            if (!modelConfig) {
+                throw new Error(`Model config not found for ${modelId}`);
+            }
+            await this.showParameterModal(userId, channelId, threadTs, modelId, modelConfig, client, parameters);
+            return;
+        }
+
+        if (newSeed) {
+            // Models without a seed parameter would silently drop it and produce the same result
+            if (!modelConfig?.parameters?.seed) {
+                await client.chat.postEphemeral({
+                    channel: channelId,
+                    thread_ts: threadTs,
+                    user: userId,
+                    text: `ℹ️ \`${modelId}\` does not take a seed. Use *Regenerate* or *Regenerate with changes* instead.`
                 });
-                
-                // Fallback to chat-based parameter configuration
-                await this.showParameterConfigurationInChat(userId, channelId, modelConfig, client);
                 return;
             }
+            parameters.seed = Math.floor(Math.random() * 2147483647);
+        }
 
-            // Open the modal
-            await client.views.open({
-                trigger_id: triggerId,
-                view: {
-                    type: 'modal',
-                    callback_id: 'parameter_configuration_modal',
-                    private_metadata: channelId,
-                    title: {
-                        type: 'plain_text',
-                        text: 'Configure Model'
-                    },
-                    submit: {
-                        type: 'plain_text',
-                        text: '🚀 Generate Asset'
-                    },
-                    close: {
-                        type: 'plain_text',
-                        text: 'Cancel'
-                    },
-                    blocks: [
-                        {
-                            type: 'section',
-                            text: {
-                                type: 'mrkdwn',
-                                text: `*${modelConfig.name}*\n${modelConfig.description}`
-                            }
-                        },
-                        // Add pricing information if available
-                        ...(modelConfig.pricing && modelConfig.pricing.price ? [{
-                            type: 'section',
-                            text: {
-                                type: 'mrkdwn',
-                                text: `*💵 Pricing:* ${modelConfig.pricing.price}\n*📊 Tier:* ${modelConfig.pricing.tier} • *Source:* ${modelConfig.pricing.source}`
-                            }
-                        }] : []),
-                        { type: 'divider' },
-                        ...parameterBlocks
-                    ]
-                }
-            });
+        await client.chat.postMessage({
+            channel: channelId,
+            thread_ts: threadTs,
+            text: newSeed
+                ? `🎲 *Regenerating with a new seed* (${parameters.seed}) using \`${modelId}\`...`
+                : `🔁 *Regenerating* with the same settings using \`${modelId}\`...`
+        });
+
+        await this.requestGeneration(userId, channelId, threadTs, parameters, client);
+    }
+
+    /**
+     * Look up a model configuration, loading the operation's models from the backend if not cached
+     * @param {string} userId - Slack user ID; only models their role may use are found
+     * @param {string} operation - Operation ID
+     * @param {string} modelId - Model ID
+     * @returns {Promise<Object|null>} Model configuration or null
+     */
+    async getModelConfig(userId, operation, modelId) {
+        let modelConfig = (this.modelCache[userId]?.[operation] || []).find(m => m.id === modelId);
+        if (modelConfig) {
+            return modelConfig;
+        }
 
-            logger.info(`[SLACK:${userId}] Parameter modal opened successfully`, {
+        const modelsResponse = await this.apiClient.get(`/api/models/${operation}`, { actingUserId: userId });
+        const models = modelsResponse.data?.data?.models || modelsResponse.data?.models || modelsResponse.data;
+        if (!Array.isArray(models)) {
+            return null;
+        }
+
+        this.cacheModels(userId, operation, models);
+        modelConfig = models.find(m => m.id === modelId);
+        return modelConfig || null;
+    }
+
+    /**
+     * Remember the models of an operation that the backend listed for a user
+     * @param {string} userId - Slack user ID
+     * @param {string} operation - Operation ID
+     * @param {Array} models - Models from /api/models/:operation, already filtered by the user's role
+     */
+    cacheModels(userId, operation, models) {
+        this.modelCache[userId] = { ...this.modelCache[userId], [operation]: models };
+    }
+
+    /**
+     * Submit a generation, first asking the user to confirm its estimated cost when cost confirmation is on
+     * @param {string} userId - Slack user ID
+     * @param {string} channelId - Slack channel ID
+     * @param {string} threadTs - Campaign thread timestamp
+     * @param {Object} parameters - Generation parameters
+     * @param {Object} client - Slack client
+     */
+    async requestGeneration(userId, channelId, threadTs, parameters, client) {
+        if (!config.features.costConfirmation) {
+            await this.submitGeneration(userId, channelId, threadTs, parameters, client);
+            return;
+        }
+
+        const userSession = this.userSessions.get(threadKey(userId, threadTs));
+        if (!userSession) {
+            throw new Error('No user session found for generation');
+        }
+
+        const estimate = await this.getCostEstimate(userSession.operation, userSession.modelId, parameters);
+        // One pending job per thread; a newer request replaces the old one and its buttons stop working
+        const pendingGeneration = {
+            id: require('crypto').randomUUID(),
+            parameters,
+            estimate,
+            aboveThreshold: !!estimate && estimate.high > config.costConfirmation.threshold
+        };
+        this.userSessions.set(threadKey(userId, threadTs), { ...userSession, pendingGeneration });
+
+        logger.slack(userId, 'Generation awaiting cost confirmation', {
+            modelId: userSession.modelId,
+            estimate,
+            aboveThreshold: pendingGeneration.aboveThreshold
+        });
+
+        const text = this.formatCostEstimate(userSession.modelId, estimate, pendingGeneration.aboveThreshold);
+        await client.chat.postMessage({
+            channel: channelId,
+            thread_ts: threadTs,
+            text,
+            blocks: this.buildCostConfirmationBlocks(text, userId, pendingGeneration.id, 'confirm_generation', '✅ Confirm')
+        });
+    }
+
+    /**
+     * Ask the backend pricing engine for a cost estimate
+     * @returns {Promise<Object|null>} Estimate, or null when the model has no pricing or the call fails
+     */
+    async getCostEstimate(operation, modelId, parameters) {
+        try {
+            const response = await this.apiClient.post('/api/pricing/estimate', { operation, modelId, parameters });
+            return response.data?.data?.estimate || null;
+        } catch (error) {
+            logger.warn('Cost estimate not available', {
+                operation,
                 modelId,
-                channelId,
-                parameterCount: parameterBlocks.length
+                status: error.response?.status,
+                error: error.message
             });
+            return null;
+        }
+    }
 
-        } catch (error) {
-            logger.error(`[SLACK:${userId}] Modal opening failed`, error);
-            
-            // Fallback: show parameters in chat
-            await this.showParameterConfigurationInChat(userId, channelId, modelConfig, client);
+    /**
+     * Tell a user who clicked someone else's confirmation button that it is not theirs; the message is left as is
+     * @returns {Promise<boolean>} Whether the clicking user owns the pending generation
+     */
+    async checkPendingOwner(userId, channelId, threadTs, ownerId, client) {
+        if (ownerId === userId) {
+            return true;
         }
+        await client.chat.postEphemeral({
+            channel: channelId,
+            thread_ts: threadTs,
+            user: userId,
+            text: `ℹ️ Only <@${ownerId}> can confirm or cancel this generation.`
+        });
+        return false;
     }
 
     /**
-     * Show parameter configuration in chat as fallback
+     * Handle Confirm on a cost confirmation message
+     * Jobs above the threshold ask once more before they are submitted.
+     * @param {string} value - Button value from encodePendingValue
+     * @param {Object} options - { aboveThreshold } when this is the second confirmation
      */
-    async showParameterConfigurationInChat(userId, channelId, modelConfig, client) {
-        const parameterBlocks = [];
-        
-        if (modelConfig.parameters) {
-            Object.entries(modelConfig.parameters).forEach(([paramName, paramConfig]) => {
-                if (paramConfig.type === 'string' && paramConfig.required) {
-                    parameterBlocks.push({
-                        type: 'section',
-                        text: {
-                            type: 'mrkdwn',
-                            text: `*${paramName.charAt(0).toUpperCase() + paramName.slice(1).replace(/_/g, ' ')}* (Required)\nType: ${paramConfig.type}${paramConfig.default ? `\nDefault: ${paramConfig.default}` : ''}`
-                        }
-                    });
-                } else if (paramConfig.type === 'string' && paramConfig.options) {
-                    parameterBlocks.push({
-                        type: 'section',
-                        text: {
-                            type: 'mrkdwn',
-                            text: `*${paramName.charAt(0).toUpperCase() + paramName.slice(1).replace(/_/g, ' ')}*\nType: ${paramConfig.type}\nOptions: ${paramConfig.options.join(', ')}${paramConfig.default ? `\nDefault: ${paramConfig.default}` : ''}`
-                        }
-                    });
-                } else if (paramConfig.type === 'number') {
-                    parameterBlocks.push({
-                        type: 'section',
-                        text: {
-                            type: 'mrkdwn',
-                            text: `*${paramName.charAt(0).toUpperCase() + paramName.slice(1).replace(/_/g, ' ')}*\nType: ${paramConfig.type}${paramConfig.min ? `\nMin: ${paramConfig.min}` : ''}${paramConfig.max ? `\nMax: ${paramConfig.max}` : ''}${paramConfig.default ? `\nDefault: ${paramConfig.default}` : ''}`
-                        }
-                    });
-                } else if (paramConfig.type === 'boolean') {
-                    parameterBlocks.push({
-                        type: 'section',
-                        text: {
-                            type: 'mrkdwn',
-                            text: `*${paramName.charAt(0).toUpperCase() + paramName.slice(1).replace(/_/g, ' ')}*\nType: ${paramConfig.type}${paramConfig.default ? `\nDefault: ${paramConfig.default}` : ''}`
-                        }
-                    });
-                }
+    async confirmGeneration(userId, channelId, threadTs, value, messageTs, client, { aboveThreshold = false } = {}) {
+        const { ownerId, pendingId } = decodePendingValue(value);
+        if (!await this.checkPendingOwner(userId, channelId, threadTs, ownerId, client)) {
+            return;
+        }
+
+        const userSession = this.userSessions.get(threadKey(userId, threadTs));
+        const pending = userSession?.pendingGeneration;
+        if (!pending || pending.id !== pendingId) {
+            await client.chat.update({
+                channel: channelId,
+                ts: messageTs,
+                text: 'ℹ️ This generation request is no longer pending.',
+                blocks: []
             });
+            return;
         }
 
-        const blocks = [
-            {
-                type: 'section',
-                text: {
-                    type: 'mrkdwn',
-                    text: `🔧 *Parameter Configuration for ${modelConfig.name}*\n\nSince the modal couldn't be opened, here are the available parameters:`
-                }
-            },
-            {
-                type: 'divider'
-            },
-            ...parameterBlocks,
-            {
-                type: 'section',
-                text: {
-                    type: 'mrkdwn',
-                    text: `💡 *Next Steps:*\n• Use the modal above to configure parameters\n• Or reply with your prompt to use default settings`
-                }
-            }
-        ];
+        if (pending.aboveThreshold && !aboveThreshold) {
+            const text = `⚠️ *This job may cost up to ${formatCost({ low: pending.estimate.high, high: pending.estimate.high })}*, above the $${config.costConfirmation.threshold.toFixed(2)} confirmation threshold.\nSubmit it anyway?`;
+            await client.chat.update({
+                channel: channelId,
+                ts: messageTs,
+                text,
+                blocks: this.buildCostConfirmationBlocks(text, userId, pending.id, 'confirm_generation_above_threshold', '💸 Yes, submit')
+            });
+            return;
+        }
 
-        await client.chat.postMessage({
+        const { pendingGeneration, ...rest } = userSession;
+        this.userSessions.set(threadKey(userId, threadTs), rest);
+
+        logger.slack(userId, 'Generation cost confirmed', {
+            modelId: userSession.modelId,
+            estimate: pendingGeneration.estimate,
+            aboveThreshold: pendingGeneration.aboveThreshold
+        });
+
+        await client.chat.update({
             channel: channelId,
-            blocks: blocks,
-            text: `Parameter configuration for ${modelConfig.name}`
+            ts: messageTs,
+            text: `✅ Confirmed (estimated ${formatCost(pendingGeneration.estimate)}). Starting generation...`,
+            blocks: []
         });
+        await this.submitGeneration(userId, channelId, threadTs, pendingGeneration.parameters, client);
     }
 
     /**
-     * Get current trigger ID (placeholder - in real implementation, this would be passed from the interaction)
+     * Handle Cancel on a cost confirmation message
+     * @param {string} value - Button value from encodePendingValue
      */
-    getCurrentTriggerId() {
-        // Use the stored trigger ID from the last interaction
-        return this.lastTriggerId || null;
+    async cancelGeneration(userId, channelId, threadTs, value, messageTs, client) {
+        const { ownerId, pendingId } = decodePendingValue(value);
+        if (!await this.checkPendingOwner(userId, channelId, threadTs, ownerId, client)) {
+            return;
+        }
+
+        const userSession = this.userSessions.get(threadKey(userId, threadTs));
+        if (userSession?.pendingGeneration?.id === pendingId) {
+            const { pendingGeneration, ...rest } = userSession;
+            this.userSessions.set(threadKey(userId, threadTs), rest);
+            logger.slack(userId, 'Generation cancelled at cost confirmation', { modelId: userSession.modelId });
+        }
+
+        await client.chat.update({
+            channel: channelId,
+            ts: messageTs,
+            text: '🚫 Generation cancelled. Nothing was charged.',
+            blocks: []
+        });
+    }
+
+    /**
+     * @param {string} modelId - Model ID
+     * @param {Object|null} estimate - Estimate from POST /api/pricing/estimate
+     * @param {boolean} aboveThreshold - Whether the job needs a second confirmation
+     * @returns {string} mrkdwn text
+     */
+    formatCostEstimate(modelId, estimate, aboveThreshold) {
+        if (!estimate) {
+            return `💵 *Estimated cost:* not available for \`${modelId}\`\nSubmit the generation?`;
+        }
+        let text = `💵 *Estimated cost:* ${formatCost(estimate)}\n_${estimate.basis} (\`${modelId}\`)_`;
+        if (estimate.assumed) {
+            text += '\n_Part of the estimate uses typical values because the parameters do not specify them._';
+        }
+        if (aboveThreshold) {
+            text += `\n⚠️ Above the $${config.costConfirmation.threshold.toFixed(2)} threshold: you will be asked to confirm twice.`;
+        }
+        return text;
+    }
+
+    buildCostConfirmationBlocks(text, ownerId, pendingId, confirmActionId, confirmLabel) {
+        const value = encodePendingValue(ownerId, pendingId);
+        return [
+            {
+                type: 'section',
+                text: { type: 'mrkdwn', text }
+            },
+            {
+                type: 'actions',
+                elements: [
+                    {
+                        type: 'button',
+                        action_id: confirmActionId,
+                        style: confirmActionId === 'confirm_generation' ? 'primary' : 'danger',
+                        text: { type: 'plain_text', text: confirmLabel },
+                        value
+                    },
+                    {
+                        type: 'button',
+                        action_id: 'cancel_generation',
+                        text: { type: 'plain_text', text: 'Cancel' },
+                        value
+                    }
+                ]
+            }
+        ];
     }
 
     /**
      * Post parameter summary to chat
      */
-    async postParameterSummaryToChat(userId, channelId, parameters, client) {
+    async postParameterSummaryToChat(userId, channelId, threadTs, parameters, client) {
         logger.slack(userId, 'Posting parameter summary to chat', {
             channelId,
             parameterCount: Object.keys(parameters).length,
@@ -1908,13 +3396,16 @@ class SlackBotService {
                 type: 'section',
                 text: {
                     type: 'mrkdwn',
-                    text: '🚀 *Starting Generation...*\n\nYour asset is being generated with these settings.'
+                    text: config.features.costConfirmation
+                        ? '💵 *Confirm the cost estimate below to start the generation.*'
+                        : '🚀 *Starting Generation...*\n\nYour asset is being generated with these settings.'
                 }
             }
         ];
 
         await client.chat.postMessage({
             channel: channelId,
+            thread_ts: threadTs,
             blocks: blocks,
             text: 'Parameters configured and generation started'
         });
@@ -1922,19 +3413,20 @@ class SlackBotService {
 
     /**
      * Submit generation request
+     * @param {Object} options - { generationId } to resubmit a pending generation an admin approved over budget
      */
-    async submitGeneration(userId, channelId, parameters, client) {
-        console.log('[DEBUG][submitGeneration] Called with:', { userId, channelId, parameters });
+    async submitGeneration(userId, channelId, threadTs, parameters, client, options = {}) {
+        console.log('[DEBUG][submitGeneration] Called with:', { userId, channelId, threadTs, parameters });
+        let progressMessageTs = null;
+        // Create a proper UUID for generation ID; an approved resubmission keeps the one the approval is for
+        const generationId = options.generationId || require('crypto').randomUUID();
         try {
             // Get user session to retrieve session details
-            const userSession = this.userSessions.get(userId);
+            const userSession = this.userSessions.get(threadKey(userId, threadTs));
             if (!userSession) {
                 throw new Error('No user session found for generation');
             }
 
-            // Create a proper UUID for generation ID
-            const generationId = require('crypto').randomUUID();
-
             // Build parameters object: model-specific params + modelId + operation
             const fullParams = {
                 ...parameters,
@@ -1946,12 +3438,31 @@ class SlackBotService {
 
             const response = await this.apiClient.post('/api/generate-asset', {
                 userId,
-                threadId: channelId, // Use channelId as threadId
+                threadId: threadTs, // The campaign thread identifies the session
                 generationId,
+                // Set by regenerateAsset so the backend can link the new version to its parent
+                ...(userSession.parentGenerationId ? { parentGenerationId: userSession.parentGenerationId } : {}),
                 parameters: fullParams
             });
+            delete userSession.parentGenerationId;
 
-            const result = response.data;
+            // The backend queues the generation; keep one message in the thread updated until the worker finishes
+            const { jobId } = response.data.data;
+            const progressMessage = await client.chat.postMessage({
+                channel: channelId,
+                thread_ts: threadTs,
+                text: this.formatGenerationProgress({ jobId, state: 'waiting', operation: fullParams.operation, modelId: fullParams.modelId })
+            });
+            progressMessageTs = progressMessage.ts;
+
+            const job = await this.waitForGenerationJob(userId, jobId, (update) =>
+                this.showGenerationProgress(client, channelId, progressMessageTs, update)
+            );
+            if (job.state !== 'completed') {
+                throw new Error(job.error || `Generation job ${job.state}`);
+            }
+
+            const result = { success: true, data: job.result };
             logger.slack(userId, 'Generation completed', {
                 generationId,
                 success: result.success,
@@ -2034,6 +3545,13 @@ class SlackBotService {
 
             // Post success message to chat
             let successMessage = `🎉 *Generation Complete!*\n\nYour asset has been generated successfully!\n\n${fileEmoji} *Primary Asset:* ${assetUrl}`;
+
+            // Show where this version came from when it was derived from an earlier asset
+            if (result.data && result.data.version > 1) {
+                const changed = Object.keys(result.data.paramDiff || {});
+                successMessage += `\n🧬 *Version:* v${result.data.version}`;
+                successMessage += changed.length > 0 ? ` (changed: ${changed.join(', ')})` : ' (same parameters)';
+            }
             
             // Add Drive upload information if available
             if (driveUpload) {
@@ -2063,18 +3581,51 @@ class SlackBotService {
                 successMessage += '\n\n📋 *Additional Assets:*\n' + additionalUrls.join('\n');
             }
 
-            await client.chat.postMessage({
+            await client.chat.update({
                 channel: channelId,
-                text: successMessage
+                ts: progressMessageTs,
+                text: successMessage,
+                blocks: [
+                    {
+                        type: 'section',
+                        text: {
+                            type: 'mrkdwn',
+                            // Section text is capped at 3000 characters; the full text stays in the fallback
+                            text: successMessage.length > 3000 ? `${successMessage.substring(0, 2997)}...` : successMessage
+                        }
+                    },
+                    ...this.buildResultActionBlocks({
+                        generationId,
+                        operation: fullParams.operation,
+                        supportsSeed: !!userSession.modelConfig?.parameters?.seed,
+                        ...await this.getAssetFollowUps(userId, fullParams.operation)
+                    })
+                ]
             });
 
             // Add helpful message about continuing or ending session
             await client.chat.postMessage({
                 channel: channelId,
-                text: '💡 *What\'s Next?*\n\n🎯 *Continue generating:* Select another operation above\n📝 *End session:* Type `/end` to finish and get a summary\n\nYour session is active and ready for more operations!'
+                thread_ts: threadTs,
+                text: '💡 *What\'s Next?*\n\n🎯 *Continue generating:* Select another operation above\n📝 *End session:* Reply `end` in this thread (or use `/dashboard end`) to finish and get a summary\n\nYour session is active and ready for more operations!'
             });
 
         } catch (error) {
+            const refusal = error.response?.data;
+            if (!progressMessageTs && ['BUDGET_APPROVAL_REQUIRED', 'BUDGET_EXCEEDED'].includes(refusal?.code)) {
+                await this.handleBudgetRefusal(userId, channelId, threadTs, parameters, refusal, client, generationId);
+                return;
+            }
+            const refusalText = !progressMessageTs && getRoleRefusalText(error);
+            if (refusalText) {
+                await client.chat.postMessage({
+                    channel: channelId,
+                    thread_ts: threadTs,
+                    text: refusalText
+                });
+                return;
+            }
+
             logger.error('Failed to submit generation via API', error);
             console.error('[ERROR][submitGeneration] Error details:', error && error.stack ? error.stack : error);
             
@@ -2107,29 +3658,275 @@ class SlackBotService {
                 }
             }
             
-            // Post error message to chat
+            // Replace the progress message with the error, or post it if the job never got queued
+            const failureText = `${errorMessage}\n\nPlease try again or contact support if the issue persists.`;
+            if (progressMessageTs) {
+                await client.chat.update({
+                    channel: channelId,
+                    ts: progressMessageTs,
+                    text: failureText
+                });
+            } else {
+                await client.chat.postMessage({
+                    channel: channelId,
+                    thread_ts: threadTs,
+                    text: failureText
+                });
+            }
+
+            // Clean up user session after error
+            this.userSessions.delete(threadKey(userId, threadTs));
+            logger.info(`[SLACK:${userId}] User session cleaned up after error`);
+        }
+    }
+
+    /**
+     * ID of the user's DM channel with the bot (for over-budget approval requests, and for threads
+     * started outside a channel, e.g. from App Home)
+     */
+    async openDirectMessage(userId, client) {
+        const response = await client.conversations.open({ users: userId });
+        return response.channel.id;
+    }
+
+    /**
+     * Tell the user a generation would go over a monthly budget
+     * In approve mode the job is kept pending and every admin the backend lists (approverIds) is asked
+     * in a DM to approve it; otherwise it is dropped.
+     * @param {Object} refusal - 402 response body from /api/generate-asset
+     * @param {string} generationId - Generation ID of the refused job; an approval is for this generation
+     */
+    async handleBudgetRefusal(userId, channelId, threadTs, parameters, refusal, client, generationId) {
+        const budgets = refusal.metadata?.budgets || [];
+        const describeBudgets = (userLabel) => budgets.map(budget =>
+            `• ${budget.scope === 'client' ? `Client *${budget.name}*` : userLabel}: $${budget.spent.toFixed(2)} of $${budget.monthlyLimit.toFixed(2)} spent this month, ` +
+            `this job may add up to $${budget.cost.toFixed(2)}`
+        ).join('\n');
+        logger.slack(userId, 'Generation refused by budget', { code: refusal.code, budgets: budgets.map(budget => budget.name) });
+
+        if (refusal.code === 'BUDGET_EXCEEDED') {
             await client.chat.postMessage({
                 channel: channelId,
-                text: `${errorMessage}\n\nPlease try again or contact support if the issue persists.`
+                thread_ts: threadTs,
+                text: `🛑 *Over budget*\nThis generation would exceed a monthly budget:\n${describeBudgets('Your budget')}\n\nAsk an admin to raise the budget, or pick a cheaper model or settings.`
             });
+            return;
+        }
 
-            // Clean up user session after error
-            this.userSessions.delete(userId);
-            logger.info(`[SLACK:${userId}] User session cleaned up after error`);
+        const approverIds = refusal.metadata?.approverIds || [];
+        if (approverIds.length === 0) {
+            logger.warn('Over-budget generation needs approval but no admin can be asked', { userId, channelId });
+            await client.chat.postMessage({
+                channel: channelId,
+                thread_ts: threadTs,
+                text: `⚠️ *Over budget*\nThis generation would exceed a monthly budget and needs an admin's approval:\n${describeBudgets('Your budget')}\n\nNo one has the admin role, so nobody can approve it yet. Ask whoever runs this bot to set ADMIN_USER_IDS or grant someone the admin role, or pick a cheaper model or settings.`
+            });
+            return;
+        }
+
+        const userSession = this.userSessions.get(threadKey(userId, threadTs));
+        const pendingGeneration = { id: require('crypto').randomUUID(), generationId, parameters, overBudget: true };
+
+        const text = `⚠️ *Over budget*\nThis generation would exceed a monthly budget:\n${describeBudgets('Your budget')}\n\nAn admin has been asked to approve it. It starts as soon as they do.`;
+        const waitingMessage = await client.chat.postMessage({
+            channel: channelId,
+            thread_ts: threadTs,
+            text,
+            blocks: [
+                { type: 'section', text: { type: 'mrkdwn', text } },
+                {
+                    type: 'actions',
+                    elements: [{
+                        type: 'button',
+                        action_id: 'cancel_generation',
+                        text: { type: 'plain_text', text: 'Cancel' },
+                        value: encodePendingValue(userId, pendingGeneration.id)
+                    }]
+                }
+            ]
+        });
+        pendingGeneration.messageTs = waitingMessage.ts;
+        this.userSessions.set(threadKey(userId, threadTs), { ...userSession, pendingGeneration });
+
+        const approvalText = `⚠️ *Over-budget generation*\n<@${userId}> wants to run \`${userSession.modelId}\` (${userSession.operation}), which would exceed a monthly budget:\n${describeBudgets(`<@${userId}>'s budget`)}`;
+        const approval = JSON.stringify({ ownerId: userId, channelId, threadTs, pendingId: pendingGeneration.id });
+        for (const adminId of approverIds) {
+            try {
+                await client.chat.postMessage({
+                    channel: await this.openDirectMessage(adminId, client),
+                    text: approvalText,
+                    blocks: [
+                        { type: 'section', text: { type: 'mrkdwn', text: approvalText } },
+                        {
+                            type: 'actions',
+                            elements: [{
+                                type: 'button',
+                                action_id: 'approve_over_budget',
+                                style: 'danger',
+                                text: { type: 'plain_text', text: '💸 Approve over budget' },
+                                value: approval
+                            }]
+                        }
+                    ]
+                });
+            } catch (error) {
+                logger.error('Failed to ask an admin to approve an over-budget generation', { adminId, error: error.message });
+            }
         }
     }
 
     /**
-     * Show generation progress
+     * Handle Approve over budget in an admin's DM: record the approval with the backend as the admin
+     * (their service token, so the backend can check they are one), then resubmit the requester's
+     * pending generation, which uses up the approval
+     * @param {string} adminId - Slack user who clicked
+     * @param {string} value - { ownerId, channelId, threadTs, pendingId } as JSON
+     * @param {string} dmChannelId - Channel of the approval DM
+     * @param {string} messageTs - Timestamp of the approval DM
      */
-    async showGenerationProgress(userId, jobId, client) {
-        // Called if generation takes longer than 2 minutes
-        await client.chat.postMessage({
-            channel: userId,
-            text: ':hourglass_flowing_sand: Still generating your video, please wait...'
+    async approveOverBudget(adminId, value, dmChannelId, messageTs, client) {
+        const { ownerId, channelId, threadTs, pendingId } = JSON.parse(value);
+        const userSession = this.userSessions.get(threadKey(ownerId, threadTs));
+        const pending = userSession?.pendingGeneration;
+        if (!pending || pending.id !== pendingId || !pending.overBudget) {
+            await client.chat.update({
+                channel: dmChannelId,
+                ts: messageTs,
+                text: 'ℹ️ This generation request is no longer pending.',
+                blocks: []
+            });
+            return;
+        }
+
+        try {
+            await this.apiClient.post('/api/budgets/approvals', {
+                generationId: pending.generationId,
+                requesterId: ownerId
+            }, { actingUserId: adminId });
+        } catch (error) {
+            if (error.response?.data?.code !== 'ADMIN_REQUIRED') throw error;
+            await client.chat.update({
+                channel: dmChannelId,
+                ts: messageTs,
+                text: '🔒 Only admins can approve going over a budget.',
+                blocks: []
+            });
+            return;
+        }
+
+        const { pendingGeneration, ...rest } = userSession;
+        this.userSessions.set(threadKey(ownerId, threadTs), rest);
+        logger.slack(ownerId, 'Generation approved over budget', { modelId: userSession.modelId, approvedBy: adminId });
+
+        await client.chat.update({
+            channel: dmChannelId,
+            ts: messageTs,
+            text: `✅ Approved <@${ownerId}>'s generation over budget.`,
+            blocks: []
+        });
+        await client.chat.update({
+            channel: channelId,
+            ts: pendingGeneration.messageTs,
+            text: `✅ <@${adminId}> approved going over budget. Starting generation...`,
+            blocks: []
+        });
+        await this.submitGeneration(ownerId, channelId, threadTs, pendingGeneration.parameters, client, {
+            generationId: pendingGeneration.generationId
         });
     }
 
+    /**
+     * Poll the backend until a generation job finishes
+     * @param {string} userId - Slack user who submitted the job
+     * @param {string} jobId - Job ID returned by /api/generate-asset
+     * @param {Function} onUpdate - Called with the job description after each poll while it is unfinished
+     * @param {number} pollIntervalMs - Delay between status checks
+     * @param {number} maxWaitMs - Give up after this long
+     * @returns {Promise<Object>} Final job description (state 'completed', 'failed' or 'cancelled')
+     */
+    async waitForGenerationJob(userId, jobId, onUpdate = null, pollIntervalMs = 3000, maxWaitMs = 1200000) {
+        const startedAt = Date.now();
+        while (Date.now() - startedAt < maxWaitMs) {
+            const response = await this.apiClient.get(`/api/jobs/${jobId}`, { actingUserId: userId });
+            const job = response.data.data;
+            if (['completed', 'failed', 'cancelled'].includes(job.state)) {
+                return job;
+            }
+            if (onUpdate) {
+                await onUpdate(job);
+            }
+            await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+        }
+        throw new Error(`Generation job ${jobId} did not finish within ${Math.round(maxWaitMs / 60000)} minutes`);
+    }
+
+    /**
+     * Show generation progress by updating the job's progress message in place
+     * @param {Object} client - Slack client
+     * @param {string} channelId - Channel holding the progress message
+     * @param {string} messageTs - Timestamp of the progress message
+     * @param {Object} job - Job description from GET /api/jobs/:jobId
+     */
+    async showGenerationProgress(client, channelId, messageTs, job) {
+        try {
+            await client.chat.update({
+                channel: channelId,
+                ts: messageTs,
+                text: this.formatGenerationProgress(job)
+            });
+        } catch (error) {
+            // A missed progress update is not worth failing the generation over
+            logger.warn('Failed to update generation progress message', {
+                jobId: job.jobId,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Format the progress message text for an unfinished job
+     * @param {Object} job - Job description from GET /api/jobs/:jobId
+     * @returns {string} Slack message text
+     */
+    formatGenerationProgress(job) {
+        const what = `*${job.operation || 'generation'}* with \`${job.modelId || 'default model'}\``;
+        const footer = `\n\n_Job ID: ${job.jobId}. No need to resubmit, this message updates as the job runs._`;
+        const progress = job.progress || {};
+        const elapsed = job.elapsedMs ? `\n⏱️ *Elapsed:* ${this.formatDuration(job.elapsedMs)}` : '';
+
+        if (job.state === 'waiting' || job.state === 'delayed') {
+            const retry = job.state === 'delayed' && job.attemptsMade > 0
+                ? `\n🔁 Attempt ${job.attemptsMade} failed, retrying shortly...`
+                : '';
+            return `⏳ *Queued*\n\nYour ${what} is waiting for a free worker.${retry}${footer}`;
+        }
+
+        if (progress.stage === 'uploading') {
+            return `📤 *Uploading to Google Drive*\n\nYour ${what} is ready and being saved to the session folder.${elapsed}${footer}`;
+        }
+
+        let text = `🔄 *In Progress*\n\nGenerating your ${what}...${elapsed}`;
+        if (progress.falStatus === 'IN_QUEUE' && progress.queuePosition !== null && progress.queuePosition !== undefined) {
+            text += `\n📋 *fal.ai queue position:* ${progress.queuePosition}`;
+        }
+        if (Array.isArray(progress.logs) && progress.logs.length > 0) {
+            text += `\n\n\`\`\`\n${progress.logs.slice(-5).join('\n')}\n\`\`\``;
+        }
+        return text + footer;
+    }
+
+    /**
+     * Format a duration as "1m 05s"
+     * @param {number} ms - Duration in milliseconds
+     * @returns {string} Human readable duration
+     */
+    formatDuration(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return minutes > 0 ? `${minutes}m ${String(seconds).padStart(2, '0')}s` : `${seconds}s`;
+    }
+
     /**
      * Handle campaign input directly
      */
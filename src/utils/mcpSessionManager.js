@@ -8,12 +8,14 @@ const Redis = require('ioredis');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('./logger');
 const config = require('../config');
+const { sessionArchive } = require('../services/archive/sessionArchive');
 
 class MCPSessionManager {
     constructor() {
         // Force Redis in production
         this.storageType = process.env.NODE_ENV === 'production' ? 'redis' : (config.session.storageType || 'redis');
         this.sessionTimeout = config.session.timeout || 7200000; // 2 hours
+        this.cleanupIntervalMs = config.session.cleanupInterval || 3600000; // 1 hour
         this.maxConcurrentSessions = config.session.maxConcurrentSessions || 100;
         this.lockTimeout = 30000; // 30 seconds lock timeout
         this.lockRetryDelay = 100; // 100ms between lock retries
@@ -22,6 +24,7 @@ class MCPSessionManager {
         // Initialize storage based on type
         if (this.storageType === 'memory') {
             this.memoryStore = new Map();
+            this.memoryTimers = new Map();
             this.userSessionIndex = new Map();
             logger.info('MCP Session Manager: Using memory storage');
         } else {
@@ -47,6 +50,7 @@ class MCPSessionManager {
             CONFIGURING_PARAMETERS: 'configuring_parameters',
             GENERATING_ASSET: 'generating_asset',
             UPLOADING_ASSET: 'uploading_asset',
+            ASSET_GENERATION_COMPLETE: 'asset_generation_complete',
             COMPLETED: 'completed',
             ERROR: 'error'
         };
@@ -64,7 +68,7 @@ class MCPSessionManager {
      * Start periodic session cleanup job
      */
     startCleanupJob() {
-        const cleanupInterval = config.session.cleanupInterval || 3600000; // 1 hour default
+        const cleanupInterval = this.cleanupIntervalMs;
         
         this.cleanupInterval = setInterval(async () => {
             try {
@@ -95,89 +99,60 @@ class MCPSessionManager {
     }
 
     /**
-     * Cleanup expired sessions
+     * Archive and remove expired sessions
+     * @returns {Promise<number>} Number of sessions removed
      */
     async cleanupExpiredSessions() {
-        const now = Date.now();
         let cleanedCount = 0;
         
-        if (this.storageType === 'memory') {
-            // Memory storage cleanup
-            for (const [key, sessionData] of this.memoryStore) {
-                try {
-                    const session = JSON.parse(sessionData);
-                    const lastActivity = new Date(session.lastActivity).getTime();
-                    
-                    if (now - lastActivity > this.sessionTimeout) {
-                        this.memoryStore.delete(key);
-                        
-                        // Remove from user index
-                        const userKey = `user:${session.userId}:sessions`;
-                        if (this.userSessionIndex.has(userKey)) {
-                            this.userSessionIndex.get(userKey).delete(key);
-                        }
-                        
-                        cleanedCount++;
-                        logger.debug('Cleaned up expired session', {
-                            sessionId: session.sessionId,
-                            userId: session.userId,
-                            lastActivity: session.lastActivity
-                        });
-                    }
-                } catch (error) {
-                    logger.error('Error cleaning up session', { key, error: error.message });
-                }
-            }
-        } else {
-            // Redis storage cleanup
-            try {
-                // Get all session keys
-                const keys = await this.redis.keys(`${config.redis.keyPrefix}session:*`);
-                
-                for (const key of keys) {
-                    // Skip lock keys
-                    if (key.includes(':lock:')) continue;
-                    
-                    const sessionData = await this.redis.get(key);
-                    if (!sessionData) continue;
-                    
-                    try {
-                        const session = JSON.parse(sessionData);
-                        const lastActivity = new Date(session.lastActivity).getTime();
-                        
-                        if (now - lastActivity > this.sessionTimeout) {
-                            // Use pipeline for atomic operations
-                            const pipeline = this.redis.pipeline();
-                            
-                            // Delete session
-                            pipeline.del(key);
-                            
-                            // Remove from user index
-                            const userKey = `${config.redis.keyPrefix}user:${session.userId}:sessions`;
-                            pipeline.srem(userKey, key);
-                            
-                            await pipeline.exec();
-                            
-                            cleanedCount++;
-                            logger.debug('Cleaned up expired session', {
-                                sessionId: session.sessionId,
-                                userId: session.userId,
-                                lastActivity: session.lastActivity
-                            });
-                        }
-                    } catch (error) {
-                        logger.error('Error parsing session data', { key, error: error.message });
-                    }
-                }
-            } catch (error) {
-                logger.error('Redis cleanup error', error);
-                throw error;
+        for (const session of await this.readStoredSessions()) {
+            if (!this.isSessionExpired(session)) continue;
+            
+            if (await this.expireSession(session)) {
+                cleanedCount++;
+                logger.debug('Cleaned up expired session', {
+                    sessionId: session.sessionId,
+                    userId: session.userId,
+                    lastActivity: session.lastActivity
+                });
             }
         }
         
         return cleanedCount;
     }
 
+    /**
+     * Archive an expired session, then remove it from storage. If archiving fails the session is kept,
+     * and the next cleanup run tries again.
+     * @param {Object} session - Expired session
+     * @returns {Promise<boolean>} Whether the session was archived and removed
+     */
+    async expireSession(session) {
+        try {
+            await sessionArchive.archiveSession(session, 'expired');
+        } catch (error) {
+            logger.error('MCP Session Manager: Failed to archive expired session', {
+                sessionId: session.sessionId,
+                error: error.message
+            });
+            return false;
+        }
+        
+        await this.deleteFromStorage(this.getStorageKey(session.userId, session.threadId));
+        await this.removeFromUserSessionIndex(session.userId, session.sessionId);
+        logger.info(`MCP Session Manager: Archived expired session ${session.sessionId}`);
+        return true;
+    }
+
+    /**
+     * Seconds a session stays in storage after its last write. Longer than the session timeout by two
+     * cleanup intervals, so the cleanup job archives expired sessions before storage drops them.
+     * @returns {number}
+     */
+    getStorageTtl() {
+        return Math.ceil((this.sessionTimeout + 2 * this.cleanupIntervalMs) / 1000);
+    }
+
     /**
      * Check if session is expired
      */
@@ -386,11 +361,15 @@ class MCPSessionManager {
     async setInStorage(key, value, ttl) {
         if (this.storageType === 'memory') {
             this.memoryStore.set(key, value);
-            // Set timeout for memory storage
+            // Set timeout for memory storage, replacing the one from the previous write
+            clearTimeout(this.memoryTimers.get(key));
             if (ttl) {
-                setTimeout(() => {
+                const timer = setTimeout(() => {
                     this.memoryStore.delete(key);
+                    this.memoryTimers.delete(key);
                 }, ttl * 1000);
+                timer.unref();
+                this.memoryTimers.set(key, timer);
             }
         } else {
             await this.redis.setex(key, ttl, value);
@@ -405,6 +384,8 @@ class MCPSessionManager {
     async deleteFromStorage(key) {
         if (this.storageType === 'memory') {
             this.memoryStore.delete(key);
+            clearTimeout(this.memoryTimers.get(key));
+            this.memoryTimers.delete(key);
         } else {
             await this.redis.del(key);
         }
@@ -498,12 +479,14 @@ class MCPSessionManager {
                 context: {
                     // Workflow data
                     enhancedPrompt: null,
+                    brandResearch: null,
                     selectedOperation: null,
                     selectedModel: null,
                     modelParameters: {},
                     generationHistory: [],
                     currentJob: null,
                     generatedAssets: [],
+                    inputFiles: [],
                     driveFolder: null
                 },
                 metadata: {
@@ -516,7 +499,7 @@ class MCPSessionManager {
             };
 
             // Store session with TTL
-            await this.setInStorage(sessionKey, JSON.stringify(session), Math.ceil(this.sessionTimeout / 1000));
+            await this.setInStorage(sessionKey, JSON.stringify(session), this.getStorageTtl());
             
             // Add to user session index
             await this.addToUserSessionIndex(userId, sessionId);
@@ -529,6 +512,47 @@ class MCPSessionManager {
         }
     }
 
+    /**
+     * Start a new live session from an archived one: the campaign brief, brand research, prompt, generated
+     * assets and Drive folder carry over, so new assets keep landing in the original folder. The
+     * workflow itself starts again from operation selection.
+     * @param {Object} archived - Archived session (from the session archive)
+     * @param {string} userId - Slack user ID
+     * @param {string} threadId - Slack thread ID of the new campaign thread
+     * @param {string} channelId - Slack channel ID
+     * @returns {Promise<Object>} The new session
+     */
+    async resumeSession(archived, userId, threadId, channelId) {
+        const session = await this.createSession(userId, threadId, channelId, {
+            clientName: archived.clientName,
+            campaignIdea: archived.campaignIdea,
+            creativeDirections: archived.creativeDirections,
+            visualDirections: archived.visualDirections
+        });
+        
+        return await this.withLock(userId, threadId, 'session_resume', async () => {
+            const context = archived.context || {};
+            session.resumedFrom = archived.sessionId;
+            session.context = {
+                ...session.context,
+                enhancedPrompt: context.enhancedPrompt || null,
+                brandResearch: context.brandResearch || null,
+                generatedAssets: context.generatedAssets || [],
+                lastGeneration: context.lastGeneration || null,
+                inputFiles: context.inputFiles || [],
+                driveFolder: context.driveFolder || null
+            };
+            await this.updateSession(session);
+            
+            logger.info(`MCP Session Manager: Resumed archived session ${archived.sessionId} as ${session.sessionId}`, {
+                userId,
+                threadId,
+                generatedAssets: session.context.generatedAssets.length
+            });
+            return session;
+        });
+    }
+
     /**
      * Get existing session by user and thread ID
      * @param {string} userId - Slack user ID
@@ -555,8 +579,7 @@ class MCPSessionManager {
                     timeout: this.sessionTimeout
                 });
                 
-                // Clean up expired session
-                await this.deleteSession(userId, threadId);
+                await this.expireSession(session);
                 return null;
             }
             
@@ -572,6 +595,20 @@ class MCPSessionManager {
         }
     }
 
+    /**
+     * Read a session without counting it as activity (for read-only views such as the web dashboard)
+     * @param {string} userId - Slack user ID
+     * @param {string} threadId - Slack thread ID
+     * @returns {Promise<Object|null>} Session object or null if not found or expired
+     */
+    async peekSession(userId, threadId) {
+        const sessionData = await this.getFromStorage(this.getStorageKey(userId, threadId));
+        if (!sessionData) return null;
+        
+        const session = JSON.parse(sessionData);
+        return this.isSessionExpired(session) ? null : session;
+    }
+
     /**
      * Track a user interaction (call this for actual user actions)
      * @param {string} userId - Slack user ID
@@ -618,7 +655,7 @@ class MCPSessionManager {
             const sessionKey = this.getStorageKey(session.userId, session.threadId);
             session.lastActivity = new Date().toISOString();
             
-            await this.setInStorage(sessionKey, JSON.stringify(session), Math.ceil(this.sessionTimeout / 1000));
+            await this.setInStorage(sessionKey, JSON.stringify(session), this.getStorageTtl());
             
             logger.debug(`MCP Session Manager: Updated session ${session.sessionId}`);
             return true;
@@ -680,9 +717,12 @@ class MCPSessionManager {
             
             for (const [key, value] of Object.entries(contextUpdates)) {
                 if (key === 'generatedAssets' && Array.isArray(value)) {
-                    // For generatedAssets, ensure we have an array and merge
-                    const existingAssets = Array.isArray(mergedContext[key]) ? mergedContext[key] : [];
-                    mergedContext[key] = [...existingAssets, ...value];
+                    // For generatedAssets, ensure we have an array and merge, linking each new asset to its parent
+                    const assets = Array.isArray(mergedContext[key]) ? [...mergedContext[key]] : [];
+                    for (const asset of value) {
+                        assets.push(this.linkAssetToParent(asset, assets));
+                    }
+                    mergedContext[key] = assets;
                 } else {
                     // For other properties, use the new value
                     mergedContext[key] = value;
@@ -703,6 +743,115 @@ class MCPSessionManager {
         });
     }
 
+    /**
+     * Record lineage on a new asset: parent asset ID, version within its lineage and parameter diff
+     * Versions are numbered per lineage (root asset is version 1, every derived asset takes the next number).
+     * @param {Object} asset - New asset entry (may carry parentAssetId)
+     * @param {Array} assets - Assets already in the session
+     * @returns {Object} Asset with rootAssetId, parentAssetId, version and paramDiff set
+     */
+    linkAssetToParent(asset, assets) {
+        const parent = asset.parentAssetId
+            ? assets.find(existing => existing.generationId === asset.parentAssetId)
+            : null;
+
+        if (!parent) {
+            return {
+                ...asset,
+                rootAssetId: asset.generationId,
+                parentAssetId: null,
+                version: 1,
+                paramDiff: null
+            };
+        }
+
+        const rootAssetId = parent.rootAssetId || parent.generationId;
+        const lineageVersions = assets
+            .filter(existing => (existing.rootAssetId || existing.generationId) === rootAssetId)
+            .map(existing => existing.version || 1);
+
+        return {
+            ...asset,
+            rootAssetId,
+            parentAssetId: parent.generationId,
+            version: Math.max(...lineageVersions) + 1,
+            paramDiff: this.diffParameters(parent.parameters || {}, asset.parameters || {})
+        };
+    }
+
+    /**
+     * Diff two parameter sets
+     * @param {Object} before - Parent parameters
+     * @param {Object} after - Child parameters
+     * @returns {Object} { [param]: { from, to } } for every added, removed or changed parameter
+     */
+    diffParameters(before, after) {
+        const diff = {};
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        for (const key of keys) {
+            if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+                diff[key] = {
+                    from: before[key] === undefined ? null : before[key],
+                    to: after[key] === undefined ? null : after[key]
+                };
+            }
+        }
+        return diff;
+    }
+
+    /**
+     * Get the lineage tree an asset belongs to
+     * @param {string} userId - Slack user ID
+     * @param {string} threadId - Slack thread ID
+     * @param {string} generationId - Asset generation ID
+     * @returns {Promise<Object|null>} { asset, ancestors, tree } or null if the session or asset is missing
+     */
+    async getAssetHistory(userId, threadId, generationId) {
+        const session = await this.getSession(userId, threadId);
+        if (!session) {
+            return null;
+        }
+
+        const assets = session.context.generatedAssets || [];
+        const asset = assets.find(entry => entry.generationId === generationId);
+        if (!asset) {
+            return null;
+        }
+
+        // Walk up to the root, nearest parent last
+        const ancestors = [];
+        let parentId = asset.parentAssetId;
+        while (parentId) {
+            const parent = assets.find(entry => entry.generationId === parentId);
+            if (!parent || ancestors.includes(parent)) break;
+            ancestors.unshift(parent);
+            parentId = parent.parentAssetId;
+        }
+
+        const buildNode = (node) => ({
+            generationId: node.generationId,
+            version: node.version || 1,
+            assetUrl: node.assetUrl,
+            operation: node.operation,
+            modelId: node.modelId,
+            timestamp: node.timestamp,
+            parentAssetId: node.parentAssetId || null,
+            parameters: node.parameters || null,
+            paramDiff: node.paramDiff || null,
+            driveUpload: node.driveUpload || null,
+            children: assets
+                .filter(child => child.parentAssetId === node.generationId)
+                .map(buildNode)
+        });
+
+        const root = ancestors[0] || asset;
+        return {
+            asset: buildNode(asset),
+            ancestors: ancestors.map(({ generationId, version }) => ({ generationId, version: version || 1 })),
+            tree: buildNode(root)
+        };
+    }
+
     /**
      * Add error to session metadata
      * @param {string} userId - Slack user ID
@@ -778,6 +927,10 @@ class MCPSessionManager {
                     logger.warn(`MCP Session Manager: Cannot end session - session not found for user ${userId}`);
                     return false;
                 }
+                if (session.state === this.SESSION_STATES.COMPLETED) {
+                    logger.warn(`MCP Session Manager: Cannot end session - session already ended for user ${userId}`);
+                    return false;
+                }
 
                 // Update session state to completed
                 session.state = this.SESSION_STATES.COMPLETED;
@@ -800,6 +953,17 @@ class MCPSessionManager {
                     clientName: session.context.clientName
                 });
 
+                try {
+                    await sessionArchive.archiveSession(session, 'ended');
+                } catch (error) {
+                    // Keep the session; it is archived when it expires instead
+                    logger.error('MCP Session Manager: Failed to archive ended session', {
+                        sessionId: session.sessionId,
+                        error: error.message
+                    });
+                    return true;
+                }
+
                 // Clean up session after a delay to allow for final operations
                 setTimeout(async () => {
                     await this.deleteSession(userId, threadId);
@@ -891,32 +1055,66 @@ class MCPSessionManager {
     }
 
     /**
-     * Get all sessions for a user
+     * Get all live sessions for a user, newest activity first
+     * Ended sessions are left out, though they stay in storage for a few seconds after ending.
      * @param {string} userId - Slack user ID
      * @returns {Promise<Array>} Array of session objects
      */
     async getUserSessions(userId) {
         try {
-            const sessionIds = await this.redis.smembers(`user:${userId}:sessions`);
-            const sessions = [];
-            
-            for (const sessionId of sessionIds) {
-                const sessionKeys = await this.redis.keys(`*:${sessionId}:*`);
-                for (const key of sessionKeys) {
-                    const sessionData = await this.redis.get(key);
-                    if (sessionData) {
-                        sessions.push(JSON.parse(sessionData));
-                    }
-                }
-            }
-            
-            return sessions;
+            return (await this.listSessions())
+                .filter(session => session.userId === userId && session.state !== this.SESSION_STATES.COMPLETED);
         } catch (error) {
             logger.error('MCP Session Manager: Failed to get user sessions', error);
             return [];
         }
     }
 
+    /**
+     * Get every live session, newest activity first (reading them does not count as activity)
+     * @returns {Promise<Array>} Session objects
+     */
+    async listSessions() {
+        return (await this.readStoredSessions())
+            .filter(session => !this.isSessionExpired(session))
+            .sort((a, b) => new Date(b.lastActivity) - new Date(a.lastActivity));
+    }
+
+    /**
+     * Read every stored session, including expired ones the cleanup job has not archived yet
+     * @returns {Promise<Array>} Session objects
+     */
+    async readStoredSessions() {
+        const sessions = [];
+        
+        if (this.storageType === 'memory') {
+            for (const [key, sessionData] of this.memoryStore) {
+                if (key.startsWith('user:') && key.endsWith(':session')) {
+                    sessions.push(JSON.parse(sessionData));
+                }
+            }
+        } else {
+            // SCAN patterns are not prefixed by ioredis, but GET keys are
+            const prefix = config.redis.keyPrefix || '';
+            const keys = [];
+            let cursor = '0';
+            do {
+                const [next, batch] = await this.redis.scan(cursor, 'MATCH', `${prefix}user:*:thread:*:session`, 'COUNT', 200);
+                cursor = next;
+                keys.push(...batch.map(key => key.slice(prefix.length)));
+            } while (cursor !== '0');
+            
+            for (const key of keys) {
+                const sessionData = await this.redis.get(key);
+                if (sessionData) {
+                    sessions.push(JSON.parse(sessionData));
+                }
+            }
+        }
+        
+        return sessions;
+    }
+
     /**
      * Get session statistics
      * @returns {Promise<Object>} Session statistics
@@ -1069,6 +1267,8 @@ class MCPSessionManager {
                 await this.redis.disconnect();
                 logger.info('MCP Session Manager: Redis connection closed');
             } else {
+                this.memoryTimers.forEach(timer => clearTimeout(timer));
+                this.memoryTimers.clear();
                 this.memoryStore.clear();
                 this.userSessionIndex.clear();
                 if (this.memoryLocks) {
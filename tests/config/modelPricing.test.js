@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Tests for cost estimates and price ranges from the model registry's pricing
+ * @description The estimates drive the cost confirmation, the monthly budgets and the roles' per-job
+ * limits, so each pricing unit is checked against the parameters that set its quantity.
+ */
+
+const { estimateCost, getOperationPriceRange, formatCost } = require('../../src/config/modelPricing');
+
+const KLING_MASTER = 'fal-ai/kling-video/v2/master/text-to-video';
+const PIXVERSE_V4_FAST = 'fal-ai/pixverse/v4/text-to-video/fast';
+
+describe('estimateCost', () => {
+    test.each([
+        // Per second: duration × the rate
+        ['Kling 5 sec', 'text-to-video', KLING_MASTER, { duration: '5' }, { quantity: 5, low: 1.25, high: 2, assumed: false }],
+        ['Kling 10 sec', 'text-to-video', KLING_MASTER, { duration: '10' }, { quantity: 10, low: 2.5, high: 4, assumed: false }],
+        ['Veo 3 8 sec', 'text-to-video', 'fal-ai/veo3', { duration: '8s' }, { quantity: 8, low: 4, high: 6, assumed: false }],
+        ['Wan 81 frames at 16 fps', 'image-to-video', 'fal-ai/wan-i2v', { num_frames: 81, frames_per_second: 16 }, { quantity: 5.1, low: 1.02, high: 2.55, assumed: false }],
+        // Per megapixel: size × number of images; models without a size are assumed at 1 MP per image
+        ['two square HD FLUX images', 'text-to-image', 'fal-ai/flux-1/schnell', { image_size: 'square_hd', num_images: 2 }, { quantity: 2.1, low: 0.0063, high: 0.0063, assumed: false }],
+        ['three Imagen 4 images', 'text-to-image', 'fal-ai/imagen4/preview', { num_images: 3 }, { quantity: 3, low: 0.15, high: 0.15, assumed: true }],
+        // Per 1k characters of the script
+        ['2,000 characters of speech', 'text-to-speech', 'fal-ai/orpheus-tts', { text: 'a'.repeat(2000) }, { quantity: 2, low: 0.1, high: 0.16, assumed: false }],
+        // Flat per job
+        ['a 3D model', 'image-to-3d', 'fal-ai/trellis', {}, { quantity: 1, low: 0.05, high: 0.1, assumed: false }]
+    ])('%s', (label, operation, modelId, parameters, expected) => {
+        expect(estimateCost(operation, modelId, parameters)).toMatchObject({ operation, modelId, currency: 'USD', ...expected });
+    });
+
+    test('uses the schema default when a parameter is not given', () => {
+        expect(estimateCost('text-to-video', KLING_MASTER)).toMatchObject({ quantity: 5, low: 1.25, high: 2 });
+        expect(estimateCost('text-to-video', KLING_MASTER, { duration: '' })).toMatchObject({ quantity: 5 });
+        // landscape_4_3 is 1024 × 768
+        expect(estimateCost('text-to-image', 'fal-ai/flux-1/schnell')).toMatchObject({ quantity: 0.79, low: 0.0024, high: 0.0024 });
+    });
+
+    test('assumes a 5 second clip for video models without a duration parameter', () => {
+        expect(estimateCost('text-to-video', PIXVERSE_V4_FAST)).toMatchObject({
+            unit: 'second',
+            quantity: 5,
+            low: 1,
+            high: 1,
+            basis: '~5 sec (assumed) at ~$0.20/sec',
+            assumed: true
+        });
+    });
+
+    test('describes how the estimate was reached', () => {
+        expect(estimateCost('text-to-video', KLING_MASTER, { duration: '10' }).basis).toBe('10 sec at ~$0.25–0.40/sec');
+        expect(estimateCost('text-to-image', 'fal-ai/flux-1/schnell', { image_size: 'square_hd', num_images: 2 }).basis)
+            .toBe('2 images × 1.05 MP at ~$0.003/MP');
+        expect(estimateCost('image-to-3d', 'fal-ai/trellis').basis).toBe('1 output at ~$0.05–0.10/output');
+    });
+
+    test('returns null for unknown models and operations', () => {
+        expect(estimateCost('text-to-video', 'fal-ai/not-a-model')).toBeNull();
+        expect(estimateCost('text-to-hologram', KLING_MASTER)).toBeNull();
+    });
+
+    test('formats the range', () => {
+        expect(formatCost(estimateCost('text-to-video', KLING_MASTER, { duration: '10' }))).toBe('~$2.50–$4.00');
+        expect(formatCost(estimateCost('text-to-video', PIXVERSE_V4_FAST))).toBe('~$1.00');
+        expect(formatCost(estimateCost('text-to-image', 'fal-ai/flux-1/schnell'))).toBe('~$0.0024');
+        expect(formatCost(null)).toBe('Estimate not available');
+    });
+});
+
+describe('getOperationPriceRange', () => {
+    test.each([
+        ['text-to-video', null, '~$0.08–0.75/sec'],
+        ['text-to-video', [KLING_MASTER], '~$0.25–0.40/sec'],
+        ['text-to-video', [PIXVERSE_V4_FAST], '~$0.20/sec'],
+        ['image-to-image', ['fal-ai/esrgan'], '~$0.001–0.005/MP'],
+        ['image-to-3d', null, '~$0.05–0.10/output'],
+        ['text-to-speech', null, '~$0.05–0.08/1K chars']
+    ])('%s limited to %j', (operation, modelIds, expected) => {
+        expect(getOperationPriceRange(operation, modelIds)).toBe(expected);
+    });
+
+    test('is null when no listed model is priced', () => {
+        expect(getOperationPriceRange('text-to-video', [])).toBeNull();
+        expect(getOperationPriceRange('text-to-hologram')).toBeNull();
+    });
+});
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Tests for the backend API's service token authentication
+ * @description authenticateService must tie user-scoped paths to the token's user however the path
+ * is cased, since Express routes /api/SESSION/... to the /session/... handlers by default.
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { authenticateService, generateServiceToken } = require('../../src/middleware/security');
+
+const OWNER = 'U0OWNER0001';
+const VICTIM = 'U0VICTIM001';
+
+function createApp() {
+    const app = express();
+    app.use(express.json());
+    app.use('/api', authenticateService);
+    // A default (case-insensitive) router, so the check must not depend on the route's casing
+    const router = express.Router();
+    router.get('/session/:userId/:threadId', (req, res) => res.json({ userId: req.params.userId }));
+    router.get('/health', (req, res) => res.json({ status: 'healthy' }));
+    router.get('/stats', (req, res) => res.json({ totalSessions: 0 }));
+    app.use('/api', router);
+    return app;
+}
+
+describe('authenticateService', () => {
+    const app = createApp();
+    const token = generateServiceToken(OWNER);
+
+    test('allows the token user\'s own session', async () => {
+        const response = await request(app)
+            .get(`/api/session/${OWNER}/1700000000.000100`)
+            .set('Authorization', `Bearer ${token}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.userId).toBe(OWNER);
+    });
+
+    test('refuses another user\'s session', async () => {
+        const response = await request(app)
+            .get(`/api/session/${VICTIM}/1700000000.000100`)
+            .set('Authorization', `Bearer ${token}`);
+
+        expect(response.status).toBe(403);
+        expect(response.body.code).toBe('USER_MISMATCH');
+    });
+
+    test('lets health checks through without a token', async () => {
+        const response = await request(app).get('/api/health');
+
+        expect(response.status).toBe(200);
+    });
+
+    test('requires a token for the stats endpoint', async () => {
+        const response = await request(app).get('/api/stats');
+
+        expect(response.status).toBe(401);
+        expect(response.body.code).toBe('AUTH_REQUIRED');
+    });
+
+    test('requires a token for user-scoped paths', async () => {
+        const response = await request(app).get(`/api/session/${OWNER}/1700000000.000100`);
+
+        expect(response.status).toBe(401);
+        expect(response.body.code).toBe('AUTH_REQUIRED');
+    });
+
+    test('refuses another user\'s session on a mixed-case path', async () => {
+        for (const path of [`/api/SESSION/${VICTIM}/1700000000.000100`, `/api/Session/${VICTIM}/1700000000.000100`]) {
+            const response = await request(app)
+                .get(path)
+                .set('Authorization', `Bearer ${token}`);
+
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe('USER_MISMATCH');
+        }
+    });
+});
@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Tests for the session archive routes and ending a session
+ * @description Admins query the archive by user, client, model and creation date; a user resumes only
+ * their own archived sessions; and a session is not ended while one of its generations is unfinished,
+ * since ending archives and deletes it before the job could record its asset.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ADMIN = 'U0ADMIN0001';
+const USER = 'U0USER00001';
+const OTHER_USER = 'U0USER00002';
+const CHANNEL = 'C0CHANNEL01';
+
+process.env.ADMIN_USER_IDS = ADMIN;
+process.env.SESSION_ARCHIVE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-routes-'));
+
+jest.mock('bull');
+jest.mock('../../src/services/ServiceFactory', () => ({ serviceFactory: { initializeServices: jest.fn(), getService: jest.fn() } }));
+jest.mock('../../src/services/drive/driveUploadHelper', () => ({ driveService: {}, uploadAssetToDrive: jest.fn() }));
+
+const Queue = require('bull');
+const express = require('express');
+const request = require('supertest');
+
+// The routes module starts interval timers (session cleanup) and the memory locks release on timers
+jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+Queue.mockImplementation(() => ({ process: jest.fn(), on: jest.fn() }));
+
+const { authenticateService, generateServiceToken } = require('../../src/middleware/security');
+const { generationQueue } = require('../../src/services/queue/generationQueue');
+const { sessionArchive } = require('../../src/services/archive/sessionArchive');
+const mcpRoutes = require('../../src/routes/mcpRoutes');
+
+function createApp() {
+    const app = express();
+    app.use(express.json());
+    app.use('/api', authenticateService, mcpRoutes);
+    return app;
+}
+
+const app = createApp();
+
+function as(userId) {
+    return { Authorization: `Bearer ${generateServiceToken(userId)}` };
+}
+
+function archivedSession(sessionId, fields = {}) {
+    return {
+        sessionId,
+        userId: USER,
+        threadId: '1700000000.000100',
+        channelId: CHANNEL,
+        clientName: 'Acme',
+        campaignIdea: 'Spring launch',
+        state: 'completed',
+        createdAt: '2026-03-01T10:00:00.000Z',
+        lastActivity: '2026-03-01T11:00:00.000Z',
+        metadata: { completedAt: '2026-03-01T11:00:00.000Z' },
+        context: {
+            generatedAssets: [{ generationId: 'gen-1', operation: 'text-to-image', modelId: 'fal-ai/flux/dev' }],
+            driveFolder: { folderId: 'folder-1', folderName: 'Acme - Spring launch' }
+        },
+        ...fields
+    };
+}
+
+const SESSION_A = '11111111-1111-4111-8111-111111111111';
+const SESSION_B = '22222222-2222-4222-8222-222222222222';
+const SESSION_C = '33333333-3333-4333-8333-333333333333';
+
+beforeAll(async () => {
+    await sessionArchive.archiveSession(archivedSession(SESSION_A), 'ended');
+    await sessionArchive.archiveSession(archivedSession(SESSION_B, {
+        userId: OTHER_USER,
+        clientName: 'Globex',
+        createdAt: '2026-03-15T10:00:00.000Z',
+        context: { generatedAssets: [{ generationId: 'gen-2', operation: 'text-to-video', modelId: 'fal-ai/veo3' }] }
+    }), 'expired');
+    await sessionArchive.archiveSession(archivedSession(SESSION_C, { createdAt: '2026-04-02T10:00:00.000Z' }), 'ended');
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+afterAll(() => {
+    jest.useRealTimers();
+    fs.rmSync(process.env.SESSION_ARCHIVE_DIR, { recursive: true, force: true });
+});
+
+describe('GET /api/archive/sessions', () => {
+    async function query(params) {
+        const res = await request(app).get('/api/archive/sessions').query(params).set(as(ADMIN));
+        expect(res.status).toBe(200);
+        return res.body.data.sessions.map(session => session.sessionId);
+    }
+
+    test.each([
+        ['no filter', {}, [SESSION_C, SESSION_B, SESSION_A]],
+        ['user', { userId: OTHER_USER }, [SESSION_B]],
+        ['client', { client: 'ACME' }, [SESSION_C, SESSION_A]],
+        ['model', { model: 'fal-ai/veo3' }, [SESSION_B]],
+        ['from', { from: '2026-03-15' }, [SESSION_C, SESSION_B]],
+        ['a date-only to, which includes that day', { to: '2026-03-15' }, [SESSION_B, SESSION_A]],
+        ['a month', { from: '2026-03-01', to: '2026-03-31' }, [SESSION_B, SESSION_A]]
+    ])('filters by %s', async (label, params, expected) => {
+        await expect(query(params)).resolves.toEqual(expected);
+    });
+
+    test.each([
+        ['a malformed user ID', { userId: 'not-a-user' }],
+        ['a malformed date', { from: 'last week' }],
+        ['from after to', { from: '2026-04-01', to: '2026-03-01' }],
+        ['a page size over 200', { limit: 500 }]
+    ])('refuses %s', async (label, params) => {
+        const res = await request(app).get('/api/archive/sessions').query(params).set(as(ADMIN));
+
+        expect(res.status).toBe(400);
+    });
+
+    test('is for admins only', async () => {
+        const res = await request(app).get('/api/archive/sessions').set(as(USER));
+
+        expect(res.status).toBe(403);
+        expect(res.body.code).toBe('ADMIN_REQUIRED');
+    });
+});
+
+describe('GET /api/archive/sessions/:sessionId', () => {
+    test('returns the full archived session', async () => {
+        const res = await request(app).get(`/api/archive/sessions/${SESSION_A}`).set(as(ADMIN));
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({ sessionId: SESSION_A, endReason: 'ended', context: { driveFolder: { folderId: 'folder-1' } } });
+    });
+
+    test.each(['not-a-session', '..%2F..%2F.env', '44444444-4444-4444-8444-444444444444'])('answers 404 for %s', async (sessionId) => {
+        const res = await request(app).get(`/api/archive/sessions/${sessionId}`).set(as(ADMIN));
+
+        expect(res.status).toBe(404);
+        expect(res.body.code).toBe('ARCHIVED_SESSION_NOT_FOUND');
+    });
+});
+
+describe('resuming and ending a session', () => {
+    const THREAD = '1700000000.000300';
+
+    function resume(sessionId, userId, threadId = THREAD) {
+        return request(app).post(`/api/archive/sessions/${sessionId}/resume`)
+            .set(as(userId))
+            .send({ userId, threadId, channelId: CHANNEL });
+    }
+
+    function end(threadId = THREAD) {
+        return request(app).post(`/api/session/${USER}/${threadId}/end`).set(as(USER));
+    }
+
+    test('only the session\'s own user can resume it', async () => {
+        const res = await resume(SESSION_A, OTHER_USER);
+
+        expect(res.status).toBe(403);
+        expect(res.body.code).toBe('NOT_SESSION_OWNER');
+    });
+
+    test('answers 404 for a session that is not archived', async () => {
+        const res = await resume('not-a-session', USER);
+
+        expect(res.status).toBe(404);
+    });
+
+    test('resumes in a new thread, refuses to end while a generation is unfinished, then archives the new session', async () => {
+        const resumed = await resume(SESSION_A, USER);
+        expect(resumed.status).toBe(200);
+        expect(resumed.body.data.session).toMatchObject({ resumedFrom: SESSION_A, assetCount: 1, driveFolder: { folderId: 'folder-1' } });
+        const { sessionId } = resumed.body.data.session;
+
+        const unfinished = jest.spyOn(generationQueue, 'hasUnfinishedSessionJobs').mockResolvedValue(true);
+        const refused = await end();
+        expect(refused.status).toBe(409);
+        expect(refused.body.code).toBe('GENERATION_IN_PROGRESS');
+        expect(unfinished).toHaveBeenCalledWith(USER, THREAD);
+        expect((await request(app).get(`/api/session/${USER}/${THREAD}`).set(as(USER))).status).toBe(200);
+
+        unfinished.mockResolvedValue(false);
+        const ended = await end();
+        expect(ended.status).toBe(200);
+
+        const archived = await request(app).get(`/api/archive/sessions/${sessionId}`).set(as(ADMIN));
+        expect(archived.body.data).toMatchObject({ sessionId, resumedFrom: SESSION_A, endReason: 'ended' });
+    });
+});
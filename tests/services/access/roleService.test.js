@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Tests for role resolution and the role checks on operations, models and job cost
+ * @description A user's role comes from ADMIN_USER_IDS, their own assignment, their user groups and
+ * finally DEFAULT_ROLE; the role then decides which operations, models and job sizes they may use.
+ */
+
+process.env.ADMIN_USER_IDS = 'U0ADMIN0001';
+// Unassigned users get the built-in default role
+delete process.env.DEFAULT_ROLE;
+
+const { RoleService } = require('../../../src/services/access/roleService');
+const { estimateCost } = require('../../../src/config/modelPricing');
+
+const ADMIN = 'U0ADMIN0001';
+const USER = 'U0USER00001';
+const PRODUCERS = 'S0PRODUCERS';
+const VIEWERS = 'S0VIEWERS01';
+
+const KLING_MASTER = 'fal-ai/kling-video/v2/master/text-to-video';
+const VEO3 = 'fal-ai/veo3';
+const FLUX_SCHNELL = 'fal-ai/flux-1/schnell';
+
+function createRoleService(groups = {}) {
+    return new RoleService({
+        usergroups: {
+            users: {
+                list: jest.fn(async ({ usergroup }) => ({ users: groups[usergroup] || [] }))
+            }
+        }
+    });
+}
+
+describe('RoleService.resolveRole', () => {
+    test('gives unassigned users the creative role', async () => {
+        const roles = createRoleService();
+
+        expect(await roles.resolveRole(USER)).toEqual({ role: 'creative', source: 'default' });
+    });
+
+    test('makes ADMIN_USER_IDS admins whatever they are assigned', async () => {
+        const roles = createRoleService();
+        await roles.setAssignment('user', ADMIN, 'viewer', ADMIN);
+
+        expect(await roles.resolveRole(ADMIN)).toEqual({ role: 'admin', source: 'admin' });
+    });
+
+    test('gives a group member the most privileged role of their groups', async () => {
+        const roles = createRoleService({ [PRODUCERS]: [USER], [VIEWERS]: [USER] });
+        await roles.setAssignment('group', VIEWERS, 'viewer', ADMIN);
+        await roles.setAssignment('group', PRODUCERS, 'producer', ADMIN);
+
+        expect(await roles.resolveRole(USER)).toEqual({ role: 'producer', source: 'group', groupId: PRODUCERS });
+    });
+
+    test('puts a user\'s own assignment before their groups', async () => {
+        const roles = createRoleService({ [PRODUCERS]: [USER] });
+        await roles.setAssignment('group', PRODUCERS, 'producer', ADMIN);
+        await roles.setAssignment('user', USER, 'viewer', ADMIN);
+
+        expect(await roles.resolveRole(USER)).toEqual({ role: 'viewer', source: 'user' });
+    });
+
+    test('falls back to the default role for users outside every group', async () => {
+        const roles = createRoleService({ [PRODUCERS]: ['U0SOMEONE01'] });
+        await roles.setAssignment('group', PRODUCERS, 'producer', ADMIN);
+
+        expect((await roles.resolveRole(USER)).role).toBe('creative');
+    });
+
+    test('lists admins granted the role through a group', async () => {
+        const roles = createRoleService({ [PRODUCERS]: [USER, 'U0OTHER0001'] });
+        await roles.setAssignment('group', PRODUCERS, 'admin', ADMIN);
+        await roles.setAssignment('user', 'U0OTHER0001', 'creative', ADMIN);
+
+        expect(await roles.listAdmins()).toEqual([ADMIN, USER]);
+    });
+});
+
+describe('RoleService access checks', () => {
+    const roles = createRoleService();
+    const permissionsOf = async (role) => {
+        await roles.setAssignment('user', USER, role, ADMIN);
+        return roles.getPermissions(USER);
+    };
+
+    test('lets admins and producers run every operation and model', async () => {
+        for (const role of ['admin', 'producer']) {
+            const permissions = await permissionsOf(role);
+            expect(roles.checkAccess(permissions, 'image-to-3d', 'fal-ai/trellis')).toBeNull();
+            expect(roles.checkAccess(permissions, 'text-to-video', VEO3)).toBeNull();
+        }
+    });
+
+    test('keeps creatives off operations and premium models outside their role', async () => {
+        const permissions = await permissionsOf('creative');
+
+        expect(roles.checkAccess(permissions, 'text-to-image', FLUX_SCHNELL)).toBeNull();
+        expect(roles.checkAccess(permissions, 'image-to-3d')).toMatchObject({ code: 'OPERATION_NOT_ALLOWED' });
+        expect(roles.checkAccess(permissions, 'text-to-video', VEO3)).toMatchObject({ code: 'MODEL_NOT_ALLOWED' });
+        expect(roles.checkAccess(permissions, 'text-to-video', KLING_MASTER)).toMatchObject({ code: 'MODEL_NOT_ALLOWED' });
+    });
+
+    test('lets viewers run nothing', async () => {
+        const permissions = await permissionsOf('viewer');
+
+        expect(roles.checkAccess(permissions, 'text-to-image')).toMatchObject({ code: 'OPERATION_NOT_ALLOWED' });
+        expect(roles.canUseModel(permissions, 'text-to-image', FLUX_SCHNELL)).toBe(false);
+    });
+
+    test('offers a model only when its default job fits the per-job limit', async () => {
+        const creative = await permissionsOf('creative');
+        expect(roles.canUseModel(creative, 'text-to-image', FLUX_SCHNELL)).toBe(true);
+        expect(roles.canUseModel(creative, 'text-to-video', KLING_MASTER)).toBe(false);
+
+        const producer = await permissionsOf('producer');
+        expect(roles.canUseModel(producer, 'text-to-video', VEO3)).toBe(true);
+        expect(roles.checkModelCost(producer, 'text-to-video', VEO3)).toBeNull();
+    });
+
+    test('refuses a job whose estimate is over the per-job limit', async () => {
+        const producer = await permissionsOf('producer');
+        const kling = estimateCost('text-to-video', KLING_MASTER, { duration: '10' });
+
+        expect(roles.checkJobCost(producer, kling)).toBeNull();
+        expect(roles.checkJobCost(producer, { ...kling, high: 10.01 })).toMatchObject({ code: 'JOB_COST_NOT_ALLOWED' });
+        // An unpriced model could cost anything
+        expect(roles.checkJobCost(producer, null)).toMatchObject({ code: 'JOB_COST_NOT_ALLOWED' });
+
+        const creative = await permissionsOf('creative');
+        expect(roles.checkJobCost(creative, estimateCost('text-to-image', FLUX_SCHNELL))).toBeNull();
+        expect(roles.checkJobCost(creative, kling)).toMatchObject({ code: 'JOB_COST_NOT_ALLOWED' });
+    });
+
+    test('puts no per-job limit on admins', async () => {
+        const admin = await permissionsOf('admin');
+
+        expect(roles.checkJobCost(admin, { low: 500, high: 1000 })).toBeNull();
+        expect(roles.checkJobCost(admin, null)).toBeNull();
+    });
+});
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Tests for the file archive store
+ * @description Records are written one file per session and summaries appended to index.jsonl;
+ * queries filter the index and only UUID session IDs ever become file names.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileArchiveStore } = require('../../../src/services/archive/fileArchiveStore');
+
+const SESSION_A = '11111111-1111-4111-8111-111111111111';
+const SESSION_B = '22222222-2222-4222-8222-222222222222';
+const SESSION_C = '33333333-3333-4333-8333-333333333333';
+
+function summary(sessionId, fields) {
+    return { sessionId, userId: 'U0USER00001', clientName: 'Acme', models: [], createdAt: '2026-03-01T10:00:00.000Z', ...fields };
+}
+
+let directory;
+let store;
+
+beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-store-'));
+    store = new FileArchiveStore(directory);
+});
+
+afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('save and get', () => {
+    test('reads back a saved record', async () => {
+        await store.save({ sessionId: SESSION_A, state: 'completed' }, summary(SESSION_A));
+
+        await expect(store.get(SESSION_A)).resolves.toEqual({ sessionId: SESSION_A, state: 'completed' });
+        expect(fs.existsSync(path.join(directory, 'sessions', `${SESSION_A}.json.tmp`))).toBe(false);
+    });
+
+    test('returns null for a session that is not archived', async () => {
+        await expect(store.get(SESSION_A)).resolves.toBeNull();
+    });
+
+    test('keeps the newest record and summary of a session archived twice', async () => {
+        await store.save({ sessionId: SESSION_A, endReason: 'expired' }, summary(SESSION_A, { assetCount: 1 }));
+        await store.save({ sessionId: SESSION_A, endReason: 'ended' }, summary(SESSION_A, { assetCount: 3 }));
+
+        await expect(store.get(SESSION_A)).resolves.toEqual({ sessionId: SESSION_A, endReason: 'ended' });
+        const { sessions, total } = await store.query();
+        expect(total).toBe(1);
+        expect(sessions[0].assetCount).toBe(3);
+    });
+
+    test.each([
+        ['a path', '../../etc/passwd'],
+        ['a name that is not a UUID', 'index'],
+        ['a UUID with a suffix', `${SESSION_A}.json`]
+    ])('never reads or writes %s', async (label, sessionId) => {
+        await expect(store.get(sessionId)).resolves.toBeNull();
+        await expect(store.save({ sessionId }, summary(sessionId))).rejects.toThrow('Invalid session ID');
+        expect(fs.existsSync(path.join(directory, 'index.jsonl'))).toBe(false);
+    });
+});
+
+describe('query', () => {
+    beforeEach(async () => {
+        await store.save({}, summary(SESSION_A, { userId: 'U0USER00001', clientName: 'Acme', models: ['fal-ai/flux/dev'], createdAt: '2026-03-01T10:00:00.000Z' }));
+        await store.save({}, summary(SESSION_B, { userId: 'U0USER00002', clientName: ' ACME ', models: ['fal-ai/veo3'], createdAt: '2026-03-02T10:00:00.000Z' }));
+        await store.save({}, summary(SESSION_C, { userId: 'U0USER00001', clientName: 'Globex', models: ['fal-ai/flux/dev', 'fal-ai/veo3'], createdAt: '2026-03-03T10:00:00.000Z' }));
+    });
+
+    async function ids(filters) {
+        const { sessions } = await store.query(filters);
+        return sessions.map(session => session.sessionId);
+    }
+
+    test('lists every session, newest first', async () => {
+        await expect(ids()).resolves.toEqual([SESSION_C, SESSION_B, SESSION_A]);
+    });
+
+    test.each([
+        ['user', { userId: 'U0USER00001' }, [SESSION_C, SESSION_A]],
+        ['client, ignoring case and spaces', { client: 'acme' }, [SESSION_B, SESSION_A]],
+        ['model', { model: 'fal-ai/veo3' }, [SESSION_C, SESSION_B]],
+        ['from, inclusive', { from: new Date('2026-03-02T10:00:00.000Z') }, [SESSION_C, SESSION_B]],
+        ['to, exclusive', { to: new Date('2026-03-02T10:00:00.000Z') }, [SESSION_A]],
+        ['several filters at once', { userId: 'U0USER00001', model: 'fal-ai/flux/dev', from: new Date('2026-03-02') }, [SESSION_C]]
+    ])('filters by %s', async (label, filters, expected) => {
+        await expect(ids(filters)).resolves.toEqual(expected);
+    });
+
+    test('pages the results and reports the total', async () => {
+        const { sessions, total } = await store.query({ limit: 1, offset: 1 });
+
+        expect(total).toBe(3);
+        expect(sessions.map(session => session.sessionId)).toEqual([SESSION_B]);
+    });
+
+    test('skips an index line cut short by a crash', async () => {
+        fs.appendFileSync(path.join(directory, 'index.jsonl'), '{"sessionId":"44444444-');
+
+        await expect(ids()).resolves.toEqual([SESSION_C, SESSION_B, SESSION_A]);
+    });
+});
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Tests for archiving sessions and reading them back
+ * @description An archived session keeps the full record and a summary for queries: its client,
+ * why and when it ended, and the models and operations of its assets.
+ */
+
+const { SessionArchive } = require('../../../src/services/archive/sessionArchive');
+
+const SESSION_ID = '11111111-1111-4111-8111-111111111111';
+
+function createStore() {
+    const records = new Map();
+    const summaries = [];
+    return {
+        summaries,
+        save: jest.fn(async (record, summary) => {
+            records.set(summary.sessionId, record);
+            summaries.push(summary);
+        }),
+        query: jest.fn(async () => ({ sessions: [...summaries].reverse(), total: summaries.length })),
+        get: jest.fn(async sessionId => records.get(sessionId) || null)
+    };
+}
+
+function createSession(fields = {}) {
+    return {
+        sessionId: SESSION_ID,
+        userId: 'U0USER00001',
+        threadId: '1700000000.000100',
+        channelId: 'C0CHANNEL01',
+        clientName: 'Acme',
+        campaignIdea: 'Spring launch',
+        state: 'completed',
+        createdAt: '2026-03-01T10:00:00.000Z',
+        lastActivity: '2026-03-01T11:00:00.000Z',
+        metadata: { completedAt: '2026-03-01T11:30:00.000Z' },
+        context: {
+            generatedAssets: [
+                { generationId: 'gen-1', operation: 'text-to-image', modelId: 'fal-ai/flux/dev' },
+                { generationId: 'gen-2', operation: 'text-to-image', modelId: 'fal-ai/flux/dev' },
+                { generationId: 'gen-3', operation: 'image-to-video', modelId: 'fal-ai/kling-video/v2/master/image-to-video' }
+            ]
+        },
+        ...fields
+    };
+}
+
+describe('archiveSession', () => {
+    test('saves the full session and a summary of its assets', async () => {
+        const store = createStore();
+        const session = createSession();
+
+        const summary = await new SessionArchive(store).archiveSession(session, 'ended');
+
+        expect(summary).toMatchObject({
+            sessionId: SESSION_ID,
+            userId: 'U0USER00001',
+            clientName: 'Acme',
+            campaignIdea: 'Spring launch',
+            endReason: 'ended',
+            endedAt: '2026-03-01T11:30:00.000Z',
+            assetCount: 3,
+            models: ['fal-ai/flux/dev', 'fal-ai/kling-video/v2/master/image-to-video'],
+            operations: ['text-to-image', 'image-to-video']
+        });
+        expect(store.save).toHaveBeenCalledWith(
+            expect.objectContaining({ ...session, endReason: 'ended', archivedAt: summary.archivedAt }),
+            summary
+        );
+    });
+
+    test('dates an expired session by its last activity', async () => {
+        const summary = await new SessionArchive(createStore()).archiveSession(createSession(), 'expired');
+
+        expect(summary.endedAt).toBe('2026-03-01T11:00:00.000Z');
+    });
+
+    test('archives a session without assets', async () => {
+        const summary = await new SessionArchive(createStore()).archiveSession(createSession({ context: {} }), 'ended');
+
+        expect(summary).toMatchObject({ assetCount: 0, models: [], operations: [] });
+    });
+
+    test('refuses an unknown reason', async () => {
+        const store = createStore();
+
+        await expect(new SessionArchive(store).archiveSession(createSession(), 'deleted')).rejects.toThrow('Unknown archive reason');
+        expect(store.save).not.toHaveBeenCalled();
+    });
+});
+
+describe('getRecentSessions', () => {
+    test('reads the full records of the user\'s newest sessions', async () => {
+        const store = createStore();
+        const archive = new SessionArchive(store);
+        await archive.archiveSession(createSession(), 'ended');
+
+        const sessions = await archive.getRecentSessions('U0USER00001', 5);
+
+        expect(store.query).toHaveBeenCalledWith({ userId: 'U0USER00001', limit: 5 });
+        expect(sessions).toEqual([expect.objectContaining({ sessionId: SESSION_ID, endReason: 'ended' })]);
+    });
+});
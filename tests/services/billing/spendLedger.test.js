@@ -0,0 +1,195 @@
+/**
+ * @fileoverview Tests for the spend ledger's budget reservations and monthly totals
+ * @description A job's estimate is reserved against its client and user budgets before it is queued
+ * and its charge is settled when it finishes; the running totals must follow both steps.
+ */
+
+const { SpendLedger } = require('../../../src/services/billing/spendLedger');
+
+const USER = 'U0USER00001';
+const ADMIN = 'U0ADMIN0001';
+const CLIENT = 'Acme';
+
+const session = { sessionId: 'session-1', clientName: CLIENT, userId: USER, threadId: '1700000000.000100' };
+const parameters = { operation: 'text-to-image', modelId: 'fal-ai/flux/dev' };
+
+function createLedger() {
+    return new SpendLedger({ chat: { postMessage: jest.fn().mockResolvedValue({ ok: true }) } });
+}
+
+// Reserve a job's estimate and record its entry, as the generate-asset route does before queueing it
+async function queueGeneration(ledger, generationId, cost, overBudget = false) {
+    const reservation = await ledger.reserveBudget({ clientName: CLIENT, userId: USER, cost, overBudget });
+    if (reservation.reserved) {
+        await ledger.recordGeneration({
+            generationId,
+            jobId: generationId,
+            session,
+            parameters,
+            estimate: { low: cost, high: cost, basis: 'flat' },
+            approvedBy: overBudget ? ADMIN : null,
+            month: reservation.month
+        });
+    }
+    return reservation;
+}
+
+async function totals(ledger) {
+    const { month } = await ledger.getUserSpend(USER);
+    return ledger.getTotals(month);
+}
+
+describe('SpendLedger.reserveBudget', () => {
+    test('reserves a job that fits every budget', async () => {
+        const ledger = createLedger();
+        await ledger.setBudget('client', CLIENT, 10, ADMIN);
+        await ledger.setBudget('user', USER, 5, ADMIN);
+
+        const reservation = await queueGeneration(ledger, 'gen-1', 2);
+
+        expect(reservation.reserved).toBe(true);
+        expect(reservation.withinBudget).toBe(true);
+        expect(reservation.budgets.map(budget => budget.scope)).toEqual(['client', 'user']);
+        expect(await totals(ledger)).toEqual({ 'client:acme': 2, [`user:${USER}`]: 2, [`count:user:${USER}`]: 1 });
+    });
+
+    test('refuses a job that would exceed a budget and leaves the totals alone', async () => {
+        const ledger = createLedger();
+        await ledger.setBudget('user', USER, 5, ADMIN);
+        await queueGeneration(ledger, 'gen-1', 4);
+
+        const reservation = await queueGeneration(ledger, 'gen-2', 1.5);
+
+        expect(reservation.reserved).toBe(false);
+        expect(reservation.withinBudget).toBe(false);
+        expect(reservation.exceeded).toEqual([expect.objectContaining({ scope: 'user', spent: 4, projected: 5.5, exceeded: true })]);
+        expect((await totals(ledger))[`user:${USER}`]).toBe(4);
+        expect(await ledger.getEntry('gen-2')).toBeNull();
+    });
+
+    test('allows a job that exactly reaches the budget', async () => {
+        const ledger = createLedger();
+        await ledger.setBudget('client', CLIENT, 3, ADMIN);
+        await queueGeneration(ledger, 'gen-1', 1.1);
+
+        expect((await queueGeneration(ledger, 'gen-2', 1.9)).reserved).toBe(true);
+    });
+
+    test('reserves over budget when an admin approved the job', async () => {
+        const ledger = createLedger();
+        await ledger.setBudget('client', CLIENT, 1, ADMIN);
+
+        const reservation = await queueGeneration(ledger, 'gen-1', 2.5, true);
+
+        expect(reservation.reserved).toBe(true);
+        expect(reservation.withinBudget).toBe(false);
+        expect((await totals(ledger))['client:acme']).toBe(2.5);
+        expect(await ledger.getEntry('gen-1')).toMatchObject({ approvedOverBudget: true, approvedBy: ADMIN });
+    });
+
+    test('gives a released reservation back', async () => {
+        const ledger = createLedger();
+        const reservation = await ledger.reserveBudget({ clientName: CLIENT, userId: USER, cost: 2 });
+
+        await ledger.releaseBudget(reservation);
+
+        expect(await totals(ledger)).toEqual({ 'client:acme': 0, [`user:${USER}`]: 0, [`count:user:${USER}`]: 0 });
+    });
+});
+
+describe('SpendLedger.settleGeneration', () => {
+    test('keeps charging the estimate of a completed job without a billed cost', async () => {
+        const ledger = createLedger();
+        await queueGeneration(ledger, 'gen-1', 2);
+
+        const entry = await ledger.settleGeneration('gen-1', 'completed');
+
+        expect(entry).toMatchObject({ status: 'completed', actualCost: null, costSource: 'estimate' });
+        expect(ledger.getCharge(entry)).toBe(2);
+        expect((await totals(ledger))[`user:${USER}`]).toBe(2);
+    });
+
+    test('charges the billed cost of a completed job', async () => {
+        const ledger = createLedger();
+        await queueGeneration(ledger, 'gen-1', 2);
+
+        const entry = await ledger.settleGeneration('gen-1', 'completed', 1.25);
+
+        expect(entry).toMatchObject({ actualCost: 1.25, costSource: 'actual' });
+        expect(await totals(ledger)).toMatchObject({ 'client:acme': 1.25, [`user:${USER}`]: 1.25 });
+    });
+
+    test.each(['failed', 'cancelled'])('gives back the estimate of a %s job', async (status) => {
+        const ledger = createLedger();
+        await queueGeneration(ledger, 'gen-1', 2);
+        await queueGeneration(ledger, 'gen-2', 3);
+
+        const entry = await ledger.settleGeneration('gen-1', status);
+
+        expect(entry).toMatchObject({ status, actualCost: 0, costSource: 'none' });
+        expect(ledger.getCharge(entry)).toBe(0);
+        expect(await totals(ledger)).toEqual({ 'client:acme': 3, [`user:${USER}`]: 3, [`count:user:${USER}`]: 2 });
+    });
+
+    test('frees the budget a failed job reserved', async () => {
+        const ledger = createLedger();
+        await ledger.setBudget('user', USER, 3, ADMIN);
+        await queueGeneration(ledger, 'gen-1', 2);
+        expect((await queueGeneration(ledger, 'gen-2', 2)).reserved).toBe(false);
+
+        await ledger.settleGeneration('gen-1', 'failed');
+
+        expect((await queueGeneration(ledger, 'gen-2', 2)).reserved).toBe(true);
+    });
+
+    test('settles a job that finishes the moment it is queued', async () => {
+        const ledger = createLedger();
+        // The entry is written before the job is queued, so even an immediate failure finds it
+        await queueGeneration(ledger, 'gen-1', 2);
+
+        await ledger.settleGeneration('gen-1', 'failed');
+
+        expect((await totals(ledger))[`user:${USER}`]).toBe(0);
+        expect((await ledger.getEntry('gen-1')).status).toBe('failed');
+    });
+
+    test('leaves the totals alone when the generation is not in the ledger', async () => {
+        const ledger = createLedger();
+        await queueGeneration(ledger, 'gen-1', 2);
+
+        expect(await ledger.settleGeneration('gen-unknown', 'failed')).toBeNull();
+        expect(await ledger.getEntry('gen-unknown')).toBeNull();
+        expect((await totals(ledger))[`user:${USER}`]).toBe(2);
+    });
+
+    test('removes the entry of a job that was never queued', async () => {
+        const ledger = createLedger();
+        const reservation = await queueGeneration(ledger, 'gen-1', 2);
+
+        await ledger.releaseBudget(reservation);
+        expect(await ledger.deleteEntry('gen-1')).toBe(true);
+
+        expect(await ledger.getEntry('gen-1')).toBeNull();
+        expect((await totals(ledger))[`user:${USER}`]).toBe(0);
+    });
+});
+
+describe('SpendLedger approvals', () => {
+    test('lets the approved generation through once', async () => {
+        const ledger = createLedger();
+        await ledger.grantApproval('gen-1', USER, ADMIN);
+
+        expect(await ledger.takeApproval('gen-1', USER)).toMatchObject({ generationId: 'gen-1', requesterId: USER, approvedBy: ADMIN });
+        expect(await ledger.takeApproval('gen-1', USER)).toBeNull();
+    });
+
+    test('ignores an approval for another generation or requester', async () => {
+        const ledger = createLedger();
+        await ledger.grantApproval('gen-1', USER, ADMIN);
+
+        expect(await ledger.takeApproval('gen-2', USER)).toBeNull();
+        expect(await ledger.takeApproval('gen-1', 'U0OTHER0001')).toBeNull();
+        // A request that named the wrong user still used it up
+        expect(await ledger.takeApproval('gen-1', USER)).toBeNull();
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Tests for usage reports and their CSV export
+ * @description Group names come from user-entered text (client names) and go to finance as CSV, so
+ * fields are quoted when they hold separators and prefixed with ' when a spreadsheet would run them.
+ */
+
+const { SpendLedger } = require('../../../src/services/billing/spendLedger');
+const { UsageReportService } = require('../../../src/services/billing/usageReportService');
+
+const FROM = new Date('2026-03-01T00:00:00.000Z');
+const TO = new Date('2026-04-01T00:00:00.000Z');
+
+const HEADER = 'group,generations,completed,failed,cancelled,pending,failure_rate,estimated_spend_usd,unpriced_generations';
+
+function entry(fields) {
+    return {
+        clientName: 'Acme',
+        userId: 'U0USER00001',
+        modelId: 'fal-ai/flux/dev',
+        operation: 'text-to-image',
+        status: 'completed',
+        estimatedCost: 0.025,
+        actualCost: null,
+        ...fields
+    };
+}
+
+function createService(entries) {
+    const ledger = new SpendLedger({ chat: { postMessage: jest.fn() } });
+    ledger.listEntries = jest.fn().mockResolvedValue(entries);
+    return new UsageReportService(ledger);
+}
+
+describe('getUsageReport', () => {
+    test('counts each status, the failure rate and the charged spend per group', async () => {
+        const service = createService([
+            entry({ status: 'completed', estimatedCost: 0.5 }),
+            entry({ status: 'completed', estimatedCost: 0.5, actualCost: 0.4 }),
+            entry({ status: 'failed', estimatedCost: 0.5 }),
+            entry({ status: 'cancelled', estimatedCost: 0.5 }),
+            entry({ status: 'queued', estimatedCost: null }),
+            entry({ clientName: 'Globex', estimatedCost: 2 })
+        ]);
+
+        const report = await service.getUsageReport({ from: FROM, to: TO, groupBy: 'client' });
+
+        expect(report.groups).toEqual([
+            { group: 'Globex', generations: 1, completed: 1, failed: 0, cancelled: 0, pending: 0, failureRate: 0, estimatedSpend: 2, unpriced: 0 },
+            { group: 'Acme', generations: 5, completed: 2, failed: 1, cancelled: 1, pending: 1, failureRate: 0.333, estimatedSpend: 0.9, unpriced: 1 }
+        ]);
+        expect(report.totals).toMatchObject({ generations: 6, estimatedSpend: 2.9 });
+    });
+
+    test('groups client names regardless of case and spaces, under the first spelling seen', async () => {
+        const service = createService([
+            entry({ clientName: 'Acme ' }),
+            entry({ clientName: 'ACME' }),
+            entry({ clientName: null })
+        ]);
+
+        const report = await service.getUsageReport({ from: FROM, to: TO, groupBy: 'client' });
+
+        expect(report.groups.map(({ group, generations }) => [group, generations])).toEqual([['Acme', 2], ['(no client)', 1]]);
+    });
+});
+
+describe('toCsv', () => {
+    test('writes a header, one row per group and a total row', async () => {
+        const service = createService([entry({}), entry({ status: 'failed' })]);
+        const csv = service.toCsv(await service.getUsageReport({ from: FROM, to: TO, groupBy: 'client' }));
+
+        expect(csv).toBe([
+            HEADER,
+            'Acme,2,1,1,0,0,0.5,0.0250,0',
+            'TOTAL,2,1,1,0,0,0.5,0.0250,0',
+            ''
+        ].join('\n'));
+    });
+
+    test('leaves the failure rate empty when nothing finished', async () => {
+        const service = createService([entry({ status: 'queued' })]);
+        const csv = service.toCsv(await service.getUsageReport({ from: FROM, to: TO, groupBy: 'client' }));
+
+        expect(csv.split('\n')[1]).toBe('Acme,1,0,0,0,1,,0.0250,0');
+    });
+
+    test.each([
+        ['a formula', '=HYPERLINK("http://example.com")', '"\'=HYPERLINK(""http://example.com"")"'],
+        ['a leading +', '+1 555 0100', '\'+1 555 0100'],
+        ['a leading -', '-2+3', '\'-2+3'],
+        ['a leading @', '@SUM(A1:A9)', '\'@SUM(A1:A9)'],
+        ['a formula after spaces', '  =1+1', '\'  =1+1'],
+        ['a leading tab', '\tcmd', '\'\tcmd'],
+        ['a leading carriage return', '\r=1+1', '"\'\r=1+1"'],
+        ['a comma', 'Acme, Inc.', '"Acme, Inc."'],
+        ['quotes', 'The "Best" Co', '"The ""Best"" Co"'],
+        ['a line break', 'Acme\nWest', '"Acme\nWest"'],
+        ['a - inside the text', 'text-to-image', 'text-to-image'],
+        ['an @ inside the text', 'team@acme', 'team@acme']
+    ])('escapes a group with %s', async (label, group, expected) => {
+        const service = createService([entry({ operation: group })]);
+        const csv = service.toCsv(await service.getUsageReport({ from: FROM, to: TO, groupBy: 'operation' }));
+
+        expect(csv.startsWith(`${HEADER}\n${expected},1,1,0,0,0,0,0.0250,0\n`)).toBe(true);
+    });
+});
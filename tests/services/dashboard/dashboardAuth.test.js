@@ -0,0 +1,242 @@
+/**
+ * @fileoverview Tests for dashboard sign-in: links from the bot, the session cookie and Sign in with Slack
+ * @description A sign-in link works once, a token only counts for its own purpose, and Sign in with
+ * Slack must come back with the state it was sent with and from the configured workspace.
+ */
+
+process.env.SLACK_CLIENT_ID = '1234.5678';
+process.env.SLACK_CLIENT_SECRET = 'test-client-secret';
+process.env.SLACK_TEAM_ID = 'T0TEAM00001';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const config = require('../../../src/config');
+const { dashboardAuth, DashboardAuth, readCookie } = require('../../../src/services/dashboard/dashboardAuth');
+const dashboardRoutes = require('../../../src/routes/dashboardRoutes');
+
+const USER = 'U0USER00001';
+
+function createApp() {
+    const app = express();
+    app.use('/dashboard', dashboardRoutes);
+    return app;
+}
+
+function tokenFrom(link) {
+    return new URL(link.url).searchParams.get('token');
+}
+
+// Value of a cookie set by a response, or undefined
+function setCookie(res, name) {
+    const header = (res.headers['set-cookie'] || []).find(cookie => cookie.startsWith(`${name}=`));
+    return header && decodeURIComponent(header.slice(name.length + 1).split(';')[0]);
+}
+
+describe('DashboardAuth', () => {
+    describe('sign-in links', () => {
+        test('a link signs its user in once', async () => {
+            const auth = new DashboardAuth();
+            const token = tokenFrom(auth.createLoginLink(USER));
+
+            await expect(auth.redeemLoginToken(token)).resolves.toBe(USER);
+            await expect(auth.redeemLoginToken(token)).rejects.toThrow('already been used');
+        });
+
+        test('each link can be used once on its own', async () => {
+            const auth = new DashboardAuth();
+            const first = tokenFrom(auth.createLoginLink(USER));
+            const second = tokenFrom(auth.createLoginLink(USER));
+
+            await expect(auth.redeemLoginToken(first)).resolves.toBe(USER);
+            await expect(auth.redeemLoginToken(second)).resolves.toBe(USER);
+        });
+
+        test('refuses expired, tampered and ID-less links', async () => {
+            const auth = new DashboardAuth();
+            const expired = jwt.sign({ purpose: 'dashboard-login', exp: Math.floor(Date.now() / 1000) - 10 },
+                config.security.jwtSecret, { subject: USER, jwtid: 'expired-link' });
+            const otherSecret = jwt.sign({ purpose: 'dashboard-login' }, 'another-secret-0123456789abcdefghijkl',
+                { subject: USER, jwtid: 'forged-link', expiresIn: 60 });
+            const withoutId = jwt.sign({ purpose: 'dashboard-login' }, config.security.jwtSecret,
+                { subject: USER, expiresIn: 60 });
+
+            await expect(auth.redeemLoginToken(expired)).rejects.toThrow('jwt expired');
+            await expect(auth.redeemLoginToken(otherSecret)).rejects.toThrow('invalid signature');
+            await expect(auth.redeemLoginToken(withoutId)).rejects.toThrow('no ID');
+        });
+
+        test('a session token is not a sign-in link and a link is not a session', async () => {
+            const auth = new DashboardAuth();
+
+            await expect(auth.redeemLoginToken(auth.createSessionToken({ userId: USER })))
+                .rejects.toThrow('not valid for this purpose');
+            expect(() => auth.verifySessionToken(tokenFrom(auth.createLoginLink(USER))))
+                .toThrow('not valid for this purpose');
+        });
+    });
+
+    test('session tokens carry the user and their name', () => {
+        const auth = new DashboardAuth();
+        const token = auth.createSessionToken({ userId: USER, name: 'Ada' });
+
+        expect(auth.verifySessionToken(token)).toEqual({ userId: USER, name: 'Ada' });
+    });
+
+    describe('Sign in with Slack', () => {
+        function createSlackClient(profile) {
+            return {
+                openid: {
+                    connect: {
+                        token: jest.fn().mockResolvedValue({ access_token: 'xoxp-test' }),
+                        userInfo: jest.fn().mockResolvedValue(profile)
+                    }
+                }
+            };
+        }
+
+        test('sends the state and workspace to Slack', () => {
+            const { url, state } = new DashboardAuth().createSlackAuthorization();
+            const params = new URL(url).searchParams;
+
+            expect(state).toMatch(/^[0-9a-f]{32}$/);
+            expect(params.get('state')).toBe(state);
+            expect(params.get('team')).toBe('T0TEAM00001');
+            expect(params.get('redirect_uri')).toBe(`${config.dashboard.baseUrl}/dashboard/auth/slack/callback`);
+        });
+
+        test('accepts users of the configured workspace', async () => {
+            const slackClient = createSlackClient({
+                'https://slack.com/team_id': 'T0TEAM00001',
+                'https://slack.com/user_id': USER,
+                name: 'Ada'
+            });
+
+            await expect(new DashboardAuth(slackClient).completeSlackAuthorization('code-1'))
+                .resolves.toEqual({ userId: USER, name: 'Ada' });
+            expect(slackClient.openid.connect.token).toHaveBeenCalledWith(expect.objectContaining({ code: 'code-1' }));
+        });
+
+        test('refuses users of another workspace', async () => {
+            const slackClient = createSlackClient({ 'https://slack.com/team_id': 'T0OTHER0001', 'https://slack.com/user_id': USER });
+
+            await expect(new DashboardAuth(slackClient).completeSlackAuthorization('code-1'))
+                .rejects.toThrow('cannot use the dashboard');
+        });
+    });
+});
+
+describe('readCookie', () => {
+    test('finds a cookie among others and decodes it', () => {
+        const req = { headers: { cookie: 'theme=dark; dashboard_session=a%2Bb; other=1' } };
+
+        expect(readCookie(req, 'dashboard_session')).toBe('a+b');
+        expect(readCookie(req, 'missing')).toBeNull();
+        expect(readCookie({ headers: { cookie: 'dashboard_session=%E0%A4%A' } }, 'dashboard_session')).toBeNull();
+    });
+});
+
+describe('dashboard routes', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('GET /dashboard/login?token', () => {
+        test('sets the session cookie on first use and refuses the link after that', async () => {
+            const app = createApp();
+            const token = tokenFrom(dashboardAuth.createLoginLink(USER));
+
+            const first = await request(app).get('/dashboard/login').query({ token });
+            expect(first.status).toBe(302);
+            expect(first.headers.location).toBe('/dashboard');
+            expect(dashboardAuth.verifySessionToken(setCookie(first, 'dashboard_session')).userId).toBe(USER);
+
+            const second = await request(app).get('/dashboard/login').query({ token });
+            expect(second.headers.location).toBe('/dashboard/login?error=link_invalid');
+            expect(setCookie(second, 'dashboard_session')).toBeUndefined();
+        });
+
+        test('refuses a session token passed as a link', async () => {
+            const token = dashboardAuth.createSessionToken({ userId: USER });
+
+            const res = await request(createApp()).get('/dashboard/login').query({ token });
+
+            expect(res.headers.location).toBe('/dashboard/login?error=link_invalid');
+        });
+    });
+
+    describe('GET /dashboard', () => {
+        test('serves the page for a valid session cookie', async () => {
+            const cookie = `dashboard_session=${dashboardAuth.createSessionToken({ userId: USER })}`;
+
+            const res = await request(createApp()).get('/dashboard').set('Cookie', cookie);
+
+            expect(res.status).toBe(200);
+            expect(res.headers['content-type']).toMatch(/html/);
+        });
+
+        test.each([
+            ['no cookie', null],
+            ['a sign-in link in the cookie', () => tokenFrom(dashboardAuth.createLoginLink(USER))],
+            ['a forged cookie', () => jwt.sign({ purpose: 'dashboard-session' }, 'another-secret-0123456789abcdefghijkl', { subject: USER })]
+        ])('redirects to the sign-in page with %s', async (label, makeToken) => {
+            const req = request(createApp()).get('/dashboard');
+            if (makeToken) req.set('Cookie', `dashboard_session=${makeToken()}`);
+
+            const res = await req;
+
+            expect(res.status).toBe(302);
+            expect(res.headers.location).toBe('/dashboard/login');
+        });
+    });
+
+    describe('Sign in with Slack', () => {
+        test('keeps the state in a cookie and redirects to Slack with it', async () => {
+            const res = await request(createApp()).get('/dashboard/auth/slack');
+
+            const state = setCookie(res, 'dashboard_oauth_state');
+            expect(state).toMatch(/^[0-9a-f]{32}$/);
+            expect(new URL(res.headers.location).searchParams.get('state')).toBe(state);
+        });
+
+        test.each([
+            ['no state cookie', null, 'state-1'],
+            ['a different state', 'state-1', 'state-2'],
+            ['no state in the callback', 'state-1', undefined]
+        ])('refuses a callback with %s', async (label, cookieState, queryState) => {
+            const complete = jest.spyOn(dashboardAuth, 'completeSlackAuthorization');
+            const req = request(createApp()).get('/dashboard/auth/slack/callback')
+                .query({ code: 'code-1', ...(queryState ? { state: queryState } : {}) });
+            if (cookieState) req.set('Cookie', `dashboard_oauth_state=${cookieState}`);
+
+            const res = await req;
+
+            expect(res.headers.location).toBe('/dashboard/login?error=slack_failed');
+            expect(complete).not.toHaveBeenCalled();
+            expect(setCookie(res, 'dashboard_session')).toBeUndefined();
+        });
+
+        test('signs in when the state matches', async () => {
+            const complete = jest.spyOn(dashboardAuth, 'completeSlackAuthorization').mockResolvedValue({ userId: USER, name: 'Ada' });
+
+            const res = await request(createApp()).get('/dashboard/auth/slack/callback')
+                .query({ code: 'code-1', state: 'state-1' })
+                .set('Cookie', 'dashboard_oauth_state=state-1');
+
+            expect(complete).toHaveBeenCalledWith('code-1');
+            expect(res.headers.location).toBe('/dashboard');
+            expect(dashboardAuth.verifySessionToken(setCookie(res, 'dashboard_session'))).toEqual({ userId: USER, name: 'Ada' });
+        });
+
+        test('does not sign in when Slack refuses the user', async () => {
+            jest.spyOn(dashboardAuth, 'completeSlackAuthorization').mockRejectedValue(new Error('This Slack workspace cannot use the dashboard'));
+
+            const res = await request(createApp()).get('/dashboard/auth/slack/callback')
+                .query({ code: 'code-1', state: 'state-1' })
+                .set('Cookie', 'dashboard_oauth_state=state-1');
+
+            expect(res.headers.location).toBe('/dashboard/login?error=slack_failed');
+            expect(setCookie(res, 'dashboard_session')).toBeUndefined();
+        });
+    });
+});
@@ -0,0 +1,355 @@
+/**
+ * @fileoverview Tests for the generation queue and its worker
+ * @description Bull and the fal.ai client are mocked: jobs are queued under their generation ID and
+ * indexed per session, transient failures are left to Bull's retries while unrecoverable ones discard
+ * the job, and cancelling a running job cancels its fal.ai request and fails it once the call returns.
+ */
+
+jest.mock('bull');
+jest.mock('@fal-ai/client', () => ({ fal: { queue: { cancel: jest.fn() } } }));
+jest.mock('../../../src/services/ServiceFactory', () => ({ serviceFactory: { getService: jest.fn() } }));
+jest.mock('../../../src/services/drive/driveUploadHelper', () => ({ uploadAssetToDrive: jest.fn() }));
+jest.mock('../../../src/services/billing/spendLedger', () => ({
+    spendLedger: { settleGeneration: jest.fn(), notifyThresholds: jest.fn() }
+}));
+
+const Queue = require('bull');
+const { fal } = require('@fal-ai/client');
+const config = require('../../../src/config');
+const { modelRegistry } = require('../../../src/config/modelRegistry');
+const { serviceFactory } = require('../../../src/services/ServiceFactory');
+const { spendLedger } = require('../../../src/services/billing/spendLedger');
+const { generationQueue } = require('../../../src/services/queue/generationQueue');
+
+const USER = 'U0USER00001';
+const THREAD = '1700000000.000100';
+const GENERATION_ID = '3f1c2b9a-8d4e-4f6a-9b7c-1a2b3c4d5e6f';
+const MODEL = 'fal-ai/flux/dev';
+const ASSET_URL = 'https://fal.media/files/asset.png';
+
+const SESSION_STATES = {
+    GENERATING_ASSET: 'generating_asset',
+    UPLOADING_ASSET: 'uploading_asset',
+    ASSET_GENERATION_COMPLETE: 'asset_generation_complete',
+    SELECTING_OPERATION: 'selecting_operation',
+    ERROR: 'error'
+};
+
+// Stand-in for a Bull queue: keeps the worker and event handlers and a Redis client for the session index
+function createBullQueue() {
+    const multi = {
+        sadd: jest.fn().mockReturnThis(),
+        expire: jest.fn().mockReturnThis(),
+        exec: jest.fn().mockResolvedValue([])
+    };
+    const queue = {
+        handlers: {},
+        multi,
+        client: {
+            multi: jest.fn(() => multi),
+            smembers: jest.fn().mockResolvedValue([]),
+            srem: jest.fn().mockResolvedValue(0)
+        },
+        add: jest.fn(async (data, options) => ({ id: options.jobId, data })),
+        process: jest.fn((concurrency, handler) => {
+            queue.worker = handler;
+        }),
+        on: jest.fn((event, handler) => {
+            queue.handlers[event] = handler;
+        }),
+        toKey: jest.fn(key => `bull:asset-generation:${key}`),
+        getJob: jest.fn().mockResolvedValue(null),
+        close: jest.fn()
+    };
+    return queue;
+}
+
+function createJob(state = 'waiting', data = {}) {
+    const job = {
+        id: GENERATION_ID,
+        data: {
+            userId: USER,
+            threadId: THREAD,
+            generationId: GENERATION_ID,
+            parentGenerationId: null,
+            parameters: { operation: 'text-to-image', modelId: MODEL, prompt: 'a red bicycle' },
+            ...data
+        },
+        opts: { attempts: 3 },
+        attemptsMade: 0,
+        timestamp: Date.now(),
+        getState: jest.fn().mockResolvedValue(state),
+        update: jest.fn(async (newData) => {
+            job.data = newData;
+        }),
+        promote: jest.fn().mockResolvedValue(),
+        discard: jest.fn(),
+        progress: jest.fn().mockResolvedValue()
+    };
+    return job;
+}
+
+function createSessionManager(session) {
+    return {
+        SESSION_STATES,
+        getSession: jest.fn().mockResolvedValue(session),
+        updateSessionState: jest.fn().mockResolvedValue(true),
+        updateSessionContext: jest.fn().mockResolvedValue(true)
+    };
+}
+
+// Let pending promise callbacks run (the ledger is settled without being awaited)
+function flushPromises() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+const session = { sessionId: 'session-1', userId: USER, threadId: THREAD, context: { generatedAssets: [] } };
+
+let bullQueue;
+let sessionManager;
+let textToImage;
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    Queue.mockImplementation(() => createBullQueue());
+    spendLedger.settleGeneration.mockResolvedValue(null);
+    textToImage = { generate: jest.fn().mockResolvedValue({ assetUrl: ASSET_URL }) };
+    serviceFactory.getService.mockReturnValue(textToImage);
+
+    sessionManager = createSessionManager(session);
+    generationQueue.isInitialized = false;
+    generationQueue.activeJobs.clear();
+    generationQueue.initialize({ sessionManager });
+    bullQueue = generationQueue.queue;
+});
+
+describe('initialize', () => {
+    test('retries with exponential backoff and keeps finished jobs within the retention limits', () => {
+        const { attempts, backoffDelay, concurrency, retentionHours, retentionCount } = config.jobQueue;
+        const keepFinishedJobs = { age: retentionHours * 3600, count: retentionCount };
+
+        expect(Queue).toHaveBeenCalledWith('asset-generation', expect.objectContaining({
+            defaultJobOptions: {
+                attempts,
+                backoff: { type: 'exponential', delay: backoffDelay },
+                removeOnComplete: keepFinishedJobs,
+                removeOnFail: keepFinishedJobs
+            }
+        }));
+        expect(bullQueue.process).toHaveBeenCalledWith(concurrency, expect.any(Function));
+    });
+});
+
+describe('enqueue', () => {
+    const data = {
+        userId: USER,
+        threadId: THREAD,
+        generationId: GENERATION_ID,
+        parentGenerationId: null,
+        parameters: { operation: 'text-to-image', modelId: MODEL, prompt: 'a red bicycle' }
+    };
+
+    test('uses the generation ID as the job ID', async () => {
+        const job = await generationQueue.enqueue(data);
+
+        expect(bullQueue.add).toHaveBeenCalledWith(data, { jobId: GENERATION_ID });
+        expect(job.id).toBe(GENERATION_ID);
+    });
+
+    test('indexes the job under its session until the finished jobs expire', async () => {
+        await generationQueue.enqueue(data);
+
+        const key = `bull:asset-generation:session-jobs:${USER}:${THREAD}`;
+        expect(bullQueue.multi.sadd).toHaveBeenCalledWith(key, GENERATION_ID);
+        expect(bullQueue.multi.expire).toHaveBeenCalledWith(key, config.jobQueue.retentionHours * 3600);
+        expect(bullQueue.multi.exec).toHaveBeenCalled();
+    });
+});
+
+describe('session job index', () => {
+    test('lists the session\'s jobs newest first and drops expired IDs from the index', async () => {
+        const older = createJob('completed');
+        older.id = 'job-older';
+        older.timestamp = 1000;
+        const newer = createJob('active');
+        newer.id = 'job-newer';
+        newer.timestamp = 2000;
+        bullQueue.client.smembers.mockResolvedValue(['job-older', 'job-gone', 'job-newer']);
+        bullQueue.getJob.mockImplementation(async jobId => ({ 'job-older': older, 'job-newer': newer })[jobId] || null);
+
+        const jobs = await generationQueue.listSessionJobs(USER, THREAD);
+
+        expect(jobs.map(job => [job.jobId, job.state])).toEqual([['job-newer', 'active'], ['job-older', 'completed']]);
+        expect(bullQueue.client.srem).toHaveBeenCalledWith(`bull:asset-generation:session-jobs:${USER}:${THREAD}`, 'job-gone');
+    });
+
+    test.each([
+        ['active', true],
+        ['waiting', true],
+        ['delayed', true],
+        ['completed', false],
+        ['failed', false]
+    ])('a %s job counts as unfinished: %s', async (state, expected) => {
+        bullQueue.client.smembers.mockResolvedValue([GENERATION_ID]);
+        bullQueue.getJob.mockResolvedValue(createJob(state));
+
+        await expect(generationQueue.hasUnfinishedSessionJobs(USER, THREAD)).resolves.toBe(expected);
+    });
+});
+
+describe('worker', () => {
+    test('generates, records the asset on the session and settles the ledger', async () => {
+        const job = createJob('active');
+
+        const result = await bullQueue.worker(job);
+        await flushPromises();
+
+        expect(textToImage.generate).toHaveBeenCalledWith('a red bicycle', job.data.parameters, 'session-1',
+            expect.objectContaining({ jobId: GENERATION_ID, onProgress: expect.any(Function) }));
+        expect(result).toMatchObject({ assetUrl: ASSET_URL, generationId: GENERATION_ID, version: 1 });
+        expect(sessionManager.updateSessionContext).toHaveBeenCalledWith(USER, THREAD, expect.objectContaining({
+            generatedAssets: [expect.objectContaining({ generationId: GENERATION_ID, assetUrl: ASSET_URL })],
+            currentJob: null
+        }));
+        expect(sessionManager.updateSessionState).toHaveBeenLastCalledWith(USER, THREAD, SESSION_STATES.ASSET_GENERATION_COMPLETE);
+        expect(spendLedger.settleGeneration).toHaveBeenCalledWith(GENERATION_ID, 'completed', null);
+        expect(generationQueue.activeJobs.size).toBe(0);
+    });
+
+    test('leaves a service error to Bull\'s retries', async () => {
+        const job = createJob('active');
+        textToImage.generate.mockRejectedValue(new Error('fal.ai timed out'));
+
+        const error = await bullQueue.worker(job).catch(caught => caught);
+
+        expect(error.message).toBe('fal.ai timed out');
+        expect(error.unrecoverable).toBeUndefined();
+        expect(job.discard).not.toHaveBeenCalled();
+        expect(generationQueue.activeJobs.size).toBe(0);
+    });
+
+    test.each([
+        ['the session is gone', () => sessionManager.getSession.mockResolvedValue(null), 'Session not found'],
+        ['the operation is not supported', (job) => {
+            job.data.parameters = { operation: 'text-to-hologram', modelId: MODEL };
+        }, 'Unsupported operation: text-to-hologram']
+    ])('discards the job without retrying when %s', async (label, arrange, message) => {
+        const job = createJob('active');
+        arrange(job);
+
+        const error = await bullQueue.worker(job).catch(caught => caught);
+
+        expect(error.message).toBe(message);
+        expect(error.unrecoverable).toBe(true);
+        expect(job.discard).toHaveBeenCalled();
+    });
+});
+
+describe('failed jobs', () => {
+    test('records a failure on the session only after the last attempt', async () => {
+        const job = createJob('failed');
+
+        job.attemptsMade = 1;
+        bullQueue.handlers.failed(job, new Error('fal.ai timed out'));
+        await flushPromises();
+        expect(spendLedger.settleGeneration).not.toHaveBeenCalled();
+        expect(sessionManager.updateSessionState).not.toHaveBeenCalled();
+
+        job.attemptsMade = 3;
+        bullQueue.handlers.failed(job, new Error('fal.ai timed out'));
+        await flushPromises();
+        expect(spendLedger.settleGeneration).toHaveBeenCalledWith(GENERATION_ID, 'failed', null);
+        expect(sessionManager.updateSessionState).toHaveBeenCalledWith(USER, THREAD, SESSION_STATES.ERROR);
+        expect(sessionManager.updateSessionContext).toHaveBeenCalledWith(USER, THREAD, {
+            currentJob: { jobId: GENERATION_ID, generationId: GENERATION_ID, status: 'failed', error: 'fal.ai timed out' }
+        });
+    });
+
+    test('treats an unrecoverable error as the last attempt', async () => {
+        const error = new Error('Session not found');
+        error.unrecoverable = true;
+
+        bullQueue.handlers.failed(createJob('failed'), error);
+        await flushPromises();
+
+        expect(spendLedger.settleGeneration).toHaveBeenCalledWith(GENERATION_ID, 'failed', null);
+    });
+
+    test('records a cancellation without charging for it', async () => {
+        const error = new Error('Job cancelled');
+        error.unrecoverable = true;
+        error.cancelled = true;
+
+        bullQueue.handlers.failed(createJob('failed'), error);
+        await flushPromises();
+
+        expect(spendLedger.settleGeneration).toHaveBeenCalledWith(GENERATION_ID, 'cancelled', null);
+        expect(sessionManager.updateSessionState).toHaveBeenCalledWith(USER, THREAD, SESSION_STATES.SELECTING_OPERATION);
+    });
+});
+
+describe('cancelJob', () => {
+    test('cancels a running job\'s fal.ai request and fails the job when the call returns', async () => {
+        const job = createJob('active');
+        let finishGeneration;
+        textToImage.generate.mockImplementation((prompt, parameters, sessionId, options) => {
+            options.onProgress({ status: 'IN_QUEUE', request_id: 'req-1', queue_position: 2 });
+            return new Promise(resolve => {
+                finishGeneration = resolve;
+            });
+        });
+
+        const running = bullQueue.worker(job);
+        await flushPromises();
+        expect(generationQueue.activeJobs.get(GENERATION_ID)).toMatchObject({ requestId: 'req-1', cancelled: false });
+
+        await expect(generationQueue.cancelJob(job)).resolves.toEqual({ cancelled: true, state: 'cancelled' });
+        expect(fal.queue.cancel).toHaveBeenCalledWith(modelRegistry.getEndpoint(MODEL), { requestId: 'req-1' });
+        expect(job.data.cancelledAt).toEqual(expect.any(String));
+
+        finishGeneration({ assetUrl: ASSET_URL });
+        const error = await running.catch(caught => caught);
+        expect(error).toMatchObject({ message: 'Job cancelled', cancelled: true, unrecoverable: true });
+        expect(job.discard).toHaveBeenCalled();
+        expect(generationQueue.activeJobs.size).toBe(0);
+        expect(sessionManager.updateSessionContext).not.toHaveBeenCalledWith(USER, THREAD,
+            expect.objectContaining({ generatedAssets: expect.anything() }));
+    });
+
+    test('still fails the job when fal.ai cannot cancel the request', async () => {
+        const job = createJob('active');
+        generationQueue.activeJobs.set(GENERATION_ID, { modelId: MODEL, requestId: 'req-1', cancelled: false });
+        fal.queue.cancel.mockRejectedValue(new Error('Request already running'));
+
+        await expect(generationQueue.cancelJob(job)).resolves.toEqual({ cancelled: true, state: 'cancelled' });
+        expect(generationQueue.activeJobs.get(GENERATION_ID).cancelled).toBe(true);
+    });
+
+    test('flags a waiting job so the worker fails it on pickup', async () => {
+        const job = createJob('waiting');
+
+        await generationQueue.cancelJob(job);
+        const error = await bullQueue.worker(job).catch(caught => caught);
+
+        expect(fal.queue.cancel).not.toHaveBeenCalled();
+        expect(error.cancelled).toBe(true);
+        expect(job.discard).toHaveBeenCalled();
+        expect(textToImage.generate).not.toHaveBeenCalled();
+    });
+
+    test('promotes a delayed job so it is failed without waiting for its backoff', async () => {
+        const job = createJob('delayed');
+
+        await generationQueue.cancelJob(job);
+
+        expect(job.data.cancelledAt).toEqual(expect.any(String));
+        expect(job.promote).toHaveBeenCalled();
+    });
+
+    test.each(['completed', 'failed'])('leaves a %s job alone', async (state) => {
+        const job = createJob(state);
+
+        await expect(generationQueue.cancelJob(job)).resolves.toEqual({ cancelled: false, state });
+        expect(job.update).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,207 @@
+/**
+ * @fileoverview Tests for the parameter modal's value coercion
+ * @description parseValues turns view.state.values back into typed parameters for every operation and
+ * reports invalid fields by block_id, so the modal can show them with response_action: 'errors'.
+ */
+
+const { ParameterModalBuilder } = require('../../../src/services/slack/parameterModalBuilder');
+
+const builder = new ParameterModalBuilder();
+
+// view.state.values for plain text and number inputs, keyed the way buildBlocks names them
+function textValues(entries) {
+    return Object.fromEntries(Object.entries(entries).map(([name, value]) => [`${name}_block`, { [name]: { value } }]));
+}
+
+describe('ParameterModalBuilder.parseValues', () => {
+    describe('numbers', () => {
+        const parameters = {
+            num_inference_steps: { type: 'number', integer: true, min: 1, max: 50, default: 28 },
+            guidance_scale: { type: 'number', min: 0, max: 20 },
+            strength: { type: 'number', min: 0 },
+            seed: { type: 'number', max: 2147483647 }
+        };
+
+        test('coerces values within range', () => {
+            const { parameters: parsed, errors } = builder.parseValues(
+                textValues({ num_inference_steps: '30', guidance_scale: ' 3.5 ', strength: '0', seed: '42' }),
+                parameters
+            );
+
+            expect(errors).toEqual({});
+            expect(parsed).toEqual({ num_inference_steps: 30, guidance_scale: 3.5, strength: 0, seed: 42 });
+        });
+
+        test.each([
+            ['num_inference_steps', '51', 'Enter a value from 1 to 50.'],
+            ['num_inference_steps', '0', 'Enter a value from 1 to 50.'],
+            ['num_inference_steps', '2.5', 'Enter a whole number.'],
+            ['guidance_scale', 'lots', 'Enter a number.'],
+            ['strength', '-1', 'Enter a value of at least 0.'],
+            ['seed', '2147483648', 'Enter a value of at most 2147483647.']
+        ])('refuses %s = %s', (name, value, message) => {
+            const { parameters: parsed, errors } = builder.parseValues(textValues({ [name]: value }), parameters);
+
+            expect(errors).toEqual({ [`${name}_block`]: message });
+            expect(parsed).not.toHaveProperty(name);
+        });
+    });
+
+    describe('URL lists', () => {
+        const parameters = {
+            image_urls: { type: 'array', items: { type: 'string', format: 'uri' }, required: true },
+            tags: { type: 'array', items: { type: 'string' } }
+        };
+
+        test('splits URLs on lines, spaces and commas', () => {
+            const { parameters: parsed, errors } = builder.parseValues(textValues({
+                image_urls: 'https://example.com/a.png\nhttps://example.com/b.png, http://example.com/c.png',
+                tags: 'red\nblue, green'
+            }), parameters);
+
+            expect(errors).toEqual({});
+            expect(parsed.image_urls).toEqual(['https://example.com/a.png', 'https://example.com/b.png', 'http://example.com/c.png']);
+            expect(parsed.tags).toEqual(['red', 'blue', 'green']);
+        });
+
+        test.each(['example.com/a.png', 'ftp://example.com/a.png', 'javascript:alert(1)'])('refuses %s', (url) => {
+            const { errors } = builder.parseValues(textValues({ image_urls: `https://example.com/ok.png\n${url}` }), parameters);
+
+            expect(errors).toEqual({ image_urls_block: `Not a valid URL: ${url}` });
+        });
+    });
+
+    describe('JSON', () => {
+        const parameters = {
+            keyframes: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        url: { type: 'string', required: true },
+                        frame: { type: 'number', min: 0, max: 120 }
+                    }
+                }
+            },
+            loras: { type: 'array', items: { type: 'object' } },
+            metadata: { type: 'object' }
+        };
+
+        test('parses arrays and objects', () => {
+            const { parameters: parsed, errors } = builder.parseValues(textValues({
+                keyframes: '[{ "url": "https://example.com/a.png", "frame": 0 }, { "url": "https://example.com/b.png" }]',
+                loras: '[{ "path": "lora.safetensors", "scale": 1 }]',
+                metadata: '{ "campaign": "spring" }'
+            }), parameters);
+
+            expect(errors).toEqual({});
+            expect(parsed.keyframes).toHaveLength(2);
+            expect(parsed.loras).toEqual([{ path: 'lora.safetensors', scale: 1 }]);
+            expect(parsed.metadata).toEqual({ campaign: 'spring' });
+        });
+
+        test.each([
+            ['metadata', '{ campaign: spring }', /^Enter valid JSON \(/],
+            ['metadata', '[1, 2]', /^Enter a JSON object/],
+            ['metadata', 'null', /^Enter a JSON object/],
+            ['loras', '{ "path": "lora.safetensors" }', /^Enter a JSON array/],
+            ['keyframes', '["https://example.com/a.png"]', /^Item 1 must be a JSON object\.$/],
+            ['keyframes', '[{ "url": "https://example.com/a.png" }, { "frame": 4 }]', /^Item 2 is missing "url"\.$/],
+            ['keyframes', '[{ "url": "https://example.com/a.png", "frame": "4" }]', /^Item 1: "frame" must be a number\.$/],
+            ['keyframes', '[{ "url": "https://example.com/a.png", "frame": 240 }]', /^Item 1: "frame" must be from 0 to 120\.$/],
+            ['keyframes', '[{ "url": 7 }]', /^Item 1: "url" must be a string\.$/]
+        ])('refuses %s = %s', (name, value, message) => {
+            const { parameters: parsed, errors } = builder.parseValues(textValues({ [name]: value }), parameters);
+
+            expect(errors[`${name}_block`]).toMatch(message);
+            expect(parsed).not.toHaveProperty(name);
+        });
+    });
+
+    describe('defaults and required fields', () => {
+        const parameters = {
+            prompt: { type: 'string', required: true },
+            negative_prompt: { type: 'string' },
+            image_size: { type: 'string', options: ['square_hd', 'landscape_4_3'], default: 'landscape_4_3' },
+            num_images: { type: 'number', integer: true, min: 1, max: 4, default: 1 }
+        };
+
+        test('fills empty fields with their defaults and leaves optional ones out', () => {
+            const { parameters: parsed, errors } = builder.parseValues({
+                ...textValues({ prompt: 'A red bicycle', negative_prompt: '   ', num_images: '' }),
+                image_size_block: { image_size: { selected_option: null } }
+            }, parameters);
+
+            expect(errors).toEqual({});
+            expect(parsed).toEqual({ prompt: 'A red bicycle', image_size: 'landscape_4_3', num_images: 1 });
+        });
+
+        test('reports a required field left empty', () => {
+            const { errors } = builder.parseValues(textValues({ prompt: '' }), parameters);
+
+            expect(errors).toEqual({ prompt_block: 'This field is required.' });
+        });
+
+        test('takes a value chosen outside the field\'s own block', () => {
+            const { parameters: parsed, errors } = builder.parseValues({}, parameters, { prompt: 'From the file picker' });
+
+            expect(errors).toEqual({});
+            expect(parsed.prompt).toBe('From the file picker');
+        });
+
+        test('coerces numeric select options', () => {
+            const { parameters: parsed } = builder.parseValues(
+                { duration_block: { duration: { selected_option: { value: '10' } } } },
+                { duration: { type: 'number', options: [5, 10] } }
+            );
+
+            expect(parsed.duration).toBe(10);
+        });
+    });
+
+    describe('checkboxes', () => {
+        const parameters = {
+            enable_safety_checker: { type: 'boolean', default: true },
+            generate_audio: { type: 'boolean' }
+        };
+
+        test('is true when ticked and false when unticked, even over a default', () => {
+            const { parameters: parsed } = builder.parseValues({
+                enable_safety_checker_block: { enable_safety_checker: { selected_options: [] } },
+                generate_audio_block: { generate_audio: { selected_options: [{ value: 'true' }] } }
+            }, parameters);
+
+            expect(parsed).toEqual({ enable_safety_checker: false, generate_audio: true });
+        });
+
+        test('uses the default when the checkbox is not in the submission', () => {
+            const { parameters: parsed } = builder.parseValues({}, parameters);
+
+            expect(parsed).toEqual({ enable_safety_checker: true });
+        });
+    });
+
+    test('reports every invalid field under its own block_id', () => {
+        const { parameters: parsed, errors } = builder.parseValues(textValues({
+            prompt: '',
+            num_images: '9',
+            image_url: 'not a url',
+            style: 'x'.repeat(11)
+        }), {
+            prompt: { type: 'string', required: true },
+            num_images: { type: 'number', integer: true, min: 1, max: 4 },
+            image_url: { type: 'string', format: 'uri' },
+            style: { type: 'string', maxLength: 10 }
+        });
+
+        expect(errors).toEqual({
+            prompt_block: 'This field is required.',
+            num_images_block: 'Enter a value from 1 to 4.',
+            image_url_block: 'Enter a valid URL starting with http:// or https://.',
+            style_block: 'Must be at most 10 characters (currently 11).'
+        });
+        expect(parsed).toEqual({});
+        // The same block IDs the input blocks are built with
+        expect(builder.buildBlocks({ prompt: { type: 'string' } })[0].block_id).toBe('prompt_block');
+    });
+});
@@ -0,0 +1,12 @@
+/**
+ * @fileoverview Environment for the test suites
+ * @description Loaded before every test file: the example environment passes config validation,
+ * fixed secrets replace its placeholders and memory storage keeps Redis out of the tests.
+ */
+
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '..', '.env.example') });
+process.env.JWT_SECRET = 'test-jwt-secret-0123456789abcdefghijklmnop';
+process.env.ENCRYPTION_KEY = '0123456789abcdef0123456789abcdef';
+process.env.SESSION_STORAGE_TYPE = 'memory';
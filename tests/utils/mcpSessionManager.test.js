@@ -0,0 +1,256 @@
+/**
+ * @fileoverview Tests for asset lineage and for ending and resuming sessions in the session manager
+ * @description Each generated asset records its parent, its version within the lineage and how its
+ * parameters differ from the parent's; getAssetHistory rebuilds the lineage tree from those links.
+ * An ended session is archived before it is deleted, and an archived one can be resumed in a new thread.
+ */
+
+const MCPSessionManager = require('../../src/utils/mcpSessionManager');
+const { sessionArchive } = require('../../src/services/archive/sessionArchive');
+
+const USER = 'U0USER00001';
+const THREAD = '1700000000.000100';
+
+function asset(generationId, parameters, parentAssetId = null) {
+    return {
+        generationId,
+        assetUrl: `https://fal.media/files/${generationId}.png`,
+        timestamp: new Date().toISOString(),
+        operation: 'text-to-image',
+        modelId: 'fal-ai/flux/dev',
+        parameters,
+        parentAssetId
+    };
+}
+
+let manager;
+
+beforeEach(async () => {
+    // Memory locks release themselves on a timer; fake timers keep those from outliving the test
+    jest.useFakeTimers();
+    manager = new MCPSessionManager();
+    await manager.createSession(USER, THREAD, 'C0CHANNEL01', { clientName: 'Acme' });
+});
+
+afterEach(() => {
+    manager.stopCleanupJob();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+});
+
+// Add assets one update at a time, the way the worker records them
+async function addAssets(...assets) {
+    for (const entry of assets) {
+        await manager.updateSessionContext(USER, THREAD, { generatedAssets: [entry] });
+    }
+    const session = await manager.getSession(USER, THREAD);
+    return Object.fromEntries(session.context.generatedAssets.map(entry => [entry.generationId, entry]));
+}
+
+describe('diffParameters', () => {
+    test('lists added, removed and changed parameters', () => {
+        const diff = manager.diffParameters(
+            { prompt: 'a red bicycle', seed: 1, num_images: 2 },
+            { prompt: 'a blue bicycle', num_images: 2, guidance_scale: 7 }
+        );
+
+        expect(diff).toEqual({
+            prompt: { from: 'a red bicycle', to: 'a blue bicycle' },
+            seed: { from: 1, to: null },
+            guidance_scale: { from: null, to: 7 }
+        });
+    });
+
+    test('compares nested values by content', () => {
+        const before = { image_size: { width: 1024, height: 768 }, loras: ['a'] };
+
+        expect(manager.diffParameters(before, { image_size: { width: 1024, height: 768 }, loras: ['a'] })).toEqual({});
+        expect(manager.diffParameters(before, { image_size: { width: 768, height: 768 }, loras: ['a'] })).toEqual({
+            image_size: { from: { width: 1024, height: 768 }, to: { width: 768, height: 768 } }
+        });
+    });
+});
+
+describe('linkAssetToParent', () => {
+    test('starts a lineage at version 1 when the asset has no parent', () => {
+        const linked = manager.linkAssetToParent(asset('gen-1', { prompt: 'a red bicycle' }), []);
+
+        expect(linked).toMatchObject({ rootAssetId: 'gen-1', parentAssetId: null, version: 1, paramDiff: null });
+    });
+
+    test('starts a new lineage when the parent is not in the session', () => {
+        const linked = manager.linkAssetToParent(asset('gen-2', { prompt: 'a red bicycle' }, 'gen-missing'), []);
+
+        expect(linked).toMatchObject({ rootAssetId: 'gen-2', parentAssetId: null, version: 1 });
+    });
+
+    test('links an asset to its parent with the next version and a parameter diff', async () => {
+        const assets = await addAssets(
+            asset('gen-1', { prompt: 'a red bicycle', seed: 1 }),
+            asset('gen-2', { prompt: 'a red bicycle', seed: 2 }, 'gen-1')
+        );
+
+        expect(assets['gen-2']).toMatchObject({
+            rootAssetId: 'gen-1',
+            parentAssetId: 'gen-1',
+            version: 2,
+            paramDiff: { seed: { from: 1, to: 2 } }
+        });
+    });
+
+    test('numbers versions across the whole lineage, including siblings', async () => {
+        const assets = await addAssets(
+            asset('gen-1', { seed: 1 }),
+            asset('gen-2', { seed: 2 }, 'gen-1'),
+            asset('gen-3', { seed: 3 }, 'gen-1'),
+            asset('gen-4', { seed: 4 }, 'gen-2')
+        );
+
+        expect(Object.values(assets).map(({ generationId, rootAssetId, version }) => [generationId, rootAssetId, version])).toEqual([
+            ['gen-1', 'gen-1', 1],
+            ['gen-2', 'gen-1', 2],
+            ['gen-3', 'gen-1', 3],
+            ['gen-4', 'gen-1', 4]
+        ]);
+        expect(assets['gen-4'].paramDiff).toEqual({ seed: { from: 2, to: 4 } });
+    });
+
+    test('keeps separate lineages numbered separately', async () => {
+        const assets = await addAssets(
+            asset('gen-1', { seed: 1 }),
+            asset('gen-2', { seed: 2 }, 'gen-1'),
+            asset('other-1', { seed: 10 }),
+            asset('other-2', { seed: 11 }, 'other-1')
+        );
+
+        expect(assets['other-1']).toMatchObject({ rootAssetId: 'other-1', version: 1 });
+        expect(assets['other-2']).toMatchObject({ rootAssetId: 'other-1', version: 2 });
+    });
+});
+
+describe('getAssetHistory', () => {
+    beforeEach(async () => {
+        await addAssets(
+            asset('gen-1', { seed: 1 }),
+            asset('gen-2', { seed: 2 }, 'gen-1'),
+            asset('gen-3', { seed: 3 }, 'gen-1'),
+            asset('gen-4', { seed: 4 }, 'gen-2'),
+            asset('other-1', { seed: 10 })
+        );
+    });
+
+    test('lists an asset\'s ancestors from the root down', async () => {
+        const history = await manager.getAssetHistory(USER, THREAD, 'gen-4');
+
+        expect(history.ancestors).toEqual([{ generationId: 'gen-1', version: 1 }, { generationId: 'gen-2', version: 2 }]);
+        expect(history.asset).toMatchObject({ generationId: 'gen-4', version: 4, parentAssetId: 'gen-2', paramDiff: { seed: { from: 2, to: 4 } } });
+    });
+
+    test('builds the tree from the root, leaving other lineages out', async () => {
+        const history = await manager.getAssetHistory(USER, THREAD, 'gen-4');
+
+        const shape = (node) => ({ id: node.generationId, children: node.children.map(shape) });
+        expect(shape(history.tree)).toEqual({
+            id: 'gen-1',
+            children: [
+                { id: 'gen-2', children: [{ id: 'gen-4', children: [] }] },
+                { id: 'gen-3', children: [] }
+            ]
+        });
+    });
+
+    test('returns a root asset as its own tree', async () => {
+        const history = await manager.getAssetHistory(USER, THREAD, 'other-1');
+
+        expect(history.ancestors).toEqual([]);
+        expect(history.tree).toMatchObject({ generationId: 'other-1', version: 1, children: [] });
+    });
+
+    test('returns null for an unknown asset or session', async () => {
+        await expect(manager.getAssetHistory(USER, THREAD, 'gen-missing')).resolves.toBeNull();
+        await expect(manager.getAssetHistory(USER, '1700000000.999999', 'gen-1')).resolves.toBeNull();
+    });
+});
+
+describe('endSession', () => {
+    test('archives the ended session, then deletes it', async () => {
+        const archiveSession = jest.spyOn(sessionArchive, 'archiveSession').mockResolvedValue({});
+        await addAssets(asset('gen-1', { seed: 1 }));
+
+        await expect(manager.endSession(USER, THREAD)).resolves.toBe(true);
+
+        expect(archiveSession).toHaveBeenCalledWith(expect.objectContaining({
+            userId: USER,
+            state: manager.SESSION_STATES.COMPLETED,
+            context: expect.objectContaining({ generatedAssets: [expect.objectContaining({ generationId: 'gen-1' })] })
+        }), 'ended');
+        await jest.advanceTimersByTimeAsync(5000);
+        await expect(manager.peekSession(USER, THREAD)).resolves.toBeNull();
+    });
+
+    test('keeps the session when it cannot be archived', async () => {
+        jest.spyOn(sessionArchive, 'archiveSession').mockRejectedValue(new Error('disk full'));
+
+        await expect(manager.endSession(USER, THREAD)).resolves.toBe(true);
+
+        await jest.advanceTimersByTimeAsync(5000);
+        await expect(manager.peekSession(USER, THREAD)).resolves.toMatchObject({ state: manager.SESSION_STATES.COMPLETED });
+    });
+
+    test('does not end a session twice', async () => {
+        const archiveSession = jest.spyOn(sessionArchive, 'archiveSession').mockResolvedValue({});
+
+        await manager.endSession(USER, THREAD);
+        await expect(manager.endSession(USER, THREAD)).resolves.toBe(false);
+
+        expect(archiveSession).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('resumeSession', () => {
+    const RESUMED_THREAD = '1700000000.000200';
+
+    test('carries the brief, assets and Drive folder into a new session in the new thread', async () => {
+        const archived = {
+            sessionId: '11111111-1111-4111-8111-111111111111',
+            clientName: 'Acme',
+            campaignIdea: 'Spring launch',
+            context: {
+                enhancedPrompt: 'A red bicycle at dawn',
+                generatedAssets: [{ ...asset('gen-1', { seed: 1 }), rootAssetId: 'gen-1', version: 1 }],
+                driveFolder: { folderId: 'folder-1', folderName: 'Acme - Spring launch' },
+                selectedOperation: 'text-to-video'
+            }
+        };
+
+        const session = await manager.resumeSession(archived, USER, RESUMED_THREAD, 'C0CHANNEL01');
+
+        expect(session.sessionId).not.toBe(archived.sessionId);
+        expect(await manager.peekSession(USER, RESUMED_THREAD)).toMatchObject({
+            resumedFrom: archived.sessionId,
+            clientName: 'Acme',
+            campaignIdea: 'Spring launch',
+            state: manager.SESSION_STATES.INITIALIZING,
+            context: {
+                enhancedPrompt: 'A red bicycle at dawn',
+                driveFolder: archived.context.driveFolder,
+                generatedAssets: archived.context.generatedAssets,
+                selectedOperation: null
+            }
+        });
+    });
+
+    test('continues the lineage of an archived asset', async () => {
+        const archived = {
+            sessionId: '11111111-1111-4111-8111-111111111111',
+            context: { generatedAssets: [{ ...asset('gen-1', { seed: 1 }), rootAssetId: 'gen-1', version: 1 }] }
+        };
+        await manager.resumeSession(archived, USER, RESUMED_THREAD, 'C0CHANNEL01');
+
+        await manager.updateSessionContext(USER, RESUMED_THREAD, { generatedAssets: [asset('gen-2', { seed: 2 }, 'gen-1')] });
+
+        const history = await manager.getAssetHistory(USER, RESUMED_THREAD, 'gen-2');
+        expect(history.ancestors).toEqual([{ generationId: 'gen-1', version: 1 }]);
+        expect(history.asset.version).toBe(2);
+    });
+});